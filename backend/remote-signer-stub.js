@@ -0,0 +1,77 @@
+require('dotenv').config();
+const http = require('http');
+const { ethers } = require('ethers');
+
+// Minimal JSON-RPC signer for testing ADMIN_SIGNER=remote locally.
+// It holds STUB_SIGNER_KEY (or ADMIN_PRIVATE_KEY) and answers eth_accounts and eth_signTransaction.
+
+const port = parseInt(process.env.STUB_SIGNER_PORT) || 8550;
+const secret = process.env.STUB_SIGNER_KEY || process.env.ADMIN_PRIVATE_KEY;
+const authToken = process.env.ADMIN_REMOTE_SIGNER_TOKEN;
+
+if (!secret) {
+  console.error('❌ STUB_SIGNER_KEY or ADMIN_PRIVATE_KEY must be set in .env file');
+  process.exit(1);
+}
+
+const wallet = secret.trim().includes(' ')
+  ? ethers.Wallet.fromPhrase(secret.trim())
+  : new ethers.Wallet(secret.trim());
+
+// JSON-RPC transaction object -> ethers TransactionRequest
+const toTransactionRequest = (tx) => ({
+  from: tx.from,
+  to: tx.to,
+  data: tx.data || tx.input,
+  value: tx.value,
+  gasLimit: tx.gas,
+  nonce: tx.nonce !== undefined ? Number(tx.nonce) : undefined,
+  chainId: tx.chainId,
+  type: tx.type !== undefined ? Number(tx.type) : undefined,
+  gasPrice: tx.gasPrice,
+  maxFeePerGas: tx.maxFeePerGas,
+  maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+  accessList: tx.accessList
+});
+
+const handlers = {
+  eth_accounts: async () => [wallet.address],
+  eth_signTransaction: async ([tx]) => {
+    const request = toTransactionRequest(tx);
+    console.log(`✍️  Signing tx to ${request.to} (nonce ${request.nonce}, chain ${BigInt(request.chainId || 0)})`);
+    return wallet.signTransaction(request);
+  }
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', async () => {
+    let id = null;
+    let reply;
+    try {
+      if (authToken && req.headers.authorization !== `Bearer ${authToken}`) {
+        res.writeHead(401);
+        res.end();
+        return;
+      }
+
+      const { id: requestId, method, params } = JSON.parse(body);
+      id = requestId;
+      const handler = handlers[method];
+      reply = handler
+        ? { jsonrpc: '2.0', id, result: await handler(params || []) }
+        : { jsonrpc: '2.0', id, error: { code: -32601, message: `Method ${method} not supported` } };
+    } catch (error) {
+      reply = { jsonrpc: '2.0', id, error: { code: -32000, message: error.message } };
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply));
+  });
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`🔐 Remote signer stub for ${wallet.address}`);
+  console.log(`Listening on http://127.0.0.1:${port}`);
+});
@@ -0,0 +1,26 @@
+const { ROUTE_CLASSES } = require('./quotas');
+
+// memory: an LRU per process; redis: shared by every instance (needs the `redis` package and REDIS_URL)
+const CACHE_STORES = ['memory', 'redis'];
+
+const CACHE_SETTINGS = {
+  enabled: process.env.CACHE_ENABLED !== 'false',
+  store: process.env.CACHE_STORE || 'memory',
+  redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+  keyPrefix: process.env.CACHE_KEY_PREFIX || 'memex:cache:',
+  // Responses kept by the memory store before the least recently used is dropped
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000
+};
+
+// Longest a response is served from cache; chain events invalidate it sooner (see services/cacheService.js)
+const CACHE_TTLS = {
+  [ROUTE_CLASSES.STANDARD]: parseInt(process.env.CACHE_TTL_STANDARD_MS) || 30 * 1000,
+  [ROUTE_CLASSES.ANALYTICS]: parseInt(process.env.CACHE_TTL_ANALYTICS_MS) || 60 * 1000,
+  [ROUTE_CLASSES.CHAIN]: parseInt(process.env.CACHE_TTL_CHAIN_MS) || 60 * 1000
+};
+
+module.exports = {
+  CACHE_STORES,
+  CACHE_SETTINGS,
+  CACHE_TTLS
+};
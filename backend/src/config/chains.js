@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+
+const { MULTICALL3_ADDRESS } = require('../utils/multicall');
+
+// The hardhat project at the repository root exports deployments and keeps per-network settings
+const ROOT_DIR = path.join(__dirname, '..', '..', '..');
+const DEPLOYMENTS_FILE = process.env.DEPLOYMENTS_FILE || path.join(ROOT_DIR, 'exports', 'deployments.json');
+const CHAIN_CONFIG_DIR = process.env.CHAIN_CONFIG_DIR || path.join(ROOT_DIR, 'config');
+
+// Older single-chain RPC variables, still honoured for the chains they were written for
+const LEGACY_RPC_URLS = {
+  2741: 'ABSTRACT_RPC_URL',
+  11124: 'ABSTRACT_TESTNET_RPC_URL'
+};
+
+// Chains served by this backend, and the one used when a request names none
+const CHAIN_IDS = (process.env.CHAINS || '11124')
+  .split(',')
+  .map(chainId => parseInt(chainId.trim()))
+  .filter(chainId => !Number.isNaN(chainId));
+const DEFAULT_CHAIN_ID = parseInt(process.env.DEFAULT_CHAIN_ID) || CHAIN_IDS[0];
+
+// Contracts per chain ID from `npm run export` ({ chainId: [{ name, chainId, contracts }] })
+const readDeployments = () => {
+  if (!fs.existsSync(DEPLOYMENTS_FILE)) {
+    return {};
+  }
+
+  const exported = JSON.parse(fs.readFileSync(DEPLOYMENTS_FILE, 'utf8'));
+  const deployments = {};
+  for (const [chainId, networks] of Object.entries(exported)) {
+    // A chain can be exported under several network names; the first with a Factory wins
+    const network = networks.find(entry => entry.contracts && entry.contracts.Factory);
+    if (network) {
+      deployments[chainId] = { network: network.name, contracts: network.contracts };
+    }
+  }
+  return deployments;
+};
+
+// RPC endpoints as [{ url, priority }]; a comma-separated list is in priority order
+const parseRpcUrls = (value) => {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  return entries
+    .map((entry, index) => (typeof entry === 'string'
+      ? { url: entry.trim(), priority: index }
+      : { url: entry.url, priority: entry.priority ?? index }))
+    .filter(({ url }) => url);
+};
+
+// Name, RPC and explorer per chain ID from config/<network>.json
+const readChainConfigs = () => {
+  if (!fs.existsSync(CHAIN_CONFIG_DIR)) {
+    return {};
+  }
+
+  const configs = {};
+  for (const file of fs.readdirSync(CHAIN_CONFIG_DIR).filter(name => name.endsWith('.json'))) {
+    const config = JSON.parse(fs.readFileSync(path.join(CHAIN_CONFIG_DIR, file), 'utf8'));
+    if (config.chainId) {
+      configs[config.chainId] = { ...config, network: path.basename(file, '.json') };
+    }
+  }
+  return configs;
+};
+
+/**
+ * Settings of every chain in CHAINS, keyed by chain ID. RPC_URL_<chainId> (one URL or a comma-separated
+ * failover list, replacing rpcUrl / rpcUrls in the file), FACTORY_ADDRESS_<chainId>,
+ * LOCK_ADDRESS_<chainId>, MULTICALL3_ADDRESS_<chainId> and INDEXER_START_BLOCK_<chainId> override
+ * the files; the unsuffixed FACTORY_ADDRESS, LOCK_ADDRESS, MULTICALL3_ADDRESS and INDEXER_START_BLOCK
+ * apply to the default chain.
+ * VERIFY_BYTECODE(_<chainId>)=false skips the startup bytecode check.
+ */
+const loadChains = () => {
+  if (!CHAIN_IDS.includes(DEFAULT_CHAIN_ID)) {
+    throw new Error(`DEFAULT_CHAIN_ID ${DEFAULT_CHAIN_ID} is not listed in CHAINS (${CHAIN_IDS.join(', ')})`);
+  }
+
+  const deployments = readDeployments();
+  const configs = readChainConfigs();
+  const chains = new Map();
+
+  for (const chainId of CHAIN_IDS) {
+    const config = configs[chainId] || {};
+    const deployment = deployments[chainId] || { contracts: {} };
+    const isDefault = chainId === DEFAULT_CHAIN_ID;
+    const env = (name) => process.env[`${name}_${chainId}`] || (isDefault ? process.env[name] : undefined);
+    const rpcUrls = parseRpcUrls(
+      process.env[`RPC_URL_${chainId}`] || process.env[LEGACY_RPC_URLS[chainId]] || config.rpcUrls || config.rpcUrl
+    );
+
+    const chain = {
+      chainId,
+      network: config.network || deployment.network || String(chainId),
+      name: config.name || deployment.network || `Chain ${chainId}`,
+      // The first is reported, as its origin only, by /api/factory/info
+      rpcUrl: rpcUrls.length ? rpcUrls[0].url : null,
+      rpcUrls,
+      explorerUrl: config.explorerUrl || null,
+      testnet: Boolean(config.testnet),
+      nativeCurrency: config.nativeCurrency || 'ETH',
+      factoryAddress: env('FACTORY_ADDRESS') || (deployment.contracts.Factory ? deployment.contracts.Factory.address : null),
+      // Read from Factory.getLockContract() when not set
+      lockAddress: env('LOCK_ADDRESS') || null,
+      // A local Multicall3 from deploy/Multicall3.js, else the canonical one
+      multicallAddress: env('MULTICALL3_ADDRESS') ||
+        (deployment.contracts.Multicall3 ? deployment.contracts.Multicall3.address : null) ||
+        config.multicall3Address ||
+        MULTICALL3_ADDRESS,
+      startBlock: parseInt(env('INDEXER_START_BLOCK')) || 0,
+      // Compare deployed code with the generated contract clients at startup
+      verifyBytecode: (process.env[`VERIFY_BYTECODE_${chainId}`] || process.env.VERIFY_BYTECODE || 'true') !== 'false',
+      isDefault
+    };
+
+    if (!chain.rpcUrl) {
+      throw new Error(`No RPC URL for chain ${chainId}; set RPC_URL_${chainId} or add it to config/<network>.json`);
+    }
+    if (!chain.factoryAddress) {
+      throw new Error(`No Factory address for chain ${chainId}; run \`npm run export\` or set FACTORY_ADDRESS_${chainId}`);
+    }
+    chains.set(chainId, chain);
+  }
+
+  return chains;
+};
+
+module.exports = {
+  CHAIN_IDS,
+  DEFAULT_CHAIN_ID,
+  loadChains
+};
@@ -0,0 +1,60 @@
+// Route classes and what one call costs against a consumer's quota
+const ROUTE_CLASSES = {
+  STANDARD: 'standard',
+  ANALYTICS: 'analytics',
+  CHAIN: 'chain'
+};
+
+const ROUTE_COSTS = {
+  // Indexed data served from MongoDB
+  [ROUTE_CLASSES.STANDARD]: 1,
+  // Aggregations over the whole token collection
+  [ROUTE_CLASSES.ANALYTICS]: 3,
+  // Live RPC reads, gas estimates and receipt lookups
+  [ROUTE_CLASSES.CHAIN]: 10
+};
+
+// First match wins; anything unmatched is STANDARD. Paths are matched without the query string.
+const ROUTE_RULES = [
+  { pattern: /^\/api\/user\/(deployment-fee|settings|deploy-token\/|tokens\/|transaction\/)/, routeClass: ROUTE_CLASSES.CHAIN },
+  { pattern: /^\/api\/bonding-curve\/(0x[a-fA-F0-9]+|batch)/, routeClass: ROUTE_CLASSES.CHAIN },
+  { pattern: /^\/api\/tokens\/0x[a-fA-F0-9]+(\/stats)?\/?$/, routeClass: ROUTE_CLASSES.CHAIN },
+  { pattern: /^\/api\/factory\/info/, routeClass: ROUTE_CLASSES.CHAIN },
+  { pattern: /^\/api\/analytics\//, routeClass: ROUTE_CLASSES.ANALYTICS }
+];
+
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+
+/**
+ * Budgets per window. `points` caps the summed cost of all calls, `classes` caps the
+ * number of calls per route class. Callers without an API key are limited per IP.
+ */
+// The chain limit (50 calls, 500 points) is reached first, leaving 100 points for other calls
+const ANONYMOUS_QUOTA = {
+  points: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 600,
+  classes: {
+    [ROUTE_CLASSES.CHAIN]: parseInt(process.env.RATE_LIMIT_MAX_CHAIN_REQUESTS) || 50
+  }
+};
+
+// Starting quota for new API keys; admins can change it per key
+const DEFAULT_KEY_QUOTA = {
+  points: parseInt(process.env.API_KEY_DEFAULT_POINTS) || 10000,
+  classes: {
+    [ROUTE_CLASSES.CHAIN]: parseInt(process.env.API_KEY_DEFAULT_CHAIN_REQUESTS) || 500
+  }
+};
+
+const classifyRoute = (path) => {
+  const rule = ROUTE_RULES.find(({ pattern }) => pattern.test(path));
+  return rule ? rule.routeClass : ROUTE_CLASSES.STANDARD;
+};
+
+module.exports = {
+  ROUTE_CLASSES,
+  ROUTE_COSTS,
+  WINDOW_MS,
+  ANONYMOUS_QUOTA,
+  DEFAULT_KEY_QUOTA,
+  classifyRoute
+};
@@ -0,0 +1,20 @@
+// Admin roles. Every role can read the admin views; superadmin can do everything, including managing admins.
+const ROLES = {
+  VIEWER: 'viewer',
+  MODERATOR: 'moderator',
+  OPERATOR: 'operator',
+  TREASURER: 'treasurer',
+  SUPERADMIN: 'superadmin'
+};
+
+const hasRole = (roles, required) => {
+  if (roles.includes(ROLES.SUPERADMIN) || roles.includes(required)) {
+    return true;
+  }
+  return required === ROLES.VIEWER && roles.length > 0;
+};
+
+module.exports = {
+  ROLES,
+  hasRole
+};
@@ -0,0 +1,50 @@
+// How each chain's RPC endpoints are used (see utils/failoverProvider.js)
+const RPC_MODES = ['priority', 'quorum'];
+
+const DEFAULT_RPC_POLICY = {
+  // priority: one endpoint per request, the next on failure; quorum: `quorum` endpoints must agree
+  mode: 'priority',
+  quorum: 2,
+  // Retries of reads after every endpoint failed, waiting backoffMs, 2x, 4x ... up to maxBackoffMs
+  retries: 2,
+  backoffMs: 250,
+  maxBackoffMs: 5000,
+  // Per-request timeout for one endpoint
+  timeoutMs: 10000,
+  // Consecutive failures that take an endpoint out of rotation, and how long until it is tried again
+  breakerThreshold: 5,
+  breakerCooldownMs: 30000,
+  // Calls per Multicall3 aggregate3 request (see utils/multicall.js)
+  multicallBatchSize: 500
+};
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Policy of a chain; RPC_MODE_<chainId> / RPC_QUORUM_<chainId> override RPC_MODE / RPC_QUORUM
+const getRpcPolicy = (chainId) => {
+  const mode = process.env[`RPC_MODE_${chainId}`] || process.env.RPC_MODE || DEFAULT_RPC_POLICY.mode;
+  if (!RPC_MODES.includes(mode)) {
+    throw new Error(`Invalid RPC mode "${mode}" for chain ${chainId}; use ${RPC_MODES.join(' or ')}`);
+  }
+
+  return {
+    mode,
+    quorum: intFromEnv(`RPC_QUORUM_${chainId}`, intFromEnv('RPC_QUORUM', DEFAULT_RPC_POLICY.quorum)),
+    retries: intFromEnv('RPC_RETRIES', DEFAULT_RPC_POLICY.retries),
+    backoffMs: intFromEnv('RPC_BACKOFF_MS', DEFAULT_RPC_POLICY.backoffMs),
+    maxBackoffMs: intFromEnv('RPC_MAX_BACKOFF_MS', DEFAULT_RPC_POLICY.maxBackoffMs),
+    timeoutMs: intFromEnv('RPC_TIMEOUT_MS', DEFAULT_RPC_POLICY.timeoutMs),
+    breakerThreshold: intFromEnv('RPC_BREAKER_THRESHOLD', DEFAULT_RPC_POLICY.breakerThreshold),
+    breakerCooldownMs: intFromEnv('RPC_BREAKER_COOLDOWN_MS', DEFAULT_RPC_POLICY.breakerCooldownMs),
+    multicallBatchSize: intFromEnv('MULTICALL_BATCH_SIZE', DEFAULT_RPC_POLICY.multicallBatchSize)
+  };
+};
+
+module.exports = {
+  DEFAULT_RPC_POLICY,
+  RPC_MODES,
+  getRpcPolicy
+};
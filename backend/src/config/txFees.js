@@ -0,0 +1,28 @@
+const { ethers } = require('ethers');
+
+// EIP-1559 fee caps for backend-signed transactions per chain ID, in gwei
+const NETWORK_FEE_CAPS = {
+  // Abstract
+  2741: { maxFeePerGas: '10', maxPriorityFeePerGas: '2' },
+  // Abstract testnet
+  11124: { maxFeePerGas: '10', maxPriorityFeePerGas: '2' }
+};
+
+const DEFAULT_FEE_CAPS = { maxFeePerGas: '100', maxPriorityFeePerGas: '5' };
+
+// Caps in wei for a chain; TX_MAX_FEE_GWEI_<chainId> / TX_MAX_PRIORITY_FEE_GWEI_<chainId> take precedence,
+// then TX_MAX_FEE_GWEI / TX_MAX_PRIORITY_FEE_GWEI for every chain
+const getFeeCaps = (chainId) => {
+  const caps = NETWORK_FEE_CAPS[chainId] || DEFAULT_FEE_CAPS;
+  const maxFee = process.env[`TX_MAX_FEE_GWEI_${chainId}`] || process.env.TX_MAX_FEE_GWEI || caps.maxFeePerGas;
+  const maxPriorityFee = process.env[`TX_MAX_PRIORITY_FEE_GWEI_${chainId}`] || process.env.TX_MAX_PRIORITY_FEE_GWEI || caps.maxPriorityFeePerGas;
+  return {
+    maxFeePerGas: ethers.parseUnits(maxFee, 'gwei'),
+    maxPriorityFeePerGas: ethers.parseUnits(maxPriorityFee, 'gwei')
+  };
+};
+
+module.exports = {
+  NETWORK_FEE_CAPS,
+  getFeeCaps
+};
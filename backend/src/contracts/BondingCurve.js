@@ -0,0 +1,89 @@
+// Generated by scripts/generate-clients.js - do not edit
+const { ethers } = require('ethers');
+
+const BondingCurveArtifact = require('./abis/BondingCurve');
+
+/** @typedef {import('ethers').BigNumberish} BigNumberish */
+/** @typedef {import('ethers').BytesLike} BytesLike */
+/** @typedef {import('ethers').ContractTransactionResponse} ContractTransactionResponse */
+/**
+ * @template {any[]} A, R, D
+ * @typedef {import('ethers').BaseContractMethod<A, R, D>} Method
+ */
+
+/**
+ * @typedef {object} BondingCurveSettingsStruct
+ * @property {BigNumberish} virtualEth
+ * @property {BigNumberish} preBondingTarget
+ * @property {BigNumberish} bondingTarget
+ * @property {BigNumberish} minContribution
+ * @property {BigNumberish} poolFee
+ * @property {BigNumberish} sellFee
+ * @property {string} uniswapV3Factory
+ * @property {string} positionManager
+ * @property {string} weth
+ * @property {string} feeTo
+ */
+
+/**
+ * @typedef {object} BondingCurveSettingsStructOutput
+ * @property {bigint} virtualEth
+ * @property {bigint} preBondingTarget
+ * @property {bigint} bondingTarget
+ * @property {bigint} minContribution
+ * @property {bigint} poolFee
+ * @property {bigint} sellFee
+ * @property {string} uniswapV3Factory
+ * @property {string} positionManager
+ * @property {string} weth
+ * @property {string} feeTo
+ */
+
+/**
+ * @typedef {import('ethers').BaseContract & {
+ *   acceptOwnership: Method<[], void, ContractTransactionResponse>,
+ *   accumulatedFees: Method<[], bigint, bigint>,
+ *   buyTokens: Method<[minTokens: BigNumberish], bigint, ContractTransactionResponse>,
+ *   contributePreBonding: Method<[], void, ContractTransactionResponse>,
+ *   contributions: Method<[arg0: string], bigint, bigint>,
+ *   currentPhase: Method<[], bigint, bigint>,
+ *   ethReserve: Method<[], bigint, bigint>,
+ *   finalizeCurve: Method<[], void, ContractTransactionResponse>,
+ *   getBondingCurveSettings: Method<[], BondingCurveSettingsStructOutput, BondingCurveSettingsStructOutput>,
+ *   initialize: Method<[token_: string, lock_: string, owner_: string, settings_: BondingCurveSettingsStruct], void, ContractTransactionResponse>,
+ *   isFinalized: Method<[], boolean, boolean>,
+ *   lockContract: Method<[], string, string>,
+ *   lpTokenId: Method<[], bigint, bigint>,
+ *   onERC721Received: Method<[arg0: string, arg1: string, arg2: BigNumberish, arg3: BytesLike], string, string>,
+ *   owner: Method<[], string, string>,
+ *   pendingOwner: Method<[], string, string>,
+ *   preBondingTokens: Method<[], bigint, bigint>,
+ *   renounceOwnership: Method<[], void, ContractTransactionResponse>,
+ *   sellTokens: Method<[tokenAmount: BigNumberish, minETH: BigNumberish], [bigint, bigint] & { ethToReceive: bigint; fee: bigint }, ContractTransactionResponse>,
+ *   token: Method<[], string, string>,
+ *   tokenAllocations: Method<[arg0: string], bigint, bigint>,
+ *   tokenLocks: Method<[arg0: string], boolean, boolean>,
+ *   tokenReserve: Method<[], bigint, bigint>,
+ *   totalETHCollected: Method<[], bigint, bigint>,
+ *   totalPreBondingContributions: Method<[], bigint, bigint>,
+ *   transferOwnership: Method<[newOwner: string], void, ContractTransactionResponse>,
+ *   uniswapPool: Method<[], string, string>,
+ *   withdrawTokenAllocation: Method<[recipient: string], void, ContractTransactionResponse>
+ * }} BondingCurveContract
+ */
+
+/**
+ * BondingCurve at `address`, read-only without a runner that can sign.
+ * @param {string} address
+ * @param {import('ethers').ContractRunner | null} [runner]
+ * @returns {BondingCurveContract}
+ */
+const connectBondingCurve = (address, runner = null) => new ethers.Contract(address, BondingCurveArtifact.abi, runner);
+
+const BondingCurveInterface = new ethers.Interface(BondingCurveArtifact.abi);
+
+module.exports = {
+  BondingCurveArtifact,
+  BondingCurveInterface,
+  connectBondingCurve
+};
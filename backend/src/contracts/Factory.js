@@ -0,0 +1,78 @@
+// Generated by scripts/generate-clients.js - do not edit
+const { ethers } = require('ethers');
+
+const FactoryArtifact = require('./abis/Factory');
+
+/** @typedef {import('ethers').BigNumberish} BigNumberish */
+/** @typedef {import('ethers').BytesLike} BytesLike */
+/** @typedef {import('ethers').ContractTransactionResponse} ContractTransactionResponse */
+/**
+ * @template {any[]} A, R, D
+ * @typedef {import('ethers').BaseContractMethod<A, R, D>} Method
+ */
+
+/**
+ * @typedef {object} BondingCurveSettingsStruct
+ * @property {BigNumberish} virtualEth
+ * @property {BigNumberish} preBondingTarget
+ * @property {BigNumberish} bondingTarget
+ * @property {BigNumberish} minContribution
+ * @property {BigNumberish} poolFee
+ * @property {BigNumberish} sellFee
+ * @property {string} uniswapV3Factory
+ * @property {string} positionManager
+ * @property {string} weth
+ * @property {string} feeTo
+ */
+
+/**
+ * @typedef {object} BondingCurveSettingsStructOutput
+ * @property {bigint} virtualEth
+ * @property {bigint} preBondingTarget
+ * @property {bigint} bondingTarget
+ * @property {bigint} minContribution
+ * @property {bigint} poolFee
+ * @property {bigint} sellFee
+ * @property {string} uniswapV3Factory
+ * @property {string} positionManager
+ * @property {string} weth
+ * @property {string} feeTo
+ */
+
+/**
+ * @typedef {import('ethers').BaseContract & {
+ *   acceptOwnership: Method<[], void, ContractTransactionResponse>,
+ *   deployBondingCurveSystem: Method<[name: string, symbol: string], [string, string] & { tokenAddress: string; bondingCurveAddress: string }, ContractTransactionResponse>,
+ *   getBondingCurveForToken: Method<[token: string], string, string>,
+ *   getBondingCurveImplementation: Method<[], string, string>,
+ *   getBondingCurveSettings: Method<[], BondingCurveSettingsStructOutput, BondingCurveSettingsStructOutput>,
+ *   getDeploymentFee: Method<[], bigint, bigint>,
+ *   getLockContract: Method<[], string, string>,
+ *   getTokenForBondingCurve: Method<[bondingCurve: string], string, string>,
+ *   getTokenImplementation: Method<[], string, string>,
+ *   initialize: Method<[factoryFees: BigNumberish, owner: string, tokenImpl: string, bondingCurveImpl: string, lockContractAddr: string, initialSettings: BondingCurveSettingsStruct], void, ContractTransactionResponse>,
+ *   owner: Method<[], string, string>,
+ *   pendingOwner: Method<[], string, string>,
+ *   renounceOwnership: Method<[], void, ContractTransactionResponse>,
+ *   transferOwnership: Method<[newOwner: string], void, ContractTransactionResponse>,
+ *   updateBondingCurveSettings: Method<[newSettings: BondingCurveSettingsStruct], void, ContractTransactionResponse>,
+ *   updateDeploymentFee: Method<[newFee: BigNumberish], void, ContractTransactionResponse>,
+ *   withdrawFees: Method<[recipient: string], void, ContractTransactionResponse>
+ * }} FactoryContract
+ */
+
+/**
+ * Factory at `address`, read-only without a runner that can sign.
+ * @param {string} address
+ * @param {import('ethers').ContractRunner | null} [runner]
+ * @returns {FactoryContract}
+ */
+const connectFactory = (address, runner = null) => new ethers.Contract(address, FactoryArtifact.abi, runner);
+
+const FactoryInterface = new ethers.Interface(FactoryArtifact.abi);
+
+module.exports = {
+  FactoryArtifact,
+  FactoryInterface,
+  connectFactory
+};
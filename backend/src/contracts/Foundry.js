@@ -0,0 +1,77 @@
+// Generated by scripts/generate-clients.js - do not edit
+const { ethers } = require('ethers');
+
+const FoundryArtifact = require('./abis/Foundry');
+
+/** @typedef {import('ethers').BigNumberish} BigNumberish */
+/** @typedef {import('ethers').BytesLike} BytesLike */
+/** @typedef {import('ethers').ContractTransactionResponse} ContractTransactionResponse */
+/**
+ * @template {any[]} A, R, D
+ * @typedef {import('ethers').BaseContractMethod<A, R, D>} Method
+ */
+
+/**
+ * @typedef {object} BondingCurveSettingsStruct
+ * @property {BigNumberish} virtualEth
+ * @property {BigNumberish} preBondingTarget
+ * @property {BigNumberish} bondingTarget
+ * @property {BigNumberish} minContribution
+ * @property {BigNumberish} poolFee
+ * @property {BigNumberish} sellFee
+ * @property {string} uniswapV3Factory
+ * @property {string} positionManager
+ * @property {string} weth
+ * @property {string} feeTo
+ */
+
+/**
+ * @typedef {object} BondingCurveSettingsStructOutput
+ * @property {bigint} virtualEth
+ * @property {bigint} preBondingTarget
+ * @property {bigint} bondingTarget
+ * @property {bigint} minContribution
+ * @property {bigint} poolFee
+ * @property {bigint} sellFee
+ * @property {string} uniswapV3Factory
+ * @property {string} positionManager
+ * @property {string} weth
+ * @property {string} feeTo
+ */
+
+/**
+ * @typedef {import('ethers').BaseContract & {
+ *   deploySystem: Method<[owner: string, factoryFees: BigNumberish, settings: BondingCurveSettingsStruct], [string, string] & { factoryAddress: string; lockAddress: string }, ContractTransactionResponse>,
+ *   getBondingCurveImplementation: Method<[], string, string>,
+ *   getDeploymentFee: Method<[], bigint, bigint>,
+ *   getFactoryImplementation: Method<[], string, string>,
+ *   getLockImplementation: Method<[], string, string>,
+ *   getTokenImplementation: Method<[], string, string>,
+ *   isDeployedClone: Method<[cloneAddress: string], boolean, boolean>,
+ *   owner: Method<[], string, string>,
+ *   pause: Method<[], void, ContractTransactionResponse>,
+ *   paused: Method<[], boolean, boolean>,
+ *   renounceOwnership: Method<[], void, ContractTransactionResponse>,
+ *   transferOwnership: Method<[newOwner: string], void, ContractTransactionResponse>,
+ *   unpause: Method<[], void, ContractTransactionResponse>,
+ *   updateDeploymentFee: Method<[newFee: BigNumberish], void, ContractTransactionResponse>,
+ *   updateImplementation: Method<[implementationType: string, newImplementation: string], void, ContractTransactionResponse>,
+ *   withdrawFees: Method<[recipient: string], void, ContractTransactionResponse>
+ * }} FoundryContract
+ */
+
+/**
+ * Foundry at `address`, read-only without a runner that can sign.
+ * @param {string} address
+ * @param {import('ethers').ContractRunner | null} [runner]
+ * @returns {FoundryContract}
+ */
+const connectFoundry = (address, runner = null) => new ethers.Contract(address, FoundryArtifact.abi, runner);
+
+const FoundryInterface = new ethers.Interface(FoundryArtifact.abi);
+
+module.exports = {
+  FoundryArtifact,
+  FoundryInterface,
+  connectFoundry
+};
@@ -0,0 +1,52 @@
+// Generated by scripts/generate-clients.js - do not edit
+const { ethers } = require('ethers');
+
+const LockArtifact = require('./abis/Lock');
+
+/** @typedef {import('ethers').BigNumberish} BigNumberish */
+/** @typedef {import('ethers').BytesLike} BytesLike */
+/** @typedef {import('ethers').ContractTransactionResponse} ContractTransactionResponse */
+/**
+ * @template {any[]} A, R, D
+ * @typedef {import('ethers').BaseContractMethod<A, R, D>} Method
+ */
+
+/**
+ * @typedef {import('ethers').BaseContract & {
+ *   LOCK_DURATION: Method<[], bigint, bigint>,
+ *   UNISWAP_V3_POSITION_MANAGER: Method<[], string, string>,
+ *   acceptOwnership: Method<[], void, ContractTransactionResponse>,
+ *   checkAvailableFees: Method<[tokenId: BigNumberish], [bigint, bigint] & { amount0: bigint; amount1: bigint }, [bigint, bigint] & { amount0: bigint; amount1: bigint }>,
+ *   claimFees: Method<[tokenId: BigNumberish], [bigint, bigint] & { amount0: bigint; amount1: bigint }, ContractTransactionResponse>,
+ *   getNFTsByOwner: Method<[owner: string], bigint[], bigint[]>,
+ *   getRemainingLockTime: Method<[tokenId: BigNumberish], bigint, bigint>,
+ *   initialize: Method<[], void, ContractTransactionResponse>,
+ *   isNFTLocked: Method<[tokenId: BigNumberish], boolean, boolean>,
+ *   lockNFT: Method<[tokenId: BigNumberish, owner: string], void, ContractTransactionResponse>,
+ *   lockedNFTs: Method<[arg0: BigNumberish], [string, bigint, boolean, bigint] & { owner: string; tokenId: bigint; isLocked: boolean; lockedAt: bigint }, [string, bigint, boolean, bigint] & { owner: string; tokenId: bigint; isLocked: boolean; lockedAt: bigint }>,
+ *   onERC721Received: Method<[arg0: string, arg1: string, arg2: BigNumberish, arg3: BytesLike], string, string>,
+ *   owner: Method<[], string, string>,
+ *   ownerNFTs: Method<[arg0: string, arg1: BigNumberish], bigint, bigint>,
+ *   pendingOwner: Method<[], string, string>,
+ *   positionManager: Method<[], string, string>,
+ *   renounceOwnership: Method<[], void, ContractTransactionResponse>,
+ *   transferOwnership: Method<[newOwner: string], void, ContractTransactionResponse>,
+ *   unlockNFT: Method<[tokenId: BigNumberish, to: string], void, ContractTransactionResponse>
+ * }} LockContract
+ */
+
+/**
+ * Lock at `address`, read-only without a runner that can sign.
+ * @param {string} address
+ * @param {import('ethers').ContractRunner | null} [runner]
+ * @returns {LockContract}
+ */
+const connectLock = (address, runner = null) => new ethers.Contract(address, LockArtifact.abi, runner);
+
+const LockInterface = new ethers.Interface(LockArtifact.abi);
+
+module.exports = {
+  LockArtifact,
+  LockInterface,
+  connectLock
+};
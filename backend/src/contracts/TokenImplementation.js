@@ -0,0 +1,47 @@
+// Generated by scripts/generate-clients.js - do not edit
+const { ethers } = require('ethers');
+
+const TokenImplementationArtifact = require('./abis/TokenImplementation');
+
+/** @typedef {import('ethers').BigNumberish} BigNumberish */
+/** @typedef {import('ethers').BytesLike} BytesLike */
+/** @typedef {import('ethers').ContractTransactionResponse} ContractTransactionResponse */
+/**
+ * @template {any[]} A, R, D
+ * @typedef {import('ethers').BaseContractMethod<A, R, D>} Method
+ */
+
+/**
+ * @typedef {import('ethers').BaseContract & {
+ *   TOTAL_SUPPLY: Method<[], bigint, bigint>,
+ *   allowance: Method<[owner: string, spender: string], bigint, bigint>,
+ *   approve: Method<[spender: string, value: BigNumberish], boolean, ContractTransactionResponse>,
+ *   balanceOf: Method<[account: string], bigint, bigint>,
+ *   decimals: Method<[], bigint, bigint>,
+ *   factory: Method<[], string, string>,
+ *   initialize: Method<[name_: string, symbol_: string], void, ContractTransactionResponse>,
+ *   isMinted: Method<[], boolean, boolean>,
+ *   mintTotalSupply: Method<[to: string], void, ContractTransactionResponse>,
+ *   name: Method<[], string, string>,
+ *   symbol: Method<[], string, string>,
+ *   totalSupply: Method<[], bigint, bigint>,
+ *   transfer: Method<[to: string, value: BigNumberish], boolean, ContractTransactionResponse>,
+ *   transferFrom: Method<[from: string, to: string, value: BigNumberish], boolean, ContractTransactionResponse>
+ * }} TokenImplementationContract
+ */
+
+/**
+ * TokenImplementation at `address`, read-only without a runner that can sign.
+ * @param {string} address
+ * @param {import('ethers').ContractRunner | null} [runner]
+ * @returns {TokenImplementationContract}
+ */
+const connectTokenImplementation = (address, runner = null) => new ethers.Contract(address, TokenImplementationArtifact.abi, runner);
+
+const TokenImplementationInterface = new ethers.Interface(TokenImplementationArtifact.abi);
+
+module.exports = {
+  TokenImplementationArtifact,
+  TokenImplementationInterface,
+  connectTokenImplementation
+};
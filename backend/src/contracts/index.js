@@ -0,0 +1,34 @@
+// Generated by scripts/generate-clients.js - do not edit
+const { BondingCurveArtifact, BondingCurveInterface, connectBondingCurve } = require('./BondingCurve');
+const { FactoryArtifact, FactoryInterface, connectFactory } = require('./Factory');
+const { FoundryArtifact, FoundryInterface, connectFoundry } = require('./Foundry');
+const { LockArtifact, LockInterface, connectLock } = require('./Lock');
+const { TokenImplementationArtifact, TokenImplementationInterface, connectTokenImplementation } = require('./TokenImplementation');
+
+// Artifact of every generated client, by contract name
+const ARTIFACTS = {
+  BondingCurve: BondingCurveArtifact,
+  Factory: FactoryArtifact,
+  Foundry: FoundryArtifact,
+  Lock: LockArtifact,
+  TokenImplementation: TokenImplementationArtifact
+};
+
+module.exports = {
+  ARTIFACTS,
+  BondingCurveArtifact,
+  BondingCurveInterface,
+  connectBondingCurve,
+  FactoryArtifact,
+  FactoryInterface,
+  connectFactory,
+  FoundryArtifact,
+  FoundryInterface,
+  connectFoundry,
+  LockArtifact,
+  LockInterface,
+  connectLock,
+  TokenImplementationArtifact,
+  TokenImplementationInterface,
+  connectTokenImplementation
+};
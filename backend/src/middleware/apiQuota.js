@@ -0,0 +1,80 @@
+const { StatusCodes } = require('http-status-codes');
+
+const { ANONYMOUS_QUOTA, classifyRoute } = require('../config/quotas');
+const { apiKeyService } = require('../services/apiKeyService');
+
+// Usage headers, also exposed to browsers through CORS
+const QUOTA_HEADERS = [
+  'X-RateLimit-Limit',
+  'X-RateLimit-Remaining',
+  'X-RateLimit-Reset',
+  'X-RateLimit-Cost',
+  'X-RateLimit-Class',
+  'X-RateLimit-Class-Limit',
+  'X-RateLimit-Class-Remaining'
+];
+
+/**
+ * Charge each request to its API key (`X-API-Key`), or to the caller's IP without one,
+ * at the cost of its route class. Refuses with 429 once the window's budget is spent.
+ */
+const apiQuota = async (req, res, next) => {
+  try {
+    const routeClass = classifyRoute(req.path);
+
+    let consumer = `ip:${req.ip}`;
+    let quota = ANONYMOUS_QUOTA;
+
+    const key = req.get('X-API-Key');
+    const apiKey = key ? await apiKeyService.authenticate(key) : null;
+    if (key && !apiKey) {
+      return res.status(StatusCodes.UNAUTHORIZED).json({
+        success: false,
+        message: 'Invalid or revoked API key'
+      });
+    }
+    if (apiKey) {
+      consumer = `key:${apiKey._id}`;
+      quota = apiKey.quota;
+      req.apiKey = { id: apiKey._id, name: apiKey.name };
+    }
+
+    const result = apiKeyService.consume(consumer, quota, routeClass);
+    if (apiKey) {
+      apiKeyService.recordUsage(apiKey, result);
+    }
+
+    res.set({
+      'X-RateLimit-Limit': result.limit,
+      'X-RateLimit-Remaining': result.remaining,
+      'X-RateLimit-Reset': Math.ceil(result.resetAt / 1000),
+      'X-RateLimit-Cost': result.cost,
+      'X-RateLimit-Class': routeClass
+    });
+    if (result.classLimit !== undefined) {
+      res.set({
+        'X-RateLimit-Class-Limit': result.classLimit,
+        'X-RateLimit-Class-Remaining': result.classRemaining
+      });
+    }
+
+    if (!result.allowed) {
+      res.set('Retry-After', Math.ceil((result.resetAt - Date.now()) / 1000));
+      return res.status(StatusCodes.TOO_MANY_REQUESTS).json({
+        success: false,
+        message: apiKey
+          ? `API key quota exceeded for ${routeClass} requests, please try again later.`
+          : 'Too many requests from this IP, please try again later or use an API key.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  apiQuota,
+  QUOTA_HEADERS
+};
@@ -0,0 +1,52 @@
+const { auditService } = require('../services/auditService');
+const logger = require('../utils/logger');
+
+const outcomeFor = (statusCode) => {
+  if (statusCode < 400) {
+    return 'success';
+  }
+  return statusCode === 401 || statusCode === 403 ? 'denied' : 'failure';
+};
+
+/**
+ * Record the request in the audit log once the response is sent.
+ * Handlers fill in `req.audit` (before, after, transactionHash, blockNumber, actor) as they go.
+ */
+const auditTrail = (req, res, next) => {
+  const baseUrl = req.baseUrl;
+  req.audit = {};
+
+  // Keep the message of error responses, whether they come from a route or the error handler
+  let errorMessage = null;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body) {
+      errorMessage = body.message || body.error || null;
+    }
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    const { actor, ...details } = req.audit;
+
+    auditService.record({
+      ...details,
+      actor: req.admin ? req.admin.address : actor,
+      roles: req.admin ? req.admin.roles : [],
+      ip: req.ip,
+      method: req.method,
+      route: req.route && req.route.path !== '/' ? `${baseUrl}${req.route.path}` : baseUrl,
+      params: { ...req.params },
+      query: { ...req.query },
+      outcome: outcomeFor(res.statusCode),
+      statusCode: res.statusCode,
+      error: errorMessage
+    }).catch(error => logger.error('Failed to write audit event:', error));
+  });
+
+  next();
+};
+
+module.exports = {
+  auditTrail
+};
@@ -0,0 +1,54 @@
+const { StatusCodes } = require('http-status-codes');
+
+const { hasRole } = require('../config/roles');
+const { authService } = require('../services/authService');
+const { signerService } = require('../services/signerService');
+const { web3Service } = require('../services/web3Service');
+const { AuthError } = require('../utils/errors');
+
+// Require a live admin session from a Sign-In with Ethereum bearer token
+const requireAdmin = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      throw new AuthError('Missing admin bearer token');
+    }
+
+    const { session, roles } = await authService.authenticate(token);
+    req.admin = {
+      address: session.address,
+      roles,
+      sessionId: session.sessionId,
+      expiresAt: session.expiresAt
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Use after requireAdmin to restrict a route to admins holding `role`
+const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.admin.roles, role)) {
+    return next(new AuthError(`This action requires the ${role} role`, StatusCodes.FORBIDDEN));
+  }
+  next();
+};
+
+// Admin routes that send transactions need a signer that owns the Factory of the request's chain (see signerService)
+const requireAdminSigner = (req, res, next) => {
+  const status = signerService.getStatus(req.chainId ?? web3Service.defaultChainId);
+  if (!status.ready) {
+    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: status.error
+    });
+  }
+  next();
+};
+
+module.exports = {
+  requireAdmin,
+  requireRole,
+  requireAdminSigner
+};
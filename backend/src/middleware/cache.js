@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+const { StatusCodes } = require('http-status-codes');
+
+const { CACHE_TTLS } = require('../config/cache');
+const { classifyRoute } = require('../config/quotas');
+const { cacheService, TAGS } = require('../services/cacheService');
+const { web3Service } = require('../services/web3Service');
+const logger = require('../utils/logger');
+
+// Cache headers, also exposed to browsers through CORS
+const CACHE_HEADERS = ['ETag', 'X-Cache'];
+
+// Strong validator of a response body
+const etagFor = (body) => `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+
+// Path and query with sorted parameters, so ?a=1&b=2 and ?b=2&a=1 share an entry
+const cacheName = (req) => {
+  const query = Object.keys(req.query)
+    .sort()
+    .map(name => `${name}=${req.query[name]}`)
+    .join('&');
+  return `${req.baseUrl}${req.path}?${query}`;
+};
+
+/**
+ * Whether If-None-Match names the ETag (weak comparison, RFC 9110). Unlike req.fresh this ignores
+ * a request's Cache-Control: no-cache, which asks caches on the way to revalidate, not the origin.
+ */
+const matchesIfNoneMatch = (req, etag) => {
+  const header = req.get('If-None-Match');
+  if (!header) {
+    return false;
+  }
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return header.trim() === '*' || header.split(',').some(tag => opaque(tag) === opaque(etag));
+};
+
+// Send the entry, or 304 when the client's If-None-Match already names it
+const reply = (req, res, entry, json) => {
+  res.set('ETag', entry.etag);
+  if (matchesIfNoneMatch(req, entry.etag)) {
+    return res.status(StatusCodes.NOT_MODIFIED).end();
+  }
+  return json(entry.body);
+};
+
+// Tags of routes reading Factory settings and of routes reading one bonding curve (after resolveChain)
+const factoryTags = (req) => [TAGS.factory(req.chainId ?? web3Service.defaultChainId)];
+const curveTags = (req) => [TAGS.curve(req.params.address)];
+
+/**
+ * Serve a GET route from cacheService. `tags(req)` names the chain state the response was read
+ * from, so the events that change it invalidate the entry; otherwise it expires after the TTL of
+ * the route's class (or of `routeClass`). Responses carry an ETag, and a request whose
+ * If-None-Match matches gets a 304. A failing store is bypassed and the request served uncached.
+ */
+const cacheResponse = (tags, { routeClass } = {}) => async (req, res, next) => {
+  if (!cacheService.store || req.method !== 'GET') {
+    return next();
+  }
+
+  const name = cacheName(req);
+  let cached;
+  try {
+    cached = await cacheService.get(name, tags(req));
+  } catch (error) {
+    cacheService.recordError();
+    logger.warn(`Response cache unavailable for ${name}: ${error.message}`);
+    return next();
+  }
+
+  // Clients may keep the response but must revalidate it with If-None-Match
+  res.set('Cache-Control', 'no-cache');
+
+  if (cached.entry) {
+    res.set('X-Cache', 'HIT');
+    return reply(req, res, cached.entry, body => res.json(body));
+  }
+
+  res.set('X-Cache', 'MISS');
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    // Errors aren't kept, so the next request tries again
+    if (res.statusCode !== StatusCodes.OK || !body || !body.success) {
+      return json(body);
+    }
+
+    const entry = { body, etag: etagFor(body) };
+    const ttlMs = CACHE_TTLS[routeClass || classifyRoute(`${req.baseUrl}${req.path}`)];
+    cacheService.set(cached.key, entry, ttlMs).catch(error => {
+      cacheService.recordError();
+      logger.warn(`Could not cache ${name}: ${error.message}`);
+    });
+    return reply(req, res, entry, json);
+  };
+
+  next();
+};
+
+module.exports = {
+  cacheResponse,
+  factoryTags,
+  curveTags,
+  CACHE_HEADERS
+};
@@ -0,0 +1,29 @@
+const { web3Service } = require('../services/web3Service');
+const { ChainError } = require('../utils/errors');
+
+/**
+ * Read the optional `chainId` query or body parameter. Sets `req.chainId` (undefined when the
+ * request names no chain) and `req.chainFilter`, a Mongo filter that is empty in that case so
+ * lists span every chain. Routes that need a contract fall back to the default chain.
+ */
+const resolveChain = (req, res, next) => {
+  const value = req.query.chainId ?? (req.body ? req.body.chainId : undefined);
+  if (value === undefined || value === '') {
+    req.chainId = undefined;
+    req.chainFilter = {};
+    return next();
+  }
+
+  const chainId = Number(value);
+  if (!Number.isInteger(chainId) || !web3Service.hasChain(chainId)) {
+    return next(new ChainError(`Chain ${value} is not supported`));
+  }
+
+  req.chainId = chainId;
+  req.chainFilter = { chainId };
+  next();
+};
+
+module.exports = {
+  resolveChain
+};
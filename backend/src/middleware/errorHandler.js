@@ -44,6 +44,11 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: StatusCodes.UNAUTHORIZED };
   }
 
+  // Sign-in, admin session, admin proposal, transaction queue and unsupported chain errors
+  if (['AuthError', 'ChainError', 'ProposalError', 'TxQueueError'].includes(err.name)) {
+    error = { message: err.message, statusCode: err.statusCode || StatusCodes.UNAUTHORIZED };
+  }
+
   // Ethereum/Web3 errors
   if (err.code === 'NETWORK_ERROR' || err.code === 'SERVER_ERROR') {
     const message = 'Blockchain network error. Please try again later.';
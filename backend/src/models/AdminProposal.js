@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'executing', 'executed', 'rejected', 'expired', 'cancelled', 'failed'];
+
+const voteSchema = new mongoose.Schema({
+  admin: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A privileged Factory transaction waiting for N-of-M admin approval
+const adminProposalSchema = new mongoose.Schema({
+  // Factory method to call: updateDeploymentFee, updateBondingCurveSettings or withdrawFees
+  action: {
+    type: String,
+    required: true
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Chain whose Factory the action targets
+  chainId: {
+    type: Number,
+    required: true
+  },
+  // Live contract values when the proposal was made; execution stops if they have changed since
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  proposer: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  reason: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  requiredApprovals: {
+    type: Number,
+    required: true
+  },
+  approvals: [voteSchema],
+  rejections: [voteSchema],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Execution; the transaction is sent by the queue as this job
+  txJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TxJob',
+    default: null
+  },
+  executedBy: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  // When execution was claimed; a proposal still without a job after the lease is picked up again
+  executingAt: {
+    type: Date,
+    default: null
+  },
+  executedAt: {
+    type: Date,
+    default: null
+  },
+  transactionHash: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  blockNumber: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+adminProposalSchema.index({ status: 1, expiresAt: 1 });
+adminProposalSchema.index({ action: 1, createdAt: -1 });
+adminProposalSchema.index({ chainId: 1, createdAt: -1 });
+adminProposalSchema.index({ proposer: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AdminProposal', adminProposalSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One document per issued admin JWT, so tokens can be revoked before they expire
+const adminSessionSchema = new mongoose.Schema({
+  // JWT id (`jti` claim)
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  address: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^0x[a-fA-F0-9]{40}$/
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+adminSessionSchema.index({ address: 1, revokedAt: 1 });
+adminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+adminSessionSchema.statics.findActive = function(sessionId) {
+  return this.findOne({ sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+module.exports = mongoose.model('AdminSession', adminSessionSchema);
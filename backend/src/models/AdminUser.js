@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const { ROLES } = require('../config/roles');
+
+// Admin wallet and the roles it holds. Wallets in ADMIN_WALLETS are superadmins without a record here.
+const adminUserSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    match: /^0x[a-fA-F0-9]{40}$/
+  },
+  label: {
+    type: String,
+    maxlength: 100,
+    default: ''
+  },
+  roles: {
+    type: [{
+      type: String,
+      enum: Object.values(ROLES)
+    }],
+    validate: {
+      validator: roles => roles.length > 0,
+      message: 'An admin needs at least one role'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Admin who last changed this record
+  updatedBy: {
+    type: String,
+    lowercase: true,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static methods
+adminUserSchema.statics.findActive = function(address) {
+  return this.findOne({ address: address.toLowerCase(), isActive: true });
+};
+
+module.exports = mongoose.model('AdminUser', adminUserSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Credential issued to an integrator. Only a SHA-256 hash of the key is stored.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  contact: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, so it can be recognised in lists and logs
+  prefix: {
+    type: String,
+    required: true
+  },
+
+  // Per-window budget; see config/quotas.js
+  quota: {
+    points: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    classes: {
+      type: Map,
+      of: Number,
+      default: {}
+    }
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    lowercase: true,
+    required: true
+  },
+  revokedBy: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+apiKeySchema.index({ isActive: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
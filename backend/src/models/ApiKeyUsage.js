@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Calls made with an API key, counted per hour and route class
+const apiKeyUsageSchema = new mongoose.Schema({
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    required: true
+  },
+  hour: {
+    type: Date,
+    required: true
+  },
+  routeClass: {
+    type: String,
+    required: true
+  },
+  requests: {
+    type: Number,
+    default: 0
+  },
+  points: {
+    type: Number,
+    default: 0
+  },
+  // Calls refused because a quota was used up
+  rejected: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: false
+});
+
+// Indexes for performance
+apiKeyUsageSchema.index({ apiKey: 1, hour: 1, routeClass: 1 }, { unique: true });
+
+module.exports = mongoose.model('ApiKeyUsage', apiKeyUsageSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// One admin API call. Each event stores the hash of the previous one, so edits or deletions break the chain.
+const auditEventSchema = new mongoose.Schema({
+  // Position in the hash chain, starting at 1
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+
+  // Who
+  actor: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  roles: [{
+    type: String
+  }],
+  ip: {
+    type: String,
+    default: ''
+  },
+
+  // What
+  method: {
+    type: String,
+    required: true
+  },
+  // Route pattern, e.g. /api/admin/tokens/:address/status
+  route: {
+    type: String,
+    required: true
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  query: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // On-chain effect
+  transactionHash: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  blockNumber: {
+    type: Number,
+    default: null
+  },
+
+  // Result
+  outcome: {
+    type: String,
+    enum: ['success', 'denied', 'failure'],
+    required: true
+  },
+  statusCode: {
+    type: Number,
+    required: true
+  },
+  error: {
+    type: String,
+    default: null
+  },
+
+  // Hash chain
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  // Stored exactly as hashed: no mongoose-managed timestamps, and empty objects are kept
+  timestamps: false,
+  minimize: false
+});
+
+// Indexes for performance
+auditEventSchema.index({ timestamp: -1 });
+auditEventSchema.index({ actor: 1, timestamp: -1 });
+auditEventSchema.index({ route: 1, timestamp: -1 });
+auditEventSchema.index({ outcome: 1, timestamp: -1 });
+auditEventSchema.index({ transactionHash: 1 });
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Single-use nonces handed out for Sign-In with Ethereum messages
+const authNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  address: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^0x[a-fA-F0-9]{40}$/
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Expired nonces are removed by MongoDB
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthNonce', authNonceSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Hashes of recently processed blocks, used by the block cursor to detect reorgs
+const indexedBlockSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  parentHash: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+indexedBlockSchema.index({ chainId: 1, number: 1 }, { unique: true });
+
+// Static methods
+indexedBlockSchema.statics.findRecent = function(chainId, limit) {
+  return this.find({ chainId }).sort({ number: -1 }).limit(limit);
+};
+
+module.exports = mongoose.model('IndexedBlock', indexedBlockSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const indexerStateSchema = new mongoose.Schema({
+  // Identifies what is being indexed (e.g. 'factory-deployments:11124')
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  // Last block whose logs have been fully processed
+  lastProcessedBlock: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+
+  // Chain head observed during the last sync
+  lastSeenBlock: {
+    type: Number,
+    default: 0
+  },
+
+  // Chain head minus the confirmation depth at the last sync
+  lastSafeBlock: {
+    type: Number,
+    default: 0
+  },
+
+  // Reorg history
+  reorgCount: {
+    type: Number,
+    default: 0
+  },
+  lastReorgAt: {
+    type: Date,
+    default: null
+  },
+  lastForkBlock: {
+    type: Number,
+    default: null
+  },
+
+  lastSyncedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastError: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Static methods
+indexerStateSchema.statics.findByKey = function(key) {
+  return this.findOne({ key });
+};
+
+module.exports = mongoose.model('IndexerState', indexerStateSchema);
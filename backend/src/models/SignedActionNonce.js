@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Nonces of accepted EIP-712 signed actions, kept until the signature's deadline so it cannot be replayed
+const signedActionNonceSchema = new mongoose.Schema({
+  signer: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^0x[a-fA-F0-9]{40}$/
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^0x[a-fA-F0-9]{64}$/
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+signedActionNonceSchema.index({ signer: 1, nonce: 1 }, { unique: true });
+signedActionNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SignedActionNonce', signedActionNonceSchema);
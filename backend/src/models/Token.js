@@ -16,6 +16,13 @@ const tokenSchema = new mongoose.Schema({
     maxlength: 20
   },
   
+  // Chain the token was launched on (see config/chains.js). Each chain has its own Factory,
+  // so token and curve addresses stay unique across chains.
+  chainId: {
+    type: Number,
+    required: true
+  },
+
   // Contract addresses
   tokenAddress: {
     type: String,
@@ -51,6 +58,22 @@ const tokenSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Timestamp of the deployment block
+  launchedAt: {
+    type: Date,
+    default: null
+  },
+  // When the deployer registered the launch metadata through the API
+  registeredAt: {
+    type: Date,
+    default: null
+  },
+  // When a reorg dropped the deployment of this active token. It stays inactive until the
+  // deployment is indexed again, so its metadata survives the rollback.
+  reorgedAt: {
+    type: Date,
+    default: null
+  },
   deploymentFee: {
     type: String,
     required: true
@@ -93,6 +116,36 @@ const tokenSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+
+  // PreBonding -> Bonding transition (the contribution that reached preBondingTarget)
+  bondingAt: {
+    type: Date,
+    default: null
+  },
+  bondingBlockNumber: {
+    type: Number,
+    default: null
+  },
+  bondingTxHash: {
+    type: String,
+    default: null,
+    lowercase: true
+  },
+  // Bonding -> Finalized: the buy that reached bondingTarget. The curve then waits for finalize().
+  targetReachedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Settings snapshot the curve was initialized with (read from the curve itself)
+  settings: {
+    virtualEth: { type: String },
+    preBondingTarget: { type: String },
+    bondingTarget: { type: String },
+    minContribution: { type: String },
+    poolFee: { type: String },
+    sellFee: { type: String }
+  },
   
   // Trading statistics
   totalPreBondingContributions: {
@@ -140,6 +193,20 @@ const tokenSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Bonding -> Finalized transition (CurveFinalized)
+  finalizedBlockNumber: {
+    type: Number,
+    default: null
+  },
+  finalizedTxHash: {
+    type: String,
+    default: null,
+    lowercase: true
+  },
+  finalizedAt: {
+    type: Date,
+    default: null
+  },
   
   // Activity metrics
   totalTrades: {
@@ -191,10 +258,12 @@ const tokenSchema = new mongoose.Schema({
 
 // Indexes for performance
 tokenSchema.index({ tokenAddress: 1 });
+tokenSchema.index({ chainId: 1, createdAt: -1 });
 tokenSchema.index({ bondingCurveAddress: 1 });
 tokenSchema.index({ owner: 1 });
 tokenSchema.index({ currentPhase: 1 });
 tokenSchema.index({ isFinalized: 1 });
+tokenSchema.index({ finalizedAt: 1 });
 tokenSchema.index({ isActive: 1 });
 tokenSchema.index({ isFeatured: 1 });
 tokenSchema.index({ createdAt: -1 });
@@ -233,9 +302,40 @@ tokenSchema.methods.updateTradingStats = async function(newStats) {
   return this.save();
 };
 
+// When the curve entered each phase, with the block and transaction that moved it
+tokenSchema.methods.getPhaseTimeline = function() {
+  const transition = (timestamp, blockNumber, transactionHash) => (
+    timestamp ? { timestamp, blockNumber, transactionHash } : null
+  );
+
+  return {
+    preBonding: transition(this.launchedAt || this.createdAt, this.deploymentBlockNumber, this.deploymentTxHash),
+    bonding: transition(this.bondingAt, this.bondingBlockNumber, this.bondingTxHash),
+    finalized: transition(this.finalizedAt, this.finalizedBlockNumber, this.finalizedTxHash)
+  };
+};
+
+// Snapshot pushed on the WebSocket phase channel
+tokenSchema.methods.getProgress = function() {
+  return {
+    chainId: this.chainId,
+    tokenAddress: this.tokenAddress,
+    bondingCurveAddress: this.bondingCurveAddress,
+    currentPhase: this.currentPhase,
+    isFinalized: this.isFinalized,
+    totalPreBondingContributions: this.totalPreBondingContributions,
+    totalETHCollected: this.totalETHCollected,
+    progressPercentage: this.progressPercentage,
+    currentPrice: this.currentPrice,
+    uniswapPool: this.uniswapPool
+  };
+};
+
 // Static methods
-tokenSchema.statics.findByAddress = function(address) {
+// chainId is optional; without it the address is looked up on every chain
+tokenSchema.statics.findByAddress = function(address, chainId) {
   return this.findOne({
+    ...(chainId === undefined ? {} : { chainId }),
     $or: [
       { tokenAddress: address.toLowerCase() },
       { bondingCurveAddress: address.toLowerCase() }
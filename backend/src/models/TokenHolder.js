@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const tokenHolderSchema = new mongoose.Schema({
+  tokenAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^0x[a-fA-F0-9]{40}$/
+  },
+  address: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^0x[a-fA-F0-9]{40}$/
+  },
+
+  // Balance in wei, derived from the TokenTransfer ledger
+  balance: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true
+  },
+
+  lastActivityBlock: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+tokenHolderSchema.index({ tokenAddress: 1, address: 1 }, { unique: true });
+tokenHolderSchema.index({ tokenAddress: 1, balance: -1 });
+
+// Static methods
+tokenHolderSchema.statics.findHolders = function(tokenAddress) {
+  return this.find({
+    tokenAddress: tokenAddress.toLowerCase(),
+    balance: { $gt: mongoose.Types.Decimal128.fromString('0') }
+  });
+};
+
+module.exports = mongoose.model('TokenHolder', tokenHolderSchema);
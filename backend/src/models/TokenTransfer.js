@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const tokenTransferSchema = new mongoose.Schema({
+  // Chain of the token
+  chainId: {
+    type: Number,
+    required: true
+  },
+
+  tokenAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^0x[a-fA-F0-9]{40}$/
+  },
+  from: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^0x[a-fA-F0-9]{40}$/
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^0x[a-fA-F0-9]{40}$/
+  },
+
+  // Raw amount in wei, kept as Decimal128 so balances can be summed exactly
+  value: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true
+  },
+
+  // Chain position
+  transactionHash: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  logIndex: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+tokenTransferSchema.index({ transactionHash: 1, logIndex: 1 }, { unique: true });
+tokenTransferSchema.index({ tokenAddress: 1, to: 1 });
+tokenTransferSchema.index({ tokenAddress: 1, from: 1 });
+tokenTransferSchema.index({ blockNumber: -1 });
+tokenTransferSchema.index({ chainId: 1, blockNumber: -1 });
+
+module.exports = mongoose.model('TokenTransfer', tokenTransferSchema);
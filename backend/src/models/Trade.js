@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+const tradeSchema = new mongoose.Schema({
+  // Chain of the token
+  chainId: {
+    type: Number,
+    required: true
+  },
+
+  // Contract addresses
+  tokenAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^0x[a-fA-F0-9]{40}$/
+  },
+  bondingCurveAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^0x[a-fA-F0-9]{40}$/
+  },
+
+  // Trade details
+  type: {
+    type: String,
+    required: true,
+    enum: ['contribution', 'buy', 'sell'] // PreBondingContribution, TokensPurchased, TokensSold
+  },
+  wallet: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^0x[a-fA-F0-9]{40}$/
+  },
+
+  // Amounts (ETH and token units, formatted like the Token model)
+  ethIn: {
+    type: String,
+    default: '0'
+  },
+  ethOut: {
+    type: String,
+    default: '0'
+  },
+  tokensIn: {
+    type: String,
+    default: '0'
+  },
+  tokensOut: {
+    type: String,
+    default: '0'
+  },
+  sellFee: {
+    type: String,
+    default: '0'
+  },
+
+  // Spot price implied by the curve reserves after this trade (ETH per token)
+  price: {
+    type: String,
+    required: true
+  },
+
+  // Curve state after this trade, replayed from the event ledger
+  ethReserveAfter: {
+    type: String,
+    required: true
+  },
+  tokenReserveAfter: {
+    type: String,
+    required: true
+  },
+  totalETHCollectedAfter: {
+    type: String,
+    required: true
+  },
+  phase: {
+    type: Number,
+    enum: [0, 1, 2], // 0: PreBonding, 1: Bonding, 2: Finalized
+    required: true
+  },
+  // Phase the curve was in when the trade executed; differs from `phase` on the trade that moved it on
+  phaseAtTrade: {
+    type: Number,
+    enum: [0, 1],
+    required: true
+  },
+
+  // Chain position
+  transactionHash: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  logIndex: {
+    type: Number,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+tradeSchema.index({ transactionHash: 1, logIndex: 1 }, { unique: true });
+tradeSchema.index({ bondingCurveAddress: 1, blockNumber: -1, logIndex: -1 });
+tradeSchema.index({ tokenAddress: 1, timestamp: -1 });
+tradeSchema.index({ wallet: 1, timestamp: -1 });
+tradeSchema.index({ timestamp: -1 });
+tradeSchema.index({ chainId: 1, blockNumber: -1 });
+
+// Static methods
+tradeSchema.statics.findByToken = function(address) {
+  const lowerAddress = address.toLowerCase();
+  return this.find({
+    $or: [
+      { tokenAddress: lowerAddress },
+      { bondingCurveAddress: lowerAddress }
+    ]
+  });
+};
+
+tradeSchema.statics.findLastBefore = function(bondingCurveAddress, blockNumber) {
+  return this.findOne({
+    bondingCurveAddress: bondingCurveAddress.toLowerCase(),
+    blockNumber: { $lt: blockNumber }
+  }).sort({ blockNumber: -1, logIndex: -1 });
+};
+
+module.exports = mongoose.model('Trade', tradeSchema);
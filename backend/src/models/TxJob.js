@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['queued', 'submitted', 'mined', 'failed', 'cancelled'];
+
+// One signed broadcast of the job's nonce; replacements add attempts with higher fees
+const attemptSchema = new mongoose.Schema({
+  hash: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  // original, bump (automatic), speedup, or cancel (0-value transfer to self, also when bumped)
+  kind: {
+    type: String,
+    enum: ['original', 'bump', 'speedup', 'cancel'],
+    required: true
+  },
+  // Wei amounts as strings
+  maxFeePerGas: {
+    type: String,
+    required: true
+  },
+  maxPriorityFeePerGas: {
+    type: String,
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A backend-signed Factory transaction, sent and tracked by services/txQueueService.js
+const txJobSchema = new mongoose.Schema({
+  // Factory method and its API params, e.g. updateDeploymentFee { fee }
+  method: {
+    type: String,
+    required: true
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Admin role needed to speed up or cancel the job
+  role: {
+    type: String,
+    required: true
+  },
+  requestedBy: {
+    type: String,
+    lowercase: true,
+    required: true
+  },
+  proposal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminProposal',
+    default: null
+  },
+
+  // Transaction payload
+  to: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: String,
+    default: '0'
+  },
+  gasLimit: {
+    type: String,
+    default: null
+  },
+  chainId: {
+    type: Number,
+    required: true
+  },
+  from: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  nonce: {
+    type: Number,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'queued'
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  attempts: [attemptSchema],
+
+  // Outcome
+  transactionHash: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  blockNumber: {
+    type: Number,
+    default: null
+  },
+  gasUsed: {
+    type: String,
+    default: null
+  },
+  // Why the job failed, or the latest problem while it is still pending
+  error: {
+    type: String,
+    default: null
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+txJobSchema.index({ status: 1, createdAt: 1 });
+txJobSchema.index({ from: 1, nonce: 1 });
+txJobSchema.index({ proposal: 1 });
+
+module.exports = mongoose.model('TxJob', txJobSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Trading activity of one token in one phase on one UTC day, rebuilt from the trades collection
+const volumeRollupSchema = new mongoose.Schema({
+  // Chain of the token
+  chainId: {
+    type: Number,
+    required: true
+  },
+
+  tokenAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^0x[a-fA-F0-9]{40}$/
+  },
+  bondingCurveAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^0x[a-fA-F0-9]{40}$/
+  },
+
+  // Start of the UTC day
+  date: {
+    type: Date,
+    required: true
+  },
+  // Phase the curve traded in (the trades' phaseAtTrade): 0 PreBonding, 1 Bonding
+  phase: {
+    type: Number,
+    enum: [0, 1],
+    required: true
+  },
+
+  // ETH amounts (exact decimals)
+  buyVolume: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: 0
+  },
+  contributionVolume: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: 0
+  },
+  sellVolume: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: 0
+  },
+  sellFees: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: 0
+  },
+
+  // Counts
+  trades: {
+    type: Number,
+    default: 0
+  },
+  contributions: {
+    type: Number,
+    default: 0
+  },
+  buys: {
+    type: Number,
+    default: 0
+  },
+  sells: {
+    type: Number,
+    default: 0
+  },
+
+  // Wallets that traded this token on this day, so unique traders can be counted across days
+  traders: [{
+    type: String,
+    lowercase: true
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+volumeRollupSchema.index({ bondingCurveAddress: 1, date: 1, phase: 1 }, { unique: true });
+volumeRollupSchema.index({ tokenAddress: 1, date: 1 });
+volumeRollupSchema.index({ date: 1 });
+volumeRollupSchema.index({ chainId: 1, date: 1 });
+
+module.exports = mongoose.model('VolumeRollup', volumeRollupSchema);
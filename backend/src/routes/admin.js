@@ -1,8 +1,16 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const { StatusCodes } = require('http-status-codes');
-const { web3Service } = require('../services/web3Service');
+
+const { ROUTE_CLASSES } = require('../config/quotas');
+const { ROLES } = require('../config/roles');
+const { auditTrail } = require('../middleware/audit');
+const { requireAdmin, requireRole, requireAdminSigner } = require('../middleware/auth');
+const { cacheResponse, factoryTags } = require('../middleware/cache');
+const { resolveChain } = require('../middleware/chain');
 const Token = require('../models/Token');
+const { proposalService, SETTINGS_FIELDS } = require('../services/proposalService');
+const { web3Service } = require('../services/web3Service');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -20,33 +28,14 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
-// Middleware to check admin authorization
-const requireAdmin = (req, res, next) => {
-  const adminPassword = req.headers['x-admin-password'];
-  
-  // Check if admin password is provided and matches
-  if (!adminPassword || adminPassword !== process.env.ADMIN_PASSWORD) {
-    return res.status(StatusCodes.UNAUTHORIZED).json({
-      success: false,
-      message: 'Invalid admin password'
-    });
-  }
-  
-  // Check if admin private key is configured
-  if (!process.env.ADMIN_PRIVATE_KEY) {
-    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-      success: false,
-      message: 'Admin private key not configured'
-    });
-  }
-  
-  // Set admin private key from environment (secure)
-  req.adminPrivateKey = process.env.ADMIN_PRIVATE_KEY;
-  next();
-};
+// Token lists span every chain unless ?chainId= is given; Factory settings are per chain, on the default one without it
+router.use(auditTrail, resolveChain);
+
+// Token fields moderators may change
+const MODERATION_FIELDS = ['isActive', 'isFeatured', 'isVerified', 'adminNotes'];
 
 // GET /api/admin/dashboard - Get admin dashboard statistics
-router.get('/dashboard', async (req, res, next) => {
+router.get('/dashboard', requireAdmin, requireRole(ROLES.VIEWER), async (req, res, next) => {
   try {
     const [
       totalTokens,
@@ -57,17 +46,18 @@ router.get('/dashboard', async (req, res, next) => {
       deploymentFee,
       bondingCurveSettings
     ] = await Promise.all([
-      Token.countDocuments(),
-      Token.countDocuments({ isActive: true }),
-      Token.countDocuments({ isFinalized: true }),
-      Token.countDocuments({ currentPhase: 0, isActive: true }),
-      Token.countDocuments({ currentPhase: 1, isActive: true }),
-      web3Service.getDeploymentFee(),
-      web3Service.getBondingCurveSettings()
+      Token.countDocuments(req.chainFilter),
+      Token.countDocuments({ ...req.chainFilter, isActive: true }),
+      Token.countDocuments({ ...req.chainFilter, isFinalized: true }),
+      Token.countDocuments({ ...req.chainFilter, currentPhase: 0, isActive: true }),
+      Token.countDocuments({ ...req.chainFilter, currentPhase: 1, isActive: true }),
+      web3Service.forChain(req.chainId).getDeploymentFee(),
+      web3Service.forChain(req.chainId).getBondingCurveSettings()
     ]);
 
     // Calculate total volume and fees (from database)
     const volumeStats = await Token.aggregate([
+      { $match: req.chainFilter },
       {
         $group: {
           _id: null,
@@ -77,10 +67,10 @@ router.get('/dashboard', async (req, res, next) => {
       }
     ]);
 
-    const recentTokens = await Token.find({ isActive: true })
+    const recentTokens = await Token.find({ ...req.chainFilter, isActive: true })
       .sort({ createdAt: -1 })
       .limit(10)
-      .select('name symbol tokenAddress createdAt totalETHCollected currentPhase');
+      .select('chainId name symbol tokenAddress createdAt totalETHCollected currentPhase');
 
     const stats = volumeStats[0] || { totalVolume: 0, totalETHCollected: 0 };
 
@@ -97,6 +87,7 @@ router.get('/dashboard', async (req, res, next) => {
           totalETHCollected: stats.totalETHCollected.toString(),
           deploymentFee
         },
+        chainId: web3Service.forChain(req.chainId).chainId,
         settings: bondingCurveSettings,
         recentTokens
       }
@@ -107,59 +98,98 @@ router.get('/dashboard', async (req, res, next) => {
 });
 
 // GET /api/admin/settings - Get current factory settings
-router.get('/settings', async (req, res, next) => {
-  try {
-    const [deploymentFee, bondingCurveSettings] = await Promise.all([
-      web3Service.getDeploymentFee(),
-      web3Service.getBondingCurveSettings()
-    ]);
+// Cached after the role check, with the TTL of the public Factory reads
+router.get('/settings',
+  requireAdmin,
+  requireRole(ROLES.VIEWER),
+  cacheResponse(factoryTags, { routeClass: ROUTE_CLASSES.CHAIN }),
+  async (req, res, next) => {
+    try {
+      const client = web3Service.forChain(req.chainId);
+      const [deploymentFee, bondingCurveSettings] = await Promise.all([
+        client.getDeploymentFee(),
+        client.getBondingCurveSettings()
+      ]);
 
-    res.json({
-      success: true,
-      data: {
-        deploymentFee,
-        bondingCurveSettings
-      }
-    });
-  } catch (error) {
-    next(error);
+      res.json({
+        success: true,
+        data: {
+          chainId: client.chainId,
+          deploymentFee,
+          bondingCurveSettings
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
+
+// Optional justification recorded on the proposal
+const reasonValidator = body('reason')
+  .optional()
+  .isString()
+  .isLength({ max: 500 })
+  .withMessage('Reason must be at most 500 characters');
+
+// Respond with a new proposal. It is only executed already when ADMIN_PROPOSAL_QUORUM is 0.
+const sendProposal = (req, res, proposal, action) => {
+  req.audit.before = proposal.snapshot;
+  req.audit.after = proposal.params;
+  req.audit.transactionHash = proposal.transactionHash;
+  req.audit.blockNumber = proposal.blockNumber;
+
+  const responses = {
+    pending: [StatusCodes.ACCEPTED, `${action} proposed, awaiting approval`],
+    executing: [StatusCodes.ACCEPTED, `${action} queued as transaction job ${proposal.txJob}`],
+    executed: [StatusCodes.OK, `${action} executed`],
+    failed: [StatusCodes.CONFLICT, `${action} failed: ${proposal.error}`]
+  };
+  const [status, message] = responses[proposal.status];
+
+  res.status(status).json({
+    success: proposal.status !== 'failed',
+    message,
+    data: proposal
+  });
+};
 
-// PUT /api/admin/settings/deployment-fee - Update deployment fee
+// PUT /api/admin/settings/deployment-fee - Propose a deployment fee change
 router.put('/settings/deployment-fee',
   requireAdmin,
+  requireRole(ROLES.OPERATOR),
+  requireAdminSigner,
   [
     body('fee')
       .isFloat({ min: 0 })
-      .withMessage('Fee must be a positive number')
+      .withMessage('Fee must be a positive number'),
+    reasonValidator
   ],
   validateRequest,
   async (req, res, next) => {
     try {
-      const { fee } = req.body;
-      
-      const result = await web3Service.updateDeploymentFee(fee, req.adminPrivateKey);
-      
-      logger.info(`Admin updated deployment fee to ${fee} ETH`, {
-        transactionHash: result.transactionHash,
-        blockNumber: result.blockNumber
-      });
+      const { fee, reason } = req.body;
 
-      res.json({
-        success: true,
-        message: 'Deployment fee updated successfully',
-        data: result
+      const proposal = await proposalService.create({
+        action: 'updateDeploymentFee',
+        params: { fee: String(fee) },
+        proposer: req.admin.address,
+        reason,
+        chainId: req.chainId
       });
+
+      sendProposal(req, res, proposal, 'Deployment fee update');
     } catch (error) {
       next(error);
     }
   }
 );
 
-// PUT /api/admin/settings/bonding-curve - Update bonding curve settings
+// PUT /api/admin/settings/bonding-curve - Propose new bonding curve settings (?dryRun=true only previews them)
 router.put('/settings/bonding-curve',
   requireAdmin,
+  requireRole(ROLES.OPERATOR),
+  requireAdminSigner,
   [
     body('virtualEth').isFloat({ min: 0 }).withMessage('Virtual ETH must be positive'),
     body('preBondingTarget').isFloat({ min: 0 }).withMessage('Pre-bonding target must be positive'),
@@ -169,57 +199,68 @@ router.put('/settings/bonding-curve',
     body('sellFee').isInt({ min: 0, max: 1000 }).withMessage('Sell fee must be between 0-1000'),
     body('feeTo').isEthereumAddress().withMessage('Invalid fee recipient address'),
     body('uniswapV3Factory').isEthereumAddress().withMessage('Invalid Uniswap factory address'),
-    body('weth').isEthereumAddress().withMessage('Invalid WETH address')
+    body('positionManager').isEthereumAddress().withMessage('Invalid position manager address'),
+    body('weth').isEthereumAddress().withMessage('Invalid WETH address'),
+    reasonValidator,
+    query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false').toBoolean()
   ],
   validateRequest,
   async (req, res, next) => {
     try {
-      const settings = req.body;
-      
-      const result = await web3Service.updateBondingCurveSettings(settings, req.adminPrivateKey);
-      
-      logger.info('Admin updated bonding curve settings', {
-        transactionHash: result.transactionHash,
-        blockNumber: result.blockNumber,
-        settings
-      });
+      const settings = Object.fromEntries(SETTINGS_FIELDS.map(field => [field, req.body[field]]));
 
-      res.json({
-        success: true,
-        message: 'Bonding curve settings updated successfully',
-        data: result
+      if (req.query.dryRun) {
+        const preview = await web3Service.forChain(req.chainId).previewBondingCurveSettings(settings);
+
+        return res.json({
+          success: true,
+          message: preview.wouldSucceed
+            ? `Dry run: ${preview.changedFields.length} field(s) would change`
+            : `Dry run: the update would revert: ${preview.revert.message}`,
+          data: preview
+        });
+      }
+
+      const proposal = await proposalService.create({
+        action: 'updateBondingCurveSettings',
+        params: settings,
+        proposer: req.admin.address,
+        reason: req.body.reason,
+        chainId: req.chainId
       });
+
+      sendProposal(req, res, proposal, 'Bonding curve settings update');
     } catch (error) {
       next(error);
     }
   }
 );
 
-// POST /api/admin/withdraw-fees - Withdraw collected fees
+// POST /api/admin/withdraw-fees - Propose withdrawing collected fees
 router.post('/withdraw-fees',
   requireAdmin,
+  requireRole(ROLES.TREASURER),
+  requireAdminSigner,
   [
     body('recipient')
       .isEthereumAddress()
-      .withMessage('Invalid recipient address')
+      .withMessage('Invalid recipient address'),
+    reasonValidator
   ],
   validateRequest,
   async (req, res, next) => {
     try {
-      const { recipient } = req.body;
-      
-      const result = await web3Service.withdrawFees(recipient, req.adminPrivateKey);
-      
-      logger.info(`Admin withdrew fees to ${recipient}`, {
-        transactionHash: result.transactionHash,
-        blockNumber: result.blockNumber
-      });
+      const { recipient, reason } = req.body;
 
-      res.json({
-        success: true,
-        message: 'Fees withdrawn successfully',
-        data: result
+      const proposal = await proposalService.create({
+        action: 'withdrawFees',
+        params: { recipient },
+        proposer: req.admin.address,
+        reason,
+        chainId: req.chainId
       });
+
+      sendProposal(req, res, proposal, 'Fee withdrawal');
     } catch (error) {
       next(error);
     }
@@ -228,6 +269,8 @@ router.post('/withdraw-fees',
 
 // GET /api/admin/tokens - Get all tokens with admin details
 router.get('/tokens',
+  requireAdmin,
+  requireRole(ROLES.VIEWER),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
@@ -243,7 +286,7 @@ router.get('/tokens',
       const skip = (page - 1) * limit;
 
       // Build filter
-      const filter = {};
+      const filter = { ...req.chainFilter };
       if (req.query.phase !== undefined) {
         filter.currentPhase = parseInt(req.query.phase);
       }
@@ -284,6 +327,7 @@ router.get('/tokens',
 // PUT /api/admin/tokens/:address/status - Update token status
 router.put('/tokens/:address/status',
   requireAdmin,
+  requireRole(ROLES.MODERATOR),
   [
     param('address').isEthereumAddress().withMessage('Invalid token address'),
     body('isActive').optional().isBoolean().withMessage('isActive must be boolean'),
@@ -295,9 +339,14 @@ router.put('/tokens/:address/status',
   async (req, res, next) => {
     try {
       const { address } = req.params;
-      const updates = req.body;
+      const updates = {};
+      for (const field of MODERATION_FIELDS) {
+        if (req.body[field] !== undefined) {
+          updates[field] = req.body[field];
+        }
+      }
 
-      const token = await Token.findByAddress(address);
+      const token = await Token.findByAddress(address, req.chainId);
       if (!token) {
         return res.status(StatusCodes.NOT_FOUND).json({
           success: false,
@@ -305,16 +354,16 @@ router.put('/tokens/:address/status',
         });
       }
 
-      // Update token status
-      Object.keys(updates).forEach(key => {
-        if (updates[key] !== undefined) {
-          token[key] = updates[key];
-        }
-      });
+      req.audit.before = Object.fromEntries(MODERATION_FIELDS.map(field => [field, token[field]]));
+
+      // Update token status (moderation fields only)
+      Object.assign(token, updates);
 
       await token.save();
 
-      logger.info(`Admin updated token status: ${address}`, { updates });
+      req.audit.after = Object.fromEntries(MODERATION_FIELDS.map(field => [field, token[field]]));
+
+      logger.info(`Admin updated token status: ${address}`, { admin: req.admin.address, updates });
 
       res.json({
         success: true,
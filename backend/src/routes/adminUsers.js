@@ -0,0 +1,147 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { StatusCodes } = require('http-status-codes');
+
+const { ROLES } = require('../config/roles');
+const { auditTrail } = require('../middleware/audit');
+const { requireAdmin, requireRole } = require('../middleware/auth');
+const AdminUser = require('../models/AdminUser');
+const { authService } = require('../services/authService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Middleware to validate request
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Managing admins is reserved for superadmins
+router.use(auditTrail, requireAdmin, requireRole(ROLES.SUPERADMIN));
+
+// Admins can't change their own roles, so nobody can lock out the last superadmin by accident
+const rejectSelf = (req, res, next) => {
+  if (req.params.address.toLowerCase() === req.admin.address) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      success: false,
+      message: 'You cannot change your own admin account'
+    });
+  }
+  next();
+};
+
+// Account fields recorded in the audit log
+const pickAccount = ({ roles, label, isActive }) => ({ roles: [...roles], label, isActive });
+
+// GET /api/admin/users - List admin accounts and their roles
+router.get('/', async (req, res, next) => {
+  try {
+    const users = await AdminUser.find().sort({ createdAt: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: {
+        roles: Object.values(ROLES),
+        users
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/admin/users/:address - Create or update an admin account
+router.put('/:address',
+  [
+    param('address').isEthereumAddress().withMessage('Invalid wallet address'),
+    body('roles').isArray({ min: 1 }).withMessage('Roles must be a non-empty array'),
+    body('roles.*').isIn(Object.values(ROLES)).withMessage(`Roles must be among ${Object.values(ROLES).join(', ')}`),
+    body('label').optional().isString().isLength({ max: 100 }).withMessage('Label must be at most 100 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+  ],
+  validateRequest,
+  rejectSelf,
+  async (req, res, next) => {
+    try {
+      const address = req.params.address.toLowerCase();
+      const { roles, label, isActive } = req.body;
+
+      const updates = { roles: [...new Set(roles)], updatedBy: req.admin.address };
+      if (label !== undefined) {
+        updates.label = label;
+      }
+      if (isActive !== undefined) {
+        updates.isActive = isActive;
+      }
+
+      const previous = await AdminUser.findOne({ address }).lean();
+      const user = await AdminUser.findOneAndUpdate(
+        { address },
+        { $set: updates },
+        { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+      );
+
+      req.audit.before = previous && pickAccount(previous);
+      req.audit.after = pickAccount(user);
+
+      if (!user.isActive) {
+        await authService.revokeAllSessions(address);
+      }
+
+      logger.info(`Admin account updated: ${address}`, { admin: req.admin.address, roles: user.roles, isActive: user.isActive });
+
+      res.json({
+        success: true,
+        message: 'Admin account saved',
+        data: user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/admin/users/:address - Remove an admin account and sign it out everywhere
+router.delete('/:address',
+  [
+    param('address').isEthereumAddress().withMessage('Invalid wallet address')
+  ],
+  validateRequest,
+  rejectSelf,
+  async (req, res, next) => {
+    try {
+      const address = req.params.address.toLowerCase();
+
+      const user = await AdminUser.findOneAndDelete({ address });
+      if (!user) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          success: false,
+          message: 'Admin account not found'
+        });
+      }
+      req.audit.before = pickAccount(user);
+
+      const revoked = await authService.revokeAllSessions(address);
+
+      logger.info(`Admin account removed: ${address}`, { admin: req.admin.address, revoked });
+
+      res.json({
+        success: true,
+        message: 'Admin account removed',
+        data: { address, revoked }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
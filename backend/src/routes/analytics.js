@@ -1,7 +1,9 @@
 const express = require('express');
 const { query, validationResult } = require('express-validator');
 const { StatusCodes } = require('http-status-codes');
+const { resolveChain } = require('../middleware/chain');
 const Token = require('../models/Token');
+const { volumeService } = require('../services/volumeService');
 
 const router = express.Router();
 
@@ -18,6 +20,41 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+// When a token entered its current phase (createdAt stands in for tokens indexed before launchedAt existed).
+// A curve that reached its bonding target is in phase 2 from then on, finalized or not.
+const PHASE_ENTERED_AT = {
+  $switch: {
+    branches: [
+      { case: { $eq: ['$currentPhase', 0] }, then: { $ifNull: ['$launchedAt', '$createdAt'] } },
+      { case: { $eq: ['$currentPhase', 1] }, then: { $ifNull: ['$bondingAt', '$createdAt'] } }
+    ],
+    default: { $ifNull: ['$targetReachedAt', { $ifNull: ['$finalizedAt', { $ifNull: ['$bondingAt', '$createdAt'] }] }] }
+  }
+};
+
+// Median, p90 and friends of a list of durations in milliseconds, reported in hours
+const summarizeDurations = (durations) => {
+  if (durations.length === 0) {
+    return { count: 0, min: null, median: null, p90: null, max: null, avg: null };
+  }
+
+  const sorted = [...durations].sort((a, b) => a - b);
+  const percentile = (p) => sorted[Math.min(Math.ceil((p / 100) * sorted.length) - 1, sorted.length - 1)];
+  const toHours = (ms) => Math.round((ms / (1000 * 60 * 60)) * 100) / 100;
+
+  return {
+    count: sorted.length,
+    min: toHours(sorted[0]),
+    median: toHours(percentile(50)),
+    p90: toHours(percentile(90)),
+    max: toHours(sorted[sorted.length - 1]),
+    avg: toHours(sorted.reduce((sum, value) => sum + value, 0) / sorted.length)
+  };
+};
+
+// Every route takes an optional ?chainId=; analytics span all chains without it
+router.use(resolveChain);
+
 // GET /api/analytics/overview - Get platform overview analytics
 router.get('/overview',
   [
@@ -42,7 +79,7 @@ router.get('/overview',
         startDate = new Date(now.getTime() - periodHours[period] * 60 * 60 * 1000);
       }
 
-      const filter = period === 'all' ? {} : { createdAt: { $gte: startDate } };
+      const filter = period === 'all' ? { ...req.chainFilter } : { ...req.chainFilter, createdAt: { $gte: startDate } };
 
       const [
         totalTokens,
@@ -148,7 +185,7 @@ router.get('/tokens-by-date',
 
       const tokensByDate = await Token.aggregate([
         {
-          $match: { createdAt: { $gte: startDate } }
+          $match: { ...req.chainFilter, createdAt: { $gte: startDate } }
         },
         {
           $group: {
@@ -190,23 +227,67 @@ router.get('/tokens-by-date',
 // GET /api/analytics/volume-by-date - Get volume timeline
 router.get('/volume-by-date',
   [
-    query('period').optional().isIn(['7d', '30d', '90d']).withMessage('Invalid period')
+    query('period').optional().isIn(['7d', '30d', '90d', '1y', 'all']).withMessage('Invalid period'),
+    query('interval').optional().isIn(['day', 'week', 'month']).withMessage('Invalid interval'),
+    query('token').optional().isEthereumAddress().withMessage('Invalid token address'),
+    query('owner').optional().isEthereumAddress().withMessage('Invalid owner address'),
+    query('phase').optional().isInt({ min: 0, max: 1 }).withMessage('Phase must be 0 or 1')
   ],
   validateRequest,
   async (req, res, next) => {
     try {
       const period = req.query.period || '30d';
-      
-      // Note: In a full implementation, you'd have volume data by date
-      // This would require tracking trades and storing historical data
-      
+      const interval = req.query.interval || 'day';
+      const { token, owner, phase } = req.query;
+
+      // Calculate date range
+      let startDate = new Date(0);
+      if (period !== 'all') {
+        const periodHours = {
+          '7d': 24 * 7,
+          '30d': 24 * 30,
+          '90d': 24 * 90,
+          '1y': 24 * 365
+        };
+        startDate = new Date(Date.now() - periodHours[period] * 60 * 60 * 1000);
+      }
+
+      // Token and owner narrow the set of tokens; phase narrows their trades
+      let tokenAddresses;
+      if (token || owner) {
+        const tokenFilter = { ...req.chainFilter };
+        if (token) {
+          tokenFilter.$or = [
+            { tokenAddress: token.toLowerCase() },
+            { bondingCurveAddress: token.toLowerCase() }
+          ];
+        }
+        if (owner) {
+          tokenFilter.owner = owner.toLowerCase();
+        }
+        tokenAddresses = await Token.distinct('tokenAddress', tokenFilter);
+      }
+
+      const timeline = await volumeService.getTimeline({
+        from: startDate,
+        interval,
+        tokenAddresses,
+        chainId: req.chainId,
+        phase: phase !== undefined ? parseInt(phase) : undefined
+      });
+
       res.json({
         success: true,
         data: {
-          message: 'Volume by date would be implemented with trade tracking',
           period,
-          // In real implementation:
-          // volumeTimeline: [...] // Array of {date, volume, trades} objects
+          interval,
+          filters: {
+            chainId: req.chainId || null,
+            token: token || null,
+            owner: owner || null,
+            phase: phase !== undefined ? parseInt(phase) : null
+          },
+          timeline
         }
       });
     } catch (error) {
@@ -251,12 +332,13 @@ router.get('/top-performers',
       };
 
       const topPerformers = await Token.find({ 
+        ...req.chainFilter,
         isActive: true,
         ...dateFilter
       })
         .sort({ [sortField[metric]]: -1 })
         .limit(limit)
-        .select('name symbol tokenAddress volume24h marketCap totalETHCollected totalTrades currentPhase')
+        .select('chainId name symbol tokenAddress volume24h marketCap totalETHCollected totalTrades currentPhase')
         .lean();
 
       res.json({
@@ -276,50 +358,55 @@ router.get('/top-performers',
 // GET /api/analytics/phase-transition - Get phase transition analytics
 router.get('/phase-transition',
   [
-    query('period').optional().isIn(['7d', '30d', '90d']).withMessage('Invalid period')
+    query('period').optional().isIn(['7d', '30d', '90d', '1y', 'all']).withMessage('Invalid period'),
+    query('stuckAfter').optional().isInt({ min: 1, max: 24 * 365 }).withMessage('stuckAfter must be between 1-8760 hours')
   ],
   validateRequest,
   async (req, res, next) => {
     try {
       const period = req.query.period || '30d';
-      
+      const stuckAfterHours = parseInt(req.query.stuckAfter) || 72;
+
       const now = new Date();
       const periodHours = {
         '7d': 24 * 7,
         '30d': 24 * 30,
-        '90d': 24 * 90
+        '90d': 24 * 90,
+        '1y': 24 * 365
       };
-      
-      const startDate = new Date(now.getTime() - periodHours[period] * 60 * 60 * 1000);
+
+      // Tokens launched in the period; launchedAt comes from the deployment block
+      const launchFilter = { ...req.chainFilter, isActive: true };
+      if (period !== 'all') {
+        const startDate = new Date(now.getTime() - periodHours[period] * 60 * 60 * 1000);
+        launchFilter.$or = [
+          { launchedAt: { $gte: startDate } },
+          { launchedAt: null, createdAt: { $gte: startDate } }
+        ];
+      }
+
+      const stuckCutoff = new Date(now.getTime() - stuckAfterHours * 60 * 60 * 1000);
 
       const [
         phaseStats,
-        transitionStats
+        transitionStats,
+        transitionedTokens,
+        stuckStats
       ] = await Promise.all([
         Token.aggregate([
-          {
-            $match: { 
-              createdAt: { $gte: startDate },
-              isActive: true 
-            }
-          },
+          { $match: launchFilter },
           {
             $group: {
               _id: '$currentPhase',
               count: { $sum: 1 },
-              avgTimeToPhase: { $avg: { $subtract: [new Date(), '$createdAt'] } },
+              avgTimeInPhase: { $avg: { $subtract: [now, PHASE_ENTERED_AT] } },
               avgETHCollected: { $avg: { $toDouble: '$totalETHCollected' } }
             }
           }
         ]),
         // Calculate success rates
         Token.aggregate([
-          {
-            $match: { 
-              createdAt: { $gte: startDate },
-              isActive: true 
-            }
-          },
+          { $match: launchFilter },
           {
             $group: {
               _id: null,
@@ -332,6 +419,21 @@ router.get('/phase-transition',
               }
             }
           }
+        ]),
+        Token.find({ ...launchFilter, bondingAt: { $ne: null } })
+          .select('launchedAt createdAt bondingAt finalizedAt')
+          .lean(),
+        // Curves that have sat in their current phase for longer than the threshold, including
+        // those that reached the bonding target but were never finalized
+        Token.aggregate([
+          { $match: { ...launchFilter, isFinalized: false } },
+          {
+            $group: {
+              _id: '$currentPhase',
+              total: { $sum: 1 },
+              stuck: { $sum: { $cond: [{ $lt: [PHASE_ENTERED_AT, stuckCutoff] }, 1, 0] } }
+            }
+          }
         ])
       ]);
 
@@ -341,6 +443,28 @@ router.get('/phase-transition',
         finalized: 0
       };
 
+      const timeToBond = [];
+      const timeToGraduate = [];
+      const timeInBonding = [];
+      for (const token of transitionedTokens) {
+        const launchedAt = token.launchedAt || token.createdAt;
+        timeToBond.push(token.bondingAt - launchedAt);
+        if (token.finalizedAt) {
+          timeToGraduate.push(token.finalizedAt - launchedAt);
+          timeInBonding.push(token.finalizedAt - token.bondingAt);
+        }
+      }
+
+      const stuckByPhase = new Map(stuckStats.map(stat => [stat._id, stat]));
+      const stuckSummary = (phase) => {
+        const stat = stuckByPhase.get(phase) || { total: 0, stuck: 0 };
+        return {
+          total: stat.total,
+          stuck: stat.stuck,
+          percentage: stat.total > 0 ? ((stat.stuck / stat.total) * 100).toFixed(2) : '0'
+        };
+      };
+
       res.json({
         success: true,
         data: {
@@ -349,7 +473,7 @@ router.get('/phase-transition',
             phase: phase._id,
             phaseName: ['PreBonding', 'Bonding', 'Finalized'][phase._id] || 'Unknown',
             count: phase.count,
-            avgTimeInPhase: Math.round(phase.avgTimeToPhase / (1000 * 60 * 60)), // Convert to hours
+            avgTimeInPhase: Math.round(phase.avgTimeInPhase / (1000 * 60 * 60)), // Convert to hours
             avgETHCollected: phase.avgETHCollected.toString()
           })),
           successRates: {
@@ -362,6 +486,16 @@ router.get('/phase-transition',
             overallSuccessRate: transitionData.totalTokens > 0
               ? ((transitionData.finalized / transitionData.totalTokens) * 100).toFixed(2)
               : '0'
+          },
+          // Durations in hours
+          timeToBond: summarizeDurations(timeToBond),
+          timeToGraduate: summarizeDurations(timeToGraduate),
+          timeInBonding: summarizeDurations(timeInBonding),
+          stuck: {
+            thresholdHours: stuckAfterHours,
+            preBonding: stuckSummary(0),
+            bonding: stuckSummary(1),
+            awaitingFinalization: stuckSummary(2)
           }
         }
       });
@@ -381,7 +515,7 @@ router.get('/market-metrics', async (req, res, next) => {
     ] = await Promise.all([
       Token.aggregate([
         {
-          $match: { isActive: true }
+          $match: { ...req.chainFilter, isActive: true }
         },
         {
           $group: {
@@ -396,6 +530,7 @@ router.get('/market-metrics', async (req, res, next) => {
       Token.aggregate([
         {
           $match: { 
+            ...req.chainFilter,
             isActive: true,
             currentPrice: { $ne: '0' }
           }
@@ -412,6 +547,7 @@ router.get('/market-metrics', async (req, res, next) => {
       Token.aggregate([
         {
           $match: { 
+            ...req.chainFilter,
             isActive: true,
             currentPhase: { $in: [0, 1] } // Active bonding curves
           }
@@ -483,6 +619,9 @@ router.get('/user-behavior', async (req, res, next) => {
       engagementStats
     ] = await Promise.all([
       Token.aggregate([
+        {
+          $match: req.chainFilter
+        },
         {
           $group: {
             _id: '$owner',
@@ -507,7 +646,7 @@ router.get('/user-behavior', async (req, res, next) => {
       ]),
       Token.aggregate([
         {
-          $match: { isActive: true }
+          $match: { ...req.chainFilter, isActive: true }
         },
         {
           $group: {
@@ -0,0 +1,196 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { StatusCodes } = require('http-status-codes');
+
+const { ANONYMOUS_QUOTA, DEFAULT_KEY_QUOTA, ROUTE_CLASSES, ROUTE_COSTS, WINDOW_MS } = require('../config/quotas');
+const { ROLES } = require('../config/roles');
+const { auditTrail } = require('../middleware/audit');
+const { requireAdmin, requireRole } = require('../middleware/auth');
+const { apiKeyService } = require('../services/apiKeyService');
+
+const router = express.Router();
+
+// Middleware to validate request
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const quotaValidators = [
+  body('quota.points').optional().isInt({ min: 1 }).withMessage('quota.points must be a positive integer').toInt(),
+  body('quota.classes')
+    .optional()
+    .custom(classes => typeof classes === 'object' && !Array.isArray(classes) && Object.entries(classes).every(
+      ([routeClass, limit]) => Object.values(ROUTE_CLASSES).includes(routeClass) && Number.isInteger(limit) && limit >= 0
+    ))
+    .withMessage(`quota.classes must map ${Object.values(ROUTE_CLASSES).join(', ')} to non-negative integers`)
+];
+
+const keyValidator = param('id').isMongoId().withMessage('Invalid API key id');
+
+// Key fields recorded in the audit log
+const pickKey = ({ name, contact, quota, isActive }) => ({
+  name,
+  contact,
+  quota: { points: quota.points, classes: Object.fromEntries(quota.classes) },
+  isActive
+});
+
+// Anyone on the admin team can see keys and usage; issuing and revoking is for superadmins
+router.use(auditTrail, requireAdmin, requireRole(ROLES.VIEWER));
+
+// GET /api/admin/api-keys - List API keys with this window's usage, plus route classes and default quotas
+router.get('/', async (req, res, next) => {
+  try {
+    const apiKeys = await apiKeyService.list();
+
+    res.json({
+      success: true,
+      data: {
+        windowMs: WINDOW_MS,
+        routeCosts: ROUTE_COSTS,
+        anonymousQuota: ANONYMOUS_QUOTA,
+        defaultQuota: DEFAULT_KEY_QUOTA,
+        apiKeys
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/api-keys - Issue a key; the secret is only shown in this response
+router.post('/',
+  requireRole(ROLES.SUPERADMIN),
+  [
+    body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (max 100 characters)'),
+    body('contact').optional().isString().trim().isLength({ max: 200 }).withMessage('Contact must be at most 200 characters'),
+    ...quotaValidators
+  ],
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { name, contact, quota } = req.body;
+
+      const { key, apiKey } = await apiKeyService.issue({ name, contact, quota }, req.admin.address);
+
+      req.audit.after = { id: apiKey._id, prefix: apiKey.prefix, ...pickKey(apiKey) };
+
+      res.status(StatusCodes.CREATED).json({
+        success: true,
+        message: 'API key issued. Store it now; it cannot be shown again.',
+        data: {
+          key,
+          apiKey
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// PUT /api/admin/api-keys/:id - Rename a key or change its quota
+router.put('/:id',
+  requireRole(ROLES.SUPERADMIN),
+  [
+    keyValidator,
+    body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+    body('contact').optional().isString().trim().isLength({ max: 200 }).withMessage('Contact must be at most 200 characters'),
+    ...quotaValidators
+  ],
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { name, contact, quota } = req.body;
+
+      const apiKey = await apiKeyService.update(req.params.id, { name, contact, quota });
+      if (!apiKey) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          success: false,
+          message: 'API key not found'
+        });
+      }
+      req.audit.after = pickKey(apiKey);
+
+      res.json({
+        success: true,
+        message: 'API key updated',
+        data: apiKey
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/admin/api-keys/:id - Revoke a key; its usage history is kept
+router.delete('/:id',
+  requireRole(ROLES.SUPERADMIN),
+  [
+    keyValidator
+  ],
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const apiKey = await apiKeyService.revoke(req.params.id, req.admin.address);
+      if (!apiKey) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          success: false,
+          message: 'API key not found'
+        });
+      }
+      req.audit.after = pickKey(apiKey);
+
+      res.json({
+        success: true,
+        message: 'API key revoked',
+        data: apiKey
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/admin/api-keys/:id/usage - Usage totals and series by route class
+router.get('/:id/usage',
+  [
+    keyValidator,
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('granularity').optional().isIn(['hour', 'day']).withMessage('Granularity must be hour or day')
+  ],
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const usage = await apiKeyService.getUsage(req.params.id, {
+        from: req.query.from ? new Date(req.query.from) : undefined,
+        to: req.query.to ? new Date(req.query.to) : undefined,
+        granularity: req.query.granularity
+      });
+      if (!usage) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          success: false,
+          message: 'API key not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: usage
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
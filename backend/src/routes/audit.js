@@ -0,0 +1,127 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { StatusCodes } = require('http-status-codes');
+
+const { ROLES } = require('../config/roles');
+const { auditTrail } = require('../middleware/audit');
+const { requireAdmin, requireRole } = require('../middleware/auth');
+const { auditService } = require('../services/auditService');
+
+const router = express.Router();
+
+// Middleware to validate request
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Filters shared by the list and the CSV export
+const filterValidators = [
+  query('actor').optional().isEthereumAddress().withMessage('Invalid actor address'),
+  query('method').optional().toUpperCase().isIn(['GET', 'POST', 'PUT', 'DELETE']).withMessage('Invalid method'),
+  query('route').optional().isString().withMessage('Route must be a string'),
+  query('outcome').optional().isIn(['success', 'denied', 'failure']).withMessage('Outcome must be success, denied or failure'),
+  query('address').optional().isEthereumAddress().withMessage('Invalid address'),
+  query('transactionHash').optional().matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid transaction hash'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+];
+
+const pickFilters = (q) => ({
+  actor: q.actor,
+  method: q.method,
+  route: q.route,
+  outcome: q.outcome,
+  address: q.address,
+  transactionHash: q.transactionHash,
+  from: q.from,
+  to: q.to
+});
+
+// The audit log is reserved for superadmins, and reading it is audited too
+router.use(auditTrail, requireAdmin, requireRole(ROLES.SUPERADMIN));
+
+// GET /api/admin/audit - List audit events, newest first
+router.get('/',
+  [
+    ...filterValidators,
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1-200')
+  ],
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const result = await auditService.query(pickFilters(req.query), { page, limit });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/admin/audit/export - Download matching audit events as CSV, oldest first
+router.get('/export',
+  [
+    ...filterValidators,
+    query('limit').optional().isInt({ min: 1, max: 100000 }).withMessage('Limit must be between 1-100000')
+  ],
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const limit = parseInt(req.query.limit) || 10000;
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+
+      await auditService.exportCsv(pickFilters(req.query), chunk => res.write(chunk), { limit });
+      res.end();
+    } catch (error) {
+      // Once rows are streamed the status can't change; cut the download short instead
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      next(error);
+    }
+  }
+);
+
+// GET /api/admin/audit/verify - Recompute the hash chain and report the first tampered event
+router.get('/verify',
+  [
+    query('fromSequence').optional().isInt({ min: 1 }).withMessage('fromSequence must be a positive integer'),
+    query('toSequence').optional().isInt({ min: 1 }).withMessage('toSequence must be a positive integer')
+  ],
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await auditService.verifyChain({
+        fromSequence: parseInt(req.query.fromSequence) || 1,
+        toSequence: parseInt(req.query.toSequence) || undefined
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
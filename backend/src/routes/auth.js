@@ -0,0 +1,111 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { StatusCodes } = require('http-status-codes');
+
+const { auditTrail } = require('../middleware/audit');
+const { requireAdmin } = require('../middleware/auth');
+const { resolveChain } = require('../middleware/chain');
+const { authService } = require('../services/authService');
+
+const router = express.Router();
+
+// Middleware to validate request
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// POST /api/admin/auth/nonce - Get a Sign-In with Ethereum message for a wallet to sign
+router.post('/nonce',
+  [
+    body('address').isEthereumAddress().withMessage('Invalid wallet address')
+  ],
+  validateRequest,
+  resolveChain,
+  async (req, res, next) => {
+    try {
+      const challenge = await authService.createChallenge(req.body.address, req.chainId);
+
+      res.json({
+        success: true,
+        data: challenge
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/auth/login - Exchange a signed sign-in message for an admin token
+router.post('/login',
+  auditTrail,
+  [
+    body('message').isString().isLength({ min: 1, max: 4096 }).withMessage('Message is required'),
+    body('signature').matches(/^0x[a-fA-F0-9]{130}$/).withMessage('Invalid signature')
+  ],
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { message, signature } = req.body;
+
+      const session = await authService.login(message, signature, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || ''
+      });
+      req.audit.actor = session.address;
+
+      res.json({
+        success: true,
+        data: session
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/admin/auth/me - Get the signed-in admin session
+router.get('/me', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: req.admin
+  });
+});
+
+// POST /api/admin/auth/logout - Revoke the current admin token
+router.post('/logout', auditTrail, requireAdmin, async (req, res, next) => {
+  try {
+    await authService.revokeSession(req.admin.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Signed out'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/auth/logout-all - Revoke every token issued to the signed-in wallet
+router.post('/logout-all', auditTrail, requireAdmin, async (req, res, next) => {
+  try {
+    const revoked = await authService.revokeAllSessions(req.admin.address);
+
+    res.json({
+      success: true,
+      message: 'Signed out of all sessions',
+      data: { revoked }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
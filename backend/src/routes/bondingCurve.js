@@ -1,11 +1,23 @@
+const { ethers } = require('ethers');
 const express = require('express');
-const { param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { StatusCodes } = require('http-status-codes');
-const { web3Service } = require('../services/web3Service');
+
+const { cacheResponse, curveTags } = require('../middleware/cache');
+const { resolveChain } = require('../middleware/chain');
 const Token = require('../models/Token');
+const { web3Service } = require('../services/web3Service');
+const { BondingMathError, quoteBuy, quoteSell } = require('../utils/bondingMath');
 
 const router = express.Router();
 
+// Bonding curves one batch request may ask for
+const MAX_BATCH_CURVES = 100;
+
+// Plain decimal amounts as parseEther/parseUnits take them: no exponent, at most 18 decimals
+const DECIMAL_AMOUNT = /^\d+(\.\d{1,18})?$/;
+const isPositiveAmount = (value) => DECIMAL_AMOUNT.test(value) && /[1-9]/.test(value);
+
 // Middleware to validate request
 const validateRequest = (req, res, next) => {
   const errors = validationResult(req);
@@ -19,18 +31,78 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+// Every route takes an optional ?chainId=; lists and stats span all chains without it
+router.use(resolveChain);
+
+// POST /api/bonding-curve/batch - Get live state of many bonding curves in one request
+router.post('/batch',
+  [
+    body('addresses')
+      .isArray({ min: 1, max: MAX_BATCH_CURVES })
+      .withMessage(`addresses must be an array of 1 to ${MAX_BATCH_CURVES} bonding curve addresses`),
+    body('addresses.*').isEthereumAddress().withMessage('Invalid bonding curve address')
+  ],
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const addresses = [...new Set(req.body.addresses.map(address => address.toLowerCase()))];
+
+      const tokens = await Token.find({ ...req.chainFilter, bondingCurveAddress: { $in: addresses } })
+        .select('chainId name symbol tokenAddress bondingCurveAddress owner')
+        .lean();
+
+      // One multicall per chain
+      const tokensByChain = new Map();
+      for (const token of tokens.filter(({ chainId }) => web3Service.hasChain(chainId))) {
+        tokensByChain.set(token.chainId, [...(tokensByChain.get(token.chainId) || []), token]);
+      }
+
+      const states = new Map();
+      await Promise.all([...tokensByChain].map(async ([chainId, chainTokens]) => {
+        const results = await web3Service.forChain(chainId).getBondingCurveStates(chainTokens);
+        results.forEach((state, index) => {
+          const { bondingCurveAddress, owner } = chainTokens[index];
+          const entry = { chainId, bondingCurveAddress, tokenAddress: state.tokenAddress };
+          if (state.error) {
+            entry.error = state.error;
+          } else {
+            entry.bondingCurve = state.bondingCurve;
+            entry.token = { ...state.token, tokenAddress: state.tokenAddress, owner };
+          }
+          states.set(bondingCurveAddress, [...(states.get(bondingCurveAddress) || []), entry]);
+        });
+      }));
+
+      // In the order asked for; an address deployed on several chains appears once per chain
+      const bondingCurves = addresses.flatMap(address => states.get(address) || []);
+
+      res.json({
+        success: true,
+        data: {
+          count: bondingCurves.length,
+          bondingCurves,
+          notFound: addresses.filter(address => !states.has(address))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // GET /api/bonding-curve/:address - Get bonding curve information
 router.get('/:address',
   [
     param('address').isEthereumAddress().withMessage('Invalid bonding curve address')
   ],
   validateRequest,
+  cacheResponse(curveTags),
   async (req, res, next) => {
     try {
       const { address } = req.params;
 
       // Find token by bonding curve address
-      const token = await Token.findOne({ bondingCurveAddress: address.toLowerCase() });
+      const token = await Token.findOne({ ...req.chainFilter, bondingCurveAddress: address.toLowerCase() });
       if (!token) {
         return res.status(StatusCodes.NOT_FOUND).json({
           success: false,
@@ -39,13 +111,14 @@ router.get('/:address',
       }
 
       // Get live bonding curve data
-      const bondingCurveInfo = await web3Service.getBondingCurveInfo(address);
+      const bondingCurveInfo = await web3Service.forChain(token.chainId).getBondingCurveInfo(address);
 
       res.json({
         success: true,
         data: {
           bondingCurve: bondingCurveInfo,
           token: {
+            chainId: token.chainId,
             name: token.name,
             symbol: token.symbol,
             tokenAddress: token.tokenAddress,
@@ -66,11 +139,12 @@ router.get('/:address/phase',
     param('address').isEthereumAddress().withMessage('Invalid bonding curve address')
   ],
   validateRequest,
+  cacheResponse(curveTags),
   async (req, res, next) => {
     try {
       const { address } = req.params;
 
-      const token = await Token.findOne({ bondingCurveAddress: address.toLowerCase() });
+      const token = await Token.findOne({ ...req.chainFilter, bondingCurveAddress: address.toLowerCase() });
       if (!token) {
         return res.status(StatusCodes.NOT_FOUND).json({
           success: false,
@@ -78,7 +152,7 @@ router.get('/:address/phase',
         });
       }
 
-      const bondingCurveInfo = await web3Service.getBondingCurveInfo(address);
+      const bondingCurveInfo = await web3Service.forChain(token.chainId).getBondingCurveInfo(address);
 
       const phaseNames = {
         0: 'PreBonding',
@@ -112,11 +186,12 @@ router.get('/:address/reserves',
     param('address').isEthereumAddress().withMessage('Invalid bonding curve address')
   ],
   validateRequest,
+  cacheResponse(curveTags),
   async (req, res, next) => {
     try {
       const { address } = req.params;
 
-      const token = await Token.findOne({ bondingCurveAddress: address.toLowerCase() });
+      const token = await Token.findOne({ ...req.chainFilter, bondingCurveAddress: address.toLowerCase() });
       if (!token) {
         return res.status(StatusCodes.NOT_FOUND).json({
           success: false,
@@ -124,7 +199,7 @@ router.get('/:address/reserves',
         });
       }
 
-      const bondingCurveInfo = await web3Service.getBondingCurveInfo(address);
+      const bondingCurveInfo = await web3Service.forChain(token.chainId).getBondingCurveInfo(address);
 
       res.json({
         success: true,
@@ -148,11 +223,12 @@ router.get('/:address/settings',
     param('address').isEthereumAddress().withMessage('Invalid bonding curve address')
   ],
   validateRequest,
+  cacheResponse(curveTags),
   async (req, res, next) => {
     try {
       const { address } = req.params;
 
-      const token = await Token.findOne({ bondingCurveAddress: address.toLowerCase() });
+      const token = await Token.findOne({ ...req.chainFilter, bondingCurveAddress: address.toLowerCase() });
       if (!token) {
         return res.status(StatusCodes.NOT_FOUND).json({
           success: false,
@@ -160,7 +236,7 @@ router.get('/:address/settings',
         });
       }
 
-      const bondingCurveInfo = await web3Service.getBondingCurveInfo(address);
+      const bondingCurveInfo = await web3Service.forChain(token.chainId).getBondingCurveInfo(address);
 
       res.json({
         success: true,
@@ -183,7 +259,7 @@ router.get('/:address/contribution/:userAddress',
     try {
       const { address, userAddress } = req.params;
 
-      const token = await Token.findOne({ bondingCurveAddress: address.toLowerCase() });
+      const token = await Token.findOne({ ...req.chainFilter, bondingCurveAddress: address.toLowerCase() });
       if (!token) {
         return res.status(StatusCodes.NOT_FOUND).json({
           success: false,
@@ -191,7 +267,7 @@ router.get('/:address/contribution/:userAddress',
         });
       }
 
-      const contribution = await web3Service.getUserContribution(address, userAddress);
+      const contribution = await web3Service.forChain(token.chainId).getUserContribution(address, userAddress);
 
       res.json({
         success: true,
@@ -208,56 +284,88 @@ router.get('/:address/contribution/:userAddress',
   }
 );
 
-// GET /api/bonding-curve/:address/price-impact - Calculate price impact for trade
+// GET /api/bonding-curve/:address/price-impact - Quote a trade against the live curve state
 router.get('/:address/price-impact',
   [
-    param('address').isEthereumAddress().withMessage('Invalid bonding curve address')
+    param('address').isEthereumAddress().withMessage('Invalid bonding curve address'),
+    query('tradeType').isIn(['buy', 'sell']).withMessage('tradeType must be either "buy" or "sell"'),
+    query('ethAmount')
+      .if(query('tradeType').equals('buy'))
+      .custom(isPositiveAmount).withMessage('ethAmount must be a positive decimal number with at most 18 decimals for buys'),
+    query('tokenAmount')
+      .if(query('tradeType').equals('sell'))
+      .custom(isPositiveAmount).withMessage('tokenAmount must be a positive decimal number with at most 18 decimals for sells'),
+    query('slippage').optional().isFloat({ min: 0, max: 50 }).withMessage('slippage must be a percentage between 0 and 50')
   ],
   validateRequest,
   async (req, res, next) => {
     try {
       const { address } = req.params;
       const { ethAmount, tokenAmount, tradeType } = req.query;
+      const slippage = req.query.slippage !== undefined ? parseFloat(req.query.slippage) : 1;
+      const slippageBps = Math.round(slippage * 100);
 
-      if (!ethAmount && !tokenAmount) {
-        return res.status(StatusCodes.BAD_REQUEST).json({
+      const token = await Token.findOne({ ...req.chainFilter, bondingCurveAddress: address.toLowerCase() });
+      if (!token) {
+        return res.status(StatusCodes.NOT_FOUND).json({
           success: false,
-          message: 'Either ethAmount or tokenAmount must be provided'
+          message: 'Bonding curve not found'
         });
       }
 
-      if (!tradeType || !['buy', 'sell'].includes(tradeType)) {
-        return res.status(StatusCodes.BAD_REQUEST).json({
-          success: false,
-          message: 'tradeType must be either "buy" or "sell"'
-        });
+      const amount = tradeType === 'buy' ? ethers.parseEther(ethAmount) : ethers.parseUnits(tokenAmount, 18);
+      const state = await web3Service.forChain(token.chainId).getCurveState(token.bondingCurveAddress, token.tokenAddress);
+
+      let quote;
+      try {
+        quote = tradeType === 'buy'
+          ? quoteBuy(state, amount, slippageBps)
+          : quoteSell(state, amount, slippageBps);
+      } catch (error) {
+        if (error instanceof BondingMathError) {
+          // The contract would revert with this custom error
+          return res.status(StatusCodes.BAD_REQUEST).json({
+            success: false,
+            message: error.message,
+            reason: error.reason
+          });
+        }
+        throw error;
       }
 
-      const token = await Token.findOne({ bondingCurveAddress: address.toLowerCase() });
-      if (!token) {
-        return res.status(StatusCodes.NOT_FOUND).json({
-          success: false,
-          message: 'Bonding curve not found'
+      const data = {
+        tradeType,
+        phase: quote.phase,
+        slippage: slippage.toString(),
+        priceBefore: ethers.formatEther(quote.priceBefore),
+        priceAfter: ethers.formatEther(quote.priceAfter),
+        executionPrice: ethers.formatEther(quote.executionPrice),
+        priceImpact: quote.priceImpact,
+        fee: ethers.formatEther(quote.fee)
+      };
+
+      if (tradeType === 'buy') {
+        Object.assign(data, {
+          ethIn: ethers.formatEther(quote.ethIn),
+          expectedTokens: ethers.formatUnits(quote.tokensOut, 18),
+          minTokens: ethers.formatUnits(quote.minTokens, 18),
+          remainingToTarget: ethers.formatEther(quote.remainingToTarget),
+          completesPreBonding: quote.completesPreBonding,
+          crossesBondingTarget: quote.crossesBondingTarget,
+          ...(quote.crossesBondingTarget && { excessOverTarget: ethers.formatEther(quote.excessOverTarget) })
+        });
+      } else {
+        Object.assign(data, {
+          tokensIn: ethers.formatUnits(quote.tokenIn, 18),
+          expectedETH: ethers.formatEther(quote.ethOut),
+          minETH: ethers.formatEther(quote.minETH),
+          availableETH: ethers.formatEther(quote.availableETH)
         });
       }
 
-      const bondingCurveInfo = await web3Service.getBondingCurveInfo(address);
-
-      // Note: In a full implementation, you'd calculate price impact using the bonding curve formula
-      // This would require implementing the same math as in the smart contract
-      
       res.json({
         success: true,
-        data: {
-          message: 'Price impact calculation would be implemented with bonding curve math',
-          tradeType,
-          inputAmount: ethAmount || tokenAmount,
-          currentPrice: token.currentPrice,
-          // In real implementation:
-          // estimatedOutput: calculated_output,
-          // priceImpact: calculated_impact_percentage,
-          // newPrice: calculated_new_price
-        }
+        data
       });
     } catch (error) {
       next(error);
@@ -269,10 +377,11 @@ router.get('/:address/price-impact',
 router.get('/active', async (req, res, next) => {
   try {
     const activeTokens = await Token.find({ 
+      ...req.chainFilter,
       isActive: true,
       currentPhase: { $in: [0, 1] } // PreBonding or Bonding phase
     })
-      .select('name symbol tokenAddress bondingCurveAddress currentPhase totalETHCollected')
+      .select('chainId name symbol tokenAddress bondingCurveAddress currentPhase totalETHCollected')
       .sort({ createdAt: -1 })
       .lean();
 
@@ -292,10 +401,11 @@ router.get('/active', async (req, res, next) => {
 router.get('/finalized', async (req, res, next) => {
   try {
     const finalizedTokens = await Token.find({ 
+      ...req.chainFilter,
       isActive: true,
       isFinalized: true 
     })
-      .select('name symbol tokenAddress bondingCurveAddress uniswapPool lpTokenId totalETHCollected')
+      .select('chainId name symbol tokenAddress bondingCurveAddress uniswapPool lpTokenId totalETHCollected')
       .sort({ createdAt: -1 })
       .lean();
 
@@ -320,12 +430,12 @@ router.get('/stats', async (req, res, next) => {
       finalizedCurves,
       phaseStats
     ] = await Promise.all([
-      Token.countDocuments({ isActive: true }),
-      Token.countDocuments({ isActive: true, currentPhase: { $in: [0, 1] } }),
-      Token.countDocuments({ isActive: true, isFinalized: true }),
+      Token.countDocuments({ ...req.chainFilter, isActive: true }),
+      Token.countDocuments({ ...req.chainFilter, isActive: true, currentPhase: { $in: [0, 1] } }),
+      Token.countDocuments({ ...req.chainFilter, isActive: true, isFinalized: true }),
       Token.aggregate([
         {
-          $match: { isActive: true }
+          $match: { ...req.chainFilter, isActive: true }
         },
         {
           $group: {
@@ -340,7 +450,7 @@ router.get('/stats', async (req, res, next) => {
     // Calculate total ETH across all bonding curves
     const totalETHStats = await Token.aggregate([
       {
-        $match: { isActive: true }
+        $match: { ...req.chainFilter, isActive: true }
       },
       {
         $group: {
@@ -1,8 +1,12 @@
 const express = require('express');
 const { query, validationResult } = require('express-validator');
 const { StatusCodes } = require('http-status-codes');
-const { web3Service } = require('../services/web3Service');
+
+const { cacheResponse, factoryTags } = require('../middleware/cache');
+const { resolveChain } = require('../middleware/chain');
 const Token = require('../models/Token');
+const { web3Service } = require('../services/web3Service');
+const { redactUrl } = require('../utils/failoverProvider');
 
 const router = express.Router();
 
@@ -19,25 +23,43 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
-// GET /api/factory/info - Get factory basic information
-router.get('/info', async (req, res, next) => {
+// Every route takes an optional ?chainId=; lists and stats span all chains without it
+router.use(resolveChain);
+
+// GET /api/factory/chains - Get the chains this backend serves
+router.get('/chains', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      defaultChainId: web3Service.defaultChainId,
+      chains: web3Service.getChains()
+    }
+  });
+});
+
+// GET /api/factory/info - Get factory basic information (default chain without ?chainId=)
+router.get('/info', cacheResponse(factoryTags), async (req, res, next) => {
   try {
+    const client = web3Service.forChain(req.chainId);
     const [deploymentFee, settings] = await Promise.all([
-      web3Service.getDeploymentFee(),
-      web3Service.getBondingCurveSettings()
+      client.getDeploymentFee(),
+      client.getBondingCurveSettings()
     ]);
 
     res.json({
       success: true,
       data: {
-        factoryAddress: process.env.FACTORY_ADDRESS,
+        factoryAddress: client.chain.factoryAddress,
         deploymentFee,
         settings,
         network: {
-          name: 'Abstract L2',
-          chainId: process.env.ABSTRACT_CHAIN_ID,
-          rpcUrl: process.env.ABSTRACT_RPC_URL,
-          explorerUrl: 'https://abscan.org'
+          name: client.chain.name,
+          chainId: client.chainId,
+          // Origin only; the full URL may carry an API key
+          rpcUrl: redactUrl(client.chain.rpcUrl),
+          explorerUrl: client.chain.explorerUrl,
+          nativeCurrency: client.chain.nativeCurrency,
+          testnet: client.chain.testnet
         }
       }
     });
@@ -56,15 +78,16 @@ router.get('/stats', async (req, res, next) => {
       preBondingTokens,
       bondingTokens
     ] = await Promise.all([
-      Token.countDocuments(),
-      Token.countDocuments({ isActive: true }),
-      Token.countDocuments({ isFinalized: true }),
-      Token.countDocuments({ currentPhase: 0, isActive: true }),
-      Token.countDocuments({ currentPhase: 1, isActive: true })
+      Token.countDocuments(req.chainFilter),
+      Token.countDocuments({ ...req.chainFilter, isActive: true }),
+      Token.countDocuments({ ...req.chainFilter, isFinalized: true }),
+      Token.countDocuments({ ...req.chainFilter, currentPhase: 0, isActive: true }),
+      Token.countDocuments({ ...req.chainFilter, currentPhase: 1, isActive: true })
     ]);
 
     // Calculate total volume and ETH collected
     const volumeStats = await Token.aggregate([
+      { $match: req.chainFilter },
       {
         $group: {
           _id: null,
@@ -110,10 +133,10 @@ router.get('/recent-deployments',
     try {
       const limit = parseInt(req.query.limit) || 10;
 
-      const recentTokens = await Token.find({ isActive: true })
+      const recentTokens = await Token.find({ ...req.chainFilter, isActive: true })
         .sort({ createdAt: -1 })
         .limit(limit)
-        .select('name symbol tokenAddress bondingCurveAddress currentPhase totalETHCollected createdAt')
+        .select('chainId name symbol tokenAddress bondingCurveAddress currentPhase totalETHCollected createdAt')
         .lean();
 
       res.json({
@@ -142,10 +165,10 @@ router.get('/top-performers',
       const sortObj = {};
       sortObj[sortBy] = -1;
 
-      const topTokens = await Token.find({ isActive: true })
+      const topTokens = await Token.find({ ...req.chainFilter, isActive: true })
         .sort(sortObj)
         .limit(limit)
-        .select('name symbol tokenAddress currentPhase volume24h marketCap totalETHCollected progressPercentage')
+        .select('chainId name symbol tokenAddress currentPhase volume24h marketCap totalETHCollected progressPercentage')
         .lean();
 
       res.json({
@@ -169,6 +192,7 @@ router.get('/featured-tokens',
       const limit = parseInt(req.query.limit) || 5;
 
       const featuredTokens = await Token.findFeatured()
+        .where(req.chainFilter)
         .sort({ createdAt: -1 })
         .limit(limit)
         .lean();
@@ -188,7 +212,7 @@ router.get('/tokens-by-phase', async (req, res, next) => {
   try {
     const tokensByPhase = await Token.aggregate([
       {
-        $match: { isActive: true }
+        $match: { ...req.chainFilter, isActive: true }
       },
       {
         $group: {
@@ -197,6 +221,7 @@ router.get('/tokens-by-phase', async (req, res, next) => {
           totalETH: { $sum: { $toDouble: '$totalETHCollected' } },
           tokens: {
             $push: {
+              chainId: '$chainId',
               name: '$name',
               symbol: '$symbol',
               tokenAddress: '$tokenAddress',
@@ -252,6 +277,7 @@ router.get('/search',
 
       // Build search filter
       const filter = {
+        ...req.chainFilter,
         isActive: true,
         $or: [
           { name: { $regex: q, $options: 'i' } },
@@ -301,7 +327,7 @@ router.get('/tags',
 
       const popularTags = await Token.aggregate([
         {
-          $match: { isActive: true, tags: { $exists: true, $ne: [] } }
+          $match: { ...req.chainFilter, isActive: true, tags: { $exists: true, $ne: [] } }
         },
         {
           $unwind: '$tags'
@@ -348,6 +374,7 @@ router.get('/tokens-by-tag/:tag',
       const skip = (page - 1) * limit;
 
       const filter = {
+        ...req.chainFilter,
         isActive: true,
         tags: { $in: [tag.toLowerCase()] }
       };
@@ -0,0 +1,172 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { StatusCodes } = require('http-status-codes');
+
+const { ROLES } = require('../config/roles');
+const { auditTrail } = require('../middleware/audit');
+const { requireAdmin, requireRole, requireAdminSigner } = require('../middleware/auth');
+const { resolveChain } = require('../middleware/chain');
+const { proposalService, ACTIONS } = require('../services/proposalService');
+
+const router = express.Router();
+
+// Middleware to validate request
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const voteValidators = [
+  param('id').isMongoId().withMessage('Invalid proposal id'),
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('A reason of at most 500 characters is required')
+];
+
+// Use the proposal's chain, so the signer check below is for the Factory it changes
+const loadProposalChain = async (req, res, next) => {
+  try {
+    const proposal = await proposalService.get(req.params.id);
+    req.chainId = proposal.chainId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Proposals are created by the settings and withdraw-fees routes in routes/admin.js
+router.use(auditTrail, requireAdmin, requireRole(ROLES.VIEWER), resolveChain);
+
+// GET /api/admin/proposals - List proposals, newest first
+router.get('/',
+  [
+    query('status').optional().isIn(['pending', 'executing', 'executed', 'rejected', 'expired', 'cancelled', 'failed']).withMessage('Invalid status'),
+    query('action').optional().isIn(Object.keys(ACTIONS)).withMessage('Invalid action'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100')
+  ],
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const result = await proposalService.list(
+        { status: req.query.status, action: req.query.action, chainId: req.chainId },
+        { page, limit }
+      );
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/admin/proposals/:id - Get a proposal and its votes
+router.get('/:id',
+  [
+    param('id').isMongoId().withMessage('Invalid proposal id')
+  ],
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const proposal = await proposalService.get(req.params.id);
+
+      res.json({
+        success: true,
+        data: proposal
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/proposals/:id/approve - Approve; the approval that completes the quorum queues the transaction
+router.post('/:id/approve',
+  voteValidators,
+  validateRequest,
+  loadProposalChain,
+  requireAdminSigner,
+  async (req, res, next) => {
+    try {
+      const proposal = await proposalService.approve(req.params.id, req.admin, req.body.reason);
+
+      req.audit.after = { status: proposal.status, approvals: proposal.approvals.length, txJob: proposal.txJob };
+
+      const responses = {
+        pending: [StatusCodes.OK, `Approved (${proposal.approvals.length}/${proposal.requiredApprovals})`],
+        executing: [StatusCodes.ACCEPTED, `Quorum reached; queued as transaction job ${proposal.txJob}`],
+        failed: [StatusCodes.CONFLICT, `Proposal failed: ${proposal.error}`]
+      };
+      const [status, message] = responses[proposal.status];
+
+      res.status(status).json({
+        success: proposal.status !== 'failed',
+        message,
+        data: proposal
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/proposals/:id/reject - Reject a pending proposal
+router.post('/:id/reject',
+  voteValidators,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const proposal = await proposalService.reject(req.params.id, req.admin, req.body.reason);
+
+      req.audit.after = { status: proposal.status, rejections: proposal.rejections.length };
+
+      res.json({
+        success: true,
+        message: proposal.status === 'rejected' ? 'Proposal rejected' : 'Rejection recorded',
+        data: proposal
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/proposals/:id/cancel - Withdraw a pending proposal (proposer or superadmin)
+router.post('/:id/cancel',
+  [
+    param('id').isMongoId().withMessage('Invalid proposal id')
+  ],
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const proposal = await proposalService.cancel(req.params.id, req.admin);
+
+      req.audit.after = { status: proposal.status };
+
+      res.json({
+        success: true,
+        message: 'Proposal cancelled',
+        data: proposal
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
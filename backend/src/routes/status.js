@@ -0,0 +1,45 @@
+const express = require('express');
+
+const { ROLES } = require('../config/roles');
+const { requireAdmin, requireRole } = require('../middleware/auth');
+const { resolveChain } = require('../middleware/chain');
+const { indexerService } = require('../services/indexerService');
+const { marketStatsService } = require('../services/marketStatsService');
+const { websocketService } = require('../services/websocketService');
+
+const router = express.Router();
+
+// GET /api/status/indexer - Get chain indexer progress, lag and reorg history per chain (?chainId= for one)
+router.get('/indexer', requireAdmin, requireRole(ROLES.VIEWER), resolveChain, async (req, res, next) => {
+  try {
+    const status = await indexerService.getStatus();
+    if (req.chainId) {
+      status.chains = status.chains.filter(chain => chain.chainId === req.chainId);
+    }
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/status/market-stats - Get the market stats refresher schedule, last run and backoffs
+router.get('/market-stats', (req, res) => {
+  res.json({
+    success: true,
+    data: marketStatsService.getStatus()
+  });
+});
+
+// GET /api/status/websocket - Get WebSocket connection and subscription counts
+router.get('/websocket', (req, res) => {
+  res.json({
+    success: true,
+    data: websocketService.getStatus()
+  });
+});
+
+module.exports = router;
@@ -1,11 +1,23 @@
+const { ethers } = require('ethers');
 const express = require('express');
 const { param, query, validationResult } = require('express-validator');
 const { StatusCodes } = require('http-status-codes');
-const { web3Service } = require('../services/web3Service');
+const { resolveChain } = require('../middleware/chain');
 const Token = require('../models/Token');
+const { candleService, INTERVALS } = require('../services/candleService');
+const { holderService } = require('../services/holderService');
+const { tradeService } = require('../services/tradeService');
+const { web3Service } = require('../services/web3Service');
+const { TOTAL_SUPPLY } = require('../utils/bondingMath');
 
 const router = express.Router();
 
+// Accepts unix seconds or any date string Date can parse
+const parseTime = (value) => {
+  const date = /^\d+$/.test(value) ? new Date(parseInt(value) * 1000) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
 // Middleware to validate request
 const validateRequest = (req, res, next) => {
   const errors = validationResult(req);
@@ -19,6 +31,9 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+// Every route takes an optional ?chainId=; lists span all chains without it
+router.use(resolveChain);
+
 // GET /api/tokens - Get all tokens with filtering and pagination
 router.get('/',
   [
@@ -41,7 +56,7 @@ router.get('/',
       const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
 
       // Build filter
-      const filter = {};
+      const filter = { ...req.chainFilter };
       if (req.query.phase !== undefined) {
         filter.currentPhase = parseInt(req.query.phase);
       }
@@ -79,6 +94,7 @@ router.get('/',
             pages: Math.ceil(total / limit)
           },
           filters: {
+            chainId: req.chainId,
             phase: req.query.phase,
             isActive: req.query.isActive,
             isFeatured: req.query.isFeatured,
@@ -106,7 +122,7 @@ router.get('/:address',
     try {
       const { address } = req.params;
       
-      const token = await Token.findByAddress(address);
+      const token = await Token.findByAddress(address, req.chainId);
       if (!token) {
         return res.status(StatusCodes.NOT_FOUND).json({
           success: false,
@@ -115,9 +131,10 @@ router.get('/:address',
       }
 
       // Get live blockchain data
+      const client = web3Service.forChain(token.chainId);
       const [bondingCurveInfo, tokenInfo] = await Promise.all([
-        web3Service.getBondingCurveInfo(token.bondingCurveAddress),
-        web3Service.getTokenInfo(token.tokenAddress)
+        client.getBondingCurveInfo(token.bondingCurveAddress),
+        client.getTokenInfo(token.tokenAddress)
       ]);
 
       // Update token with latest data
@@ -138,7 +155,7 @@ router.get('/:address',
           addresses: {
             token: token.tokenAddress,
             bondingCurve: token.bondingCurveAddress,
-            factory: process.env.FACTORY_ADDRESS
+            factory: client.chain.factoryAddress
           }
         }
       });
@@ -158,7 +175,7 @@ router.get('/:address/stats',
     try {
       const { address } = req.params;
       
-      const token = await Token.findByAddress(address);
+      const token = await Token.findByAddress(address, req.chainId);
       if (!token) {
         return res.status(StatusCodes.NOT_FOUND).json({
           success: false,
@@ -166,7 +183,7 @@ router.get('/:address/stats',
         });
       }
 
-      const bondingCurveInfo = await web3Service.getBondingCurveInfo(token.bondingCurveAddress);
+      const bondingCurveInfo = await web3Service.forChain(token.chainId).getBondingCurveInfo(token.bondingCurveAddress);
 
       const stats = {
         currentPhase: bondingCurveInfo.currentPhase,
@@ -183,7 +200,8 @@ router.get('/:address/stats',
         currentPrice: token.currentPrice,
         priceChange24h: token.priceChange24h,
         totalTrades: token.totalTrades,
-        uniqueTraders: token.uniqueTraders
+        uniqueTraders: token.uniqueTraders,
+        phaseTimeline: token.getPhaseTimeline()
       };
 
       res.json({
@@ -196,19 +214,78 @@ router.get('/:address/stats',
   }
 );
 
+// GET /api/tokens/:address/trades - Get indexed trades for a token
+router.get('/:address/trades',
+  [
+    param('address').isEthereumAddress().withMessage('Invalid token address'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
+    query('type').optional().isIn(['contribution', 'buy', 'sell']).withMessage('Invalid trade type'),
+    query('wallet').optional().isEthereumAddress().withMessage('Invalid wallet address')
+  ],
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { address } = req.params;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const token = await Token.findByAddress(address, req.chainId);
+      if (!token) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          success: false,
+          message: 'Token not found'
+        });
+      }
+
+      const { trades, total } = await tradeService.getTrades(token.bondingCurveAddress, {
+        page,
+        limit,
+        type: req.query.type,
+        wallet: req.query.wallet
+      });
+
+      res.json({
+        success: true,
+        data: {
+          trades,
+          stats: {
+            totalTrades: token.totalTrades,
+            uniqueTraders: token.uniqueTraders,
+            volume24h: token.volume24h,
+            priceChange24h: token.priceChange24h
+          },
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // GET /api/tokens/:address/holders - Get token holder information
 router.get('/:address/holders',
   [
     param('address').isEthereumAddress().withMessage('Invalid token address'),
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
-    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100')
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
+    query('top').optional().isInt({ min: 1, max: 50 }).withMessage('Top must be between 1-50')
   ],
   validateRequest,
   async (req, res, next) => {
     try {
       const { address } = req.params;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const topCount = parseInt(req.query.top) || 10;
       
-      const token = await Token.findByAddress(address);
+      const token = await Token.findByAddress(address, req.chainId);
       if (!token) {
         return res.status(StatusCodes.NOT_FOUND).json({
           success: false,
@@ -216,19 +293,27 @@ router.get('/:address/holders',
         });
       }
 
-      // Note: In a full implementation, you'd track holders in a separate collection
-      // or query the blockchain for Transfer events. For now, return basic info.
+      const [holderData, preBondingAllocations] = await Promise.all([
+        holderService.getHolders(token, { page, limit, topCount }),
+        holderService.getPreBondingAllocations(token, { limit })
+      ]);
       
       res.json({
         success: true,
         data: {
-          message: 'Holder information would be implemented with event tracking',
           tokenAddress: token.tokenAddress,
-          totalSupply: '10000000000', // 10B tokens
-          // In real implementation, you'd have:
-          // holders: [...], // Array of holder addresses and balances
-          // holderCount: number,
-          // topHolders: [...] // Top holders by balance
+          totalSupply: ethers.formatUnits(TOTAL_SUPPLY, 18),
+          holderCount: holderData.holderCount,
+          holders: holderData.holders,
+          topHolders: holderData.topHolders,
+          knownAddresses: holderData.knownAddresses,
+          preBondingAllocations,
+          pagination: {
+            page,
+            limit,
+            total: holderData.holderCount,
+            pages: Math.ceil(holderData.holderCount / limit)
+          }
         }
       });
     } catch (error) {
@@ -241,17 +326,27 @@ router.get('/:address/holders',
 router.get('/:address/price-history',
   [
     param('address').isEthereumAddress().withMessage('Invalid token address'),
-    query('period').optional().isIn(['1h', '24h', '7d', '30d']).withMessage('Invalid period'),
-    query('interval').optional().isIn(['1m', '5m', '15m', '1h', '1d']).withMessage('Invalid interval')
+    query('interval').optional().isIn(Object.keys(INTERVALS)).withMessage('Invalid interval'),
+    query('from').optional().custom(value => parseTime(value) !== null).withMessage('from must be a unix timestamp or date'),
+    query('to').optional().custom(value => parseTime(value) !== null).withMessage('to must be a unix timestamp or date'),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1-1000')
   ],
   validateRequest,
   async (req, res, next) => {
     try {
       const { address } = req.params;
-      const period = req.query.period || '24h';
       const interval = req.query.interval || '1h';
-      
-      const token = await Token.findByAddress(address);
+      const from = req.query.from ? parseTime(req.query.from) : undefined;
+      const to = req.query.to ? parseTime(req.query.to) : undefined;
+
+      if (from && to && from >= to) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          success: false,
+          message: 'from must be earlier than to'
+        });
+      }
+
+      const token = await Token.findByAddress(address, req.chainId);
       if (!token) {
         return res.status(StatusCodes.NOT_FOUND).json({
           success: false,
@@ -259,19 +354,20 @@ router.get('/:address/price-history',
         });
       }
 
-      // Note: In a full implementation, you'd store price data in a time series
-      // collection and return historical price data. For now, return current data.
-      
+      const history = await candleService.getCandles(token.bondingCurveAddress, {
+        interval,
+        from,
+        to,
+        limit: req.query.limit
+      });
+
       res.json({
         success: true,
         data: {
-          message: 'Price history would be implemented with time series data',
+          tokenAddress: token.tokenAddress,
           currentPrice: token.currentPrice,
           priceChange24h: token.priceChange24h,
-          period,
-          interval,
-          // In real implementation:
-          // priceData: [...] // Array of {timestamp, price, volume} objects
+          ...history
         }
       });
     } catch (error) {
@@ -293,7 +389,7 @@ router.get('/trending',
       const period = req.query.period || '24h';
 
       // Get trending tokens based on volume and price change
-      const trendingTokens = await Token.find({ isActive: true })
+      const trendingTokens = await Token.find({ ...req.chainFilter, isActive: true })
         .sort({ 
           volume24h: -1, 
           priceChange24h: -1,
@@ -327,6 +423,7 @@ router.get('/gainers',
       const limit = parseInt(req.query.limit) || 10;
 
       const gainers = await Token.find({ 
+        ...req.chainFilter,
         isActive: true,
         priceChange24h: { $gt: '0' }
       })
@@ -355,6 +452,7 @@ router.get('/losers',
       const limit = parseInt(req.query.limit) || 10;
 
       const losers = await Token.find({ 
+        ...req.chainFilter,
         isActive: true,
         priceChange24h: { $lt: '0' }
       })
@@ -387,6 +485,7 @@ router.get('/new',
       const sinceDate = new Date(Date.now() - hours * 60 * 60 * 1000);
 
       const newTokens = await Token.find({ 
+        ...req.chainFilter,
         isActive: true,
         createdAt: { $gte: sinceDate }
       })
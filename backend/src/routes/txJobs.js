@@ -0,0 +1,173 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { StatusCodes } = require('http-status-codes');
+
+const { ROLES } = require('../config/roles');
+const { getFeeCaps } = require('../config/txFees');
+const { auditTrail } = require('../middleware/audit');
+const { requireAdmin, requireRole, requireAdminSigner } = require('../middleware/auth');
+const { resolveChain } = require('../middleware/chain');
+const { ACTIONS } = require('../services/proposalService');
+const { txQueueService } = require('../services/txQueueService');
+const { web3Service } = require('../services/web3Service');
+
+const router = express.Router();
+
+// Middleware to validate request
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const jobValidator = param('id').isMongoId().withMessage('Invalid transaction job id');
+
+// Job fields recorded in the audit log
+const pickJob = ({ status, nonce, attempts, cancelRequested }) => {
+  const last = attempts[attempts.length - 1];
+  return {
+    status,
+    nonce,
+    cancelRequested,
+    attempts: attempts.length,
+    maxFeePerGas: last ? last.maxFeePerGas : null
+  };
+};
+
+// Use the job's chain, so the signer check below is for the account that sent it
+const loadJobChain = async (req, res, next) => {
+  try {
+    const job = await txQueueService.get(req.params.id);
+    req.chainId = job.chainId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Jobs are created when proposals execute; speeding up and cancelling needs the job's own role
+router.use(auditTrail, requireAdmin, requireRole(ROLES.VIEWER), resolveChain);
+
+// GET /api/admin/tx-jobs - List transaction jobs, newest first, with the queue's settings and each chain's fee caps
+router.get('/',
+  [
+    query('status').optional().isIn(['queued', 'submitted', 'mined', 'failed', 'cancelled']).withMessage('Invalid status'),
+    query('method').optional().isIn(Object.keys(ACTIONS)).withMessage('Invalid method'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100')
+  ],
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const result = await txQueueService.list(
+        { status: req.query.status, method: req.query.method, chainId: req.chainId },
+        { page, limit }
+      );
+      const chains = req.chainId ? [web3Service.forChain(req.chainId)] : web3Service.getClients();
+      const feeCaps = chains.map(({ chainId }) => {
+        const caps = getFeeCaps(chainId);
+        return {
+          chainId,
+          maxFeePerGas: caps.maxFeePerGas.toString(),
+          maxPriorityFeePerGas: caps.maxPriorityFeePerGas.toString()
+        };
+      });
+
+      res.json({
+        success: true,
+        data: {
+          queue: txQueueService.getStatus(),
+          feeCaps,
+          ...result
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/admin/tx-jobs/:id - Poll a job until it is mined, failed or cancelled
+router.get('/:id',
+  [
+    jobValidator
+  ],
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const job = await txQueueService.get(req.params.id);
+
+      res.json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/tx-jobs/:id/speed-up - Replace the pending transaction with higher fees
+router.post('/:id/speed-up',
+  [
+    jobValidator
+  ],
+  validateRequest,
+  loadJobChain,
+  requireAdminSigner,
+  async (req, res, next) => {
+    try {
+      const job = await txQueueService.speedUp(req.params.id, req.admin);
+
+      req.audit.after = pickJob(job);
+      req.audit.transactionHash = job.attempts[job.attempts.length - 1].hash;
+
+      res.status(StatusCodes.ACCEPTED).json({
+        success: true,
+        message: 'Replacement transaction sent',
+        data: job
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/tx-jobs/:id/cancel - Drop a queued job, or replace a pending one with a 0-value self-transfer
+router.post('/:id/cancel',
+  [
+    jobValidator
+  ],
+  validateRequest,
+  loadJobChain,
+  requireAdminSigner,
+  async (req, res, next) => {
+    try {
+      const job = await txQueueService.cancel(req.params.id, req.admin);
+
+      req.audit.after = pickJob(job);
+      if (job.cancelRequested) {
+        req.audit.transactionHash = job.attempts[job.attempts.length - 1].hash;
+      }
+
+      res.status(job.status === 'cancelled' ? StatusCodes.OK : StatusCodes.ACCEPTED).json({
+        success: true,
+        message: job.status === 'cancelled' ? 'Transaction job cancelled' : 'Cancellation transaction sent',
+        data: job
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -1,8 +1,14 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const { StatusCodes } = require('http-status-codes');
-const { web3Service } = require('../services/web3Service');
+
+const { cacheResponse, factoryTags } = require('../middleware/cache');
+const { resolveChain } = require('../middleware/chain');
 const Token = require('../models/Token');
+const { blockCursorService } = require('../services/blockCursorService');
+const { indexerService } = require('../services/indexerService');
+const { signedActionService, ACTIONS } = require('../services/signedActionService');
+const { web3Service } = require('../services/web3Service');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -20,16 +26,21 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+// Every route takes an optional ?chainId= (or body chainId); chain calls use the default chain without it
+router.use(resolveChain);
+
 // GET /api/user/deployment-fee - Get current deployment fee
-router.get('/deployment-fee', async (req, res, next) => {
+router.get('/deployment-fee', cacheResponse(factoryTags), async (req, res, next) => {
   try {
-    const deploymentFee = await web3Service.getDeploymentFee();
+    const client = web3Service.forChain(req.chainId);
+    const deploymentFee = await client.getDeploymentFee();
     
     res.json({
       success: true,
       data: {
+        chainId: client.chainId,
         deploymentFee,
-        currency: 'ETH'
+        currency: client.chain.nativeCurrency
       }
     });
   } catch (error) {
@@ -38,9 +49,9 @@ router.get('/deployment-fee', async (req, res, next) => {
 });
 
 // GET /api/user/settings - Get bonding curve settings
-router.get('/settings', async (req, res, next) => {
+router.get('/settings', cacheResponse(factoryTags), async (req, res, next) => {
   try {
-    const settings = await web3Service.getBondingCurveSettings();
+    const settings = await web3Service.forChain(req.chainId).getBondingCurveSettings();
     
     res.json({
       success: true,
@@ -51,8 +62,40 @@ router.get('/settings', async (req, res, next) => {
   }
 });
 
-// POST /api/user/deploy-token - Deploy a new token
-router.post('/deploy-token',
+// Metadata fields accepted when a launch is registered
+const metadataValidators = [
+  body('description')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+  body('image')
+    .optional({ values: 'falsy' })
+    .isURL()
+    .withMessage('Image must be a valid URL'),
+  body('website')
+    .optional({ values: 'falsy' })
+    .isURL()
+    .withMessage('Website must be a valid URL'),
+  body('twitter')
+    .optional()
+    .isString()
+    .withMessage('Twitter must be a string'),
+  body('telegram')
+    .optional()
+    .isString()
+    .withMessage('Telegram must be a string'),
+  body('discord')
+    .optional()
+    .isString()
+    .withMessage('Discord must be a string'),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array')
+];
+
+// POST /api/user/deploy-token/prepare - Build the deployment transaction for the user's wallet to sign
+router.post('/deploy-token/prepare',
   [
     body('name')
       .isLength({ min: 1, max: 100 })
@@ -63,44 +106,66 @@ router.post('/deploy-token',
       .trim()
       .toUpperCase()
       .withMessage('Token symbol must be between 1-20 characters'),
-    body('description')
-      .optional()
-      .isLength({ max: 1000 })
-      .withMessage('Description must be less than 1000 characters'),
-    body('image')
-      .optional()
-      .isURL()
-      .withMessage('Image must be a valid URL'),
-    body('website')
-      .optional()
-      .isURL()
-      .withMessage('Website must be a valid URL'),
-    body('twitter')
-      .optional()
-      .isString()
-      .withMessage('Twitter must be a string'),
-    body('telegram')
-      .optional()
-      .isString()
-      .withMessage('Telegram must be a string'),
-    body('discord')
-      .optional()
-      .isString()
-      .withMessage('Discord must be a string'),
-    body('tags')
-      .optional()
-      .isArray()
-      .withMessage('Tags must be an array'),
-    body('privateKey')
-      .isLength({ min: 64, max: 66 })
-      .withMessage('Invalid private key format')
+    body('from')
+      .isEthereumAddress()
+      .withMessage('Invalid deployer address')
+  ],
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { name, symbol, from } = req.body;
+      const client = web3Service.forChain(req.chainId);
+
+      // Check if token with same name or symbol already exists on the chain
+      const existingToken = await Token.findOne({
+        chainId: client.chainId,
+        $or: [
+          { name: { $regex: new RegExp(`^${name}$`, 'i') } },
+          { symbol: symbol.toUpperCase() }
+        ]
+      });
+
+      if (existingToken) {
+        return res.status(StatusCodes.CONFLICT).json({
+          success: false,
+          message: 'Token with this name or symbol already exists'
+        });
+      }
+
+      const prepared = await client.prepareDeployment(name, symbol, from);
+
+      res.json({
+        success: true,
+        data: prepared
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/user/deploy-token/register - Register a mined deployment and save its metadata, signed by the deployer or owner
+router.post('/deploy-token/register',
+  [
+    body('txHash')
+      .matches(/^0x[a-fA-F0-9]{64}$/)
+      .withMessage('Invalid transaction hash'),
+    ...metadataValidators,
+    body('nonce')
+      .matches(/^0x[a-fA-F0-9]{64}$/)
+      .withMessage('Nonce must be a random 32-byte hex string'),
+    body('deadline')
+      .isInt({ min: 1 })
+      .withMessage('Deadline must be a unix timestamp in seconds'),
+    body('signature')
+      .matches(/^0x[a-fA-F0-9]{130}$/)
+      .withMessage('Invalid signature')
   ],
   validateRequest,
   async (req, res, next) => {
     try {
       const {
-        name,
-        symbol,
+        txHash,
         description = '',
         image = '',
         website = '',
@@ -108,73 +173,91 @@ router.post('/deploy-token',
         telegram = '',
         discord = '',
         tags = [],
-        privateKey
+        nonce,
+        deadline,
+        signature
       } = req.body;
 
-      // Check if token with same name or symbol already exists
-      const existingToken = await Token.findOne({
-        $or: [
-          { name: { $regex: new RegExp(`^${name}$`, 'i') } },
-          { symbol: symbol.toUpperCase() }
-        ]
-      });
+      const client = web3Service.forChain(req.chainId);
+      const result = await client.getDeploymentByTxHash(txHash);
+      if (!result) {
+        return res.status(StatusCodes.NOT_FOUND).json({
+          success: false,
+          message: 'Transaction not found or not mined yet'
+        });
+      }
 
-      if (existingToken) {
+      if (result.status !== 1) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          success: false,
+          message: 'Deployment transaction reverted'
+        });
+      }
+
+      if (!result.deployment) {
+        return res.status(StatusCodes.BAD_REQUEST).json({
+          success: false,
+          message: 'Transaction did not deploy a token through the Factory'
+        });
+      }
+
+      // Like the indexer, only deployments that are deep enough to survive a reorg are accepted
+      const safeBlock = blockCursorService.getSafeBlock(await client.getBlockNumber());
+      if (result.deployment.blockNumber > safeBlock) {
         return res.status(StatusCodes.CONFLICT).json({
           success: false,
-          message: 'Token with this name or symbol already exists'
+          message: `Deployment needs ${blockCursorService.confirmations} confirmations before it can be registered, retry later`,
+          data: { blockNumber: result.deployment.blockNumber, safeBlock }
         });
       }
 
-      // Deploy token through smart contract
-      logger.info(`Deploying token: ${name} (${symbol})`);
-      
-      const deploymentResult = await web3Service.deployToken(
-        name,
-        symbol,
-        privateKey
+      const metadata = { description, image, website, twitter, telegram, discord, tags };
+      const signer = await signedActionService.verify(
+        'RegisterToken',
+        client.chainId,
+        { deploymentTxHash: txHash, ...metadata, nonce, deadline },
+        signature,
+        wallet => signedActionService.assertDeployerOrOwner(result.deployment, wallet)
       );
 
-      // Get the deployment fee that was actually used for the database record
-      const deploymentFeeUsed = await web3Service.getDeploymentFee();
-
-      // Save token to database
-      const tokenData = {
-        name,
-        symbol: symbol.toUpperCase(),
-        tokenAddress: deploymentResult.tokenAddress.toLowerCase(),
-        bondingCurveAddress: deploymentResult.bondingCurveAddress.toLowerCase(),
-        owner: deploymentResult.owner.toLowerCase(),
-        deploymentTxHash: deploymentResult.transactionHash.toLowerCase(),
-        deploymentBlockNumber: deploymentResult.blockNumber,
-        deploymentFee: deploymentFeeUsed,
-        description,
-        image,
-        website,
-        twitter,
-        telegram,
-        discord,
-        tags: tags.map(tag => tag.toLowerCase().trim()),
-        currentPhase: 0, // PreBonding
-        isFinalized: false,
-        isActive: true
-      };
+      // Same upsert the chain indexer performs, so both paths agree on chain-derived fields
+      const deployed = await indexerService.handleDeployment(client, result.deployment);
+
+      // Metadata is written once here, also for tokens the indexer already picked up;
+      // later changes go through the signed metadata endpoint
+      const token = await Token.findOneAndUpdate(
+        { chainId: deployed.chainId, tokenAddress: deployed.tokenAddress, registeredAt: null },
+        {
+          $set: {
+            ...metadata,
+            tags: tags.map(tag => tag.toLowerCase().trim()),
+            registeredAt: new Date()
+          }
+        },
+        { new: true, runValidators: true }
+      );
 
-      const token = new Token(tokenData);
-      await token.save();
+      if (!token) {
+        return res.status(StatusCodes.CONFLICT).json({
+          success: false,
+          message: 'Token is already registered, update its metadata with an owner signature'
+        });
+      }
 
-      logger.info(`Token deployed and saved: ${name} (${symbol})`, {
-        tokenAddress: deploymentResult.tokenAddress,
-        bondingCurveAddress: deploymentResult.bondingCurveAddress,
-        transactionHash: deploymentResult.transactionHash
+      logger.info(`Token launch registered: ${token.name} (${token.symbol})`, {
+        signer,
+        chainId: token.chainId,
+        tokenAddress: token.tokenAddress,
+        bondingCurveAddress: token.bondingCurveAddress,
+        transactionHash: token.deploymentTxHash
       });
 
       res.status(StatusCodes.CREATED).json({
         success: true,
-        message: 'Token deployed successfully',
+        message: 'Token registered successfully',
         data: {
           token,
-          deployment: deploymentResult
+          deployment: result.deployment
         }
       });
     } catch (error) {
@@ -194,7 +277,7 @@ router.get('/tokens/:address',
       const { address } = req.params;
       
       // Get token from database
-      const token = await Token.findByAddress(address);
+      const token = await Token.findByAddress(address, req.chainId);
       if (!token) {
         return res.status(StatusCodes.NOT_FOUND).json({
           success: false,
@@ -203,9 +286,10 @@ router.get('/tokens/:address',
       }
 
       // Get live data from blockchain
+      const client = web3Service.forChain(token.chainId);
       const [bondingCurveInfo, tokenInfo] = await Promise.all([
-        web3Service.getBondingCurveInfo(token.bondingCurveAddress),
-        web3Service.getTokenInfo(token.tokenAddress)
+        client.getBondingCurveInfo(token.bondingCurveAddress),
+        client.getTokenInfo(token.tokenAddress)
       ]);
 
       // Update token with live data
@@ -242,7 +326,7 @@ router.get('/tokens/:address/contribution/:userAddress',
     try {
       const { address, userAddress } = req.params;
       
-      const token = await Token.findByAddress(address);
+      const token = await Token.findByAddress(address, req.chainId);
       if (!token) {
         return res.status(StatusCodes.NOT_FOUND).json({
           success: false,
@@ -250,7 +334,7 @@ router.get('/tokens/:address/contribution/:userAddress',
         });
       }
 
-      const contribution = await web3Service.getUserContribution(
+      const contribution = await web3Service.forChain(token.chainId).getUserContribution(
         token.bondingCurveAddress,
         userAddress
       );
@@ -282,11 +366,12 @@ router.get('/my-tokens/:ownerAddress',
 
       const [tokens, total] = await Promise.all([
         Token.findByOwner(ownerAddress)
+          .where(req.chainFilter)
           .sort({ createdAt: -1 })
           .skip(skip)
           .limit(limit)
           .lean(),
-        Token.countDocuments({ owner: ownerAddress.toLowerCase() })
+        Token.countDocuments({ ...req.chainFilter, owner: ownerAddress.toLowerCase() })
       ]);
 
       res.json({
@@ -307,20 +392,35 @@ router.get('/my-tokens/:ownerAddress',
   }
 );
 
-// PUT /api/user/tokens/:address/metadata - Update token metadata
+// GET /api/user/signed-actions/:action - Get the EIP-712 domain and types for an owner action (pass the token's chainId)
+router.get('/signed-actions/:action',
+  [
+    param('action').isIn(Object.keys(ACTIONS)).withMessage(`Action must be one of ${Object.keys(ACTIONS).join(', ')}`)
+  ],
+  validateRequest,
+  (req, res) => {
+    res.json({
+      success: true,
+      data: signedActionService.getTypedData(req.params.action, req.chainId ?? web3Service.defaultChainId)
+    });
+  }
+);
+
+// PUT /api/user/tokens/:address/metadata - Replace token metadata, signed by the token owner
 router.put('/tokens/:address/metadata',
   [
     param('address').isEthereumAddress().withMessage('Invalid token address'),
     body('description')
       .optional()
+      .isString()
       .isLength({ max: 1000 })
       .withMessage('Description must be less than 1000 characters'),
     body('image')
-      .optional()
+      .optional({ values: 'falsy' })
       .isURL()
       .withMessage('Image must be a valid URL'),
     body('website')
-      .optional()
+      .optional({ values: 'falsy' })
       .isURL()
       .withMessage('Website must be a valid URL'),
     body('twitter')
@@ -337,19 +437,28 @@ router.put('/tokens/:address/metadata',
       .withMessage('Discord must be a string'),
     body('tags')
       .optional()
-      .isArray()
-      .withMessage('Tags must be an array'),
-    body('ownerAddress')
-      .isEthereumAddress()
-      .withMessage('Invalid owner address')
+      .isArray({ max: 20 })
+      .withMessage('Tags must be an array of at most 20 entries'),
+    body('tags.*')
+      .isString()
+      .withMessage('Tags must be strings'),
+    body('nonce')
+      .matches(/^0x[a-fA-F0-9]{64}$/)
+      .withMessage('Nonce must be a random 32-byte hex string'),
+    body('deadline')
+      .isInt({ min: 1 })
+      .withMessage('Deadline must be a unix timestamp in seconds'),
+    body('signature')
+      .matches(/^0x[a-fA-F0-9]{130}$/)
+      .withMessage('Invalid signature')
   ],
   validateRequest,
   async (req, res, next) => {
     try {
       const { address } = req.params;
-      const { ownerAddress, ...updates } = req.body;
+      const { signature } = req.body;
 
-      const token = await Token.findByAddress(address);
+      const token = await Token.findByAddress(address, req.chainId);
       if (!token) {
         return res.status(StatusCodes.NOT_FOUND).json({
           success: false,
@@ -357,29 +466,37 @@ router.put('/tokens/:address/metadata',
         });
       }
 
-      // Check if the requester is the owner
-      if (token.owner.toLowerCase() !== ownerAddress.toLowerCase()) {
-        return res.status(StatusCodes.FORBIDDEN).json({
-          success: false,
-          message: 'Only token owner can update metadata'
-        });
-      }
+      // The signature covers the complete metadata, so omitted fields are cleared
+      const updates = {
+        description: req.body.description || '',
+        image: req.body.image || '',
+        website: req.body.website || '',
+        twitter: req.body.twitter || '',
+        telegram: req.body.telegram || '',
+        discord: req.body.discord || '',
+        tags: req.body.tags || []
+      };
 
-      // Update allowed fields
-      const allowedUpdates = ['description', 'image', 'website', 'twitter', 'telegram', 'discord', 'tags'];
-      allowedUpdates.forEach(field => {
-        if (updates[field] !== undefined) {
-          if (field === 'tags' && Array.isArray(updates[field])) {
-            token[field] = updates[field].map(tag => tag.toLowerCase().trim());
-          } else {
-            token[field] = updates[field];
-          }
-        }
+      const signer = await signedActionService.verify(
+        'UpdateTokenMetadata',
+        token.chainId,
+        {
+          token: token.tokenAddress,
+          ...updates,
+          nonce: req.body.nonce,
+          deadline: req.body.deadline
+        },
+        signature,
+        wallet => signedActionService.assertTokenOwner(token, wallet)
+      );
+
+      Object.assign(token, updates, {
+        tags: updates.tags.map(tag => tag.toLowerCase().trim())
       });
 
       await token.save();
 
-      logger.info(`Token metadata updated: ${address}`, { updates });
+      logger.info(`Token metadata updated: ${address}`, { signer, updates });
 
       res.json({
         success: true,
@@ -426,7 +543,8 @@ router.get('/transaction/:hash',
     try {
       const { hash } = req.params;
       
-      const receipt = await web3Service.getTransactionReceipt(hash);
+      const client = web3Service.forChain(req.chainId);
+      const receipt = await client.getTransactionReceipt(hash);
       
       if (!receipt) {
         return res.json({
@@ -449,7 +567,7 @@ router.get('/transaction/:hash',
             blockHash: receipt.blockHash,
             gasUsed: receipt.gasUsed.toString(),
             effectiveGasPrice: receipt.effectiveGasPrice?.toString(),
-            confirmations: await web3Service.getBlockNumber() - receipt.blockNumber
+            confirmations: await client.getBlockNumber() - receipt.blockNumber
           }
         }
       });
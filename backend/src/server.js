@@ -1,23 +1,36 @@
+// Loaded first: config modules read the environment when they are required
 require('dotenv').config();
-const express = require('express');
+const compression = require('compression');
 const cors = require('cors');
+const express = require('express');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 
 const connectDB = require('./config/database');
-const logger = require('./utils/logger');
+const { apiQuota, QUOTA_HEADERS } = require('./middleware/apiQuota');
+const { CACHE_HEADERS } = require('./middleware/cache');
 const errorHandler = require('./middleware/errorHandler');
-const { initializeWeb3 } = require('./services/web3Service');
-
-// Route imports
 const adminRoutes = require('./routes/admin');
-const userRoutes = require('./routes/user');
+const adminUsersRoutes = require('./routes/adminUsers');
+const analyticsRoutes = require('./routes/analytics');
+const apiKeyRoutes = require('./routes/apiKeys');
+const auditRoutes = require('./routes/audit');
+const authRoutes = require('./routes/auth');
+const bondingCurveRoutes = require('./routes/bondingCurve');
 const factoryRoutes = require('./routes/factory');
+const proposalRoutes = require('./routes/proposals');
+const statusRoutes = require('./routes/status');
 const tokenRoutes = require('./routes/token');
-const bondingCurveRoutes = require('./routes/bondingCurve');
-const analyticsRoutes = require('./routes/analytics');
+const txJobRoutes = require('./routes/txJobs');
+const userRoutes = require('./routes/user');
+const { cacheService } = require('./services/cacheService');
+const { indexerService, startIndexer } = require('./services/indexerService');
+const { marketStatsService, startMarketStats } = require('./services/marketStatsService');
+const { proposalService } = require('./services/proposalService');
+const { txQueueService, startTxQueue } = require('./services/txQueueService');
+const { initializeWeb3, web3Service } = require('./services/web3Service');
+const { websocketService } = require('./services/websocketService');
+const logger = require('./utils/logger');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -25,44 +38,47 @@ const PORT = process.env.PORT || 5001;
 // Trust proxy for rate limiting behind reverse proxy
 app.set('trust proxy', 1);
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
-  message: {
-    error: 'Too many requests from this IP, please try again later.',
-  },
-});
-
 // Middleware
 app.use(helmet());
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   credentials: true,
+  exposedHeaders: [...QUOTA_HEADERS, ...CACHE_HEADERS],
 }));
 app.use(compression());
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use(limiter);
+// Per-API-key and per-IP quotas, costed by route class (see config/quotas.js)
+app.use(apiQuota);
 
-// Health check endpoint
+// Health check endpoint; DEGRADED while a chain has too few usable RPC endpoints
 app.get('/health', (req, res) => {
+  const rpc = web3Service.getRpcHealth();
   res.status(200).json({
-    status: 'OK',
+    status: rpc.every(chain => chain.healthy) ? 'OK' : 'DEGRADED',
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV,
     version: '1.0.0',
+    rpc,
+    cache: cacheService.getStats(),
   });
 });
 
 // API Routes
+app.use('/api/admin/auth', authRoutes);
+app.use('/api/admin/users', adminUsersRoutes);
+app.use('/api/admin/audit', auditRoutes);
+app.use('/api/admin/proposals', proposalRoutes);
+app.use('/api/admin/api-keys', apiKeyRoutes);
+app.use('/api/admin/tx-jobs', txJobRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/factory', factoryRoutes);
 app.use('/api/tokens', tokenRoutes);
 app.use('/api/bonding-curve', bondingCurveRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/status', statusRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -82,18 +98,50 @@ async function startServer() {
     await connectDB();
     logger.info('Connected to MongoDB');
 
-    // Initialize Web3 connection
+    // Initialize Web3 connections, one per chain in CHAINS
     await initializeWeb3();
     logger.info('Web3 service initialized');
 
+    // Response cache for RPC-backed routes, invalidated by indexed chain events
+    await cacheService.initialize();
+
+    // Tag data indexed before multi-chain support with the default chain
+    await indexerService.migrateSingleChainData();
+
+    // Start following Factory deployments on chain
+    if (process.env.INDEXER_ENABLED !== 'false') {
+      startIndexer();
+    }
+
+    // Periodically refresh prices, market caps and 24h stats of tradable curves
+    if (process.env.MARKET_STATS_ENABLED !== 'false') {
+      startMarketStats();
+    }
+
+    // Sign and send queued admin transactions; run exactly one worker per signer
+    if (process.env.TX_QUEUE_ENABLED !== 'false') {
+      startTxQueue();
+    }
+
+    // Finish proposal executions a previous run left halfway
+    proposalService.recoverExecuting().catch(error => logger.error('Error recovering executing proposals:', error));
+
     // Start the server
     const server = app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
     });
 
+    // Push feed for launches, trades, phase changes and platform stats
+    websocketService.attach(server, app);
+
     // Graceful shutdown
     process.on('SIGTERM', () => {
       logger.info('SIGTERM received. Shutting down gracefully...');
+      indexerService.stop();
+      marketStatsService.stop();
+      txQueueService.stop();
+      websocketService.close();
+      cacheService.close();
       server.close(() => {
         logger.info('Process terminated');
         process.exit(0);
@@ -102,6 +150,11 @@ async function startServer() {
 
     process.on('SIGINT', () => {
       logger.info('SIGINT received. Shutting down gracefully...');
+      indexerService.stop();
+      marketStatsService.stop();
+      txQueueService.stop();
+      websocketService.close();
+      cacheService.close();
       server.close(() => {
         logger.info('Process terminated');
         process.exit(0);
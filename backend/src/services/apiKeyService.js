@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+
+const { DEFAULT_KEY_QUOTA, ROUTE_COSTS, WINDOW_MS } = require('../config/quotas');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const { LruStore } = require('../utils/cacheStores');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'mk_';
+// Revocations reach other processes within this time
+const KEY_CACHE_TTL_MS = 60 * 1000;
+const KEY_CACHE_SIZE = 1000;
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Plain { class: limit } object from a lean document or a Mongoose Map
+const classLimits = (classes) => (classes instanceof Map ? Object.fromEntries(classes) : { ...(classes || {}) });
+
+class ApiKeyService {
+  constructor() {
+    // keyHash -> active apiKey. Unknown keys are not cached, so made-up keys can't fill it.
+    this.keyCache = new LruStore(KEY_CACHE_SIZE);
+    // Consumer ("key:<id>" or "ip:<address>") -> usage in the current window
+    this.windows = new Map();
+    this.sweptWindow = 0;
+    this.lastUsedWrites = new Map();
+  }
+
+  /**
+   * Create a key. The plaintext key is only returned here; afterwards only its hash exists.
+   */
+  async issue({ name, contact = '', quota = {} }, createdBy) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      name,
+      contact,
+      keyHash: hashKey(key),
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      quota: {
+        points: quota.points || DEFAULT_KEY_QUOTA.points,
+        classes: { ...DEFAULT_KEY_QUOTA.classes, ...(quota.classes || {}) }
+      },
+      createdBy
+    });
+
+    logger.info(`API key issued: ${apiKey.prefix} (${name})`, { admin: createdBy });
+    return { key, apiKey };
+  }
+
+  async update(id, { name, contact, quota = {} }) {
+    const updates = {};
+    if (name !== undefined) {
+      updates.name = name;
+    }
+    if (contact !== undefined) {
+      updates.contact = contact;
+    }
+    if (quota.points !== undefined) {
+      updates['quota.points'] = quota.points;
+    }
+    if (quota.classes !== undefined) {
+      updates['quota.classes'] = quota.classes;
+    }
+
+    const apiKey = await ApiKey.findByIdAndUpdate(id, { $set: updates }, { new: true, runValidators: true });
+    if (apiKey) {
+      await this.forget(apiKey);
+    }
+    return apiKey;
+  }
+
+  // Revoking is final and idempotent; the key's usage history is kept
+  async revoke(id, revokedBy) {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: id, isActive: true },
+      { $set: { isActive: false, revokedAt: new Date(), revokedBy } },
+      { new: true }
+    );
+    if (!apiKey) {
+      return ApiKey.findById(id);
+    }
+
+    await this.forget(apiKey);
+    logger.info(`API key revoked: ${apiKey.prefix} (${apiKey.name})`, { admin: revokedBy });
+    return apiKey;
+  }
+
+  forget(apiKey) {
+    return this.keyCache.del(apiKey.keyHash);
+  }
+
+  // Active key for a presented secret, or null
+  async authenticate(key) {
+    if (!key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const keyHash = hashKey(key);
+    const cached = await this.keyCache.get(keyHash);
+    if (cached) {
+      return cached;
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash, isActive: true }).lean();
+    if (!apiKey) {
+      return null;
+    }
+
+    apiKey.quota.classes = classLimits(apiKey.quota.classes);
+    await this.keyCache.set(keyHash, apiKey, KEY_CACHE_TTL_MS);
+    return apiKey;
+  }
+
+  // Usage of a consumer in the current fixed window, starting a new window when due
+  getWindow(consumer) {
+    const now = Date.now();
+    const windowStart = now - (now % WINDOW_MS);
+
+    // Drop every consumer's previous window once per rollover
+    if (windowStart !== this.sweptWindow) {
+      for (const [id, usage] of this.windows) {
+        if (usage.windowStart !== windowStart) {
+          this.windows.delete(id);
+        }
+      }
+      this.sweptWindow = windowStart;
+    }
+
+    let usage = this.windows.get(consumer);
+    if (!usage) {
+      usage = { windowStart, points: 0, classes: {} };
+      this.windows.set(consumer, usage);
+    }
+    return usage;
+  }
+
+  /**
+   * Charge one call of `routeClass` to a consumer. The call is refused without being
+   * charged when either the points budget or the class limit would be exceeded.
+   */
+  consume(consumer, quota, routeClass) {
+    const usage = this.getWindow(consumer);
+    const cost = ROUTE_COSTS[routeClass];
+    const classLimit = quota.classes[routeClass];
+    const classUsed = usage.classes[routeClass] || 0;
+
+    const allowed = usage.points + cost <= quota.points
+      && (classLimit === undefined || classUsed < classLimit);
+    if (allowed) {
+      usage.points += cost;
+      usage.classes[routeClass] = classUsed + 1;
+    }
+
+    return {
+      allowed,
+      routeClass,
+      cost,
+      limit: quota.points,
+      remaining: Math.max(0, quota.points - usage.points),
+      classLimit,
+      classRemaining: classLimit === undefined ? undefined : Math.max(0, classLimit - (usage.classes[routeClass] || 0)),
+      resetAt: usage.windowStart + WINDOW_MS
+    };
+  }
+
+  // Count a call in the hourly stats. Not awaited by the request.
+  recordUsage(apiKey, { routeClass, cost, allowed }) {
+    const now = Date.now();
+
+    ApiKeyUsage.updateOne(
+      { apiKey: apiKey._id, hour: new Date(now - (now % HOUR_MS)), routeClass },
+      { $inc: allowed ? { requests: 1, points: cost } : { rejected: 1 } },
+      { upsert: true }
+    ).catch(error => logger.error('Error recording API key usage:', error));
+
+    const id = String(apiKey._id);
+    if (allowed && now - (this.lastUsedWrites.get(id) || 0) >= LAST_USED_INTERVAL_MS) {
+      this.lastUsedWrites.set(id, now);
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(now) } })
+        .catch(error => logger.error('Error updating API key last use:', error));
+    }
+  }
+
+  // Points and calls used in this process's current window
+  getCurrentWindow(apiKey) {
+    const usage = this.windows.get(`key:${apiKey._id}`);
+    const windowStart = Date.now() - (Date.now() % WINDOW_MS);
+    if (!usage || usage.windowStart !== windowStart) {
+      return { points: 0, classes: {}, resetAt: new Date(windowStart + WINDOW_MS) };
+    }
+    return { points: usage.points, classes: { ...usage.classes }, resetAt: new Date(windowStart + WINDOW_MS) };
+  }
+
+  async list() {
+    const apiKeys = await ApiKey.find().select('-keyHash').sort({ createdAt: -1 }).lean();
+    return apiKeys.map(apiKey => ({ ...apiKey, currentWindow: this.getCurrentWindow(apiKey) }));
+  }
+
+  /**
+   * Usage totals and a per-route-class series between `from` and `to`, by hour or day.
+   */
+  async getUsage(id, { from, to, granularity = 'day' } = {}) {
+    const apiKey = await ApiKey.findById(id).select('-keyHash').lean();
+    if (!apiKey) {
+      return null;
+    }
+
+    const hour = { $gte: from || new Date(Date.now() - 30 * 24 * HOUR_MS) };
+    if (to) {
+      hour.$lte = to;
+    }
+
+    const bucket = granularity === 'hour'
+      ? '$hour'
+      : { $dateFromString: { dateString: { $dateToString: { format: '%Y-%m-%d', date: '$hour' } } } };
+
+    const series = await ApiKeyUsage.aggregate([
+      { $match: { apiKey: apiKey._id, hour } },
+      {
+        $group: {
+          _id: { bucket, routeClass: '$routeClass' },
+          requests: { $sum: '$requests' },
+          points: { $sum: '$points' },
+          rejected: { $sum: '$rejected' }
+        }
+      },
+      { $sort: { '_id.bucket': 1, '_id.routeClass': 1 } },
+      {
+        $project: {
+          _id: 0,
+          bucket: '$_id.bucket',
+          routeClass: '$_id.routeClass',
+          requests: 1,
+          points: 1,
+          rejected: 1
+        }
+      }
+    ]);
+
+    const totals = { requests: 0, points: 0, rejected: 0, byClass: {} };
+    for (const row of series) {
+      totals.requests += row.requests;
+      totals.points += row.points;
+      totals.rejected += row.rejected;
+
+      const byClass = totals.byClass[row.routeClass] || { requests: 0, points: 0, rejected: 0 };
+      byClass.requests += row.requests;
+      byClass.points += row.points;
+      byClass.rejected += row.rejected;
+      totals.byClass[row.routeClass] = byClass;
+    }
+
+    return {
+      apiKey,
+      granularity,
+      currentWindow: this.getCurrentWindow(apiKey),
+      totals,
+      series
+    };
+  }
+}
+
+// Create singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = {
+  apiKeyService
+};
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('../utils/logger');
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Fields covered by each event's hash, in a fixed order
+const HASHED_FIELDS = [
+  'sequence', 'timestamp', 'actor', 'roles', 'ip', 'method', 'route', 'params', 'query',
+  'before', 'after', 'transactionHash', 'blockNumber', 'outcome', 'statusCode', 'error', 'prevHash'
+];
+
+const CSV_COLUMNS = [
+  'sequence', 'timestamp', 'actor', 'roles', 'ip', 'method', 'route', 'params', 'query',
+  'before', 'after', 'transactionHash', 'blockNumber', 'outcome', 'statusCode', 'error', 'prevHash', 'hash'
+];
+
+// JSON with sorted keys, so the hash does not depend on how MongoDB orders stored objects
+const canonicalize = (value) => {
+  if (value === undefined || value === null) {
+    return 'null';
+  }
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (typeof value === 'bigint') {
+    return JSON.stringify(value.toString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashEvent = (event) => {
+  const payload = HASHED_FIELDS.map(field => canonicalize(event[field])).join('|');
+  return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+const csvCell = (value) => {
+  let text;
+  if (value === undefined || value === null) {
+    text = '';
+  } else if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value) && value.every(entry => typeof entry === 'string')) {
+    text = value.join(' ');
+  } else if (typeof value === 'object') {
+    text = canonicalize(value);
+  } else {
+    text = String(value);
+  }
+
+  // Leading formula characters are neutralised so spreadsheets don't execute them
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class AuditService {
+  constructor() {
+    // Appends from this process are serialised; the unique sequence index catches other processes
+    this.queue = Promise.resolve();
+  }
+
+  record(entry) {
+    const append = this.queue.then(() => this.append(entry));
+    this.queue = append.catch(() => {});
+    return append;
+  }
+
+  async append(entry) {
+    for (let attempt = 1; ; attempt++) {
+      const last = await AuditEvent.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+
+      const event = {
+        actor: null,
+        roles: [],
+        ip: '',
+        params: {},
+        query: {},
+        before: null,
+        after: null,
+        transactionHash: null,
+        blockNumber: null,
+        error: null,
+        ...entry,
+        sequence: last ? last.sequence + 1 : 1,
+        timestamp: entry.timestamp || new Date(),
+        prevHash: last ? last.hash : GENESIS_HASH
+      };
+      if (event.actor) {
+        event.actor = event.actor.toLowerCase();
+      }
+      if (event.transactionHash) {
+        event.transactionHash = event.transactionHash.toLowerCase();
+      }
+      event.hash = hashEvent(event);
+
+      try {
+        return await AuditEvent.create(event);
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) {
+          throw error;
+        }
+        logger.warn(`Audit sequence ${event.sequence} taken by another writer, retrying`);
+      }
+    }
+  }
+
+  buildFilter({ actor, method, route, outcome, address, transactionHash, from, to } = {}) {
+    const filter = {};
+    if (actor) {
+      filter.actor = actor.toLowerCase();
+    }
+    if (method) {
+      filter.method = method.toUpperCase();
+    }
+    if (route) {
+      filter.route = route;
+    }
+    if (outcome) {
+      filter.outcome = outcome;
+    }
+    if (address) {
+      filter['params.address'] = { $in: [address, address.toLowerCase()] };
+    }
+    if (transactionHash) {
+      filter.transactionHash = transactionHash.toLowerCase();
+    }
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) {
+        filter.timestamp.$gte = new Date(from);
+      }
+      if (to) {
+        filter.timestamp.$lte = new Date(to);
+      }
+    }
+    return filter;
+  }
+
+  async query(filters, { page = 1, limit = 50 } = {}) {
+    const filter = this.buildFilter(filters);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ sequence: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    return {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Stream matching events as CSV rows, oldest first, to `write`
+  async exportCsv(filters, write, { limit = 10000 } = {}) {
+    write(`${CSV_COLUMNS.join(',')}\r\n`);
+
+    const cursor = AuditEvent.find(this.buildFilter(filters)).sort({ sequence: 1 }).limit(limit).lean().cursor();
+    let rows = 0;
+    for await (const event of cursor) {
+      write(`${CSV_COLUMNS.map(column => csvCell(event[column])).join(',')}\r\n`);
+      rows += 1;
+    }
+    return rows;
+  }
+
+  // Recompute every hash and link in sequence order and report the first break
+  async verifyChain({ fromSequence = 1, toSequence } = {}) {
+    const range = { $gte: fromSequence };
+    if (toSequence) {
+      range.$lte = toSequence;
+    }
+
+    let previous = null;
+    if (fromSequence > 1) {
+      previous = await AuditEvent.findOne({ sequence: fromSequence - 1 }).select('sequence hash').lean();
+    }
+
+    let checked = 0;
+    const cursor = AuditEvent.find({ sequence: range }).sort({ sequence: 1 }).lean().cursor();
+    for await (const event of cursor) {
+      const expectedSequence = previous ? previous.sequence + 1 : fromSequence;
+      const expectedPrevHash = previous ? previous.hash : GENESIS_HASH;
+
+      let problem = null;
+      if (event.sequence !== expectedSequence) {
+        problem = `missing event(s) before sequence ${event.sequence}`;
+      } else if (event.prevHash !== expectedPrevHash) {
+        problem = 'prevHash does not match the previous event';
+      } else if (hashEvent(event) !== event.hash) {
+        problem = 'event contents do not match its hash';
+      }
+
+      if (problem) {
+        return { valid: false, checked, brokenAt: event.sequence, problem };
+      }
+
+      previous = event;
+      checked += 1;
+    }
+
+    return { valid: true, checked, lastSequence: previous ? previous.sequence : null, lastHash: previous ? previous.hash : null };
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+module.exports = {
+  auditService
+};
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+
+const { ethers } = require('ethers');
+const { StatusCodes } = require('http-status-codes');
+const jwt = require('jsonwebtoken');
+
+const { web3Service } = require('./web3Service');
+const { ROLES, hasRole } = require('../config/roles');
+const AdminSession = require('../models/AdminSession');
+const AdminUser = require('../models/AdminUser');
+const AuthNonce = require('../models/AuthNonce');
+const { AuthError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { buildMessage, parseMessage } = require('../utils/siwe');
+
+const JWT_ISSUER = 'memex-admin';
+const SIGN_IN_STATEMENT = 'Sign in to the Memex admin panel.';
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim().toLowerCase())
+  .filter(Boolean);
+
+class AuthService {
+  constructor() {
+    this.nonceTtl = parseInt(process.env.SIWE_NONCE_TTL_MS) || 10 * 60 * 1000;
+    this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '1h';
+  }
+
+  get domain() {
+    return process.env.SIWE_DOMAIN || new URL(this.uri).host;
+  }
+
+  get uri() {
+    return process.env.SIWE_URI || process.env.CORS_ORIGIN || 'http://localhost:3000';
+  }
+
+  getJwtSecret() {
+    if (!process.env.JWT_SECRET) {
+      throw new AuthError('Admin authentication is not configured', StatusCodes.INTERNAL_SERVER_ERROR);
+    }
+    return process.env.JWT_SECRET;
+  }
+
+  // Wallets in ADMIN_WALLETS are superadmins; everyone else gets the roles of their active AdminUser
+  async getRoles(address) {
+    if (parseList(process.env.ADMIN_WALLETS).includes(address.toLowerCase())) {
+      return [ROLES.SUPERADMIN];
+    }
+
+    const user = await AdminUser.findActive(address).lean();
+    return user ? user.roles : [];
+  }
+
+  // Addresses of every admin currently holding `role`
+  async getAdminsWithRole(role) {
+    const admins = new Set(parseList(process.env.ADMIN_WALLETS));
+
+    const users = await AdminUser.find({ isActive: true }).select('address roles').lean();
+    for (const user of users) {
+      if (hasRole(user.roles, role)) {
+        admins.add(user.address);
+      }
+    }
+
+    return admins;
+  }
+
+  // Issue a nonce and the EIP-4361 message the wallet should sign with it, for any served chain
+  async createChallenge(address, chainId = web3Service.defaultChainId) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + this.nonceTtl);
+
+    await AuthNonce.create({ nonce, address, expiresAt });
+
+    const message = buildMessage({
+      domain: this.domain,
+      address: ethers.getAddress(address),
+      statement: SIGN_IN_STATEMENT,
+      uri: this.uri,
+      chainId,
+      nonce,
+      issuedAt,
+      expirationTime: expiresAt
+    });
+
+    return { nonce, message, expiresAt };
+  }
+
+  // Verify a signed sign-in message and open a session for an allow-listed wallet
+  async login(message, signature, { ip = '', userAgent = '' } = {}) {
+    let fields;
+    try {
+      fields = parseMessage(message);
+    } catch (error) {
+      throw new AuthError(`Malformed sign-in message: ${error.message}`);
+    }
+
+    const now = new Date();
+    if (fields.domain !== this.domain) {
+      throw new AuthError('Sign-in message was issued for another domain');
+    }
+    if (fields.uri !== this.uri) {
+      throw new AuthError('Sign-in message was issued for another URI');
+    }
+    if (!web3Service.hasChain(fields.chainId)) {
+      throw new AuthError('Sign-in message was issued for an unsupported chain');
+    }
+    if (fields.expirationTime && fields.expirationTime <= now) {
+      throw new AuthError('Sign-in message has expired');
+    }
+    if (fields.notBefore && fields.notBefore > now) {
+      throw new AuthError('Sign-in message is not valid yet');
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      throw new AuthError('Invalid signature');
+    }
+    if (signer.toLowerCase() !== fields.address.toLowerCase()) {
+      throw new AuthError('Signature does not match the sign-in address');
+    }
+
+    // Consuming the nonce atomically makes every signed message single-use
+    const nonce = await AuthNonce.findOneAndUpdate(
+      {
+        nonce: fields.nonce,
+        address: signer.toLowerCase(),
+        usedAt: null,
+        expiresAt: { $gt: now }
+      },
+      { $set: { usedAt: now } }
+    );
+    if (!nonce) {
+      throw new AuthError('Unknown, used or expired nonce');
+    }
+
+    const roles = await this.getRoles(signer);
+    if (roles.length === 0) {
+      logger.warn(`Admin sign-in rejected for wallet without admin roles ${signer}`);
+      throw new AuthError('Wallet is not an admin', StatusCodes.FORBIDDEN);
+    }
+
+    const sessionId = crypto.randomUUID();
+    const token = jwt.sign({ sub: signer.toLowerCase() }, this.getJwtSecret(), {
+      expiresIn: this.jwtExpiresIn,
+      issuer: JWT_ISSUER,
+      jwtid: sessionId
+    });
+    const { exp } = jwt.decode(token);
+
+    const session = await AdminSession.create({
+      sessionId,
+      address: signer,
+      expiresAt: new Date(exp * 1000),
+      ip,
+      userAgent: userAgent.slice(0, 200)
+    });
+
+    logger.info(`Admin signed in: ${signer}`, { sessionId });
+
+    return { token, expiresAt: session.expiresAt, address: session.address, roles };
+  }
+
+  // Resolve a bearer token to its live session and current roles. JWT errors propagate to the error handler.
+  async authenticate(token) {
+    const claims = jwt.verify(token, this.getJwtSecret(), { issuer: JWT_ISSUER });
+
+    const session = await AdminSession.findActive(claims.jti);
+    if (!session) {
+      throw new AuthError('Session has been revoked');
+    }
+
+    // Roles are read on every request, so role changes and removals apply immediately
+    const roles = await this.getRoles(session.address);
+    if (roles.length === 0) {
+      throw new AuthError('Wallet is no longer an admin', StatusCodes.FORBIDDEN);
+    }
+
+    return { session, roles };
+  }
+
+  async revokeSession(sessionId) {
+    await AdminSession.updateOne({ sessionId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+  }
+
+  async revokeAllSessions(address) {
+    const { modifiedCount } = await AdminSession.updateMany(
+      { address: address.toLowerCase(), revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    return modifiedCount;
+  }
+}
+
+// Create singleton instance
+const authService = new AuthService();
+
+module.exports = {
+  authService
+};
@@ -0,0 +1,92 @@
+const IndexedBlock = require('../models/IndexedBlock');
+const logger = require('../utils/logger');
+
+const parseConfirmations = (value) => {
+  const confirmations = parseInt(value);
+  return Number.isNaN(confirmations) || confirmations < 0 ? 12 : confirmations;
+};
+
+class BlockCursorService {
+  constructor() {
+    this.confirmations = parseConfirmations(process.env.INDEXER_CONFIRMATIONS);
+    this.historySize = parseInt(process.env.INDEXER_BLOCK_HISTORY) || 256;
+  }
+
+  // Highest block considered final enough to index
+  getSafeBlock(headBlock) {
+    return Math.max(headBlock - this.confirmations, -1);
+  }
+
+  // Check that nextBlock builds on the last block we processed on the client's chain. Returns the
+  // fork point (last block still shared with the canonical chain) or null when there was no reorg.
+  async findReorg(client, nextBlock) {
+    const previous = await IndexedBlock.findOne({ chainId: client.chainId, number: nextBlock - 1 }).lean();
+    if (!previous) {
+      return null;
+    }
+
+    const header = await client.getBlockHeader(nextBlock);
+    if (header && header.parentHash === previous.hash) {
+      return null;
+    }
+
+    logger.warn(`Parent hash mismatch at block ${nextBlock}: expected ${previous.hash}, got ${header ? header.parentHash : 'no block'}`);
+    return this.findForkPoint(client);
+  }
+
+  // Hashes are chained, so the newest stored block that still matches the chain is a common ancestor
+  async findForkPoint(client) {
+    const stored = await IndexedBlock.findRecent(client.chainId, this.historySize).lean();
+
+    for (const block of stored) {
+      const header = await client.getBlockHeader(block.number);
+      if (header && header.hash === block.hash) {
+        return block.number;
+      }
+    }
+
+    throw new Error(`Reorg is deeper than the ${stored.length} stored block hash(es); reset the indexer checkpoint to resync`);
+  }
+
+  async recordBlock(client, blockNumber) {
+    const { chainId } = client;
+    const header = await client.getBlockHeader(blockNumber);
+    if (!header) {
+      throw new Error(`Block ${blockNumber} not found on chain ${chainId}`);
+    }
+
+    await IndexedBlock.updateOne(
+      { chainId, number: header.number },
+      {
+        $set: {
+          hash: header.hash,
+          parentHash: header.parentHash,
+          timestamp: new Date(header.timestamp * 1000)
+        }
+      },
+      { upsert: true }
+    );
+
+    // Keep only the most recent historySize blocks
+    const oldest = await IndexedBlock.findOne({ chainId })
+      .sort({ number: -1 })
+      .skip(this.historySize - 1)
+      .lean();
+    if (oldest) {
+      await IndexedBlock.deleteMany({ chainId, number: { $lt: oldest.number } });
+    }
+
+    return header;
+  }
+
+  async rewind(chainId, forkBlock) {
+    await IndexedBlock.deleteMany({ chainId, number: { $gt: forkBlock } });
+  }
+}
+
+// Create singleton instance
+const blockCursorService = new BlockCursorService();
+
+module.exports = {
+  blockCursorService
+};
@@ -0,0 +1,152 @@
+const { eventBus, EVENTS } = require('./eventBus');
+const { CACHE_SETTINGS, CACHE_STORES } = require('../config/cache');
+const { LruStore, RedisStore } = require('../utils/cacheStores');
+const logger = require('../utils/logger');
+
+// Admin calls that change what the cached Factory reads return
+const SETTINGS_METHODS = ['updateDeploymentFee', 'updateBondingCurveSettings'];
+
+// Tags name what a cached response was read from; bumping a tag's version invalidates its entries
+const TAGS = {
+  factory: (chainId) => `factory:${chainId}`,
+  curve: (bondingCurveAddress) => `curve:${bondingCurveAddress.toLowerCase()}`
+};
+
+/**
+ * Response cache in front of RPC-backed routes (see middleware/cache.js). Every entry is stored
+ * under the current versions of its tags, and chain events bump those versions, so an entry is
+ * never served after the event that made it stale. Versions live in the store, so instances
+ * sharing a Redis store see each other's invalidations.
+ */
+class CacheService {
+  constructor() {
+    this.enabled = CACHE_SETTINGS.enabled;
+    this.store = null;
+    this.hits = 0;
+    this.misses = 0;
+    this.errors = 0;
+    this.listeners = {
+      [EVENTS.FACTORY_SETTINGS_UPDATED]: ({ chainId }) => this.invalidate(TAGS.factory(chainId)),
+      // A trade changes the curve's reserves; its indexed stats follow once the range is processed
+      [EVENTS.TRADE]: ({ bondingCurveAddress }) => this.invalidate(TAGS.curve(bondingCurveAddress)),
+      [EVENTS.TOKEN_PROGRESS]: ({ bondingCurveAddress }) => this.invalidate(TAGS.curve(bondingCurveAddress)),
+      // The indexer only sees the settings event once it is confirmed; the admin who sent it shouldn't wait
+      [EVENTS.TX_JOB_FINISHED]: job => {
+        if (SETTINGS_METHODS.includes(job.method)) {
+          this.invalidate(TAGS.factory(job.chainId));
+        }
+      }
+    };
+  }
+
+  async initialize() {
+    if (!this.enabled) {
+      logger.info('Response cache disabled');
+      return;
+    }
+
+    const { store, redisUrl, maxEntries } = CACHE_SETTINGS;
+    if (!CACHE_STORES.includes(store)) {
+      throw new Error(`Invalid CACHE_STORE "${store}"; use ${CACHE_STORES.join(' or ')}`);
+    }
+
+    if (store === 'redis') {
+      this.store = new RedisStore(redisUrl);
+      await this.store.connect();
+    } else {
+      this.store = new LruStore(maxEntries);
+    }
+
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      eventBus.on(event, listener);
+    }
+
+    logger.info(`Response cache initialized (${store} store)`);
+  }
+
+  key(name) {
+    return `${CACHE_SETTINGS.keyPrefix}${name}`;
+  }
+
+  // Key of an entry under the tags' current versions
+  async versionedKey(name, tags) {
+    const versions = tags.length ? await this.store.mget(tags.map(tag => this.key(`tag:${tag}`))) : [];
+    const suffix = tags.map((tag, index) => `${tag}@${versions[index] || 0}`).join(',');
+    return this.key(`${name}|${suffix}`);
+  }
+
+  /**
+   * Cached entry under `name` (null on a miss), and the key to store a fresh one under. The key
+   * is taken before the response is computed, so an invalidation meanwhile isn't lost.
+   */
+  async get(name, tags) {
+    const key = await this.versionedKey(name, tags);
+    const value = await this.store.get(key);
+
+    if (value === null) {
+      this.misses++;
+      return { key, entry: null };
+    }
+    this.hits++;
+    return { key, entry: JSON.parse(value) };
+  }
+
+  async set(key, entry, ttlMs) {
+    await this.store.set(key, JSON.stringify(entry), ttlMs);
+  }
+
+  // Drop every entry stored under the tag
+  async invalidate(tag) {
+    if (!this.store) {
+      return;
+    }
+
+    try {
+      await this.store.incr(this.key(`tag:${tag}`));
+    } catch (error) {
+      this.errors++;
+      logger.warn(`Could not invalidate cache tag ${tag}: ${error.message}`);
+    }
+  }
+
+  // Counted by middleware/cache.js when the store fails and a request is served uncached
+  recordError() {
+    this.errors++;
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      store: CACHE_SETTINGS.store,
+      entries: this.store instanceof LruStore ? this.store.size : undefined,
+      hits: this.hits,
+      misses: this.misses,
+      errors: this.errors
+    };
+  }
+
+  async close() {
+    if (!this.store) {
+      return;
+    }
+
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      eventBus.off(event, listener);
+    }
+    const { store } = this;
+    this.store = null;
+    try {
+      await store.close();
+    } catch (error) {
+      logger.warn(`Error closing the cache store: ${error.message}`);
+    }
+  }
+}
+
+// Create singleton instance
+const cacheService = new CacheService();
+
+module.exports = {
+  cacheService,
+  TAGS
+};
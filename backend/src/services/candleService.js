@@ -0,0 +1,136 @@
+const { ethers } = require('ethers');
+
+const Trade = require('../models/Trade');
+
+// Candle intervals in milliseconds
+const INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+const maxOf = (a, b) => (a > b ? a : b);
+const minOf = (a, b) => (a < b ? a : b);
+
+class CandleService {
+  // Build OHLCV candles from the trade ledger. Prices are the spot prices recorded on each
+  // trade (BondingMath.getCurrentPrice after the trade), so a candle opens at the previous close.
+  async getCandles(bondingCurveAddress, { interval = '1h', from, to, limit = DEFAULT_LIMIT } = {}) {
+    const intervalMs = INTERVALS[interval];
+    if (!intervalMs) {
+      throw new Error(`Unsupported candle interval: ${interval}`);
+    }
+
+    const curve = bondingCurveAddress.toLowerCase();
+    const maxCandles = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    // Align the window to bucket boundaries. With `from` the window runs forward from it,
+    // otherwise it ends at `to` (or now); either way it spans at most maxCandles buckets.
+    const endTime = Math.min(to ? to.getTime() : Date.now(), Date.now());
+    let lastBucket = Math.floor(endTime / intervalMs) * intervalMs;
+    let firstBucket;
+    if (from) {
+      firstBucket = Math.floor(from.getTime() / intervalMs) * intervalMs;
+      lastBucket = Math.min(lastBucket, firstBucket + (maxCandles - 1) * intervalMs);
+    } else {
+      firstBucket = lastBucket - (maxCandles - 1) * intervalMs;
+    }
+
+    if (firstBucket > lastBucket) {
+      return { interval, from: new Date(firstBucket), to: new Date(lastBucket + intervalMs), candles: [] };
+    }
+
+    const previousTrade = await Trade.findOne({
+      bondingCurveAddress: curve,
+      timestamp: { $lt: new Date(firstBucket) }
+    })
+      .sort({ blockNumber: -1, logIndex: -1 })
+      .select('price')
+      .lean();
+
+    const buckets = new Map();
+    const cursor = Trade.find({
+      bondingCurveAddress: curve,
+      timestamp: { $gte: new Date(firstBucket), $lt: new Date(lastBucket + intervalMs) }
+    })
+      .sort({ blockNumber: 1, logIndex: 1 })
+      .select('price ethIn ethOut sellFee tokensIn tokensOut timestamp')
+      .lean()
+      .cursor();
+
+    for await (const trade of cursor) {
+      const bucketTime = Math.floor(trade.timestamp.getTime() / intervalMs) * intervalMs;
+      const price = ethers.parseEther(trade.price);
+      const volume = ethers.parseEther(trade.ethIn) + ethers.parseEther(trade.ethOut) + ethers.parseEther(trade.sellFee);
+      const tokenVolume = ethers.parseUnits(trade.tokensIn, 18) + ethers.parseUnits(trade.tokensOut, 18);
+
+      const bucket = buckets.get(bucketTime);
+      if (!bucket) {
+        buckets.set(bucketTime, { first: price, high: price, low: price, close: price, volume, tokenVolume, trades: 1 });
+      } else {
+        bucket.high = maxOf(bucket.high, price);
+        bucket.low = minOf(bucket.low, price);
+        bucket.close = price;
+        bucket.volume += volume;
+        bucket.tokenVolume += tokenVolume;
+        bucket.trades += 1;
+      }
+    }
+
+    const candles = [];
+    let previousClose = previousTrade ? ethers.parseEther(previousTrade.price) : null;
+
+    for (let time = firstBucket; time <= lastBucket; time += intervalMs) {
+      const bucket = buckets.get(time);
+
+      if (bucket) {
+        const open = previousClose !== null ? previousClose : bucket.first;
+        candles.push({
+          time: time / 1000,
+          open: ethers.formatEther(open),
+          high: ethers.formatEther(maxOf(bucket.high, open)),
+          low: ethers.formatEther(minOf(bucket.low, open)),
+          close: ethers.formatEther(bucket.close),
+          volume: ethers.formatEther(bucket.volume),
+          tokenVolume: ethers.formatUnits(bucket.tokenVolume, 18),
+          trades: bucket.trades
+        });
+        previousClose = bucket.close;
+      } else if (previousClose !== null) {
+        // Gap: carry the previous close forward as a flat, zero-volume candle
+        const close = ethers.formatEther(previousClose);
+        candles.push({
+          time: time / 1000,
+          open: close,
+          high: close,
+          low: close,
+          close,
+          volume: '0.0',
+          tokenVolume: '0.0',
+          trades: 0
+        });
+      }
+    }
+
+    return {
+      interval,
+      from: new Date(firstBucket),
+      to: new Date(lastBucket + intervalMs),
+      candles
+    };
+  }
+}
+
+// Create singleton instance
+const candleService = new CandleService();
+
+module.exports = {
+  candleService,
+  INTERVALS
+};
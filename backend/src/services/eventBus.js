@@ -0,0 +1,33 @@
+const { EventEmitter } = require('events');
+
+const logger = require('../utils/logger');
+
+// In-process events published by the indexer and the transaction queue for push consumers (WebSocket feed, caches, proposals)
+const EVENTS = {
+  TOKEN_LAUNCHED: 'token:launched',
+  TRADE: 'trade',
+  TOKEN_PROGRESS: 'token:progress',
+  INDEXER_SYNCED: 'indexer:synced',
+  FACTORY_SETTINGS_UPDATED: 'factory:settings-updated',
+  TX_JOB_FINISHED: 'tx-job:finished'
+};
+
+class EventBus extends EventEmitter {
+  // A failing listener must never break ingestion
+  publish(event, payload) {
+    try {
+      this.emit(event, payload);
+    } catch (error) {
+      logger.error(`Error in ${event} listener:`, error);
+    }
+  }
+}
+
+// Create singleton instance
+const eventBus = new EventBus();
+eventBus.setMaxListeners(50);
+
+module.exports = {
+  eventBus,
+  EVENTS
+};
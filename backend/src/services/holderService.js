@@ -0,0 +1,251 @@
+const { ethers } = require('ethers');
+
+const { web3Service } = require('./web3Service');
+const Token = require('../models/Token');
+const TokenHolder = require('../models/TokenHolder');
+const TokenTransfer = require('../models/TokenTransfer');
+const Trade = require('../models/Trade');
+const { TOTAL_SUPPLY } = require('../utils/bondingMath');
+const { toBigInt, toDecimal } = require('../utils/decimal');
+const logger = require('../utils/logger');
+
+// Share of total supply with four decimals
+const toPercentage = (balance) => (Number((balance * 1000000n) / TOTAL_SUPPLY) / 10000).toFixed(4);
+
+class HolderService {
+  // Index Transfer logs of every known token on the client's chain in [fromBlock, toBlock] and refresh affected balances
+  async ingestRange(client, fromBlock, toBlock) {
+    const tokens = await Token.find({ chainId: client.chainId, deploymentBlockNumber: { $lte: toBlock } })
+      .select('tokenAddress')
+      .lean();
+
+    if (tokens.length === 0) {
+      return 0;
+    }
+
+    const transfers = await client.getTokenTransferEvents(
+      tokens.map(token => token.tokenAddress),
+      fromBlock,
+      toBlock
+    );
+
+    if (transfers.length === 0) {
+      return 0;
+    }
+
+    // Upserting by (tx, log index) lets a range be replayed without double counting
+    await TokenTransfer.bulkWrite(transfers.map(transfer => ({
+      updateOne: {
+        filter: {
+          transactionHash: transfer.transactionHash.toLowerCase(),
+          logIndex: transfer.logIndex
+        },
+        update: {
+          $set: {
+            chainId: client.chainId,
+            tokenAddress: transfer.address,
+            from: transfer.args.from.toLowerCase(),
+            to: transfer.args.to.toLowerCase(),
+            value: toDecimal(transfer.args.value),
+            blockNumber: transfer.blockNumber
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: true });
+
+    const affected = new Map();
+    for (const transfer of transfers) {
+      if (!affected.has(transfer.address)) {
+        affected.set(transfer.address, new Set());
+      }
+      affected.get(transfer.address).add(transfer.args.from.toLowerCase());
+      affected.get(transfer.address).add(transfer.args.to.toLowerCase());
+    }
+
+    for (const [tokenAddress, holders] of affected) {
+      await this.recomputeBalances(tokenAddress, [...holders]);
+    }
+
+    logger.info(`Indexed ${transfers.length} transfer(s) across ${affected.size} token(s) in blocks ${fromBlock}-${toBlock} on chain ${client.chainId}`);
+    return transfers.length;
+  }
+
+  // Drop the chain's transfers after the fork point and rebuild the balances they touched
+  async rollback(chainId, forkBlock) {
+    const affected = await TokenTransfer.aggregate([
+      { $match: { chainId, blockNumber: { $gt: forkBlock } } },
+      { $group: { _id: '$tokenAddress', from: { $addToSet: '$from' }, to: { $addToSet: '$to' } } }
+    ]);
+
+    const { deletedCount } = await TokenTransfer.deleteMany({ chainId, blockNumber: { $gt: forkBlock } });
+
+    for (const entry of affected) {
+      await this.recomputeBalances(entry._id, [...new Set([...entry.from, ...entry.to])]);
+    }
+
+    logger.info(`Rolled back ${deletedCount} transfer(s) across ${affected.length} token(s) after block ${forkBlock} on chain ${chainId}`);
+  }
+
+  // Balances are always rebuilt from the transfer ledger, never incremented in place
+  async recomputeBalances(tokenAddress, holders) {
+    const token = tokenAddress.toLowerCase();
+    const addresses = holders
+      .map(holder => holder.toLowerCase())
+      .filter(holder => holder !== ethers.ZeroAddress);
+
+    if (addresses.length === 0) {
+      return;
+    }
+
+    const [incoming, outgoing] = await Promise.all([
+      TokenTransfer.aggregate([
+        { $match: { tokenAddress: token, to: { $in: addresses } } },
+        { $group: { _id: '$to', total: { $sum: '$value' }, lastBlock: { $max: '$blockNumber' } } }
+      ]),
+      TokenTransfer.aggregate([
+        { $match: { tokenAddress: token, from: { $in: addresses } } },
+        { $group: { _id: '$from', total: { $sum: '$value' }, lastBlock: { $max: '$blockNumber' } } }
+      ])
+    ]);
+
+    const incomingByHolder = new Map(incoming.map(entry => [entry._id, entry]));
+    const outgoingByHolder = new Map(outgoing.map(entry => [entry._id, entry]));
+
+    await TokenHolder.bulkWrite(addresses.map(address => {
+      const received = incomingByHolder.get(address);
+      const sent = outgoingByHolder.get(address);
+      const balance = toBigInt(received && received.total) - toBigInt(sent && sent.total);
+      const lastActivityBlock = Math.max(received ? received.lastBlock : 0, sent ? sent.lastBlock : 0);
+
+      if (!received && !sent) {
+        return { deleteOne: { filter: { tokenAddress: token, address } } };
+      }
+
+      return {
+        updateOne: {
+          filter: { tokenAddress: token, address },
+          update: { $set: { balance: toDecimal(balance), lastActivityBlock } },
+          upsert: true
+        }
+      };
+    }), { ordered: true });
+  }
+
+  // Contracts that hold supply on behalf of the protocol rather than a trader
+  async getKnownAddresses(token) {
+    const known = {
+      [token.bondingCurveAddress]: 'bondingCurve'
+    };
+
+    try {
+      known[await web3Service.forChain(token.chainId).getLockAddress()] = 'lock';
+    } catch (error) {
+      logger.warn(`Lock address unavailable for holder labels: ${error.message}`);
+    }
+
+    if (token.uniswapPool) {
+      known[token.uniswapPool] = 'uniswapPool';
+    }
+
+    return known;
+  }
+
+  formatHolder(holder, known) {
+    const balance = toBigInt(holder.balance);
+    const label = known[holder.address] || null;
+
+    return {
+      address: holder.address,
+      balance: ethers.formatUnits(balance, 18),
+      percentage: toPercentage(balance),
+      isKnownAddress: label !== null,
+      label,
+      lastActivityBlock: holder.lastActivityBlock
+    };
+  }
+
+  async getHolders(token, { page = 1, limit = 50, topCount = 10 } = {}) {
+    const known = await this.getKnownAddresses(token);
+    const knownAddresses = Object.keys(known);
+
+    const [holders, holderCount, topHolders] = await Promise.all([
+      TokenHolder.findHolders(token.tokenAddress)
+        .sort({ balance: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      TokenHolder.findHolders(token.tokenAddress).countDocuments(),
+      TokenHolder.findHolders(token.tokenAddress)
+        .where('address').nin(knownAddresses)
+        .sort({ balance: -1 })
+        .limit(topCount)
+        .lean()
+    ]);
+
+    return {
+      holderCount,
+      holders: holders.map(holder => this.formatHolder(holder, known)),
+      topHolders: topHolders.map(holder => this.formatHolder(holder, known)),
+      knownAddresses: known
+    };
+  }
+
+  // Pre-bonding allocations sit in the curve until claimed after finalization, so they are
+  // reported from the contribution ledger (and the live curve once claims are possible)
+  async getPreBondingAllocations(token, { limit = 50 } = {}) {
+    const allocations = await Trade.aggregate([
+      { $match: { bondingCurveAddress: token.bondingCurveAddress, type: 'contribution' } },
+      {
+        $group: {
+          _id: '$wallet',
+          contributed: { $sum: { $toDecimal: '$ethIn' } },
+          allocated: { $sum: { $toDecimal: '$tokensOut' } }
+        }
+      },
+      { $sort: { allocated: -1 } }
+    ]);
+
+    let totalAllocated = 0n;
+    const entries = allocations.map(entry => {
+      const allocated = toBigInt(entry.allocated, 18);
+      totalAllocated += allocated;
+      return {
+        address: entry._id,
+        contributed: ethers.formatEther(toBigInt(entry.contributed, 18)),
+        allocation: allocated
+      };
+    });
+
+    const listed = entries.slice(0, limit);
+
+    // After finalization contributors can withdraw, so the unclaimed part comes from the curve
+    if (token.isFinalized) {
+      await Promise.all(listed.map(async entry => {
+        const { tokenAllocation } = await web3Service.forChain(token.chainId).getUserContribution(token.bondingCurveAddress, entry.address);
+        entry.unclaimed = tokenAllocation;
+      }));
+    }
+
+    return {
+      contributors: entries.length,
+      totalAllocated: ethers.formatUnits(totalAllocated, 18),
+      percentage: toPercentage(totalAllocated),
+      claimable: token.isFinalized,
+      allocations: listed.map(entry => ({
+        address: entry.address,
+        contributed: entry.contributed,
+        allocation: ethers.formatUnits(entry.allocation, 18),
+        percentage: toPercentage(entry.allocation),
+        ...(entry.unclaimed !== undefined && { unclaimed: entry.unclaimed })
+      }))
+    };
+  }
+}
+
+// Create singleton instance
+const holderService = new HolderService();
+
+module.exports = {
+  holderService
+};
@@ -0,0 +1,311 @@
+const { blockCursorService } = require('./blockCursorService');
+const { eventBus, EVENTS } = require('./eventBus');
+const { holderService } = require('./holderService');
+const { tradeService } = require('./tradeService');
+const { volumeService } = require('./volumeService');
+const { web3Service } = require('./web3Service');
+const AdminProposal = require('../models/AdminProposal');
+const IndexedBlock = require('../models/IndexedBlock');
+const IndexerState = require('../models/IndexerState');
+const Token = require('../models/Token');
+const TokenTransfer = require('../models/TokenTransfer');
+const Trade = require('../models/Trade');
+const VolumeRollup = require('../models/VolumeRollup');
+const logger = require('../utils/logger');
+
+// Each chain keeps its own checkpoint under factory-deployments:<chainId>
+const FACTORY_CHECKPOINT_PREFIX = 'factory-deployments';
+const checkpointKey = (chainId) => `${FACTORY_CHECKPOINT_PREFIX}:${chainId}`;
+
+class IndexerService {
+  constructor() {
+    this.isRunning = false;
+    this.isSyncing = false;
+    this.timer = null;
+    this.pollInterval = parseInt(process.env.INDEXER_POLL_INTERVAL_MS) || 15000;
+    this.batchSize = parseInt(process.env.INDEXER_BATCH_SIZE) || 2000;
+  }
+
+  /**
+   * Data indexed before the backend served several chains has no chainId. It all came from the
+   * default chain, so it is tagged with it, and the old checkpoint and block index are renamed.
+   */
+  async migrateSingleChainData() {
+    const chainId = web3Service.defaultChainId;
+
+    for (const Model of [Token, Trade, TokenTransfer, VolumeRollup, IndexedBlock, AdminProposal]) {
+      const { modifiedCount } = await Model.updateMany({ chainId: { $exists: false } }, { $set: { chainId } });
+      if (modifiedCount > 0) {
+        logger.info(`Tagged ${modifiedCount} ${Model.modelName} document(s) with chain ${chainId}`);
+      }
+    }
+
+    await IndexerState.updateOne(
+      { key: FACTORY_CHECKPOINT_PREFIX },
+      { $set: { key: checkpointKey(chainId) } }
+    );
+    // Block numbers are unique per chain now, not globally
+    await IndexedBlock.syncIndexes();
+  }
+
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info(`Chain indexer started (poll every ${this.pollInterval}ms, batch ${this.batchSize} blocks)`);
+
+    // The first catch-up can span many batches, so it runs in the background
+    this.timer = setTimeout(async () => {
+      await volumeService.backfill().catch(error => logger.error('Error backfilling volume rollups:', error));
+      this.poll();
+    }, 0);
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    logger.info('Chain indexer stopped');
+  }
+
+  async poll() {
+    await this.sync();
+
+    if (this.isRunning) {
+      this.timer = setTimeout(() => this.poll(), this.pollInterval);
+    }
+  }
+
+  async getCheckpoint(client) {
+    const state = await IndexerState.findByKey(checkpointKey(client.chainId));
+    if (state) {
+      return state.lastProcessedBlock;
+    }
+    return Math.max(client.chain.startBlock - 1, -1);
+  }
+
+  async saveCheckpoint(client, lastProcessedBlock, lastSeenBlock, lastSafeBlock) {
+    await IndexerState.updateOne(
+      { key: checkpointKey(client.chainId) },
+      {
+        $set: {
+          lastProcessedBlock,
+          lastSeenBlock,
+          lastSafeBlock,
+          lastSyncedAt: new Date(),
+          lastError: ''
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  // Sync every chain in turn; a failing chain records its error and does not hold up the others
+  async sync() {
+    if (this.isSyncing) {
+      return;
+    }
+
+    this.isSyncing = true;
+    try {
+      for (const client of web3Service.getClients()) {
+        try {
+          await this.syncChain(client);
+        } catch (error) {
+          logger.error(`Chain indexer sync failed on chain ${client.chainId}:`, error);
+          await IndexerState.updateOne(
+            { key: checkpointKey(client.chainId) },
+            { $set: { lastError: error.message } }
+          ).catch(() => {});
+        }
+      }
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  // Walk from the chain's stored checkpoint to the last block with enough confirmations in batches,
+  // saving progress after each batch so a restart resumes where the last run stopped.
+  // Before each batch the block cursor checks that the chain still builds on what was indexed.
+  async syncChain(client) {
+    const headBlock = await client.getBlockNumber();
+    const safeBlock = blockCursorService.getSafeBlock(headBlock);
+    let lastProcessedBlock = await this.getCheckpoint(client);
+
+    while (lastProcessedBlock < safeBlock) {
+      const fromBlock = lastProcessedBlock + 1;
+      const forkBlock = await blockCursorService.findReorg(client, fromBlock);
+      if (forkBlock !== null) {
+        await this.rollback(client, forkBlock, lastProcessedBlock);
+        lastProcessedBlock = forkBlock;
+        continue;
+      }
+
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, safeBlock);
+      await this.processRange(client, fromBlock, toBlock);
+      await blockCursorService.recordBlock(client, toBlock);
+      await this.saveCheckpoint(client, toBlock, headBlock, safeBlock);
+      lastProcessedBlock = toBlock;
+      eventBus.publish(EVENTS.INDEXER_SYNCED, { chainId: client.chainId, fromBlock, toBlock, headBlock });
+    }
+
+    await this.saveCheckpoint(client, lastProcessedBlock, headBlock, safeBlock);
+  }
+
+  // Undo everything derived from the chain's blocks after the fork point so they can be re-ingested
+  async rollback(client, forkBlock, lastProcessedBlock) {
+    const { chainId } = client;
+    logger.warn(`Chain reorg detected on chain ${chainId}: rolling back blocks ${forkBlock + 1}-${lastProcessedBlock}`);
+
+    await tradeService.rollback(chainId, forkBlock);
+    await holderService.rollback(chainId, forkBlock);
+
+    // Deployments after the fork may never reappear. Their tokens can hold metadata registered through
+    // the API or set by moderators, so they are hidden rather than deleted (handleDeployment relinks them).
+    const { modifiedCount } = await Token.updateMany(
+      { chainId, deploymentBlockNumber: { $gt: forkBlock }, isActive: true },
+      { $set: { isActive: false, reorgedAt: new Date() } }
+    );
+
+    // The checkpoint moves before the stored hashes so an interrupted rollback is detected again
+    await IndexerState.updateOne(
+      { key: checkpointKey(chainId) },
+      {
+        $set: { lastProcessedBlock: forkBlock, lastReorgAt: new Date(), lastForkBlock: forkBlock },
+        $inc: { reorgCount: 1 }
+      },
+      { upsert: true }
+    );
+    await blockCursorService.rewind(chainId, forkBlock);
+
+    logger.warn(`Rolled back chain ${chainId} to block ${forkBlock} (${modifiedCount} token deployment(s) hidden)`);
+  }
+
+  async processRange(client, fromBlock, toBlock) {
+    const deployments = await client.getDeploymentEvents(fromBlock, toBlock);
+
+    for (const deployment of deployments) {
+      await this.handleDeployment(client, deployment);
+    }
+
+    if (deployments.length > 0) {
+      logger.info(`Indexed ${deployments.length} deployment(s) in blocks ${fromBlock}-${toBlock} on chain ${client.chainId}`);
+    }
+
+    // Deployments go first so curves launched in this range have their trades and transfers picked up too
+    await tradeService.ingestRange(client, fromBlock, toBlock);
+    await holderService.ingestRange(client, fromBlock, toBlock);
+
+    // Settings changes aren't stored; they invalidate cached Factory reads (see cacheService)
+    const settingsEvents = await client.getFactorySettingsEvents(fromBlock, toBlock);
+    for (const event of settingsEvents) {
+      logger.info(`Factory ${event.name} on chain ${client.chainId} at block ${event.blockNumber}`);
+      eventBus.publish(EVENTS.FACTORY_SETTINGS_UPDATED, {
+        chainId: client.chainId,
+        event: event.name,
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber
+      });
+    }
+  }
+
+  async handleDeployment(client, deployment) {
+    const [deploymentFee, launchedAt] = await Promise.all([
+      client.getDeploymentFeePaid(deployment.transactionHash, deployment.blockNumber),
+      client.getBlockTimestamp(deployment.blockNumber)
+    ]);
+
+    const tokenAddress = deployment.tokenAddress.toLowerCase();
+
+    // A deployment that a reorg dropped and that was mined again brings its token back (see rollback)
+    await Token.updateOne(
+      { chainId: client.chainId, tokenAddress, reorgedAt: { $ne: null } },
+      { $set: { isActive: true, reorgedAt: null } }
+    );
+
+    // Chain-derived fields are always refreshed; metadata entered through the API is left alone
+    const token = await Token.findOneAndUpdate(
+      { chainId: client.chainId, tokenAddress },
+      {
+        $set: {
+          bondingCurveAddress: deployment.bondingCurveAddress.toLowerCase(),
+          owner: deployment.owner.toLowerCase(),
+          deploymentTxHash: deployment.transactionHash.toLowerCase(),
+          deploymentBlockNumber: deployment.blockNumber,
+          launchedAt: new Date(launchedAt * 1000),
+          deploymentFee
+        },
+        $setOnInsert: {
+          name: deployment.name.trim().slice(0, 100),
+          symbol: deployment.symbol.trim().slice(0, 20)
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+
+    logger.info(`Indexed token deployment: ${token.name} (${token.symbol})`, {
+      chainId: token.chainId,
+      tokenAddress: token.tokenAddress,
+      bondingCurveAddress: token.bondingCurveAddress,
+      blockNumber: deployment.blockNumber
+    });
+
+    eventBus.publish(EVENTS.TOKEN_LAUNCHED, {
+      chainId: token.chainId,
+      tokenAddress: token.tokenAddress,
+      bondingCurveAddress: token.bondingCurveAddress,
+      name: token.name,
+      symbol: token.symbol,
+      owner: token.owner,
+      image: token.image,
+      deploymentTxHash: token.deploymentTxHash,
+      deploymentBlockNumber: token.deploymentBlockNumber
+    });
+
+    return token;
+  }
+
+  async getStatus() {
+    const chains = await Promise.all(web3Service.getClients().map(client => this.getChainStatus(client)));
+    return {
+      isRunning: this.isRunning,
+      isSyncing: this.isSyncing,
+      confirmations: blockCursorService.confirmations,
+      chains
+    };
+  }
+
+  async getChainStatus(client) {
+    const state = await IndexerState.findByKey(checkpointKey(client.chainId)).lean();
+    return {
+      chainId: client.chainId,
+      name: client.chain.name,
+      lastProcessedBlock: state ? state.lastProcessedBlock : null,
+      lastSafeBlock: state ? state.lastSafeBlock : null,
+      lastSeenBlock: state ? state.lastSeenBlock : null,
+      // Blocks that are final enough to index but not processed yet
+      lag: state ? Math.max(state.lastSafeBlock - state.lastProcessedBlock, 0) : null,
+      lastSyncedAt: state ? state.lastSyncedAt : null,
+      reorgCount: state ? state.reorgCount : 0,
+      lastReorgAt: state ? state.lastReorgAt : null,
+      lastForkBlock: state ? state.lastForkBlock : null,
+      lastError: state ? state.lastError : ''
+    };
+  }
+}
+
+// Create singleton instance
+const indexerService = new IndexerService();
+
+const startIndexer = () => {
+  indexerService.start();
+};
+
+module.exports = {
+  indexerService,
+  startIndexer
+};
@@ -0,0 +1,211 @@
+const { ethers } = require('ethers');
+const cron = require('node-cron');
+
+const { tradeService } = require('./tradeService');
+const { web3Service } = require('./web3Service');
+const Token = require('../models/Token');
+const { PRECISION, TOTAL_SUPPLY, getCurrentPrice } = require('../utils/bondingMath');
+const logger = require('../utils/logger');
+
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+// Run `worker` over `items` with at most `concurrency` calls in flight
+const runWithConcurrency = async (items, concurrency, worker) => {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+};
+
+class MarketStatsService {
+  constructor() {
+    this.task = null;
+    this.isRunning = false;
+    this.schedule = process.env.MARKET_STATS_CRON || '*/5 * * * *';
+    this.batchSize = parseInt(process.env.MARKET_STATS_BATCH_SIZE) || 50;
+    this.concurrency = parseInt(process.env.MARKET_STATS_CONCURRENCY) || 5;
+    this.backoff = new Map();
+    this.lastRun = null;
+  }
+
+  start() {
+    if (this.task) {
+      return;
+    }
+
+    if (!cron.validate(this.schedule)) {
+      throw new Error(`Invalid MARKET_STATS_CRON expression: ${this.schedule}`);
+    }
+
+    this.task = cron.schedule(this.schedule, () => {
+      this.run().catch(error => logger.error('Market stats refresh failed:', error));
+    });
+
+    logger.info(`Market stats refresher scheduled (${this.schedule}, batch ${this.batchSize}, concurrency ${this.concurrency})`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+      logger.info('Market stats refresher stopped');
+    }
+  }
+
+  // Refresh every curve that can still trade, one batch of tokens at a time
+  async run() {
+    if (this.isRunning) {
+      logger.warn('Market stats refresh still running, skipping this tick');
+      return this.lastRun;
+    }
+
+    this.isRunning = true;
+    const run = {
+      startedAt: new Date(),
+      finishedAt: null,
+      durationMs: null,
+      tokens: 0,
+      refreshed: 0,
+      failed: 0,
+      skipped: 0,
+      errors: []
+    };
+
+    try {
+      let lastId = null;
+
+      for (;;) {
+        const filter = { isActive: true, isFinalized: false };
+        if (lastId) {
+          filter._id = { $gt: lastId };
+        }
+
+        const batch = await Token.find(filter)
+          .sort({ _id: 1 })
+          .limit(this.batchSize)
+          .select('chainId tokenAddress bondingCurveAddress settings')
+          .lean();
+
+        if (batch.length === 0) {
+          break;
+        }
+        lastId = batch[batch.length - 1]._id;
+        run.tokens += batch.length;
+
+        await runWithConcurrency(batch, this.concurrency, async token => {
+          if (this.isBackingOff(token.tokenAddress)) {
+            run.skipped += 1;
+            return;
+          }
+
+          try {
+            await this.refreshToken(token);
+            this.backoff.delete(token.tokenAddress);
+            run.refreshed += 1;
+          } catch (error) {
+            const retryAt = this.recordFailure(token.tokenAddress, error);
+            run.failed += 1;
+            if (run.errors.length < 20) {
+              run.errors.push({ tokenAddress: token.tokenAddress, message: error.message, retryAt });
+            }
+          }
+        });
+      }
+    } finally {
+      run.finishedAt = new Date();
+      run.durationMs = run.finishedAt - run.startedAt;
+      this.lastRun = run;
+      this.isRunning = false;
+    }
+
+    logger.info(`Market stats refreshed: ${run.refreshed}/${run.tokens} token(s), ${run.failed} failed, ${run.skipped} backing off`);
+    return run;
+  }
+
+  async refreshToken(token) {
+    // Ledger-derived stats first (volume24h, priceChange24h, trade counts), then the live curve on top
+    await tradeService.refreshTokenStats(token.bondingCurveAddress);
+
+    const [curveInfo, settings] = await Promise.all([
+      web3Service.forChain(token.chainId).getBondingCurveInfo(token.bondingCurveAddress),
+      tradeService.getSettings(token)
+    ]);
+
+    const ethReserve = ethers.parseEther(curveInfo.ethReserve);
+    const tokenReserve = ethers.parseUnits(curveInfo.tokenReserve, 18);
+
+    // Pre-bonding contributions are priced against virtualEth and the full supply
+    const price = curveInfo.currentPhase === 0 || tokenReserve === 0n
+      ? getCurrentPrice(settings.virtualEth, TOTAL_SUPPLY)
+      : getCurrentPrice(ethReserve, tokenReserve);
+
+    await Token.updateOne(
+      { tokenAddress: token.tokenAddress },
+      {
+        $set: {
+          currentPhase: curveInfo.currentPhase,
+          isFinalized: curveInfo.isFinalized,
+          totalPreBondingContributions: curveInfo.totalPreBondingContributions,
+          totalETHCollected: curveInfo.totalETHCollected,
+          ethReserve: curveInfo.ethReserve,
+          tokenReserve: curveInfo.tokenReserve,
+          currentPrice: ethers.formatEther(price),
+          // Fully diluted, in the chain's native currency
+          marketCap: ethers.formatEther((price * TOTAL_SUPPLY) / PRECISION),
+          lastUpdated: new Date()
+        }
+      }
+    );
+  }
+
+  isBackingOff(tokenAddress) {
+    const entry = this.backoff.get(tokenAddress);
+    return Boolean(entry) && entry.retryAt > Date.now();
+  }
+
+  // Exponential backoff per token so one broken curve does not eat every run's RPC budget
+  recordFailure(tokenAddress, error) {
+    const failures = (this.backoff.get(tokenAddress)?.failures || 0) + 1;
+    const delay = Math.min(BACKOFF_BASE_MS * 2 ** (failures - 1), BACKOFF_MAX_MS);
+    const retryAt = new Date(Date.now() + delay);
+
+    this.backoff.set(tokenAddress, { failures, retryAt, lastError: error.message });
+    logger.warn(`Market stats refresh failed for ${tokenAddress} (${failures} in a row), retrying after ${retryAt.toISOString()}: ${error.message}`);
+
+    return retryAt;
+  }
+
+  getStatus() {
+    return {
+      scheduled: Boolean(this.task),
+      schedule: this.schedule,
+      isRunning: this.isRunning,
+      batchSize: this.batchSize,
+      concurrency: this.concurrency,
+      lastRun: this.lastRun,
+      backingOff: [...this.backoff.entries()].map(([tokenAddress, entry]) => ({
+        tokenAddress,
+        failures: entry.failures,
+        retryAt: entry.retryAt,
+        lastError: entry.lastError
+      }))
+    };
+  }
+}
+
+// Create singleton instance
+const marketStatsService = new MarketStatsService();
+
+const startMarketStats = () => {
+  marketStatsService.start();
+};
+
+module.exports = {
+  marketStatsService,
+  startMarketStats
+};
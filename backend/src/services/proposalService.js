@@ -0,0 +1,369 @@
+const { StatusCodes } = require('http-status-codes');
+
+const { authService } = require('./authService');
+const { eventBus, EVENTS } = require('./eventBus');
+const { txQueueService } = require('./txQueueService');
+const { web3Service } = require('./web3Service');
+const { ROLES, hasRole } = require('../config/roles');
+const AdminProposal = require('../models/AdminProposal');
+const TxJob = require('../models/TxJob');
+const { AuthError, ProposalError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const SETTINGS_FIELDS = [
+  'virtualEth', 'preBondingTarget', 'bondingTarget', 'minContribution', 'poolFee', 'sellFee',
+  'uniswapV3Factory', 'positionManager', 'weth', 'feeTo'
+];
+
+// Comparable form of BondingCurveSettings; amounts are compared in wei so "2" and "2.0" match
+const normalizeSettings = (client, settings) => {
+  const struct = client.toSettingsStruct(settings);
+  return SETTINGS_FIELDS.map(field => String(struct[field]).toLowerCase()).join('|');
+};
+
+/**
+ * Admin actions that need a quorum. `snapshot` reads the live values the change is based on
+ * from the proposal chain's client, `isStale` compares them at execution time.
+ */
+const ACTIONS = {
+  updateDeploymentFee: {
+    role: ROLES.OPERATOR,
+    snapshot: async (client) => ({ deploymentFee: await client.getDeploymentFee() }),
+    isStale: (snapshot, live) => snapshot.deploymentFee !== live.deploymentFee
+  },
+  updateBondingCurveSettings: {
+    role: ROLES.OPERATOR,
+    snapshot: (client) => client.getBondingCurveSettings(),
+    isStale: (snapshot, live, client) => normalizeSettings(client, snapshot) !== normalizeSettings(client, live)
+  },
+  withdrawFees: {
+    role: ROLES.TREASURER,
+    snapshot: async (client) => ({ factoryBalance: await client.getFactoryBalance() }),
+    // The balance grows with every launch; only an emptied Factory makes the proposal pointless
+    isStale: (snapshot, live) => Number(live.factoryBalance) === 0
+  }
+};
+
+class ProposalService {
+  constructor() {
+    // Only an explicit 0 lets proposals execute without approvals
+    this.quorum = parseInt(process.env.ADMIN_PROPOSAL_QUORUM);
+    if (Number.isNaN(this.quorum) || this.quorum < 0) {
+      this.quorum = 2;
+    }
+    this.ttlMs = (parseFloat(process.env.ADMIN_PROPOSAL_TTL_HOURS) || 72) * 60 * 60 * 1000;
+    this.leaseMs = (parseInt(process.env.ADMIN_PROPOSAL_LEASE_SECONDS) || 300) * 1000;
+
+    eventBus.on(EVENTS.TX_JOB_FINISHED, job => {
+      this.settle(job).catch(error => logger.error(`Error settling proposal for transaction job ${job._id}:`, error));
+    });
+  }
+
+  getAction(name) {
+    const action = ACTIONS[name];
+    if (!action) {
+      throw new Error(`Unknown proposal action: ${name}`);
+    }
+    return action;
+  }
+
+  // Admins other than the proposer who may vote on a proposal
+  async getVoters(proposal) {
+    const admins = await authService.getAdminsWithRole(this.getAction(proposal.action).role);
+    admins.delete(proposal.proposer);
+    return admins;
+  }
+
+  assertCanVote(proposal, admin) {
+    const { role } = this.getAction(proposal.action);
+    if (!hasRole(admin.roles, role)) {
+      throw new AuthError(`Voting on ${proposal.action} requires the ${role} role`, StatusCodes.FORBIDDEN);
+    }
+    if (proposal.proposer === admin.address) {
+      throw new ProposalError('Proposers cannot vote on their own proposal', StatusCodes.FORBIDDEN);
+    }
+  }
+
+  async expireStale() {
+    const { modifiedCount } = await AdminProposal.updateMany(
+      { status: 'pending', expiresAt: { $lte: new Date() } },
+      { $set: { status: 'expired' } }
+    );
+    if (modifiedCount > 0) {
+      logger.info(`Expired ${modifiedCount} admin proposal(s)`);
+    }
+  }
+
+  /**
+   * Record a pending change to the Factory on `chainId`. With ADMIN_PROPOSAL_QUORUM=0 it is executed straight away.
+   */
+  async create({ action, params, proposer, reason = '', chainId = web3Service.defaultChainId }) {
+    const { role } = this.getAction(action);
+    const client = web3Service.forChain(chainId);
+
+    const proposal = new AdminProposal({
+      chainId,
+      action,
+      params,
+      proposer,
+      reason,
+      requiredApprovals: this.quorum,
+      expiresAt: new Date(Date.now() + this.ttlMs)
+    });
+
+    const voters = await this.getVoters(proposal);
+    if (voters.size < this.quorum) {
+      throw new ProposalError(`Only ${voters.size} other ${role} admin(s) can approve, but ${this.quorum} approval(s) are required`);
+    }
+
+    proposal.snapshot = await this.getAction(action).snapshot(client);
+    await proposal.save();
+
+    logger.info(`Admin proposal ${proposal._id} created: ${action} on chain ${chainId}`, { proposer, params });
+
+    if (proposal.requiredApprovals === 0) {
+      return this.execute(proposal._id, proposer);
+    }
+    return proposal;
+  }
+
+  async get(id) {
+    await this.expireStale();
+    await this.recoverExecuting();
+
+    const proposal = await AdminProposal.findById(id);
+    if (!proposal) {
+      throw new ProposalError('Proposal not found', StatusCodes.NOT_FOUND);
+    }
+    return proposal;
+  }
+
+  async list({ status, action, chainId } = {}, { page = 1, limit = 20 } = {}) {
+    await this.expireStale();
+    await this.recoverExecuting();
+
+    const filter = {};
+    if (chainId) {
+      filter.chainId = chainId;
+    }
+    if (status) {
+      filter.status = status;
+    }
+    if (action) {
+      filter.action = action;
+    }
+
+    const [proposals, total] = await Promise.all([
+      AdminProposal.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AdminProposal.countDocuments(filter)
+    ]);
+
+    return {
+      proposals,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Approve, and queue the transaction if this approval completes the quorum
+  async approve(id, admin, reason) {
+    const proposal = await this.get(id);
+    this.assertCanVote(proposal, admin);
+
+    const updated = await AdminProposal.findOneAndUpdate(
+      {
+        _id: id,
+        status: 'pending',
+        expiresAt: { $gt: new Date() },
+        'approvals.admin': { $ne: admin.address },
+        'rejections.admin': { $ne: admin.address }
+      },
+      { $push: { approvals: { admin: admin.address, reason } } },
+      { new: true }
+    );
+    if (!updated) {
+      throw new ProposalError(proposal.status === 'pending'
+        ? 'You have already voted on this proposal'
+        : `Proposal is ${proposal.status}`);
+    }
+
+    logger.info(`Admin proposal ${id} approved by ${admin.address} (${updated.approvals.length}/${updated.requiredApprovals})`);
+
+    if (updated.approvals.length >= updated.requiredApprovals) {
+      return this.execute(id, admin.address);
+    }
+    return updated;
+  }
+
+  // Reject; the proposal fails once the remaining voters can no longer reach the quorum
+  async reject(id, admin, reason) {
+    const proposal = await this.get(id);
+    this.assertCanVote(proposal, admin);
+
+    let updated = await AdminProposal.findOneAndUpdate(
+      {
+        _id: id,
+        status: 'pending',
+        'approvals.admin': { $ne: admin.address },
+        'rejections.admin': { $ne: admin.address }
+      },
+      { $push: { rejections: { admin: admin.address, reason } } },
+      { new: true }
+    );
+    if (!updated) {
+      throw new ProposalError(proposal.status === 'pending'
+        ? 'You have already voted on this proposal'
+        : `Proposal is ${proposal.status}`);
+    }
+
+    logger.info(`Admin proposal ${id} rejected by ${admin.address}`);
+
+    const voters = await this.getVoters(updated);
+    const rejected = updated.rejections.filter(vote => voters.has(vote.admin)).length;
+    if (voters.size - rejected < updated.requiredApprovals) {
+      updated = await AdminProposal.findOneAndUpdate(
+        { _id: id, status: 'pending' },
+        { $set: { status: 'rejected' } },
+        { new: true }
+      ) || updated;
+    }
+    return updated;
+  }
+
+  async cancel(id, admin) {
+    const proposal = await this.get(id);
+    if (proposal.proposer !== admin.address && !hasRole(admin.roles, ROLES.SUPERADMIN)) {
+      throw new AuthError('Only the proposer or a superadmin can cancel a proposal', StatusCodes.FORBIDDEN);
+    }
+
+    const updated = await AdminProposal.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!updated) {
+      throw new ProposalError(`Proposal is ${proposal.status}`);
+    }
+    return updated;
+  }
+
+  // Claiming `executing` first keeps a proposal to one job; the lease lets recoverExecuting retry a crashed claim
+  async execute(id, executor) {
+    const proposal = await AdminProposal.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      { $set: { status: 'executing', executedBy: executor, executingAt: new Date() } },
+      { new: true }
+    );
+    if (!proposal) {
+      throw new ProposalError('Proposal is not pending');
+    }
+
+    return this.dispatch(proposal, executor);
+  }
+
+  // Re-check the live contract, then queue the transaction
+  async dispatch(proposal, executor) {
+    const id = proposal._id;
+    const action = this.getAction(proposal.action);
+    const finish = (fields) => AdminProposal.findByIdAndUpdate(id, { $set: fields }, { new: true });
+
+    try {
+      const client = web3Service.forChain(proposal.chainId);
+      const live = await action.snapshot(client);
+      if (action.isStale(proposal.snapshot, live, client)) {
+        logger.warn(`Admin proposal ${id} not executed: contract state changed since it was proposed`);
+        return finish({ status: 'failed', error: 'Contract state changed since the proposal was made' });
+      }
+
+      await client.simulateAdminAction(proposal.action, proposal.params);
+    } catch (error) {
+      logger.warn(`Admin proposal ${id} failed validation: ${error.message}`);
+      return finish({ status: 'failed', error: error.shortMessage || error.message });
+    }
+
+    try {
+      const job = await txQueueService.enqueue({
+        method: proposal.action,
+        params: proposal.params,
+        role: action.role,
+        requestedBy: executor,
+        proposal: proposal._id,
+        chainId: proposal.chainId
+      });
+
+      logger.info(`Admin proposal ${id} queued as transaction job ${job._id}: ${proposal.action}`, { executor });
+      return finish({ txJob: job._id });
+    } catch (error) {
+      logger.error(`Admin proposal ${id} could not be queued:`, error);
+      return finish({ status: 'failed', error: error.shortMessage || error.message });
+    }
+  }
+
+  /**
+   * Pick up proposals left `executing` by a process that stopped between claiming and queueing,
+   * or whose job finished without the proposal hearing about it.
+   */
+  async recoverExecuting() {
+    const expired = { $not: { $gt: new Date(Date.now() - this.leaseMs) } };
+    const stuck = await AdminProposal.find({ status: 'executing', executingAt: expired }).select('txJob').lean();
+
+    for (const { _id: id, txJob } of stuck) {
+      const job = await TxJob.findOne(txJob ? { _id: txJob } : { proposal: id }).lean();
+      if (job) {
+        if (['mined', 'failed', 'cancelled'].includes(job.status)) {
+          await this.settle(job);
+        } else if (!txJob) {
+          await AdminProposal.updateOne({ _id: id, txJob: null }, { $set: { txJob: job._id } });
+        }
+        continue;
+      }
+
+      // Nothing was queued: renew the lease so only one process retries
+      const proposal = await AdminProposal.findOneAndUpdate(
+        { _id: id, status: 'executing', txJob: null, executingAt: expired },
+        { $set: { executingAt: new Date() } },
+        { new: true }
+      );
+      if (proposal) {
+        logger.warn(`Admin proposal ${id} was left executing without a transaction job, retrying`);
+        await this.dispatch(proposal, proposal.executedBy);
+      }
+    }
+  }
+
+  // Close an executing proposal once its transaction job has finished
+  async settle(job) {
+    if (!job.proposal) {
+      return;
+    }
+
+    const fields = {
+      mined: { status: 'executed', executedAt: job.finishedAt },
+      failed: { status: 'failed', error: job.error },
+      cancelled: { status: 'cancelled', error: 'Transaction cancelled' }
+    }[job.status];
+
+    await AdminProposal.updateOne(
+      { _id: job.proposal, status: 'executing' },
+      { $set: { ...fields, transactionHash: job.transactionHash, blockNumber: job.blockNumber } }
+    );
+    logger.info(`Admin proposal ${job.proposal} ${fields.status}`, { txJob: job._id, transactionHash: job.transactionHash });
+  }
+}
+
+// Create singleton instance
+const proposalService = new ProposalService();
+
+module.exports = {
+  proposalService,
+  ACTIONS,
+  SETTINGS_FIELDS
+};
@@ -0,0 +1,138 @@
+const { ethers } = require('ethers');
+const { StatusCodes } = require('http-status-codes');
+
+const { web3Service } = require('./web3Service');
+const SignedActionNonce = require('../models/SignedActionNonce');
+const Token = require('../models/Token');
+const { AuthError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const DOMAIN_NAME = 'Memex';
+const DOMAIN_VERSION = '1';
+
+// EIP-712 struct of every owner action. Each one ends with a bytes32 nonce and a unix deadline.
+const ACTIONS = {
+  RegisterToken: [
+    { name: 'deploymentTxHash', type: 'bytes32' },
+    { name: 'description', type: 'string' },
+    { name: 'image', type: 'string' },
+    { name: 'website', type: 'string' },
+    { name: 'twitter', type: 'string' },
+    { name: 'telegram', type: 'string' },
+    { name: 'discord', type: 'string' },
+    { name: 'tags', type: 'string[]' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  UpdateTokenMetadata: [
+    { name: 'token', type: 'address' },
+    { name: 'description', type: 'string' },
+    { name: 'image', type: 'string' },
+    { name: 'website', type: 'string' },
+    { name: 'twitter', type: 'string' },
+    { name: 'telegram', type: 'string' },
+    { name: 'discord', type: 'string' },
+    { name: 'tags', type: 'string[]' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+class SignedActionService {
+  constructor() {
+    this.maxTtl = parseInt(process.env.SIGNED_ACTION_MAX_TTL_SECONDS) || 60 * 60;
+  }
+
+  // Signatures are bound to the chain of the token they act on
+  getDomain(chainId) {
+    if (!web3Service.hasChain(chainId)) {
+      throw new Error(`Chain ${chainId} is not supported`);
+    }
+    return { name: DOMAIN_NAME, version: DOMAIN_VERSION, chainId };
+  }
+
+  // Everything a wallet needs for eth_signTypedData_v4, minus the message itself
+  getTypedData(action, chainId) {
+    return {
+      domain: this.getDomain(chainId),
+      types: { [action]: ACTIONS[action] },
+      primaryType: action
+    };
+  }
+
+  /**
+   * Recover the signer of `message`, let `authorize` reject it, then burn the nonce.
+   * Returns the lowercase signer address; failures throw AuthError.
+   */
+  async verify(action, chainId, message, signature, authorize) {
+    const types = ACTIONS[action];
+    if (!types) {
+      throw new Error(`Unknown signed action: ${action}`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const deadline = Number(message.deadline);
+    if (!Number.isSafeInteger(deadline) || deadline <= now) {
+      throw new AuthError('Signature deadline has passed');
+    }
+    if (deadline > now + this.maxTtl) {
+      throw new AuthError(`Signature deadline must be within ${this.maxTtl} seconds`);
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(this.getDomain(chainId), { [action]: types }, message, signature).toLowerCase();
+    } catch (error) {
+      throw new AuthError('Invalid signature');
+    }
+
+    await authorize(signer);
+
+    // The unique (signer, nonce) index makes each signature single-use until its deadline
+    try {
+      await SignedActionNonce.create({
+        signer,
+        action,
+        nonce: message.nonce,
+        expiresAt: new Date(deadline * 1000)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AuthError('Signature has already been used');
+      }
+      throw error;
+    }
+
+    return signer;
+  }
+
+  // The curve's on-chain owner is authoritative; the stored owner follows it when ownership moves
+  async assertTokenOwner(token, signer) {
+    const owner = await web3Service.forChain(token.chainId).getBondingCurveOwner(token.bondingCurveAddress);
+
+    if (owner !== token.owner) {
+      logger.info(`Ownership of ${token.tokenAddress} moved from ${token.owner} to ${owner}`);
+      await Token.updateOne({ _id: token._id }, { $set: { owner } });
+      token.owner = owner;
+    }
+
+    if (signer !== owner) {
+      throw new AuthError('Signer is not the token owner', StatusCodes.FORBIDDEN);
+    }
+  }
+
+  // A launch is registered by the wallet that sent the deployment or the owner it names
+  assertDeployerOrOwner(deployment, signer) {
+    if (signer !== deployment.from.toLowerCase() && signer !== deployment.owner.toLowerCase()) {
+      throw new AuthError('Signer is neither the deployer nor the token owner', StatusCodes.FORBIDDEN);
+    }
+  }
+}
+
+// Create singleton instance
+const signedActionService = new SignedActionService();
+
+module.exports = {
+  signedActionService,
+  ACTIONS
+};
@@ -0,0 +1,281 @@
+const fs = require('fs');
+
+const { ethers } = require('ethers');
+
+const logger = require('../utils/logger');
+
+// ADMIN_SIGNER values
+const BACKENDS = ['env', 'keystore', 'remote'];
+
+// Hot wallet from a raw private key or mnemonic phrase
+const walletFromSecret = (keyOrMnemonic, provider) => {
+  // Remove '0x' prefix if present and clean the input
+  const cleanInput = keyOrMnemonic.trim().replace(/^0x/, '');
+
+  // Check if it's a private key (64 hex characters)
+  if (/^[a-fA-F0-9]{64}$/.test(cleanInput)) {
+    return new ethers.Wallet('0x' + cleanInput, provider);
+  }
+
+  // If not a private key, treat as mnemonic
+  const words = cleanInput.split(' ').filter(word => word.length > 0);
+  if (words.length >= 12) {
+    return ethers.Wallet.fromPhrase(cleanInput, provider);
+  }
+
+  throw new Error('Invalid private key or mnemonic phrase format');
+};
+
+// One JSON-RPC call to the remote signer
+const remoteCall = async ({ url, authToken, timeoutMs }, method, params) => {
+  const request = new ethers.FetchRequest(url);
+  request.method = 'POST';
+  request.timeout = timeoutMs;
+  request.setHeader('Content-Type', 'application/json');
+  if (authToken) {
+    request.setHeader('Authorization', `Bearer ${authToken}`);
+  }
+  request.body = JSON.stringify({ jsonrpc: '2.0', id: Date.now(), method, params });
+
+  const response = await request.send();
+  response.assertOk();
+
+  const { result, error } = response.bodyJson;
+  if (error) {
+    throw new Error(`Remote signer ${method} failed: ${error.message || JSON.stringify(error)}`);
+  }
+  return result;
+};
+
+/**
+ * Signer whose key is held by another process. Transactions are populated here, signed
+ * there with JSON-RPC eth_signTransaction and broadcast through our provider.
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+  constructor(options, address, provider = null) {
+    super(provider);
+    this.options = options;
+    this.address = ethers.getAddress(address);
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.options, this.address, provider);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async signTransaction(tx) {
+    const { to, from } = await ethers.resolveProperties({
+      to: tx.to ? ethers.resolveAddress(tx.to, this.provider) : null,
+      from: tx.from ? ethers.resolveAddress(tx.from, this.provider) : null
+    });
+    if (from && from.toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error(`Transaction from ${from} cannot be signed by remote signer ${this.address}`);
+    }
+
+    const quantity = (value) => (value === null || value === undefined ? undefined : ethers.toQuantity(value));
+    const request = {
+      from: this.address,
+      to: to || undefined,
+      data: tx.data || '0x',
+      value: quantity(tx.value || 0),
+      gas: quantity(tx.gasLimit),
+      nonce: quantity(tx.nonce),
+      chainId: quantity(tx.chainId),
+      type: quantity(tx.type),
+      gasPrice: quantity(tx.gasPrice),
+      maxFeePerGas: quantity(tx.maxFeePerGas),
+      maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas),
+      accessList: tx.accessList ? ethers.accessListify(tx.accessList) : undefined
+    };
+
+    const result = await remoteCall(this.options, 'eth_signTransaction', [request]);
+    // geth-style signers return { raw, tx }
+    const raw = typeof result === 'string' ? result : result.raw;
+
+    // Never broadcast something other than what was asked for, fees included
+    const signed = ethers.Transaction.from(raw);
+    const same = (actual, requested) => requested === undefined || (actual !== null && BigInt(actual) === BigInt(requested));
+    const matches = signed.from.toLowerCase() === this.address.toLowerCase()
+      && (signed.to || '').toLowerCase() === (to || '').toLowerCase()
+      && signed.data.toLowerCase() === request.data.toLowerCase()
+      && signed.value === BigInt(request.value)
+      && same(signed.nonce, request.nonce)
+      && same(signed.chainId, request.chainId)
+      && same(signed.gasLimit, request.gas)
+      && same(signed.gasPrice, request.gasPrice)
+      && same(signed.maxFeePerGas, request.maxFeePerGas)
+      && same(signed.maxPriorityFeePerGas, request.maxPriorityFeePerGas);
+    if (!matches) {
+      throw new Error('Remote signer returned a transaction that differs from the request');
+    }
+    return raw;
+  }
+
+  async signMessage() {
+    throw new Error('The remote admin signer only signs transactions');
+  }
+
+  async signTypedData() {
+    throw new Error('The remote admin signer only signs transactions');
+  }
+}
+
+class SignerService {
+  constructor() {
+    this.backend = (process.env.ADMIN_SIGNER || 'env').toLowerCase();
+    this.loading = null;
+    this.address = null;
+    // chainId -> { signer, factoryContract, error }; error says why admin transactions are unavailable on that chain
+    this.chains = new Map();
+  }
+
+  isConfigured() {
+    return {
+      env: Boolean(process.env.ADMIN_PRIVATE_KEY),
+      keystore: Boolean(process.env.ADMIN_KEYSTORE_PATH),
+      remote: Boolean(process.env.ADMIN_REMOTE_SIGNER_URL)
+    }[this.backend];
+  }
+
+  // The signer without a provider; each chain connects its own
+  async load() {
+    if (this.backend === 'keystore') {
+      const json = fs.readFileSync(process.env.ADMIN_KEYSTORE_PATH, 'utf8');
+      const password = process.env.ADMIN_KEYSTORE_PASSWORD_FILE
+        ? fs.readFileSync(process.env.ADMIN_KEYSTORE_PASSWORD_FILE, 'utf8').replace(/\r?\n$/, '')
+        : process.env.ADMIN_KEYSTORE_PASSWORD;
+      if (password === undefined) {
+        throw new Error('ADMIN_KEYSTORE_PASSWORD or ADMIN_KEYSTORE_PASSWORD_FILE is required');
+      }
+
+      // Decrypting is deliberately slow (scrypt), so it happens once for all chains
+      return ethers.Wallet.fromEncryptedJson(json, password);
+    }
+
+    if (this.backend === 'remote') {
+      const options = {
+        url: process.env.ADMIN_REMOTE_SIGNER_URL,
+        authToken: process.env.ADMIN_REMOTE_SIGNER_TOKEN || null,
+        timeoutMs: parseInt(process.env.ADMIN_REMOTE_SIGNER_TIMEOUT_MS) || 10000
+      };
+
+      let address = process.env.ADMIN_REMOTE_SIGNER_ADDRESS;
+      if (!address) {
+        const accounts = await remoteCall(options, 'eth_accounts', []);
+        if (!Array.isArray(accounts) || accounts.length === 0) {
+          throw new Error('Remote signer reported no accounts');
+        }
+        address = accounts[0];
+      }
+      return new RemoteSigner(options, address);
+    }
+
+    return walletFromSecret(process.env.ADMIN_PRIVATE_KEY, null);
+  }
+
+  /**
+   * Connect the configured signer to a chain and make sure it owns that chain's Factory. A missing,
+   * broken or non-owner signer only disables admin transactions there; the rest of the API keeps running.
+   */
+  async initialize(chainId, provider, factoryContract) {
+    if (!BACKENDS.includes(this.backend)) {
+      throw new Error(`Unknown ADMIN_SIGNER "${this.backend}"; expected one of ${BACKENDS.join(', ')}`);
+    }
+
+    const disable = (error) => {
+      this.chains.set(chainId, { signer: null, error });
+    };
+
+    if (!this.isConfigured()) {
+      disable(`Admin signer not configured for the ${this.backend} backend`);
+      logger.warn(`${this.getError(chainId)}; admin transactions are disabled on chain ${chainId}`);
+      return;
+    }
+
+    try {
+      if (!this.loading) {
+        this.loading = this.load();
+      }
+      const signer = (await this.loading).connect(provider);
+      const address = await signer.getAddress();
+      const owner = await factoryContract.owner();
+
+      this.address = address;
+      // A non-owner signer is kept, so refreshOwner() can enable it once ownership moves to it
+      this.chains.set(chainId, { signer, factoryContract, error: this.ownerError(chainId, address, owner) });
+      if (this.getError(chainId)) {
+        logger.error(`${this.getError(chainId)}; admin transactions are disabled on chain ${chainId}`);
+        return;
+      }
+
+      logger.info(`Admin signer ready (${this.backend}) on chain ${chainId}: ${address}`);
+    } catch (error) {
+      disable(`Admin signer unavailable: ${error.message}`);
+      logger.error(`${this.getError(chainId)}; admin transactions are disabled on chain ${chainId}`);
+    }
+  }
+
+  ownerError(chainId, address, owner) {
+    return owner.toLowerCase() === address.toLowerCase()
+      ? null
+      : `Admin signer ${address} is not the Factory owner (${owner}) on chain ${chainId}`;
+  }
+
+  // Factory ownership can move after startup; re-read it before admin transactions are signed
+  async refreshOwner(chainId) {
+    const state = this.chains.get(Number(chainId));
+    if (!state || !state.signer) {
+      return this.getStatus(chainId);
+    }
+
+    try {
+      const owner = await state.factoryContract.owner();
+      const error = this.ownerError(Number(chainId), await state.signer.getAddress(), owner);
+      if (error && error !== state.error) {
+        logger.error(`${error}; admin transactions are disabled on chain ${chainId}`);
+      } else if (!error && state.error) {
+        logger.info(`Admin signer owns the Factory on chain ${chainId} again; admin transactions are enabled`);
+      }
+      state.error = error;
+    } catch (error) {
+      // Keep the last known state; the next pass reads the owner again
+      logger.warn(`Could not read the Factory owner on chain ${chainId}: ${error.message}`);
+    }
+    return this.getStatus(chainId);
+  }
+
+  getError(chainId) {
+    const state = this.chains.get(Number(chainId));
+    return state ? state.error : `Admin signer not initialized for chain ${chainId}`;
+  }
+
+  getSigner(chainId) {
+    const state = this.chains.get(Number(chainId));
+    if (!state || !state.signer || state.error) {
+      throw new Error(this.getError(chainId));
+    }
+    return state.signer;
+  }
+
+  getStatus(chainId) {
+    const state = this.chains.get(Number(chainId));
+    return {
+      backend: this.backend,
+      address: this.address,
+      chainId: Number(chainId),
+      ready: Boolean(state && state.signer && !state.error),
+      error: this.getError(chainId)
+    };
+  }
+}
+
+// Create singleton instance
+const signerService = new SignerService();
+
+module.exports = {
+  signerService,
+  RemoteSigner
+};
@@ -0,0 +1,432 @@
+const { ethers } = require('ethers');
+
+const { eventBus, EVENTS } = require('./eventBus');
+const { volumeService } = require('./volumeService');
+const { web3Service } = require('./web3Service');
+const Token = require('../models/Token');
+const Trade = require('../models/Trade');
+const { TOTAL_SUPPLY, getCurrentPrice } = require('../utils/bondingMath');
+const logger = require('../utils/logger');
+
+const TRADE_EVENTS = ['PreBondingContribution', 'TokensPurchased', 'TokensSold'];
+const CURVE_EVENTS = [...TRADE_EVENTS, 'CurveFinalized'];
+
+const TRADE_TYPES = {
+  PreBondingContribution: 'contribution',
+  TokensPurchased: 'buy',
+  TokensSold: 'sell'
+};
+
+class TradeService {
+  // Index every trade (and finalization) emitted by known curves on the client's chain in [fromBlock, toBlock]
+  async ingestRange(client, fromBlock, toBlock) {
+    const tokens = await Token.find({ chainId: client.chainId, deploymentBlockNumber: { $lte: toBlock } })
+      .select('chainId tokenAddress bondingCurveAddress deploymentBlockNumber settings')
+      .lean();
+
+    if (tokens.length === 0) {
+      return [];
+    }
+
+    const tokensByCurve = new Map(tokens.map(token => [token.bondingCurveAddress, token]));
+    const events = await client.getBondingCurveEvents(
+      [...tokensByCurve.keys()],
+      fromBlock,
+      toBlock,
+      CURVE_EVENTS
+    );
+
+    if (events.length === 0) {
+      return [];
+    }
+
+    const curveStates = new Map();
+    const blockTimestamps = new Map();
+    const trades = [];
+    const affectedCurves = new Set();
+
+    for (const event of events) {
+      const token = tokensByCurve.get(event.address);
+      if (!token) {
+        continue;
+      }
+
+      affectedCurves.add(token.bondingCurveAddress);
+
+      if (!blockTimestamps.has(event.blockNumber)) {
+        blockTimestamps.set(event.blockNumber, await client.getBlockTimestamp(event.blockNumber));
+      }
+
+      if (event.name === 'CurveFinalized') {
+        await this.handleCurveFinalized(token, event, new Date(blockTimestamps.get(event.blockNumber) * 1000));
+        continue;
+      }
+
+      if (!curveStates.has(event.address)) {
+        curveStates.set(event.address, await this.loadCurveState(client, token, fromBlock));
+      }
+
+      const trade = this.applyEvent(curveStates.get(event.address), event);
+      trade.chainId = client.chainId;
+      trade.tokenAddress = token.tokenAddress;
+      trade.bondingCurveAddress = token.bondingCurveAddress;
+      trade.timestamp = new Date(blockTimestamps.get(event.blockNumber) * 1000);
+
+      // Replaying a range recomputes the same values, so upserting keeps ingestion idempotent
+      await Trade.updateOne(
+        { transactionHash: trade.transactionHash, logIndex: trade.logIndex },
+        { $set: trade },
+        { upsert: true }
+      );
+      trades.push(trade);
+      eventBus.publish(EVENTS.TRADE, trade);
+    }
+
+    await volumeService.refreshForTrades(trades);
+
+    for (const bondingCurveAddress of affectedCurves) {
+      await this.refreshTokenStats(bondingCurveAddress);
+      await this.publishProgress(bondingCurveAddress);
+    }
+
+    logger.info(`Indexed ${trades.length} trade(s) across ${affectedCurves.size} curve(s) in blocks ${fromBlock}-${toBlock} on chain ${client.chainId}`);
+    return trades;
+  }
+
+  async handleCurveFinalized(token, event, timestamp) {
+    const [pool, lpTokenId] = event.args;
+
+    await Token.updateOne(
+      { bondingCurveAddress: token.bondingCurveAddress },
+      {
+        $set: {
+          uniswapPool: pool.toLowerCase(),
+          lpTokenId: lpTokenId.toString(),
+          finalizedBlockNumber: event.blockNumber,
+          finalizedTxHash: event.transactionHash.toLowerCase(),
+          finalizedAt: timestamp,
+          isFinalized: true,
+          currentPhase: 2
+        }
+      }
+    );
+
+    logger.info(`Curve finalized: ${token.bondingCurveAddress}`, {
+      uniswapPool: pool,
+      lpTokenId: lpTokenId.toString(),
+      blockNumber: event.blockNumber
+    });
+  }
+
+  async publishProgress(bondingCurveAddress) {
+    const token = await Token.findOne({ bondingCurveAddress });
+    if (!token) {
+      return;
+    }
+
+    eventBus.publish(EVENTS.TOKEN_PROGRESS, token.getProgress());
+  }
+
+  // Drop the chain's trades and finalizations after the fork point and re-derive the stats of affected curves
+  async rollback(chainId, forkBlock) {
+    const [removedTrades, finalizedCurves] = await Promise.all([
+      Trade.find({ chainId, blockNumber: { $gt: forkBlock } }).select('chainId bondingCurveAddress timestamp').lean(),
+      Token.distinct('bondingCurveAddress', { chainId, finalizedBlockNumber: { $gt: forkBlock } })
+    ]);
+
+    const { deletedCount } = await Trade.deleteMany({ chainId, blockNumber: { $gt: forkBlock } });
+    await Token.updateMany(
+      { chainId, finalizedBlockNumber: { $gt: forkBlock } },
+      {
+        $set: {
+          uniswapPool: '',
+          lpTokenId: '',
+          finalizedBlockNumber: null,
+          finalizedTxHash: null,
+          finalizedAt: null,
+          isFinalized: false
+        }
+      }
+    );
+
+    await volumeService.refreshForTrades(removedTrades);
+
+    const affectedCurves = [...new Set([...removedTrades.map(trade => trade.bondingCurveAddress), ...finalizedCurves])];
+    for (const bondingCurveAddress of affectedCurves) {
+      await this.refreshTokenStats(bondingCurveAddress);
+    }
+
+    logger.info(`Rolled back ${deletedCount} trade(s) across ${affectedCurves.length} curve(s) after block ${forkBlock} on chain ${chainId}`);
+  }
+
+  /**
+   * Curve state right before fromBlock: the last ledger entry, or the freshly deployed curve.
+   * A curve deployed before the chain's start block may have traded before the ledger begins,
+   * so without a ledger entry its state is read from the chain instead.
+   */
+  async loadCurveState(client, token, fromBlock) {
+    const settings = await this.getSettings(token);
+    const lastTrade = await Trade.findLastBefore(token.bondingCurveAddress, fromBlock);
+
+    if (!lastTrade && token.deploymentBlockNumber < client.chain.startBlock) {
+      return this.readCurveState(client, token, settings, fromBlock - 1);
+    }
+
+    if (!lastTrade) {
+      return {
+        settings,
+        ethReserve: settings.virtualEth,
+        tokenReserve: TOTAL_SUPPLY,
+        totalETHCollected: 0n,
+        phase: 0
+      };
+    }
+
+    return {
+      settings,
+      ethReserve: ethers.parseEther(lastTrade.ethReserveAfter),
+      tokenReserve: ethers.parseUnits(lastTrade.tokenReserveAfter, 18),
+      totalETHCollected: ethers.parseEther(lastTrade.totalETHCollectedAfter),
+      phase: lastTrade.phase
+    };
+  }
+
+  // Curve state in the ledger's terms at blockNumber, read from the chain (needs historical state on the RPC)
+  async readCurveState(client, token, settings, blockNumber) {
+    const state = await client.getCurveState(token.bondingCurveAddress, token.tokenAddress, blockNumber);
+
+    // The contract only sets its reserves once pre-bonding completes; the ledger tracks them from the start
+    if (state.currentPhase === 0) {
+      return {
+        settings,
+        ethReserve: settings.virtualEth + state.totalPreBondingContributions,
+        tokenReserve: state.tokenBalance - state.preBondingTokens,
+        totalETHCollected: state.totalPreBondingContributions,
+        phase: 0
+      };
+    }
+
+    return {
+      settings,
+      ethReserve: state.ethReserve,
+      tokenReserve: state.tokenReserve,
+      totalETHCollected: state.totalETHCollected,
+      phase: state.currentPhase
+    };
+  }
+
+  // Curves keep the settings they were initialized with, so they are read once and cached on the token
+  async getSettings(token) {
+    let settings = token.settings;
+
+    if (!settings || !settings.virtualEth) {
+      settings = await web3Service.forChain(token.chainId).getCurveSettings(token.bondingCurveAddress);
+      await Token.updateOne({ _id: token._id }, { $set: { settings } });
+    }
+
+    return {
+      virtualEth: ethers.parseEther(settings.virtualEth),
+      preBondingTarget: ethers.parseEther(settings.preBondingTarget),
+      bondingTarget: ethers.parseEther(settings.bondingTarget)
+    };
+  }
+
+  // Mirror the reserve bookkeeping in BondingCurve.sol for one event and return the trade record
+  applyEvent(state, event) {
+    const { settings } = state;
+    const type = TRADE_TYPES[event.name];
+    const trade = {
+      type,
+      phaseAtTrade: state.phase,
+      wallet: event.args[0].toLowerCase(),
+      ethIn: '0',
+      ethOut: '0',
+      tokensIn: '0',
+      tokensOut: '0',
+      sellFee: '0',
+      transactionHash: event.transactionHash.toLowerCase(),
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex
+    };
+
+    if (type === 'contribution') {
+      const [, ethAmount, tokensOut] = event.args;
+      state.ethReserve += ethAmount;
+      state.tokenReserve -= tokensOut;
+      state.totalETHCollected += ethAmount;
+      if (state.totalETHCollected >= settings.preBondingTarget) {
+        state.phase = 1;
+      }
+      trade.ethIn = ethers.formatEther(ethAmount);
+      trade.tokensOut = ethers.formatUnits(tokensOut, 18);
+    } else if (type === 'buy') {
+      const [, ethAmount, tokensOut] = event.args;
+      state.ethReserve += ethAmount;
+      state.tokenReserve -= tokensOut;
+      state.totalETHCollected += ethAmount;
+      if (state.totalETHCollected >= settings.bondingTarget) {
+        state.phase = 2;
+      }
+      trade.ethIn = ethers.formatEther(ethAmount);
+      trade.tokensOut = ethers.formatUnits(tokensOut, 18);
+    } else {
+      const [, tokensIn, ethOut, fee] = event.args;
+      state.ethReserve -= ethOut + fee;
+      state.tokenReserve += tokensIn;
+      trade.tokensIn = ethers.formatUnits(tokensIn, 18);
+      trade.ethOut = ethers.formatEther(ethOut);
+      trade.sellFee = ethers.formatEther(fee);
+    }
+
+    // Pre-bonding contributions are priced against virtualEth and the full supply
+    const price = state.phase === 0
+      ? getCurrentPrice(settings.virtualEth, TOTAL_SUPPLY)
+      : getCurrentPrice(state.ethReserve, state.tokenReserve);
+
+    trade.price = ethers.formatEther(price);
+    trade.ethReserveAfter = ethers.formatEther(state.ethReserve);
+    trade.tokenReserveAfter = ethers.formatUnits(state.tokenReserve, 18);
+    trade.totalETHCollectedAfter = ethers.formatEther(state.totalETHCollected);
+    trade.phase = state.phase;
+
+    return trade;
+  }
+
+  // Derive the token-level counters from the ledger
+  async refreshTokenStats(bondingCurveAddress) {
+    const curve = bondingCurveAddress.toLowerCase();
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    const [
+      totalTrades,
+      traderStats,
+      volumeStats,
+      lastTrade,
+      baselineTrade,
+      lastContribution,
+      bondingTrade,
+      targetTrade
+    ] = await Promise.all([
+      Trade.countDocuments({ bondingCurveAddress: curve }),
+      Trade.aggregate([
+        { $match: { bondingCurveAddress: curve } },
+        { $group: { _id: '$wallet' } },
+        { $count: 'uniqueTraders' }
+      ]),
+      Trade.aggregate([
+        { $match: { bondingCurveAddress: curve, timestamp: { $gte: since } } },
+        {
+          $group: {
+            _id: null,
+            volume: {
+              $sum: {
+                $add: [
+                  { $toDouble: '$ethIn' },
+                  { $toDouble: '$ethOut' },
+                  { $toDouble: '$sellFee' }
+                ]
+              }
+            }
+          }
+        }
+      ]),
+      Trade.findOne({ bondingCurveAddress: curve }).sort({ blockNumber: -1, logIndex: -1 }).lean(),
+      Trade.findOne({ bondingCurveAddress: curve, timestamp: { $lt: since } })
+        .sort({ blockNumber: -1, logIndex: -1 })
+        .lean(),
+      Trade.findOne({ bondingCurveAddress: curve, type: 'contribution' })
+        .sort({ blockNumber: -1, logIndex: -1 })
+        .lean(),
+      // The only contribution recorded in the Bonding phase is the one that completed pre-bonding
+      Trade.findOne({ bondingCurveAddress: curve, type: 'contribution', phase: 1 }).lean(),
+      // Likewise the only buy that leaves the curve Finalized is the one that reached the bonding target
+      Trade.findOne({ bondingCurveAddress: curve, type: 'buy', phase: 2 }).lean()
+    ]);
+
+    // Nothing left in the ledger (e.g. after a rollback): back to a freshly deployed curve
+    if (!lastTrade) {
+      const stats = {
+        totalTrades: 0,
+        uniqueTraders: 0,
+        volume24h: '0',
+        priceChange24h: '0',
+        currentPrice: '0',
+        currentPhase: 0,
+        totalPreBondingContributions: '0',
+        totalETHCollected: '0',
+        ethReserve: '0',
+        tokenReserve: '0',
+        bondingAt: null,
+        bondingBlockNumber: null,
+        bondingTxHash: null,
+        targetReachedAt: null,
+        lastUpdated: new Date()
+      };
+      await Token.updateOne({ bondingCurveAddress: curve }, { $set: stats });
+      return stats;
+    }
+
+    // Without a trade older than 24h the first trade's price stands in for the opening price
+    const openingTrade = baselineTrade || await Trade.findOne({ bondingCurveAddress: curve })
+      .sort({ blockNumber: 1, logIndex: 1 })
+      .lean();
+
+    const currentPrice = parseFloat(lastTrade.price);
+    const openingPrice = parseFloat(openingTrade.price);
+    const priceChange24h = openingPrice > 0
+      ? (((currentPrice - openingPrice) / openingPrice) * 100).toFixed(2)
+      : '0';
+
+    const stats = {
+      totalTrades,
+      uniqueTraders: traderStats[0] ? traderStats[0].uniqueTraders : 0,
+      volume24h: (volumeStats[0] ? volumeStats[0].volume : 0).toString(),
+      priceChange24h,
+      currentPrice: lastTrade.price,
+      currentPhase: lastTrade.phase,
+      // Contributions only happen before the Bonding phase, so the last one carries their total
+      totalPreBondingContributions: lastContribution ? lastContribution.totalETHCollectedAfter : '0',
+      // Like the contract, reserves and totalETHCollected stay unset until pre-bonding completes
+      totalETHCollected: lastTrade.phase === 0 ? '0' : lastTrade.totalETHCollectedAfter,
+      ethReserve: lastTrade.phase === 0 ? '0' : lastTrade.ethReserveAfter,
+      tokenReserve: lastTrade.phase === 0 ? '0' : lastTrade.tokenReserveAfter,
+      bondingAt: bondingTrade ? bondingTrade.timestamp : null,
+      bondingBlockNumber: bondingTrade ? bondingTrade.blockNumber : null,
+      bondingTxHash: bondingTrade ? bondingTrade.transactionHash : null,
+      targetReachedAt: targetTrade ? targetTrade.timestamp : null,
+      lastUpdated: new Date()
+    };
+
+    await Token.updateOne({ bondingCurveAddress: curve }, { $set: stats });
+    return stats;
+  }
+
+  async getTrades(address, { page = 1, limit = 50, type, wallet } = {}) {
+    const filter = Trade.findByToken(address).getFilter();
+    if (type) {
+      filter.type = type;
+    }
+    if (wallet) {
+      filter.wallet = wallet.toLowerCase();
+    }
+
+    const [trades, total] = await Promise.all([
+      Trade.find(filter)
+        .sort({ blockNumber: -1, logIndex: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Trade.countDocuments(filter)
+    ]);
+
+    return { trades, total };
+  }
+}
+
+// Create singleton instance
+const tradeService = new TradeService();
+
+module.exports = {
+  tradeService,
+  TRADE_EVENTS
+};
@@ -0,0 +1,478 @@
+const { ethers } = require('ethers');
+const { StatusCodes } = require('http-status-codes');
+
+const { eventBus, EVENTS } = require('./eventBus');
+const { signerService } = require('./signerService');
+const { web3Service } = require('./web3Service');
+const { hasRole } = require('../config/roles');
+const { getFeeCaps } = require('../config/txFees');
+const TxJob = require('../models/TxJob');
+const { AuthError, TxQueueError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Headroom over estimateGas, in percent
+const GAS_LIMIT_MARGIN = 120n;
+// Replacements raise both fees by 12.5%; nodes reject anything under +10%
+const bumpFee = (fee) => fee + fee / 8n;
+
+const minBigInt = (a, b) => (a < b ? a : b);
+const maxBigInt = (a, b) => (a > b ? a : b);
+
+/**
+ * Sends backend-signed Factory transactions one nonce at a time. Jobs are persisted before
+ * anything is signed, every signed attempt is recorded before it is broadcast, and a single
+ * worker assigns nonces, so concurrent admin requests never collide and nothing is lost on restart.
+ */
+class TxQueueService {
+  constructor() {
+    this.isRunning = false;
+    this.isPolling = false;
+    this.pollAgain = false;
+    this.timer = null;
+    this.pollInterval = parseInt(process.env.TX_QUEUE_POLL_INTERVAL_MS) || 5000;
+    this.bumpAfterMs = parseInt(process.env.TX_BUMP_AFTER_MS) || 60000;
+    this.maxBumps = parseInt(process.env.TX_MAX_BUMPS);
+    if (Number.isNaN(this.maxBumps) || this.maxBumps < 0) {
+      this.maxBumps = 5;
+    }
+    // Everything that signs or changes jobs runs one at a time through this chain
+    this.lock = Promise.resolve();
+    this.lastPollAt = null;
+    this.lastError = null;
+  }
+
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info(`Transaction queue started (poll every ${this.pollInterval}ms, bump after ${this.bumpAfterMs}ms)`);
+    this.timer = setTimeout(() => this.poll(), 0);
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    logger.info('Transaction queue stopped');
+  }
+
+  // Poll now instead of waiting for the next interval
+  kick() {
+    if (!this.isRunning) {
+      return;
+    }
+    if (this.isPolling) {
+      this.pollAgain = true;
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.poll(), 0);
+  }
+
+  async poll() {
+    this.isPolling = true;
+    this.pollAgain = false;
+    try {
+      await this.exclusive(async () => {
+        await this.checkSubmitted();
+        await this.sendQueued();
+      });
+      this.lastError = null;
+    } catch (error) {
+      logger.error('Transaction queue poll failed:', error);
+      this.lastError = error.message;
+    }
+    this.lastPollAt = new Date();
+    this.isPolling = false;
+
+    if (this.isRunning) {
+      this.timer = setTimeout(() => this.poll(), this.pollAgain ? 0 : this.pollInterval);
+    }
+  }
+
+  exclusive(fn) {
+    const run = this.lock.then(fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Queue an admin call to the Factory on `chainId`. It is sent by the worker; poll the job for the outcome.
+   */
+  async enqueue({ method, params, role, requestedBy, proposal = null, chainId }) {
+    const { to, data } = await web3Service.forChain(chainId).encodeAdminCall(method, params);
+
+    const job = await TxJob.create({
+      method,
+      params,
+      role,
+      requestedBy,
+      proposal,
+      to,
+      data,
+      chainId
+    });
+
+    logger.info(`Transaction job ${job._id} queued: ${method} on chain ${chainId}`, { requestedBy });
+    this.kick();
+    return job;
+  }
+
+  async get(id) {
+    const job = await TxJob.findById(id);
+    if (!job) {
+      throw new TxQueueError('Transaction job not found', StatusCodes.NOT_FOUND);
+    }
+    return job;
+  }
+
+  async list({ status, method, chainId } = {}, { page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (chainId) {
+      filter.chainId = chainId;
+    }
+    if (status) {
+      filter.status = status;
+    }
+    if (method) {
+      filter.method = method;
+    }
+
+    const [jobs, total] = await Promise.all([
+      TxJob.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      TxJob.countDocuments(filter)
+    ]);
+
+    return {
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  provider(chainId) {
+    return web3Service.forChain(chainId).provider;
+  }
+
+  // Current network fees, clamped to the chain's caps
+  async networkFees(chainId) {
+    const caps = getFeeCaps(chainId);
+    const feeData = await this.provider(chainId).getFeeData();
+
+    const maxFeePerGas = minBigInt(feeData.maxFeePerGas ?? feeData.gasPrice, caps.maxFeePerGas);
+    const maxPriorityFeePerGas = minBigInt(feeData.maxPriorityFeePerGas ?? 0n, caps.maxPriorityFeePerGas);
+    return {
+      maxFeePerGas,
+      maxPriorityFeePerGas: minBigInt(maxPriorityFeePerGas, maxFeePerGas)
+    };
+  }
+
+  // Fees for replacing the job's latest attempt, or null when the caps leave no room for a bump
+  async replacementFees(job) {
+    const last = job.attempts[job.attempts.length - 1];
+    const caps = getFeeCaps(job.chainId);
+    const network = await this.networkFees(job.chainId);
+
+    const required = {
+      maxFeePerGas: bumpFee(BigInt(last.maxFeePerGas)),
+      maxPriorityFeePerGas: bumpFee(BigInt(last.maxPriorityFeePerGas))
+    };
+    if (required.maxFeePerGas > caps.maxFeePerGas || required.maxPriorityFeePerGas > caps.maxPriorityFeePerGas) {
+      return null;
+    }
+
+    const maxFeePerGas = minBigInt(maxBigInt(required.maxFeePerGas, network.maxFeePerGas), caps.maxFeePerGas);
+    return {
+      maxFeePerGas,
+      maxPriorityFeePerGas: minBigInt(maxBigInt(required.maxPriorityFeePerGas, network.maxPriorityFeePerGas), maxFeePerGas)
+    };
+  }
+
+  // The chain's pending nonce, unless our own unmined jobs on it are already further ahead
+  async nextNonce(chainId, from) {
+    const [pending, last] = await Promise.all([
+      this.provider(chainId).getTransactionCount(from, 'pending'),
+      TxJob.findOne({ chainId, from, status: 'submitted' }).sort({ nonce: -1 }).select('nonce').lean()
+    ]);
+    return Math.max(pending, last ? last.nonce + 1 : 0);
+  }
+
+  /**
+   * Sign and broadcast one attempt at the job's nonce. The attempt is saved first, so a
+   * broadcast that is interrupted is still tracked. Returns false when the node refused it.
+   */
+  async broadcast(job, kind, fees) {
+    const cancelling = kind === 'cancel';
+    const tx = {
+      type: 2,
+      from: job.from,
+      to: cancelling ? job.from : job.to,
+      data: cancelling ? '0x' : job.data,
+      value: cancelling ? 0n : BigInt(job.value),
+      gasLimit: cancelling ? await this.estimateGas(job.chainId, { from: job.from, to: job.from, value: 0n }) : BigInt(job.gasLimit),
+      nonce: job.nonce,
+      chainId: job.chainId,
+      ...fees
+    };
+
+    const raw = await signerService.getSigner(job.chainId).signTransaction(tx);
+    const hash = ethers.keccak256(raw);
+
+    job.attempts.push({
+      hash,
+      kind,
+      maxFeePerGas: fees.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString()
+    });
+    await job.save();
+
+    try {
+      await this.provider(job.chainId).broadcastTransaction(raw);
+    } catch (error) {
+      // Timeouts may still have reached the node; the receipt check settles those
+      if (['TIMEOUT', 'NETWORK_ERROR'].includes(error.code)) {
+        logger.warn(`Broadcast of ${hash} (job ${job._id}) timed out: ${error.message}`);
+        return true;
+      }
+
+      job.attempts.pop();
+      job.error = error.shortMessage || error.message;
+      await job.save();
+      logger.warn(`Node refused ${kind} of transaction job ${job._id}: ${job.error}`);
+      return false;
+    }
+
+    logger.info(`Transaction job ${job._id} ${kind} sent: ${hash}`, {
+      nonce: job.nonce,
+      maxFeePerGas: ethers.formatUnits(fees.maxFeePerGas, 'gwei')
+    });
+    return true;
+  }
+
+  async estimateGas(chainId, tx) {
+    const estimate = await this.provider(chainId).estimateGas(tx);
+    return estimate * GAS_LIMIT_MARGIN / 100n;
+  }
+
+  async finish(job, status, fields = {}) {
+    Object.assign(job, fields, { status, finishedAt: new Date() });
+    await job.save();
+
+    logger.info(`Transaction job ${job._id} ${status}`, {
+      method: job.method,
+      transactionHash: job.transactionHash,
+      error: job.error
+    });
+    eventBus.publish(EVENTS.TX_JOB_FINISHED, job.toObject());
+    return job;
+  }
+
+  // Give queued jobs the next nonces on their chain and send them, oldest first
+  async sendQueued() {
+    const jobs = await TxJob.find({ status: 'queued' }).sort({ createdAt: 1 });
+    const waiting = new Map();
+    // Signer status per chain, with the Factory owner re-read once per pass
+    const signers = new Map();
+
+    for (const job of jobs) {
+      if (!web3Service.hasChain(job.chainId)) {
+        await this.finish(job, 'failed', { error: `Chain ${job.chainId} is not served by this backend` });
+        continue;
+      }
+      // Jobs wait while their chain has no usable signer
+      if (!signers.has(job.chainId)) {
+        signers.set(job.chainId, await signerService.refreshOwner(job.chainId));
+      }
+      const signer = signers.get(job.chainId);
+      if (!signer.ready) {
+        waiting.set(job.chainId, { count: (waiting.get(job.chainId)?.count || 0) + 1, error: signer.error });
+        continue;
+      }
+
+      const from = signer.address.toLowerCase();
+
+      // A call that would revert is never given a nonce
+      let gasLimit;
+      try {
+        gasLimit = await this.estimateGas(job.chainId, { from, to: job.to, data: job.data, value: BigInt(job.value) });
+      } catch (error) {
+        await this.finish(job, 'failed', { error: error.shortMessage || error.message });
+        continue;
+      }
+
+      job.from = from;
+      job.gasLimit = gasLimit.toString();
+      job.nonce = await this.nextNonce(job.chainId, from);
+      job.status = 'submitted';
+      job.submittedAt = new Date();
+
+      const sent = await this.broadcast(job, 'original', await this.networkFees(job.chainId));
+      if (!sent) {
+        await this.finish(job, 'failed');
+      }
+    }
+
+    for (const [chainId, { count, error }] of waiting) {
+      logger.warn(`${count} transaction job(s) on chain ${chainId} waiting: ${error}`);
+    }
+  }
+
+  // Settle mined or replaced jobs and bump the ones that have waited too long
+  async checkSubmitted() {
+    const jobs = await TxJob.find({ status: 'submitted' }).sort({ nonce: 1 });
+
+    for (const job of jobs) {
+      // Jobs of a chain that was dropped from CHAINS are left as they are until it is served again
+      if (!web3Service.hasChain(job.chainId)) {
+        continue;
+      }
+
+      // Read the nonce before the receipts, so a transaction mined in between is not mistaken for a replacement
+      const provider = this.provider(job.chainId);
+      const confirmedNonce = await provider.getTransactionCount(job.from, 'latest');
+
+      let receipt = null;
+      let attempt = null;
+      for (const candidate of job.attempts) {
+        receipt = await provider.getTransactionReceipt(candidate.hash);
+        if (receipt) {
+          attempt = candidate;
+          break;
+        }
+      }
+
+      if (receipt) {
+        const fields = {
+          transactionHash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString()
+        };
+        if (receipt.status !== 1) {
+          await this.finish(job, 'failed', { ...fields, error: 'Transaction reverted' });
+        } else {
+          await this.finish(job, attempt.kind === 'cancel' ? 'cancelled' : 'mined', { ...fields, error: null });
+        }
+        continue;
+      }
+
+      if (confirmedNonce > job.nonce) {
+        await this.finish(job, 'failed', { error: `Nonce ${job.nonce} was used by a transaction outside the queue` });
+        continue;
+      }
+
+      const last = job.attempts[job.attempts.length - 1];
+      if (Date.now() - last.sentAt.getTime() < this.bumpAfterMs || job.attempts.length > this.maxBumps) {
+        continue;
+      }
+
+      const fees = await this.replacementFees(job);
+      if (!fees) {
+        const error = `Fee cap reached; raise TX_MAX_FEE_GWEI_${job.chainId} or cancel the job (nonce ${job.nonce})`;
+        if (job.error !== error) {
+          logger.warn(`Transaction job ${job._id} stuck: ${error}`);
+          job.error = error;
+          await job.save();
+        }
+        continue;
+      }
+      // A pending cancellation is bumped as a cancellation
+      await this.broadcast(job, job.cancelRequested ? 'cancel' : 'bump', fees);
+    }
+  }
+
+  assertCanManage(job, admin) {
+    if (!hasRole(admin.roles, job.role)) {
+      throw new AuthError(`Managing ${job.method} transactions requires the ${job.role} role`, StatusCodes.FORBIDDEN);
+    }
+  }
+
+  async replace(job, kind) {
+    const fees = await this.replacementFees(job);
+    if (!fees) {
+      throw new TxQueueError('Fee cap reached; the transaction cannot be replaced at a higher fee');
+    }
+    if (!await this.broadcast(job, kind, fees)) {
+      throw new TxQueueError(`Replacement refused by the node: ${job.error}`, StatusCodes.BAD_GATEWAY);
+    }
+    return job;
+  }
+
+  // Resend a submitted job at the same nonce with higher fees
+  speedUp(id, admin) {
+    return this.exclusive(async () => {
+      const job = await this.get(id);
+      this.assertCanManage(job, admin);
+      if (job.status !== 'submitted') {
+        throw new TxQueueError(`Transaction job is ${job.status}`);
+      }
+      if (job.cancelRequested) {
+        throw new TxQueueError('Transaction job is being cancelled');
+      }
+
+      return this.replace(job, 'speedup');
+    });
+  }
+
+  /**
+   * Drop a queued job, or replace a submitted one with a 0-value transfer to ourselves at the
+   * same nonce. A cancellation can still lose the race; the job then ends up mined.
+   */
+  cancel(id, admin) {
+    return this.exclusive(async () => {
+      const job = await this.get(id);
+      this.assertCanManage(job, admin);
+
+      if (job.status === 'queued') {
+        return this.finish(job, 'cancelled');
+      }
+      if (job.status !== 'submitted') {
+        throw new TxQueueError(`Transaction job is ${job.status}`);
+      }
+
+      // Saved with the cancel attempt, so later bumps keep cancelling
+      job.cancelRequested = true;
+      try {
+        return await this.replace(job, 'cancel');
+      } catch (error) {
+        job.cancelRequested = false;
+        await job.save();
+        throw error;
+      }
+    });
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      pollInterval: this.pollInterval,
+      bumpAfterMs: this.bumpAfterMs,
+      maxBumps: this.maxBumps,
+      lastPollAt: this.lastPollAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Create singleton instance
+const txQueueService = new TxQueueService();
+
+const startTxQueue = () => {
+  txQueueService.start();
+};
+
+module.exports = {
+  txQueueService,
+  startTxQueue
+};
@@ -0,0 +1,259 @@
+const { ethers } = require('ethers');
+
+const Token = require('../models/Token');
+const Trade = require('../models/Trade');
+const VolumeRollup = require('../models/VolumeRollup');
+const { toBigInt } = require('../utils/decimal');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bucket sizes accepted by getTimeline, mapped to $dateTrunc units
+const INTERVALS = {
+  day: 'day',
+  week: 'week',
+  month: 'month'
+};
+
+const startOfDay = (date) => new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+const sumWhen = (types, field) => ({
+  $sum: { $cond: [{ $in: ['$type', types] }, { $toDecimal: field }, 0] }
+});
+
+const countWhen = (types) => ({
+  $sum: { $cond: [{ $in: ['$type', types] }, 1, 0] }
+});
+
+const formatAmount = (value) => ethers.formatEther(toBigInt(value, 18));
+
+class VolumeService {
+  // Rebuild the rollups of every (curve, day) touched by the given trades
+  async refreshForTrades(trades) {
+    const days = new Map();
+    for (const trade of trades) {
+      const day = startOfDay(new Date(trade.timestamp));
+      days.set(`${trade.bondingCurveAddress}:${day.getTime()}`, { bondingCurveAddress: trade.bondingCurveAddress, day });
+    }
+
+    for (const { bondingCurveAddress, day } of days.values()) {
+      await this.refreshDay(bondingCurveAddress, day);
+    }
+  }
+
+  // Rollups are recomputed from the ledger, so replays and rollbacks leave them consistent.
+  // A day on which the curve moved from PreBonding to Bonding gets one rollup per phase.
+  async refreshDay(bondingCurveAddress, day) {
+    const curve = bondingCurveAddress.toLowerCase();
+    const date = startOfDay(day);
+
+    const stats = await Trade.aggregate([
+      {
+        $match: {
+          bondingCurveAddress: curve,
+          timestamp: { $gte: date, $lt: new Date(date.getTime() + DAY_MS) }
+        }
+      },
+      {
+        $group: {
+          _id: '$phaseAtTrade',
+          chainId: { $first: '$chainId' },
+          tokenAddress: { $first: '$tokenAddress' },
+          buyVolume: sumWhen(['contribution', 'buy'], '$ethIn'),
+          contributionVolume: sumWhen(['contribution'], '$ethIn'),
+          sellVolume: sumWhen(['sell'], '$ethOut'),
+          sellFees: sumWhen(['sell'], '$sellFee'),
+          trades: { $sum: 1 },
+          contributions: countWhen(['contribution']),
+          buys: countWhen(['buy']),
+          sells: countWhen(['sell']),
+          traders: { $addToSet: '$wallet' }
+        }
+      }
+    ]);
+
+    const rollups = stats.map(({ _id, ...rollup }) => ({ ...rollup, phase: _id }));
+    for (const rollup of rollups) {
+      await VolumeRollup.updateOne(
+        { bondingCurveAddress: curve, date, phase: rollup.phase },
+        { $set: rollup },
+        { upsert: true }
+      );
+    }
+    await VolumeRollup.deleteMany({
+      bondingCurveAddress: curve,
+      date,
+      phase: { $nin: rollups.map(rollup => rollup.phase) }
+    });
+
+    return rollups;
+  }
+
+  /**
+   * Trades indexed before phaseAtTrade existed get it from their type: contributions are only
+   * accepted in PreBonding, buys and sells only in Bonding. Rollups from before they were split
+   * by phase are dropped so backfill rebuilds them.
+   */
+  async migratePhases() {
+    await Trade.updateMany({ phaseAtTrade: { $exists: false }, type: 'contribution' }, { $set: { phaseAtTrade: 0 } });
+    await Trade.updateMany({ phaseAtTrade: { $exists: false } }, { $set: { phaseAtTrade: 1 } });
+
+    const { deletedCount } = await VolumeRollup.deleteMany({ phase: { $exists: false } });
+    if (deletedCount > 0) {
+      logger.info(`Dropped ${deletedCount} volume rollup(s) without a phase`);
+    }
+    // The unique index now includes the phase
+    await VolumeRollup.syncIndexes();
+  }
+
+  // Build rollups for trades indexed before rollups existed
+  async backfill() {
+    await this.migratePhases();
+
+    const [rollups, trades] = await Promise.all([
+      VolumeRollup.estimatedDocumentCount(),
+      Trade.estimatedDocumentCount()
+    ]);
+
+    if (rollups > 0 || trades === 0) {
+      return 0;
+    }
+
+    const days = await Trade.aggregate([
+      {
+        $group: {
+          _id: {
+            bondingCurveAddress: '$bondingCurveAddress',
+            day: { $dateTrunc: { date: '$timestamp', unit: 'day' } }
+          }
+        }
+      }
+    ]);
+
+    for (const { _id } of days) {
+      await this.refreshDay(_id.bondingCurveAddress, _id.day);
+    }
+
+    logger.info(`Backfilled ${days.length} volume rollup(s) from ${trades} trade(s)`);
+    return days.length;
+  }
+
+  /**
+   * Volume timeline in day, week (starting Monday) or month buckets since `from`.
+   * `tokenAddresses` or `chainId` restrict it; omit both for the whole platform. `phase` keeps the
+   * trades made in that phase (graduations are counted regardless). Amounts are in each chain's
+   * native currency, so platform-wide totals only add up within one chain.
+   */
+  async getTimeline({ from, interval = 'day', tokenAddresses, chainId, phase } = {}) {
+    const unit = INTERVALS[interval];
+    if (!unit) {
+      throw new Error(`Unsupported volume interval: ${interval}`);
+    }
+
+    const bucket = (field) => ({ $dateTrunc: { date: field, unit, startOfWeek: 'monday' } });
+
+    const rollupMatch = { date: { $gte: startOfDay(from) } };
+    const graduationMatch = { finalizedAt: { $gte: from } };
+    if (tokenAddresses) {
+      rollupMatch.tokenAddress = { $in: tokenAddresses };
+      graduationMatch.tokenAddress = { $in: tokenAddresses };
+    }
+    if (chainId !== undefined) {
+      rollupMatch.chainId = chainId;
+      graduationMatch.chainId = chainId;
+    }
+    if (phase !== undefined) {
+      rollupMatch.phase = phase;
+    }
+
+    const [volume, traders, graduations] = await Promise.all([
+      VolumeRollup.aggregate([
+        { $match: rollupMatch },
+        {
+          $group: {
+            _id: bucket('$date'),
+            buyVolume: { $sum: '$buyVolume' },
+            contributionVolume: { $sum: '$contributionVolume' },
+            sellVolume: { $sum: '$sellVolume' },
+            sellFees: { $sum: '$sellFees' },
+            trades: { $sum: '$trades' },
+            contributions: { $sum: '$contributions' },
+            buys: { $sum: '$buys' },
+            sells: { $sum: '$sells' }
+          }
+        }
+      ]),
+      // One group per trader and bucket, so a bucket's traders are counted without collecting them in one array
+      VolumeRollup.aggregate([
+        { $match: rollupMatch },
+        { $unwind: '$traders' },
+        { $group: { _id: { bucket: bucket('$date'), trader: '$traders' } } },
+        { $group: { _id: '$_id.bucket', count: { $sum: 1 } } }
+      ]),
+      Token.aggregate([
+        { $match: graduationMatch },
+        { $group: { _id: bucket('$finalizedAt'), count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const buckets = new Map();
+    const emptyBucket = (date) => ({
+      date,
+      buyVolume: '0.0',
+      contributionVolume: '0.0',
+      sellVolume: '0.0',
+      sellFees: '0.0',
+      totalVolume: '0.0',
+      trades: 0,
+      contributions: 0,
+      buys: 0,
+      sells: 0,
+      uniqueTraders: 0,
+      graduatedTokens: 0
+    });
+
+    for (const entry of volume) {
+      const buyVolume = toBigInt(entry.buyVolume, 18);
+      const sellVolume = toBigInt(entry.sellVolume, 18);
+      const sellFees = toBigInt(entry.sellFees, 18);
+
+      buckets.set(entry._id.getTime(), {
+        ...emptyBucket(entry._id),
+        buyVolume: ethers.formatEther(buyVolume),
+        contributionVolume: formatAmount(entry.contributionVolume),
+        sellVolume: ethers.formatEther(sellVolume),
+        sellFees: ethers.formatEther(sellFees),
+        totalVolume: ethers.formatEther(buyVolume + sellVolume + sellFees),
+        trades: entry.trades,
+        contributions: entry.contributions,
+        buys: entry.buys,
+        sells: entry.sells
+      });
+    }
+
+    for (const entry of traders) {
+      const current = buckets.get(entry._id.getTime());
+      if (current) {
+        current.uniqueTraders = entry.count;
+      }
+    }
+
+    for (const entry of graduations) {
+      const key = entry._id.getTime();
+      if (!buckets.has(key)) {
+        buckets.set(key, emptyBucket(entry._id));
+      }
+      buckets.get(key).graduatedTokens = entry.count;
+    }
+
+    return [...buckets.values()].sort((a, b) => a.date - b.date);
+  }
+}
+
+// Create singleton instance
+const volumeService = new VolumeService();
+
+module.exports = {
+  volumeService,
+  INTERVALS
+};
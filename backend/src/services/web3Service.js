@@ -1,115 +1,160 @@
 const { ethers } = require('ethers');
-const logger = require('../utils/logger');
-
-// Contract ABIs (simplified for essential functions)
-const FACTORY_ABI = [
-  "function deployBondingCurveSystem(string name, string symbol) external payable returns (address tokenAddress, address bondingCurveAddress)",
-  "function getDeploymentFee() external view returns (uint256)",
-  "function updateDeploymentFee(uint256 newFee) external",
-  "function withdrawFees(address recipient) external",
-  "function getBondingCurveSettings() external view returns (tuple(uint256 virtualEth, uint256 preBondingTarget, uint256 bondingTarget, uint256 minContribution, uint24 poolFee, uint24 sellFee, address uniswapV3Factory, address positionManager, address weth, address feeTo))",
-  "function updateBondingCurveSettings(tuple(uint256 virtualEth, uint256 preBondingTarget, uint256 bondingTarget, uint256 minContribution, uint24 poolFee, uint24 sellFee, address uniswapV3Factory, address positionManager, address weth, address feeTo) newSettings) external",
-  "event BondingCurveSystemDeployed(address indexed bondingCurveAddress, address indexed tokenAddress, address indexed owner, string name, string symbol)",
-  "event DeploymentFeeUpdated(uint256 oldFee, uint256 newFee)",
-  "event BondingCurveSettingsUpdated(uint256 virtualEth, uint256 preBondingTarget, uint256 bondingTarget, uint256 minContribution, uint24 poolFee)"
-];
-
-const BONDING_CURVE_ABI = [
-  "function contributePreBonding() external payable",
-  "function buyTokens(uint256 minTokens) external payable returns (uint256 tokensToReceive)",
-  "function sellTokens(uint256 tokenAmount, uint256 minETH) external returns (uint256 ethToReceive, uint256 fee)",
-  "function finalizeCurve() external",
-  "function token() external view returns (address)",
-  "function currentPhase() external view returns (uint8)",
-  "function totalPreBondingContributions() external view returns (uint256)",
-  "function ethReserve() external view returns (uint256)",
-  "function tokenReserve() external view returns (uint256)",
-  "function totalETHCollected() external view returns (uint256)",
-  "function contributions(address user) external view returns (uint256)",
-  "function tokenAllocations(address user) external view returns (uint256)",
-  "function isFinalized() external view returns (bool)",
-  "function getBondingCurveSettings() external view returns (tuple(uint256 virtualEth, uint256 preBondingTarget, uint256 bondingTarget, uint256 minContribution, uint24 poolFee, uint24 sellFee, address uniswapV3Factory, address positionManager, address weth, address feeTo))",
-  "event PreBondingContribution(address indexed user, uint256 ethAmount, uint256 tokensOut)",
-  "event TokensPurchased(address indexed user, uint256 ethAmount, uint256 tokensOut)",
-  "event TokensSold(address indexed user, uint256 tokensIn, uint256 ethOut, uint256 fee)",
-  "event CurveFinalized(address indexed pool, uint256 lpTokenId)"
-];
 
-const TOKEN_ABI = [
-  "function name() external view returns (string)",
-  "function symbol() external view returns (string)",
-  "function decimals() external view returns (uint8)",
-  "function totalSupply() external view returns (uint256)",
-  "function balanceOf(address account) external view returns (uint256)",
-  "function transfer(address to, uint256 amount) external returns (bool)",
-  "function transferFrom(address from, address to, uint256 amount) external returns (bool)",
-  "function approve(address spender, uint256 amount) external returns (bool)",
-  "function allowance(address owner, address spender) external view returns (uint256)",
-  "event Transfer(address indexed from, address indexed to, uint256 value)",
-  "event Approval(address indexed owner, address indexed spender, uint256 value)"
+const { signerService } = require('./signerService');
+const { DEFAULT_CHAIN_ID, loadChains } = require('../config/chains');
+const { getRpcPolicy } = require('../config/rpc');
+const {
+  ARTIFACTS,
+  BondingCurveInterface,
+  TokenImplementationInterface,
+  connectBondingCurve,
+  connectFactory,
+  connectTokenImplementation
+} = require('../contracts');
+const {
+  BondingMathError,
+  applyFactorySettings,
+  derivePreBondingTarget,
+  projectCurvePrices
+} = require('../utils/bondingMath');
+const { cloneImplementation, matchesArtifact } = require('../utils/bytecode');
+const { ChainError } = require('../utils/errors');
+const { FailoverProvider } = require('../utils/failoverProvider');
+const logger = require('../utils/logger');
+const { aggregate } = require('../utils/multicall');
+
+// Views read for a bonding curve's live state, and for its token's metadata
+const CURVE_READS = [
+  'token',
+  'currentPhase',
+  'totalPreBondingContributions',
+  'ethReserve',
+  'tokenReserve',
+  'totalETHCollected',
+  'isFinalized',
+  'getBondingCurveSettings'
 ];
+const TOKEN_READS = ['name', 'symbol', 'decimals', 'totalSupply'];
+
+// Values of reads, keyed by method
+const byMethod = (methods, values) => Object.fromEntries(methods.map((method, index) => [method, values[index]]));
+
+const formatBondingCurveInfo = (reads) => {
+  const settings = reads.getBondingCurveSettings;
+  return {
+    tokenAddress: reads.token,
+    currentPhase: parseInt(reads.currentPhase.toString()),
+    totalPreBondingContributions: ethers.formatEther(reads.totalPreBondingContributions),
+    ethReserve: ethers.formatEther(reads.ethReserve),
+    tokenReserve: ethers.formatUnits(reads.tokenReserve, 18),
+    totalETHCollected: ethers.formatEther(reads.totalETHCollected),
+    isFinalized: reads.isFinalized,
+    settings: {
+      virtualEth: ethers.formatEther(settings.virtualEth),
+      preBondingTarget: ethers.formatEther(settings.preBondingTarget),
+      bondingTarget: ethers.formatEther(settings.bondingTarget),
+      minContribution: ethers.formatEther(settings.minContribution),
+      poolFee: settings.poolFee.toString(),
+      sellFee: settings.sellFee.toString()
+    }
+  };
+};
 
-class Web3Service {
-  constructor() {
+// Provider and contracts of one chain (see config/chains.js)
+class ChainClient {
+  constructor(chain) {
+    this.chain = chain;
+    this.chainId = chain.chainId;
     this.provider = null;
     this.factoryContract = null;
-    this.bondingCurveContract = null;
-    this.isInitialized = false;
+    this.bondingCurveInterface = BondingCurveInterface;
+    this.tokenInterface = TokenImplementationInterface;
+    this.lockAddress = chain.lockAddress ? chain.lockAddress.toLowerCase() : null;
+    // Set once its code is found on the chain
+    this.multicallAddress = null;
   }
 
-  // Helper function to create wallet from either private key or mnemonic
-  createWallet(keyOrMnemonic) {
-    try {
-      // Remove '0x' prefix if present and clean the input
-      const cleanInput = keyOrMnemonic.trim().replace(/^0x/, '');
-      
-      // Check if it's a private key (64 hex characters)
-      if (/^[a-fA-F0-9]{64}$/.test(cleanInput)) {
-        return new ethers.Wallet('0x' + cleanInput, this.provider);
-      }
-      
-      // If not a private key, treat as mnemonic
-      const words = cleanInput.split(' ').filter(word => word.length > 0);
-      if (words.length >= 12) {
-        // It's a mnemonic phrase
-        const wallet = ethers.Wallet.fromPhrase(cleanInput, this.provider);
-        logger.info(`Created wallet from mnemonic. Address: ${wallet.address}`);
-        return wallet;
-      }
-      
-      throw new Error('Invalid private key or mnemonic phrase format');
-    } catch (error) {
-      logger.error('Error creating wallet:', error.message);
-      throw new Error(`Invalid private key or mnemonic: ${error.message}`);
+  async initialize() {
+    const { chainId, name, rpcUrls, factoryAddress } = this.chain;
+
+    this.provider = new FailoverProvider(this.chain, rpcUrls, getRpcPolicy(chainId));
+
+    // Test the connections, and that every RPC serves the chain it is configured for
+    await this.provider.verifyEndpoints();
+    logger.info(`Connected to ${name} - Chain ID: ${chainId} (${rpcUrls.length} RPC endpoint(s), ${this.provider.policy.mode})`);
+
+    this.factoryContract = connectFactory(factoryAddress, this.provider);
+    logger.info(`Factory contract on ${name} initialized at: ${factoryAddress}`);
+
+    if (this.chain.verifyBytecode) {
+      await this.verifyBytecode();
     }
+
+    await this.initializeMulticall();
+
+    // Admin transactions are signed by the configured backend, which must own the Factory
+    await signerService.initialize(chainId, this.provider, this.factoryContract);
   }
 
-  async initializeWeb3() {
-    try {
-      // Initialize provider (using testnet since contracts are deployed there)
-      const rpcUrl = process.env.ABSTRACT_TESTNET_RPC_URL || 'https://api.testnet.abs.xyz';
-      this.provider = new ethers.JsonRpcProvider(rpcUrl);
-
-      // Test the connection
-      const network = await this.provider.getNetwork();
-      logger.info(`Connected to Abstract L2 - Chain ID: ${network.chainId}`);
-
-      // Initialize factory contract
-      const factoryAddress = process.env.FACTORY_ADDRESS;
-      if (!factoryAddress) {
-        throw new Error('Factory address not provided in environment variables');
+  /**
+   * Fail startup when a contract this chain uses doesn't run the code src/contracts was
+   * generated from. Clones are checked against their implementation.
+   */
+  async verifyBytecode() {
+    const { chainId, name, factoryAddress } = this.chain;
+
+    const verify = async (contractName, address) => {
+      let code = await this.provider.getCode(address);
+      const implementation = cloneImplementation(code);
+      if (implementation) {
+        code = await this.provider.getCode(implementation);
       }
 
-      this.factoryContract = new ethers.Contract(factoryAddress, FACTORY_ABI, this.provider);
+      const artifact = ARTIFACTS[contractName];
+      if (code === '0x') {
+        throw new Error(`No ${contractName} contract on ${name} at ${implementation || address}`);
+      }
+      if (!matchesArtifact(code, artifact)) {
+        throw new Error(
+          `${contractName} on ${name} at ${implementation || address} does not match artifact version ${artifact.version}; ` +
+          `regenerate the contract clients or set VERIFY_BYTECODE_${chainId}=false`
+        );
+      }
+    };
+
+    // The Factory is checked before its getters are trusted to name the other contracts
+    await verify('Factory', factoryAddress);
+    const [lockAddress, bondingCurveImplementation, tokenImplementation] = await Promise.all([
+      this.getLockAddress(),
+      this.factoryContract.getBondingCurveImplementation(),
+      this.factoryContract.getTokenImplementation()
+    ]);
+    await verify('Lock', lockAddress);
+    await verify('BondingCurve', bondingCurveImplementation);
+    await verify('TokenImplementation', tokenImplementation);
+
+    logger.info(`Contract bytecode on ${name} matches the generated clients`);
+  }
 
-      logger.info(`Factory contract initialized at: ${factoryAddress}`);
-      this.isInitialized = true;
+  // Batch reads through Multicall3 where the chain has one; without it reads are sent one by one
+  async initializeMulticall() {
+    const { name, multicallAddress } = this.chain;
 
-      return true;
-    } catch (error) {
-      logger.error('Failed to initialize Web3 service:', error);
-      throw error;
+    const code = await this.provider.getCode(multicallAddress);
+    if (code === '0x') {
+      logger.warn(`No Multicall3 on ${name} at ${multicallAddress}; contract reads are not batched`);
+      return;
     }
+
+    this.multicallAddress = multicallAddress;
+    logger.info(`Multicall3 on ${name} at ${multicallAddress}`);
+  }
+
+  // Read calls in one round trip per batch (see utils/multicall.js)
+  multicall(calls) {
+    return aggregate(this.provider, this.multicallAddress, calls, {
+      batchSize: this.provider.policy.multicallBatchSize
+    });
   }
 
   // Admin functions
@@ -123,205 +168,440 @@ class Web3Service {
     }
   }
 
-  async updateDeploymentFee(newFeeInEth, adminPrivateKey) {
+  async getBondingCurveSettings() {
     try {
-      const wallet = this.createWallet(adminPrivateKey);
-      const factoryWithSigner = this.factoryContract.connect(wallet);
-      
-      const feeInWei = ethers.parseEther(newFeeInEth.toString());
-      const tx = await factoryWithSigner.updateDeploymentFee(feeInWei);
-      
-      logger.info(`Deployment fee update transaction: ${tx.hash}`);
-      const receipt = await tx.wait();
-      
-      return {
-        transactionHash: tx.hash,
-        blockNumber: receipt.blockNumber,
-        success: true
-      };
+      const settings = await this.factoryContract.getBondingCurveSettings();
+      return this.formatSettings(settings);
     } catch (error) {
-      logger.error('Error updating deployment fee:', error);
+      logger.error('Error getting bonding curve settings:', error);
       throw error;
     }
   }
 
-  async getBondingCurveSettings() {
+  // Convert API settings (ETH amounts as decimals) to the Factory's BondingCurveSettings struct
+  toSettingsStruct(settings) {
+    return {
+      virtualEth: ethers.parseEther(settings.virtualEth.toString()),
+      preBondingTarget: ethers.parseEther(settings.preBondingTarget.toString()),
+      bondingTarget: ethers.parseEther(settings.bondingTarget.toString()),
+      minContribution: ethers.parseEther(settings.minContribution.toString()),
+      poolFee: settings.poolFee,
+      sellFee: settings.sellFee,
+      uniswapV3Factory: settings.uniswapV3Factory,
+      positionManager: settings.positionManager,
+      weth: settings.weth,
+      feeTo: settings.feeTo
+    };
+  }
+
+  // Inverse of toSettingsStruct: ETH amounts as decimal strings
+  formatSettings(struct) {
+    return {
+      virtualEth: ethers.formatEther(struct.virtualEth),
+      preBondingTarget: ethers.formatEther(struct.preBondingTarget),
+      bondingTarget: ethers.formatEther(struct.bondingTarget),
+      minContribution: ethers.formatEther(struct.minContribution),
+      poolFee: struct.poolFee.toString(),
+      sellFee: struct.sellFee.toString(),
+      uniswapV3Factory: struct.uniswapV3Factory,
+      positionManager: struct.positionManager,
+      weth: struct.weth,
+      feeTo: struct.feeTo
+    };
+  }
+
+  /**
+   * Dry-run a BondingCurveSettings update without broadcasting: the Factory's checks in JS,
+   * then eth_call and estimateGas from the admin signer. Returns a field-by-field diff
+   * against the live settings and the prices a new curve would go through.
+   */
+  async previewBondingCurveSettings(settings) {
+    const requested = this.toSettingsStruct(settings);
+    const applied = { ...requested, preBondingTarget: derivePreBondingTarget(requested.virtualEth) };
+    const current = await this.factoryContract.getBondingCurveSettings();
+
+    const before = this.formatSettings(current);
+    const submitted = this.formatSettings(requested);
+    const after = this.formatSettings(applied);
+    const diff = Object.keys(after).map(field => ({
+      field,
+      current: before[field],
+      requested: submitted[field],
+      applied: after[field],
+      changed: before[field].toLowerCase() !== after[field].toLowerCase()
+    }));
+
+    let revert = null;
+    let gasEstimate = null;
     try {
-      const settings = await this.factoryContract.getBondingCurveSettings();
-      return {
-        virtualEth: ethers.formatEther(settings.virtualEth),
-        preBondingTarget: ethers.formatEther(settings.preBondingTarget),
-        bondingTarget: ethers.formatEther(settings.bondingTarget),
-        minContribution: ethers.formatEther(settings.minContribution),
-        poolFee: settings.poolFee.toString(),
-        sellFee: settings.sellFee.toString(),
-        uniswapV3Factory: settings.uniswapV3Factory,
-        positionManager: settings.positionManager,
-        weth: settings.weth,
-        feeTo: settings.feeTo
-      };
+      applyFactorySettings(requested);
+
+      const factoryWithSigner = this.factoryContract.connect(signerService.getSigner(this.chainId));
+      await factoryWithSigner.updateBondingCurveSettings.staticCall(requested);
+      gasEstimate = (await factoryWithSigner.updateBondingCurveSettings.estimateGas(requested)).toString();
     } catch (error) {
-      logger.error('Error getting bonding curve settings:', error);
-      throw error;
+      if (error instanceof BondingMathError) {
+        revert = { stage: 'validation', reason: error.reason, message: error.message };
+      } else if (error.code === 'CALL_EXCEPTION') {
+        revert = { stage: 'eth_call', reason: error.revert ? error.revert.name : null, message: error.shortMessage || error.message };
+      } else {
+        throw error;
+      }
     }
+
+    return {
+      wouldSucceed: !revert,
+      revert,
+      gasEstimate,
+      changedFields: diff.filter(entry => entry.changed).map(entry => entry.field),
+      diff,
+      preBondingTarget: {
+        requested: submitted.preBondingTarget,
+        derived: after.preBondingTarget,
+        overridden: requested.preBondingTarget !== applied.preBondingTarget
+      },
+      curvePrices: {
+        current: this.formatCurvePrices(projectCurvePrices(current)),
+        // Settings the Factory rejects never produce a curve
+        proposed: revert && revert.stage === 'validation' ? null : this.formatCurvePrices(projectCurvePrices(applied))
+      }
+    };
   }
 
-  async updateBondingCurveSettings(newSettings, adminPrivateKey) {
-    try {
-      const wallet = this.createWallet(adminPrivateKey);
-      const factoryWithSigner = this.factoryContract.connect(wallet);
-
-      // Convert settings to proper format
-      const settingsStruct = {
-        virtualEth: ethers.parseEther(newSettings.virtualEth.toString()),
-        preBondingTarget: ethers.parseEther(newSettings.preBondingTarget.toString()),
-        bondingTarget: ethers.parseEther(newSettings.bondingTarget.toString()),
-        minContribution: ethers.parseEther(newSettings.minContribution.toString()),
-        poolFee: newSettings.poolFee,
-        sellFee: newSettings.sellFee,
-        uniswapV3Factory: newSettings.uniswapV3Factory,
-        positionManager: newSettings.positionManager,
-        weth: newSettings.weth,
-        feeTo: newSettings.feeTo
-      };
+  formatCurvePrices(projection) {
+    return {
+      launchPrice: ethers.formatEther(projection.launchPrice),
+      preBondingPrice: ethers.formatEther(projection.preBondingPrice),
+      bondingTargetPrice: ethers.formatEther(projection.bondingTargetPrice),
+      preBondingTokens: ethers.formatEther(projection.preBondingTokens),
+      tokensSoldAtTarget: ethers.formatEther(projection.tokensSoldAtTarget)
+    };
+  }
 
-      const tx = await factoryWithSigner.updateBondingCurveSettings(settingsStruct);
-      
-      logger.info(`Bonding curve settings update transaction: ${tx.hash}`);
-      const receipt = await tx.wait();
-      
-      return {
-        transactionHash: tx.hash,
-        blockNumber: receipt.blockNumber,
-        success: true
-      };
+  // Arguments of an admin Factory method from its API params
+  adminCallArgs(method, params) {
+    const args = {
+      updateDeploymentFee: () => [ethers.parseEther(params.fee.toString())],
+      updateBondingCurveSettings: () => [this.toSettingsStruct(params)],
+      withdrawFees: () => [params.recipient]
+    }[method];
+    if (!args) {
+      throw new Error(`Unknown admin action: ${method}`);
+    }
+    return args();
+  }
+
+  // Target and calldata of an admin Factory call, for the transaction queue
+  async encodeAdminCall(method, params) {
+    return {
+      to: await this.factoryContract.getAddress(),
+      data: this.factoryContract.interface.encodeFunctionData(method, this.adminCallArgs(method, params))
+    };
+  }
+
+  // eth_call an admin Factory method from the admin signer, so a revert surfaces before anything is broadcast
+  async simulateAdminAction(method, params) {
+    await this.factoryContract.connect(signerService.getSigner(this.chainId))[method].staticCall(...this.adminCallArgs(method, params));
+  }
+
+  // Deployment fees held by the Factory, in ETH
+  async getFactoryBalance() {
+    try {
+      const balance = await this.provider.getBalance(await this.factoryContract.getAddress());
+      return ethers.formatEther(balance);
     } catch (error) {
-      logger.error('Error updating bonding curve settings:', error);
+      logger.error('Error getting factory balance:', error);
       throw error;
     }
   }
 
-  async withdrawFees(recipient, adminPrivateKey) {
+  // User functions
+  // Unsigned deployBondingCurveSystem transaction for the user's wallet to sign and send
+  async prepareDeployment(name, symbol, from) {
     try {
-      const wallet = this.createWallet(adminPrivateKey);
-      const factoryWithSigner = this.factoryContract.connect(wallet);
-      
-      const tx = await factoryWithSigner.withdrawFees(recipient);
-      
-      logger.info(`Fee withdrawal transaction: ${tx.hash}`);
-      const receipt = await tx.wait();
-      
+      const [fee, to] = await Promise.all([
+        this.factoryContract.getDeploymentFee(),
+        this.factoryContract.getAddress()
+      ]);
+      const data = this.factoryContract.interface.encodeFunctionData('deployBondingCurveSystem', [name, symbol]);
+
+      const gasEstimate = await this.provider.estimateGas({ from, to, data, value: fee });
+
       return {
-        transactionHash: tx.hash,
-        blockNumber: receipt.blockNumber,
-        success: true
+        transaction: {
+          from,
+          to,
+          data,
+          value: fee.toString(),
+          chainId: this.chainId,
+          // 20% headroom, the fee or settings may change before the wallet sends it
+          gasLimit: ((gasEstimate * 120n) / 100n).toString()
+        },
+        deploymentFee: ethers.formatEther(fee),
+        gasEstimate: gasEstimate.toString()
       };
     } catch (error) {
-      logger.error('Error withdrawing fees:', error);
+      logger.error('Error preparing token deployment:', error);
       throw error;
     }
   }
 
-  // User functions
-  async deployToken(name, symbol, userPrivateKey) {
+  // Deployment made by a mined transaction; null while the transaction is unknown or pending
+  async getDeploymentByTxHash(txHash) {
     try {
-      const wallet = this.createWallet(userPrivateKey);
-      const factoryWithSigner = this.factoryContract.connect(wallet);
-      
-      // Automatically fetch the current deployment fee from the contract
-      const currentFee = await this.factoryContract.getDeploymentFee();
-      logger.info(`Auto-fetched deployment fee: ${ethers.formatEther(currentFee)} ETH`);
-      
-      const tx = await factoryWithSigner.deployBondingCurveSystem(name, symbol, {
-        value: currentFee
-      });
-      
-      logger.info(`Token deployment transaction: ${tx.hash}`);
-      const receipt = await tx.wait();
-      
-      // Parse events to get deployed addresses
-      const event = receipt.logs.find(log => {
-        try {
-          const parsed = this.factoryContract.interface.parseLog(log);
-          return parsed.name === 'BondingCurveSystemDeployed';
-        } catch {
-          return false;
-        }
-      });
+      const receipt = await this.provider.getTransactionReceipt(txHash);
+      if (!receipt) {
+        return null;
+      }
 
-      if (event) {
-        const parsed = this.factoryContract.interface.parseLog(event);
-        return {
-          transactionHash: tx.hash,
-          blockNumber: receipt.blockNumber,
-          tokenAddress: parsed.args.tokenAddress,
+      const factoryAddress = (await this.factoryContract.getAddress()).toLowerCase();
+      const topic = this.factoryContract.interface.getEvent('BondingCurveSystemDeployed').topicHash;
+      const log = receipt.logs.find(entry => entry.address.toLowerCase() === factoryAddress && entry.topics[0] === topic);
+
+      let deployment = null;
+      if (receipt.status === 1 && log) {
+        const parsed = this.factoryContract.interface.parseLog(log);
+        deployment = {
           bondingCurveAddress: parsed.args.bondingCurveAddress,
+          tokenAddress: parsed.args.tokenAddress,
           owner: parsed.args.owner,
+          from: receipt.from,
           name: parsed.args.name,
           symbol: parsed.args.symbol,
-          success: true
+          transactionHash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+          logIndex: log.index
         };
       }
 
-      throw new Error('Deployment event not found in transaction receipt');
+      return { status: receipt.status, deployment };
+    } catch (error) {
+      logger.error('Error getting deployment by transaction hash:', error);
+      throw error;
+    }
+  }
+
+  // Event queries
+  async getDeploymentEvents(fromBlock, toBlock) {
+    try {
+      const filter = this.factoryContract.filters.BondingCurveSystemDeployed();
+      const logs = await this.factoryContract.queryFilter(filter, fromBlock, toBlock);
+
+      return logs.map(log => ({
+        bondingCurveAddress: log.args.bondingCurveAddress,
+        tokenAddress: log.args.tokenAddress,
+        owner: log.args.owner,
+        name: log.args.name,
+        symbol: log.args.symbol,
+        transactionHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        logIndex: log.index
+      }));
+    } catch (error) {
+      logger.error('Error getting deployment events:', error);
+      throw error;
+    }
+  }
+
+  // DeploymentFeeUpdated and BondingCurveSettingsUpdated emitted by the Factory
+  async getFactorySettingsEvents(fromBlock, toBlock) {
+    try {
+      return await this.getContractEvents(
+        this.factoryContract.interface,
+        [this.chain.factoryAddress],
+        fromBlock,
+        toBlock,
+        ['DeploymentFeeUpdated', 'BondingCurveSettingsUpdated']
+      );
+    } catch (error) {
+      logger.error('Error getting factory settings events:', error);
+      throw error;
+    }
+  }
+
+  // The Factory refunds anything above its fee, so the amount actually kept is
+  // the lower of the value sent and the fee in force at that block
+  async getDeploymentFeePaid(txHash, blockNumber) {
+    try {
+      const tx = await this.provider.getTransaction(txHash);
+      const value = tx ? tx.value : 0n;
+
+      let fee;
+      try {
+        fee = await this.factoryContract.getDeploymentFee({ blockTag: blockNumber });
+      } catch (error) {
+        // Historical state is not available on every RPC; fall back to the value sent
+        logger.warn(`Could not read deployment fee at block ${blockNumber}: ${error.message}`);
+        return ethers.formatEther(value);
+      }
+
+      return ethers.formatEther(value < fee ? value : fee);
+    } catch (error) {
+      logger.error('Error getting deployment fee paid:', error);
+      throw error;
+    }
+  }
+
+  // Fetch logs for many contracts at once, keeping RPC address lists short
+  async getContractEvents(contractInterface, addresses, fromBlock, toBlock, eventNames) {
+    const topics = [eventNames.map(name => contractInterface.getEvent(name).topicHash)];
+    const chunkSize = 100;
+    const events = [];
+
+    for (let i = 0; i < addresses.length; i += chunkSize) {
+      const logs = await this.provider.getLogs({
+        address: addresses.slice(i, i + chunkSize),
+        topics,
+        fromBlock,
+        toBlock
+      });
+
+      for (const log of logs) {
+        const parsed = contractInterface.parseLog(log);
+        events.push({
+          name: parsed.name,
+          args: parsed.args,
+          address: log.address.toLowerCase(),
+          transactionHash: log.transactionHash,
+          blockNumber: log.blockNumber,
+          logIndex: log.index
+        });
+      }
+    }
+
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  async getBondingCurveEvents(bondingCurveAddresses, fromBlock, toBlock, eventNames) {
+    try {
+      return await this.getContractEvents(this.bondingCurveInterface, bondingCurveAddresses, fromBlock, toBlock, eventNames);
+    } catch (error) {
+      logger.error('Error getting bonding curve events:', error);
+      throw error;
+    }
+  }
+
+  async getTokenTransferEvents(tokenAddresses, fromBlock, toBlock) {
+    try {
+      return await this.getContractEvents(this.tokenInterface, tokenAddresses, fromBlock, toBlock, ['Transfer']);
+    } catch (error) {
+      logger.error('Error getting token transfer events:', error);
+      throw error;
+    }
+  }
+
+  async getLockAddress() {
+    try {
+      if (!this.lockAddress) {
+        this.lockAddress = (await this.factoryContract.getLockContract()).toLowerCase();
+      }
+      return this.lockAddress;
+    } catch (error) {
+      logger.error('Error getting lock contract address:', error);
+      throw error;
+    }
+  }
+
+  async getBlockTimestamp(blockNumber) {
+    try {
+      const block = await this.provider.getBlock(blockNumber);
+      return block.timestamp;
     } catch (error) {
-      logger.error('Error deploying token:', error);
+      logger.error('Error getting block timestamp:', error);
+      throw error;
+    }
+  }
+
+  // Returns null when the block does not exist (e.g. the chain got shorter after a reorg)
+  async getBlockHeader(blockNumber) {
+    try {
+      const block = await this.provider.getBlock(blockNumber);
+      if (!block) {
+        return null;
+      }
+
+      return {
+        number: block.number,
+        hash: block.hash.toLowerCase(),
+        parentHash: block.parentHash.toLowerCase(),
+        timestamp: block.timestamp
+      };
+    } catch (error) {
+      logger.error('Error getting block header:', error);
       throw error;
     }
   }
 
   // Bonding curve functions
   getBondingCurveContract(bondingCurveAddress) {
-    return new ethers.Contract(bondingCurveAddress, BONDING_CURVE_ABI, this.provider);
+    return connectBondingCurve(bondingCurveAddress, this.provider);
   }
 
   getTokenContract(tokenAddress) {
-    return new ethers.Contract(tokenAddress, TOKEN_ABI, this.provider);
+    return connectTokenImplementation(tokenAddress, this.provider);
   }
 
   async getBondingCurveInfo(bondingCurveAddress) {
     try {
-      const contract = this.getBondingCurveContract(bondingCurveAddress);
-      
-      const [
-        tokenAddress,
-        currentPhase,
-        totalPreBondingContributions,
-        ethReserve,
-        tokenReserve,
-        totalETHCollected,
-        isFinalized,
-        settings
-      ] = await Promise.all([
-        contract.token(),
-        contract.currentPhase(),
-        contract.totalPreBondingContributions(),
-        contract.ethReserve(),
-        contract.tokenReserve(),
-        contract.totalETHCollected(),
-        contract.isFinalized(),
-        contract.getBondingCurveSettings()
+      const results = await this.multicall(CURVE_READS.map(method => ({
+        target: bondingCurveAddress,
+        contractInterface: this.bondingCurveInterface,
+        method
+      })));
+
+      return formatBondingCurveInfo(byMethod(CURVE_READS, results.map(({ value }) => value)));
+    } catch (error) {
+      logger.error('Error getting bonding curve info:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Live state and token metadata of many bonding curves ([{ bondingCurveAddress, tokenAddress }])
+   * in one round trip. A curve whose reads fail, e.g. an address that isn't one, comes back with
+   * an `error` instead of failing the others.
+   */
+  async getBondingCurveStates(curves) {
+    try {
+      const calls = curves.flatMap(({ bondingCurveAddress, tokenAddress }) => [
+        ...CURVE_READS.map(method => ({
+          target: bondingCurveAddress,
+          contractInterface: this.bondingCurveInterface,
+          method,
+          allowFailure: true
+        })),
+        ...TOKEN_READS.map(method => ({
+          target: tokenAddress,
+          contractInterface: this.tokenInterface,
+          method,
+          allowFailure: true
+        }))
       ]);
+      const results = await this.multicall(calls);
+      const readsPerCurve = CURVE_READS.length + TOKEN_READS.length;
 
-      return {
-        tokenAddress,
-        currentPhase: parseInt(currentPhase.toString()),
-        totalPreBondingContributions: ethers.formatEther(totalPreBondingContributions),
-        ethReserve: ethers.formatEther(ethReserve),
-        tokenReserve: ethers.formatUnits(tokenReserve, 18),
-        totalETHCollected: ethers.formatEther(totalETHCollected),
-        isFinalized,
-        settings: {
-          virtualEth: ethers.formatEther(settings.virtualEth),
-          preBondingTarget: ethers.formatEther(settings.preBondingTarget),
-          bondingTarget: ethers.formatEther(settings.bondingTarget),
-          minContribution: ethers.formatEther(settings.minContribution),
-          poolFee: settings.poolFee.toString(),
-          sellFee: settings.sellFee.toString()
+      return curves.map(({ bondingCurveAddress, tokenAddress }, index) => {
+        const curveResults = results.slice(index * readsPerCurve, (index + 1) * readsPerCurve);
+        if (curveResults.some(({ success }) => !success)) {
+          return { bondingCurveAddress, tokenAddress, error: 'Failed to read bonding curve state' };
         }
-      };
+
+        const values = curveResults.map(({ value }) => value);
+        const token = byMethod(TOKEN_READS, values.slice(CURVE_READS.length));
+        return {
+          bondingCurveAddress,
+          tokenAddress,
+          bondingCurve: formatBondingCurveInfo(byMethod(CURVE_READS, values)),
+          token: {
+            name: token.name,
+            symbol: token.symbol,
+            decimals: parseInt(token.decimals.toString()),
+            totalSupply: ethers.formatUnits(token.totalSupply, token.decimals)
+          }
+        };
+      });
     } catch (error) {
-      logger.error('Error getting bonding curve info:', error);
+      logger.error('Error getting bonding curve states:', error);
       throw error;
     }
   }
@@ -349,6 +629,85 @@ class Web3Service {
     }
   }
 
+  async getCurveSettings(bondingCurveAddress) {
+    try {
+      const contract = this.getBondingCurveContract(bondingCurveAddress);
+      const settings = await contract.getBondingCurveSettings();
+
+      return {
+        virtualEth: ethers.formatEther(settings.virtualEth),
+        preBondingTarget: ethers.formatEther(settings.preBondingTarget),
+        bondingTarget: ethers.formatEther(settings.bondingTarget),
+        minContribution: ethers.formatEther(settings.minContribution),
+        poolFee: settings.poolFee.toString(),
+        sellFee: settings.sellFee.toString()
+      };
+    } catch (error) {
+      logger.error('Error getting curve settings:', error);
+      throw error;
+    }
+  }
+
+  // Current owner of a bonding curve; ownership can move away from the deployer
+  async getBondingCurveOwner(bondingCurveAddress) {
+    try {
+      const contract = this.getBondingCurveContract(bondingCurveAddress);
+      return (await contract.owner()).toLowerCase();
+    } catch (error) {
+      logger.error('Error getting bonding curve owner:', error);
+      throw error;
+    }
+  }
+
+  // Unformatted curve state for quoting trades with utils/bondingMath, at blockTag (latest by default)
+  async getCurveState(bondingCurveAddress, tokenAddress, blockTag = 'latest') {
+    try {
+      const contract = this.getBondingCurveContract(bondingCurveAddress);
+      const tokenContract = this.getTokenContract(tokenAddress);
+      const overrides = { blockTag };
+
+      const [
+        currentPhase,
+        ethReserve,
+        tokenReserve,
+        totalETHCollected,
+        totalPreBondingContributions,
+        preBondingTokens,
+        tokenBalance,
+        settings
+      ] = await Promise.all([
+        contract.currentPhase(overrides),
+        contract.ethReserve(overrides),
+        contract.tokenReserve(overrides),
+        contract.totalETHCollected(overrides),
+        contract.totalPreBondingContributions(overrides),
+        contract.preBondingTokens(overrides),
+        tokenContract.balanceOf(bondingCurveAddress, overrides),
+        contract.getBondingCurveSettings(overrides)
+      ]);
+
+      return {
+        currentPhase: Number(currentPhase),
+        ethReserve,
+        tokenReserve,
+        totalETHCollected,
+        totalPreBondingContributions,
+        preBondingTokens,
+        tokenBalance,
+        settings: {
+          virtualEth: settings.virtualEth,
+          preBondingTarget: settings.preBondingTarget,
+          bondingTarget: settings.bondingTarget,
+          minContribution: settings.minContribution,
+          sellFee: BigInt(settings.sellFee)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting curve state:', error);
+      throw error;
+    }
+  }
+
   async getUserContribution(bondingCurveAddress, userAddress) {
     try {
       const contract = this.getBondingCurveContract(bondingCurveAddress);
@@ -389,10 +748,6 @@ class Web3Service {
   }
 
   // Utility functions
-  isValidAddress(address) {
-    return ethers.isAddress(address);
-  }
-
   formatEther(value) {
     return ethers.formatEther(value);
   }
@@ -402,6 +757,80 @@ class Web3Service {
   }
 }
 
+/**
+ * One ChainClient per chain in CHAINS. Callers pick the chain a token or request belongs to
+ * with forChain(); requests that name no chain use the default chain.
+ */
+class Web3Service {
+  constructor() {
+    this.clients = new Map();
+    this.defaultChainId = DEFAULT_CHAIN_ID;
+    this.isInitialized = false;
+  }
+
+  async initializeWeb3() {
+    try {
+      const chains = loadChains();
+
+      for (const chain of chains.values()) {
+        const client = new ChainClient(chain);
+        await client.initialize();
+        this.clients.set(chain.chainId, client);
+      }
+
+      this.isInitialized = true;
+      return true;
+    } catch (error) {
+      logger.error('Failed to initialize Web3 service:', error);
+      throw error;
+    }
+  }
+
+  hasChain(chainId) {
+    return this.clients.has(Number(chainId));
+  }
+
+  // Client of a chain; the default chain when chainId is omitted
+  forChain(chainId = this.defaultChainId) {
+    const client = this.clients.get(Number(chainId));
+    if (!client) {
+      throw new ChainError(`Chain ${chainId} is not supported`);
+    }
+    return client;
+  }
+
+  getClients() {
+    return [...this.clients.values()];
+  }
+
+  // Public description of the served chains
+  getChains() {
+    return this.getClients().map(({ chain }) => ({
+      chainId: chain.chainId,
+      name: chain.name,
+      network: chain.network,
+      testnet: chain.testnet,
+      nativeCurrency: chain.nativeCurrency,
+      explorerUrl: chain.explorerUrl,
+      factoryAddress: chain.factoryAddress,
+      isDefault: chain.isDefault
+    }));
+  }
+
+  // RPC endpoint health of every chain (see utils/failoverProvider.js)
+  getRpcHealth() {
+    return this.getClients().map(({ chain, provider }) => ({
+      chainId: chain.chainId,
+      name: chain.name,
+      ...provider.getHealth()
+    }));
+  }
+
+  isValidAddress(address) {
+    return ethers.isAddress(address);
+  }
+}
+
 // Create singleton instance
 const web3Service = new Web3Service();
 
@@ -411,5 +840,6 @@ const initializeWeb3 = async () => {
 
 module.exports = {
   web3Service,
-  initializeWeb3
+  initializeWeb3,
+  ChainClient
 }; 
\ No newline at end of file
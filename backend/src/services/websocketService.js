@@ -0,0 +1,342 @@
+const proxyaddr = require('proxy-addr');
+const { WebSocketServer, WebSocket } = require('ws');
+
+const { eventBus, EVENTS } = require('./eventBus');
+const Token = require('../models/Token');
+const Trade = require('../models/Trade');
+const logger = require('../utils/logger');
+
+// Channels clients can subscribe to; trades and phase are scoped to one token
+const CHANNELS = ['launches', 'trades', 'phase', 'stats'];
+const TOKEN_CHANNELS = ['trades', 'phase'];
+
+const MAX_SUBSCRIPTIONS = 50;
+const MAX_DROPPED_MESSAGES = 100;
+
+const channelKey = (channel, address) => (address ? `${channel}:${address.toLowerCase()}` : channel);
+
+class WebSocketService {
+  constructor() {
+    this.wss = null;
+    this.heartbeatTimer = null;
+    this.subscriptions = new Map();
+    this.connectionsByIp = new Map();
+    // Replaced by the app's compiled `trust proxy` setting in attach(); trusts no proxy until then
+    this.trustProxy = () => false;
+    this.lastStatsAt = 0;
+    this.path = process.env.WS_PATH || '/ws';
+    this.maxConnectionsPerIp = parseInt(process.env.WS_MAX_CONNECTIONS_PER_IP) || 10;
+    this.heartbeatInterval = parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS) || 30000;
+    this.maxBufferedBytes = parseInt(process.env.WS_MAX_BUFFERED_BYTES) || 1024 * 1024;
+    this.statsInterval = parseInt(process.env.WS_STATS_INTERVAL_MS) || 10000;
+    this.listeners = {
+      [EVENTS.TOKEN_LAUNCHED]: token => this.broadcast('launches', token),
+      [EVENTS.TRADE]: trade => this.handleTrade(trade),
+      [EVENTS.TOKEN_PROGRESS]: progress => this.handleProgress(progress),
+      [EVENTS.INDEXER_SYNCED]: () => this.handleSynced()
+    };
+  }
+
+  // Share the HTTP server with Express; upgrades on `path` become WebSocket connections
+  attach(server, app) {
+    if (app) {
+      this.trustProxy = app.get('trust proxy fn');
+    }
+
+    this.wss = new WebSocketServer({
+      server,
+      path: this.path,
+      maxPayload: 4 * 1024,
+      verifyClient: (info, done) => {
+        const ip = this.getClientIp(info.req);
+        if (!this.reserveSlot(ip)) {
+          logger.warn(`WebSocket connection limit reached for ${ip}`);
+          return done(false, 429, 'Too many connections');
+        }
+        // The slot is held until the socket closes, so a handshake that fails after this point frees it too
+        info.req.socket.once('close', () => this.releaseSlot(ip));
+        done(true);
+      }
+    });
+
+    this.wss.on('connection', ws => this.handleConnection(ws));
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatInterval);
+
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      eventBus.on(event, listener);
+    }
+
+    logger.info(`WebSocket server listening on path ${this.path}`);
+  }
+
+  close() {
+    if (!this.wss) {
+      return;
+    }
+
+    clearInterval(this.heartbeatTimer);
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      eventBus.off(event, listener);
+    }
+    for (const ws of this.wss.clients) {
+      ws.close(1001, 'Server shutting down');
+    }
+    this.wss.close();
+    this.wss = null;
+  }
+
+  // Same address as req.ip in Express: X-Forwarded-For is only read as far as the app trusts proxies
+  getClientIp(req) {
+    return proxyaddr(req, this.trustProxy);
+  }
+
+  reserveSlot(ip) {
+    const connections = this.connectionsByIp.get(ip) || 0;
+    if (connections >= this.maxConnectionsPerIp) {
+      return false;
+    }
+    this.connectionsByIp.set(ip, connections + 1);
+    return true;
+  }
+
+  releaseSlot(ip) {
+    const remaining = (this.connectionsByIp.get(ip) || 1) - 1;
+    if (remaining > 0) {
+      this.connectionsByIp.set(ip, remaining);
+    } else {
+      this.connectionsByIp.delete(ip);
+    }
+  }
+
+  handleConnection(ws) {
+    ws.isAlive = true;
+    ws.channels = new Set();
+    ws.droppedMessages = 0;
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('message', async data => {
+      try {
+        await this.handleMessage(ws, data);
+      } catch (error) {
+        logger.error('Error handling WebSocket message:', error);
+        this.send(ws, { type: 'error', message: 'Message could not be handled' });
+      }
+    });
+    ws.on('error', error => logger.warn(`WebSocket client error: ${error.message}`));
+    ws.on('close', () => {
+      for (const key of ws.channels) {
+        this.unsubscribe(ws, key);
+      }
+    });
+
+    this.send(ws, { type: 'welcome', channels: CHANNELS });
+  }
+
+  async handleMessage(ws, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return this.send(ws, { type: 'error', message: 'Messages must be JSON' });
+    }
+
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return this.send(ws, { type: 'error', message: 'Messages must be JSON objects' });
+    }
+
+    const { type, channel, address } = message;
+
+    if (type === 'ping') {
+      return this.send(ws, { type: 'pong', timestamp: Date.now() });
+    }
+
+    if (type !== 'subscribe' && type !== 'unsubscribe') {
+      return this.send(ws, { type: 'error', message: 'type must be subscribe, unsubscribe or ping' });
+    }
+
+    if (!CHANNELS.includes(channel)) {
+      return this.send(ws, { type: 'error', message: `channel must be one of ${CHANNELS.join(', ')}` });
+    }
+
+    const scoped = TOKEN_CHANNELS.includes(channel);
+    if (scoped && !/^0x[a-fA-F0-9]{40}$/.test(address || '')) {
+      return this.send(ws, { type: 'error', message: `${channel} requires a token or bonding curve address` });
+    }
+
+    const key = channelKey(channel, scoped ? address : null);
+
+    if (type === 'unsubscribe') {
+      this.unsubscribe(ws, key);
+      return this.send(ws, { type: 'unsubscribed', channel: key });
+    }
+
+    if (!ws.channels.has(key) && ws.channels.size >= MAX_SUBSCRIPTIONS) {
+      return this.send(ws, { type: 'error', message: `At most ${MAX_SUBSCRIPTIONS} subscriptions per connection` });
+    }
+
+    this.subscribe(ws, key);
+    this.send(ws, { type: 'subscribed', channel: key });
+
+    // Give new subscribers the current state instead of making them wait for the next change
+    try {
+      if (channel === 'stats') {
+        this.send(ws, { type: 'event', channel: key, data: await this.getPlatformStats(), timestamp: Date.now() });
+      } else if (channel === 'phase') {
+        const progress = await this.getTokenProgress(address);
+        if (progress) {
+          this.send(ws, { type: 'event', channel: key, data: progress, timestamp: Date.now() });
+        }
+      }
+    } catch (error) {
+      logger.error('Error sending WebSocket snapshot:', error);
+    }
+  }
+
+  subscribe(ws, key) {
+    if (!this.subscriptions.has(key)) {
+      this.subscriptions.set(key, new Set());
+    }
+    this.subscriptions.get(key).add(ws);
+    ws.channels.add(key);
+  }
+
+  unsubscribe(ws, key) {
+    const subscribers = this.subscriptions.get(key);
+    if (subscribers) {
+      subscribers.delete(ws);
+      if (subscribers.size === 0) {
+        this.subscriptions.delete(key);
+      }
+    }
+    ws.channels.delete(key);
+  }
+
+  // Slow consumers skip messages instead of growing the send buffer; persistent ones are dropped
+  send(ws, message) {
+    if (ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    if (ws.bufferedAmount > this.maxBufferedBytes) {
+      ws.droppedMessages += 1;
+      if (ws.droppedMessages >= MAX_DROPPED_MESSAGES) {
+        logger.warn('Closing slow WebSocket client');
+        ws.terminate();
+      }
+      return;
+    }
+
+    ws.droppedMessages = 0;
+    ws.send(JSON.stringify(message));
+  }
+
+  broadcast(key, data) {
+    const subscribers = this.subscriptions.get(key);
+    if (!subscribers || subscribers.size === 0) {
+      return;
+    }
+
+    const message = { type: 'event', channel: key, data, timestamp: Date.now() };
+    for (const ws of subscribers) {
+      this.send(ws, message);
+    }
+  }
+
+  // Token channels can be addressed by either the token or its bonding curve
+  handleTrade(trade) {
+    this.broadcast(channelKey('trades', trade.tokenAddress), trade);
+    this.broadcast(channelKey('trades', trade.bondingCurveAddress), trade);
+  }
+
+  handleProgress(progress) {
+    this.broadcast(channelKey('phase', progress.tokenAddress), progress);
+    this.broadcast(channelKey('phase', progress.bondingCurveAddress), progress);
+  }
+
+  // Platform stats are recomputed after indexer batches, at most once per statsInterval
+  async handleSynced() {
+    if (!this.subscriptions.has('stats') || Date.now() - this.lastStatsAt < this.statsInterval) {
+      return;
+    }
+
+    this.lastStatsAt = Date.now();
+    try {
+      this.broadcast('stats', await this.getPlatformStats());
+    } catch (error) {
+      logger.error('Error broadcasting platform stats:', error);
+    }
+  }
+
+  async getTokenProgress(address) {
+    const token = await Token.findByAddress(address);
+    return token ? token.getProgress() : null;
+  }
+
+  async getPlatformStats() {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    const [totalTokens, activeCurves, finalizedCurves, tradeStats] = await Promise.all([
+      Token.countDocuments({ isActive: true }),
+      Token.countDocuments({ isActive: true, currentPhase: { $in: [0, 1] } }),
+      Token.countDocuments({ isActive: true, isFinalized: true }),
+      Trade.aggregate([
+        { $match: { timestamp: { $gte: since } } },
+        {
+          $group: {
+            _id: null,
+            trades: { $sum: 1 },
+            volume: {
+              $sum: {
+                $add: [
+                  { $toDouble: '$ethIn' },
+                  { $toDouble: '$ethOut' },
+                  { $toDouble: '$sellFee' }
+                ]
+              }
+            },
+            traders: { $addToSet: '$wallet' }
+          }
+        }
+      ])
+    ]);
+
+    const stats = tradeStats[0] || { trades: 0, volume: 0, traders: [] };
+
+    return {
+      totalTokens,
+      activeCurves,
+      finalizedCurves,
+      trades24h: stats.trades,
+      volume24h: stats.volume.toString(),
+      traders24h: stats.traders.length
+    };
+  }
+
+  getStatus() {
+    return {
+      path: this.path,
+      connections: this.wss ? this.wss.clients.size : 0,
+      channels: this.subscriptions.size
+    };
+  }
+
+  heartbeat() {
+    for (const ws of this.wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }
+}
+
+// Create singleton instance
+const websocketService = new WebSocketService();
+
+module.exports = {
+  websocketService
+};
@@ -0,0 +1,246 @@
+// JavaScript mirror of contracts/libraries/BondingMath.sol and the trade rules in
+// BondingCurve.sol. All values are BigInt wei amounts and integer division truncates
+// exactly like Solidity, so quotes match what the contracts will do.
+
+const PRECISION = 10n ** 18n;
+const BASIS_POINTS = 10000n;
+
+// TokenImplementation.TOTAL_SUPPLY, minted in full to the bonding curve at deployment
+const TOTAL_SUPPLY = 1000000000n * 10n ** 18n;
+
+const PHASES = {
+  PreBonding: 0,
+  Bonding: 1,
+  Finalized: 2
+};
+
+// Raised where the contract would revert; `reason` is the custom error name
+class BondingMathError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'BondingMathError';
+    this.reason = reason;
+    this.statusCode = 400;
+  }
+}
+
+const calculateTokensForETH = (ethReserve, tokenReserve, ethIn) => {
+  const numerator = ethIn * tokenReserve;
+  const denominator = ethReserve + ethIn;
+  return numerator / denominator;
+};
+
+const calculateETHForTokens = (ethReserve, tokenReserve, tokenIn, sellFee) => {
+  const numerator = tokenIn * ethReserve;
+  const denominator = tokenReserve + tokenIn;
+  let ethOut = numerator / denominator;
+  let fee = 0n;
+  if (sellFee > 0n) {
+    fee = (ethOut * sellFee) / BASIS_POINTS;
+    ethOut -= fee;
+  }
+  return { ethOut, fee };
+};
+
+// A curve has no reserves until pre-bonding completes; its spot price is 0 until then
+const getCurrentPrice = (ethReserve, tokenReserve) => {
+  if (tokenReserve === 0n) {
+    return 0n;
+  }
+  return (ethReserve * PRECISION) / tokenReserve;
+};
+
+// Price change in percent between two prices, with two decimals
+const getPriceImpact = (priceBefore, priceAfter) => {
+  if (priceBefore === 0n) {
+    return '0.00';
+  }
+  const impactBps = ((priceAfter - priceBefore) * 1000000n) / priceBefore;
+  return (Number(impactBps) / 10000).toFixed(2);
+};
+
+const applySlippage = (amount, slippageBps) => {
+  return (amount * (BASIS_POINTS - BigInt(slippageBps))) / BASIS_POINTS;
+};
+
+/**
+ * Quote a buy against the curve state, following contributePreBonding() in the
+ * PreBonding phase and buyTokens() in the Bonding phase.
+ * `state` holds BigInt fields: currentPhase (number), ethReserve, tokenReserve,
+ * totalETHCollected, totalPreBondingContributions, preBondingTokens, tokenBalance
+ * (token.balanceOf(curve)) and settings { virtualEth, preBondingTarget, bondingTarget, minContribution }.
+ */
+const quoteBuy = (state, ethIn, slippageBps = 0) => {
+  const { settings } = state;
+
+  if (state.currentPhase === PHASES.Finalized) {
+    throw new BondingMathError('InvalidPhase', 'Curve is finalized; trade on the Uniswap pool instead');
+  }
+  if (ethIn < settings.minContribution) {
+    throw new BondingMathError('ContributionTooLow', 'ETH amount is below the minimum contribution');
+  }
+
+  if (state.currentPhase === PHASES.PreBonding) {
+    const newTotal = state.totalPreBondingContributions + ethIn;
+    if (newTotal > settings.preBondingTarget) {
+      throw new BondingMathError(
+        'PreBondingTargetReached',
+        'Contribution would exceed the pre-bonding target'
+      );
+    }
+
+    // Pre-bonding is priced against virtualEth and the curve's full token balance
+    const tokensOut = calculateTokensForETH(settings.virtualEth, state.tokenBalance, ethIn);
+    const priceBefore = getCurrentPrice(settings.virtualEth, state.tokenBalance);
+    const completesPreBonding = newTotal >= settings.preBondingTarget;
+
+    // Reaching the target opens the Bonding phase with the accumulated reserves
+    const priceAfter = completesPreBonding
+      ? getCurrentPrice(settings.virtualEth + newTotal, state.tokenBalance - (state.preBondingTokens + tokensOut))
+      : priceBefore;
+
+    return {
+      phase: PHASES.PreBonding,
+      ethIn,
+      tokensOut,
+      fee: 0n,
+      priceBefore,
+      priceAfter,
+      executionPrice: tokensOut > 0n ? (ethIn * PRECISION) / tokensOut : 0n,
+      priceImpact: getPriceImpact(priceBefore, priceAfter),
+      minTokens: applySlippage(tokensOut, slippageBps),
+      remainingToTarget: settings.preBondingTarget - newTotal,
+      completesPreBonding,
+      crossesBondingTarget: false
+    };
+  }
+
+  if (state.totalETHCollected > settings.bondingTarget) {
+    throw new BondingMathError('BondingTargetReached', 'Bonding target has already been reached');
+  }
+
+  const tokensOut = calculateTokensForETH(state.ethReserve, state.tokenReserve, ethIn);
+  if (state.tokenReserve < tokensOut) {
+    throw new BondingMathError('InsufficientTokens', 'Not enough tokens left in the curve');
+  }
+
+  const priceBefore = getCurrentPrice(state.ethReserve, state.tokenReserve);
+  const priceAfter = getCurrentPrice(state.ethReserve + ethIn, state.tokenReserve - tokensOut);
+  const newTotal = state.totalETHCollected + ethIn;
+
+  // The contract does not cap the final buy: it fills completely and then closes the curve
+  const crossesBondingTarget = newTotal >= settings.bondingTarget;
+
+  return {
+    phase: PHASES.Bonding,
+    ethIn,
+    tokensOut,
+    fee: 0n,
+    priceBefore,
+    priceAfter,
+    executionPrice: tokensOut > 0n ? (ethIn * PRECISION) / tokensOut : 0n,
+    priceImpact: getPriceImpact(priceBefore, priceAfter),
+    minTokens: applySlippage(tokensOut, slippageBps),
+    remainingToTarget: crossesBondingTarget ? 0n : settings.bondingTarget - newTotal,
+    excessOverTarget: crossesBondingTarget ? newTotal - settings.bondingTarget : 0n,
+    completesPreBonding: false,
+    crossesBondingTarget
+  };
+};
+
+/**
+ * Quote a sell against the curve state, following sellTokens(). Only the real ETH
+ * above virtualEth can be paid out, so larger sells revert with InsufficientETH.
+ */
+const quoteSell = (state, tokenIn, slippageBps = 0) => {
+  const { settings } = state;
+
+  if (state.currentPhase !== PHASES.Bonding) {
+    throw new BondingMathError('InvalidPhase', 'Tokens can only be sold during the Bonding phase');
+  }
+  if (tokenIn === 0n) {
+    throw new BondingMathError('InsufficientTokens', 'Token amount must be greater than zero');
+  }
+
+  const { ethOut, fee } = calculateETHForTokens(state.ethReserve, state.tokenReserve, tokenIn, settings.sellFee);
+  const availableETH = state.ethReserve - settings.virtualEth;
+  if (availableETH < ethOut + fee) {
+    throw new BondingMathError('InsufficientETH', 'Not enough real ETH in the curve to cover this sell');
+  }
+
+  const priceBefore = getCurrentPrice(state.ethReserve, state.tokenReserve);
+  const priceAfter = getCurrentPrice(state.ethReserve - (ethOut + fee), state.tokenReserve + tokenIn);
+
+  return {
+    phase: PHASES.Bonding,
+    tokenIn,
+    ethOut,
+    fee,
+    priceBefore,
+    priceAfter,
+    executionPrice: (ethOut * PRECISION) / tokenIn,
+    priceImpact: getPriceImpact(priceBefore, priceAfter),
+    minETH: applySlippage(ethOut, slippageBps),
+    availableETH
+  };
+};
+
+// Factory.updateBondingCurveSettings() ignores the submitted preBondingTarget and stores this instead
+const derivePreBondingTarget = (virtualEth) => {
+  return (virtualEth * 20n) / 100n;
+};
+
+/**
+ * Settings as Factory.updateBondingCurveSettings() stores them, reverting like the
+ * contract when bondingTarget is not above the derived preBondingTarget.
+ * `settings` holds BigInt virtualEth, preBondingTarget and bondingTarget.
+ */
+const applyFactorySettings = (settings) => {
+  const applied = { ...settings, preBondingTarget: derivePreBondingTarget(settings.virtualEth) };
+  if (applied.bondingTarget <= applied.preBondingTarget) {
+    throw new BondingMathError(
+      'InvalidDeploymentParameters',
+      'Bonding target must be greater than the derived pre-bonding target (20% of virtualEth)'
+    );
+  }
+  return applied;
+};
+
+/**
+ * Prices a newly deployed curve goes through under `settings`: at launch, when the
+ * pre-bonding target is filled (as a single contribution) and at the bonding target.
+ */
+const projectCurvePrices = (settings) => {
+  const preBondingTokens = calculateTokensForETH(settings.virtualEth, TOTAL_SUPPLY, settings.preBondingTarget);
+  const ethReserve = settings.virtualEth + settings.preBondingTarget;
+  const tokenReserve = TOTAL_SUPPLY - preBondingTokens;
+
+  const bondingEth = settings.bondingTarget - settings.preBondingTarget;
+  const bondingTokens = calculateTokensForETH(ethReserve, tokenReserve, bondingEth);
+
+  return {
+    launchPrice: getCurrentPrice(settings.virtualEth, TOTAL_SUPPLY),
+    preBondingPrice: getCurrentPrice(ethReserve, tokenReserve),
+    bondingTargetPrice: getCurrentPrice(ethReserve + bondingEth, tokenReserve - bondingTokens),
+    preBondingTokens,
+    tokensSoldAtTarget: preBondingTokens + bondingTokens
+  };
+};
+
+module.exports = {
+  PRECISION,
+  BASIS_POINTS,
+  TOTAL_SUPPLY,
+  PHASES,
+  BondingMathError,
+  calculateTokensForETH,
+  calculateETHForTokens,
+  getCurrentPrice,
+  getPriceImpact,
+  applySlippage,
+  quoteBuy,
+  quoteSell,
+  derivePreBondingTarget,
+  applyFactorySettings,
+  projectCurvePrices
+};
@@ -0,0 +1,36 @@
+// Compare deployed code with the artifacts behind src/contracts (see scripts/generate-clients.js)
+const { ethers } = require('ethers');
+
+// EIP-1167 minimal proxy: 0x363d3d373d3d3d363d73 <implementation> 5af43d82803e903d91602b57fd5bf3
+const CLONE_PATTERN = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/;
+
+// Implementation behind an EIP-1167 clone, or null for any other code
+const cloneImplementation = (code) => {
+  const match = code.toLowerCase().match(CLONE_PATTERN);
+  return match ? ethers.getAddress(`0x${match[1]}`) : null;
+};
+
+// Code without the CBOR metadata trailer, whose length is in the last two bytes
+const executableCode = (code) => {
+  const hex = code.replace(/^0x/, '').toLowerCase();
+  const metadataLength = parseInt(hex.slice(-4), 16);
+  const end = hex.length - 4 - metadataLength * 2;
+  return end > 0 ? hex.slice(0, end) : hex;
+};
+
+// keccak256 of the executable code with immutables zeroed, as recorded in artifact.codeHash
+const codeHash = (code, immutableReferences = []) => {
+  const bytes = Buffer.from(executableCode(code), 'hex');
+  for (const { start, length } of immutableReferences) {
+    bytes.fill(0, start, Math.min(start + length, bytes.length));
+  }
+  return ethers.keccak256(bytes);
+};
+
+const matchesArtifact = (code, artifact) => codeHash(code, artifact.immutableReferences) === artifact.codeHash;
+
+module.exports = {
+  cloneImplementation,
+  codeHash,
+  matchesArtifact
+};
@@ -0,0 +1,124 @@
+const logger = require('./logger');
+
+/**
+ * Key-value stores behind services/cacheService.js. Both speak the same small, Redis-shaped
+ * interface over string values: get, mget, set with a TTL in ms, del, incr, and close.
+ */
+
+// Least recently used entries are dropped once maxEntries is reached
+class LruStore {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    // Map order is recency order: the first key is the least recently used
+    this.entries = new Map();
+    // Counters are few and must not be evicted, or invalidated entries would come back
+    this.counters = new Map();
+  }
+
+  async get(key) {
+    if (this.counters.has(key)) {
+      return String(this.counters.get(key));
+    }
+
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      return null;
+    }
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async mget(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async del(key) {
+    this.entries.delete(key);
+  }
+
+  async incr(key) {
+    const value = (this.counters.get(key) || 0) + 1;
+    this.counters.set(key, value);
+    return value;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  async close() {
+    this.entries.clear();
+  }
+}
+
+// Any Redis-compatible server (Redis, Valkey, KeyDB, Dragonfly) through the optional `redis` client
+class RedisStore {
+  constructor(url) {
+    let redis;
+    try {
+      redis = require('redis');
+    } catch (error) {
+      throw new Error('CACHE_STORE=redis needs the redis package; run `npm install redis`');
+    }
+
+    // Fail commands at once while disconnected, so requests fall back to the RPC instead of waiting
+    this.client = redis.createClient({ url, disableOfflineQueue: true });
+    this.lastError = null;
+    // Handled here so a lost connection doesn't crash the process; logged once per distinct error
+    this.client.on('error', error => {
+      if (error.message !== this.lastError) {
+        logger.warn(`Cache store error: ${error.message}`);
+      }
+      this.lastError = error.message;
+    });
+    this.client.on('ready', () => {
+      this.lastError = null;
+    });
+  }
+
+  async connect() {
+    await this.client.connect();
+  }
+
+  async get(key) {
+    return this.client.get(key);
+  }
+
+  async mget(keys) {
+    return this.client.mGet(keys);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.client.set(key, value, { PX: ttlMs });
+  }
+
+  async del(key) {
+    await this.client.del(key);
+  }
+
+  async incr(key) {
+    return this.client.incr(key);
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = {
+  LruStore,
+  RedisStore
+};
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const { Decimal128 } = mongoose.Types;
+
+const toDecimal = (value) => Decimal128.fromString(value.toString());
+
+// Convert a Decimal128 (possibly in scientific notation after server-side arithmetic)
+// to a BigInt scaled by `decimals`
+const toBigInt = (value, decimals = 0) => {
+  if (value === null || value === undefined) {
+    return 0n;
+  }
+
+  const str = value.toString();
+  if (/^-?\d+$/.test(str)) {
+    return BigInt(str) * 10n ** BigInt(decimals);
+  }
+
+  const [mantissa, exponent = '0'] = str.toUpperCase().split('E');
+  const [integerPart, fractionPart = ''] = mantissa.split('.');
+  const scale = parseInt(exponent) - fractionPart.length + decimals;
+  const digits = BigInt(integerPart + fractionPart);
+
+  return scale >= 0 ? digits * 10n ** BigInt(scale) : digits / 10n ** BigInt(-scale);
+};
+
+module.exports = {
+  toDecimal,
+  toBigInt
+};
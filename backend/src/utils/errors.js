@@ -0,0 +1,44 @@
+const { StatusCodes } = require('http-status-codes');
+
+// Authentication and authorization failures, mapped by the error handler
+class AuthError extends Error {
+  constructor(message, statusCode = StatusCodes.UNAUTHORIZED) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Admin proposal workflow violations (wrong state, duplicate vote, quorum out of reach)
+class ProposalError extends Error {
+  constructor(message, statusCode = StatusCodes.CONFLICT) {
+    super(message);
+    this.name = 'ProposalError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Transaction queue operations that don't fit the job's state (not pending, fee cap reached)
+class TxQueueError extends Error {
+  constructor(message, statusCode = StatusCodes.CONFLICT) {
+    super(message);
+    this.name = 'TxQueueError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Requests for a chain this backend does not serve
+class ChainError extends Error {
+  constructor(message, statusCode = StatusCodes.BAD_REQUEST) {
+    super(message);
+    this.name = 'ChainError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  AuthError,
+  ChainError,
+  ProposalError,
+  TxQueueError
+};
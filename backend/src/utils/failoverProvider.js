@@ -0,0 +1,358 @@
+const { ethers } = require('ethers');
+
+const logger = require('./logger');
+
+// Errors that are a node's answer (a revert, a rejected transaction), not a sign the endpoint is unwell
+const ANSWER_CODES = [
+  'CALL_EXCEPTION',
+  'INSUFFICIENT_FUNDS',
+  'NONCE_EXPIRED',
+  'REPLACEMENT_UNDERPRICED',
+  'TRANSACTION_REPLACED',
+  'INVALID_ARGUMENT',
+  'MISSING_ARGUMENT',
+  'UNEXPECTED_ARGUMENT',
+  'NUMERIC_FAULT',
+  'ACTION_REJECTED',
+  'UNCONFIGURED_NAME',
+  'OFFCHAIN_FAULT'
+];
+
+const isEndpointFault = (error) => !ANSWER_CODES.includes(error.code);
+
+// Weight of the newest request in the latency and error-rate moving averages
+const EWMA_WEIGHT = 0.2;
+// Latency an error rate of 1 is worth when ranking endpoints
+const ERROR_PENALTY_MS = 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Endpoint URLs often carry API keys; only the origin is logged or reported
+const redactUrl = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return '(invalid URL)';
+  }
+};
+
+// Comparable form of an answer, for quorum voting
+const answerKey = ({ result, error }) => (error
+  ? `error:${error.code}:${error.data || error.message}`
+  : JSON.stringify(result, (key, value) => (typeof value === 'bigint' ? value.toString() : value)));
+
+class Endpoint {
+  constructor({ url, priority }, network, timeoutMs) {
+    const request = new ethers.FetchRequest(url);
+    request.timeout = timeoutMs;
+    // Fail over instead of sitting through ethers' own 429 backoff
+    request.setThrottleParams({ maxAttempts: 1 });
+
+    this.url = url;
+    this.label = redactUrl(url);
+    this.priority = priority;
+    this.provider = new ethers.JsonRpcProvider(request, network, { staticNetwork: network });
+
+    this.latencyMs = null;
+    this.errorRate = 0;
+    this.requests = 0;
+    this.failures = 0;
+    this.consecutiveFailures = 0;
+    // Circuit breaker: closed (in rotation), open (skipped until the cooldown ends) or half-open (one trial request)
+    this.state = 'closed';
+    this.openedAt = null;
+    this.probing = false;
+    this.lastError = null;
+    this.lastErrorAt = null;
+  }
+
+  // Lower is better
+  get score() {
+    return (this.latencyMs || 0) + this.errorRate * ERROR_PENALTY_MS;
+  }
+}
+
+/**
+ * Provider over several JSON-RPC endpoints of one chain. Reads go to the best endpoint by
+ * priority and score (or to a quorum of them), fail over on endpoint errors, and are retried
+ * with exponential backoff; endpoints that keep failing are skipped by a circuit breaker.
+ */
+class FailoverProvider extends ethers.AbstractProvider {
+  constructor(chain, rpcUrls, policy) {
+    const network = ethers.Network.from(chain.chainId);
+    super(network);
+
+    if (policy.mode === 'quorum' && policy.quorum > rpcUrls.length) {
+      throw new Error(`RPC quorum ${policy.quorum} for ${chain.name} exceeds its ${rpcUrls.length} endpoint(s)`);
+    }
+
+    this.chain = chain;
+    this.policy = policy;
+    this.staticNetwork = network;
+    this.endpoints = rpcUrls.map(rpcUrl => new Endpoint(rpcUrl, network, policy.timeoutMs));
+  }
+
+  async _detectNetwork() {
+    return this.staticNetwork;
+  }
+
+  /**
+   * Check every endpoint serves this chain. A wrong chain ID is a configuration error; an
+   * unreachable endpoint only counts as a failure, as long as another one answers.
+   */
+  async verifyEndpoints() {
+    let reachable = 0;
+    for (const endpoint of this.endpoints) {
+      let chainId;
+      try {
+        chainId = Number(await this.sendTo(endpoint, { method: 'chainId' }));
+      } catch (error) {
+        logger.warn(`RPC endpoint ${endpoint.label} for ${this.chain.name} is unreachable: ${error.shortMessage || error.message}`);
+        continue;
+      }
+
+      if (chainId !== this.chain.chainId) {
+        throw new Error(`RPC ${endpoint.label} for ${this.chain.name} reports chain ID ${chainId}, expected ${this.chain.chainId}`);
+      }
+      reachable++;
+    }
+
+    if (reachable === 0) {
+      throw new Error(`No RPC endpoint for ${this.chain.name} is reachable`);
+    }
+  }
+
+  // Endpoints that may take a request now, best first
+  available() {
+    const now = Date.now();
+    return this.endpoints
+      .filter(endpoint => {
+        if (endpoint.state === 'open' && now - endpoint.openedAt >= this.policy.breakerCooldownMs) {
+          endpoint.state = 'half-open';
+        }
+        return endpoint.state === 'closed' || (endpoint.state === 'half-open' && !endpoint.probing);
+      })
+      .sort((a, b) => a.priority - b.priority || a.score - b.score);
+  }
+
+  recordSuccess(endpoint, latencyMs) {
+    endpoint.requests++;
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? latencyMs
+      : endpoint.latencyMs * (1 - EWMA_WEIGHT) + latencyMs * EWMA_WEIGHT;
+    endpoint.errorRate *= 1 - EWMA_WEIGHT;
+    endpoint.consecutiveFailures = 0;
+
+    if (endpoint.state !== 'closed') {
+      endpoint.state = 'closed';
+      logger.info(`RPC endpoint ${endpoint.label} for ${this.chain.name} recovered`);
+    }
+  }
+
+  recordFailure(endpoint, error) {
+    endpoint.requests++;
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    endpoint.errorRate = endpoint.errorRate * (1 - EWMA_WEIGHT) + EWMA_WEIGHT;
+    endpoint.lastError = error.shortMessage || error.message;
+    endpoint.lastErrorAt = new Date();
+
+    if (endpoint.state === 'half-open' || endpoint.consecutiveFailures >= this.policy.breakerThreshold) {
+      if (endpoint.state !== 'open') {
+        logger.warn(`RPC endpoint ${endpoint.label} for ${this.chain.name} taken out of rotation: ${endpoint.lastError}`);
+      }
+      endpoint.state = 'open';
+      endpoint.openedAt = Date.now();
+    }
+  }
+
+  // One request to one endpoint, scored
+  async sendTo(endpoint, req) {
+    const halfOpen = endpoint.state === 'half-open';
+    if (halfOpen) {
+      endpoint.probing = true;
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = req.method === 'chainId'
+        ? await endpoint.provider.send('eth_chainId', [])
+        : await endpoint.provider._perform(req);
+      this.recordSuccess(endpoint, Date.now() - startedAt);
+      return result;
+    } catch (error) {
+      if (isEndpointFault(error)) {
+        this.recordFailure(endpoint, error);
+      } else {
+        this.recordSuccess(endpoint, Date.now() - startedAt);
+      }
+      throw error;
+    } finally {
+      if (halfOpen) {
+        endpoint.probing = false;
+      }
+    }
+  }
+
+  unavailable(req) {
+    return ethers.makeError(`No healthy RPC endpoint for ${this.chain.name}`, 'NETWORK_ERROR', {
+      event: req.method
+    });
+  }
+
+  async _perform(req) {
+    // Sending a transaction is not retried; the queue decides what happens to it
+    if (req.method === 'broadcastTransaction') {
+      return this.performPriority(req);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return this.policy.mode === 'quorum'
+          ? await this.performQuorum(req)
+          : await this.performPriority(req);
+      } catch (error) {
+        if (!isEndpointFault(error) || attempt >= this.policy.retries) {
+          throw error;
+        }
+
+        // Exponential backoff with jitter
+        const delay = Math.min(this.policy.maxBackoffMs, this.policy.backoffMs * 2 ** attempt);
+        await sleep(delay / 2 + Math.random() * delay / 2);
+      }
+    }
+  }
+
+  // The best endpoint answers; the next one is tried when it fails
+  async performPriority(req) {
+    const endpoints = this.available();
+    if (endpoints.length === 0) {
+      throw this.unavailable(req);
+    }
+
+    let lastFault;
+    for (const endpoint of endpoints) {
+      try {
+        return await this.sendTo(endpoint, req);
+      } catch (error) {
+        if (!isEndpointFault(error)) {
+          throw error;
+        }
+        lastFault = error;
+      }
+    }
+    throw lastFault;
+  }
+
+  /**
+   * Ask the best `quorum` endpoints, and more as they fail or disagree, until `quorum` give the
+   * same answer. Block numbers differ by a block or two between nodes, so any `quorum` of them
+   * settle on their median.
+   */
+  async performQuorum(req) {
+    const endpoints = this.available();
+    const { quorum } = this.policy;
+    if (endpoints.length < quorum) {
+      throw this.unavailable(req);
+    }
+
+    const votes = new Map();
+    const blockNumbers = [];
+    const pending = new Set();
+    let next = 0;
+    let lastFault = null;
+
+    // Requests leave `pending` when their outcome is read, so answers that arrive together all count
+    const launch = () => {
+      const request = this.sendTo(endpoints[next++], req)
+        .then(result => ({ result }), error => ({ error }))
+        .then(outcome => ({ outcome, request }));
+      pending.add(request);
+    };
+    const leadingVotes = () => Math.max(blockNumbers.length, ...[...votes.values()].map(vote => vote.count), 0);
+
+    for (let i = 0; i < quorum; i++) {
+      launch();
+    }
+
+    while (pending.size > 0) {
+      const { outcome, request } = await Promise.race(pending);
+      pending.delete(request);
+
+      if (outcome.error && isEndpointFault(outcome.error)) {
+        lastFault = outcome.error;
+      } else if (req.method === 'getBlockNumber' && !outcome.error) {
+        blockNumbers.push(outcome.result);
+        if (blockNumbers.length >= quorum) {
+          blockNumbers.sort((a, b) => Number(a) - Number(b));
+          return blockNumbers[Math.floor((blockNumbers.length - 1) / 2)];
+        }
+      } else {
+        const key = answerKey(outcome);
+        const vote = votes.get(key) || { count: 0, outcome };
+        vote.count++;
+        votes.set(key, vote);
+
+        if (vote.count >= quorum) {
+          if (vote.outcome.error) {
+            throw vote.outcome.error;
+          }
+          return vote.outcome.result;
+        }
+      }
+
+      // Replace failed endpoints, and ask more when the answers so far cannot reach quorum
+      while (pending.size + leadingVotes() < quorum && next < endpoints.length) {
+        launch();
+      }
+    }
+
+    throw lastFault || ethers.makeError(`RPC endpoints for ${this.chain.name} did not agree on ${req.method}`, 'SERVER_ERROR', {
+      request: null,
+      response: null
+    });
+  }
+
+  // Breaker state and scores of every endpoint, for /health
+  getHealth() {
+    const now = Date.now();
+    const { mode, quorum, breakerCooldownMs } = this.policy;
+    const endpoints = this.endpoints.map(endpoint => {
+      const open = endpoint.state === 'open' && now - endpoint.openedAt < breakerCooldownMs;
+      return {
+        url: endpoint.label,
+        priority: endpoint.priority,
+        state: endpoint.state === 'open' && !open ? 'half-open' : endpoint.state,
+        latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+        errorRate: Number(endpoint.errorRate.toFixed(3)),
+        score: Math.round(endpoint.score),
+        requests: endpoint.requests,
+        failures: endpoint.failures,
+        consecutiveFailures: endpoint.consecutiveFailures,
+        lastError: endpoint.lastError,
+        lastErrorAt: endpoint.lastErrorAt,
+        retryAt: open ? new Date(endpoint.openedAt + breakerCooldownMs) : null
+      };
+    });
+    const usable = endpoints.filter(endpoint => endpoint.state !== 'open').length;
+
+    return {
+      mode,
+      quorum: mode === 'quorum' ? quorum : undefined,
+      healthy: usable >= (mode === 'quorum' ? quorum : 1),
+      endpoints
+    };
+  }
+
+  destroy() {
+    for (const endpoint of this.endpoints) {
+      endpoint.provider.destroy();
+    }
+    super.destroy();
+  }
+}
+
+module.exports = {
+  FailoverProvider,
+  redactUrl
+};
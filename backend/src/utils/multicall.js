@@ -0,0 +1,89 @@
+const { ethers } = require('ethers');
+
+// Multicall3 (github.com/mds1/multicall) is deployed at this address on most chains
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Not one of this project's contracts, so not among the generated clients in src/contracts
+const Multicall3Interface = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]);
+
+// Decoded return value of one call; single values are unwrapped
+const decodeResult = (call, returnData) => {
+  const result = call.contractInterface.decodeFunctionResult(call.method, returnData);
+  return result.length === 1 ? result[0] : result;
+};
+
+/**
+ * Outcome of one call as { success, value }. A call that must succeed throws the error the
+ * contract reverted with; a target without code answers with empty data, which fails decoding.
+ */
+const settle = (call, callData, success, returnData) => {
+  if (success) {
+    try {
+      return { success: true, value: decodeResult(call, returnData) };
+    } catch (error) {
+      // Fall through with the undecodable data
+    }
+  }
+
+  if (!call.allowFailure) {
+    throw call.contractInterface.makeError(returnData, { to: call.target, data: callData });
+  }
+  return { success: false, value: null };
+};
+
+/**
+ * Run read calls ({ target, contractInterface, method, args, allowFailure }) in as few eth_calls
+ * as possible: batchSize calls per Multicall3 aggregate3, all pinned to one block. Without a
+ * Multicall3 address every call is sent on its own. Results are in the order of the calls.
+ */
+const aggregate = async (provider, multicallAddress, calls, { batchSize, blockTag } = {}) => {
+  const encoded = calls.map(call => call.contractInterface.encodeFunctionData(call.method, call.args || []));
+
+  if (!multicallAddress) {
+    return Promise.all(calls.map(async (call, index) => {
+      try {
+        const returnData = await provider.call({ to: call.target, data: encoded[index], blockTag });
+        return settle(call, encoded[index], true, returnData);
+      } catch (error) {
+        if (!call.allowFailure || error.code !== 'CALL_EXCEPTION') {
+          throw error;
+        }
+        return { success: false, value: null };
+      }
+    }));
+  }
+
+  const batches = [];
+  for (let start = 0; start < calls.length; start += batchSize) {
+    batches.push(start);
+  }
+  // Batches read the same block, so a page of results is consistent
+  const tag = blockTag ?? (batches.length > 1 ? await provider.getBlockNumber() : undefined);
+
+  const results = await Promise.all(batches.map(async start => {
+    const batch = calls.slice(start, start + batchSize).map((call, offset) => ({
+      target: call.target,
+      // Failures are settled here, with the revert data of the call itself
+      allowFailure: true,
+      callData: encoded[start + offset]
+    }));
+
+    const returnData = await provider.call({
+      to: multicallAddress,
+      data: Multicall3Interface.encodeFunctionData('aggregate3', [batch]),
+      blockTag: tag
+    });
+    const [answers] = Multicall3Interface.decodeFunctionResult('aggregate3', returnData);
+    return answers.map(({ success, returnData: data }, offset) => settle(calls[start + offset], encoded[start + offset], success, data));
+  }));
+
+  return results.flat();
+};
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  Multicall3Interface,
+  aggregate
+};
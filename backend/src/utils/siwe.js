@@ -0,0 +1,105 @@
+// Minimal EIP-4361 (Sign-In with Ethereum) message builder and parser
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+const buildMessage = ({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) => {
+  const lines = [
+    `${domain}${HEADER_SUFFIX}`,
+    address,
+    '',
+    ...(statement ? [statement, ''] : ['']),
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`
+  ];
+
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime.toISOString()}`);
+  }
+
+  return lines.join('\n');
+};
+
+// Returns the message fields, or throws if the text is not a well-formed EIP-4361 message
+const parseMessage = (message) => {
+  const lines = message.split('\n');
+
+  if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) {
+    throw new Error('Missing sign-in header');
+  }
+
+  const parsed = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1],
+    statement: null
+  };
+
+  if (!/^0x[a-fA-F0-9]{40}$/.test(parsed.address || '')) {
+    throw new Error('Invalid address line');
+  }
+
+  // The statement is optional and sits between two blank lines
+  if (lines[2] !== '') {
+    throw new Error('Expected a blank line after the address');
+  }
+  let index = 4;
+  if (lines[3] !== '') {
+    parsed.statement = lines[3];
+    if (lines[4] !== '') {
+      throw new Error('Expected a blank line after the statement');
+    }
+    index = 5;
+  }
+
+  for (; index < lines.length; index++) {
+    const separator = lines[index].indexOf(': ');
+    const key = FIELDS[lines[index].slice(0, separator)];
+    if (separator === -1 || !key) {
+      throw new Error(`Unexpected line: ${lines[index]}`);
+    }
+    parsed[key] = lines[index].slice(separator + 2);
+  }
+
+  for (const field of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+    if (!parsed[field]) {
+      throw new Error(`Missing ${field}`);
+    }
+  }
+
+  if (parsed.version !== '1') {
+    throw new Error('Unsupported version');
+  }
+  if (!/^[a-zA-Z0-9]{8,}$/.test(parsed.nonce)) {
+    throw new Error('Invalid nonce');
+  }
+
+  parsed.chainId = parseInt(parsed.chainId);
+  for (const field of ['issuedAt', 'expirationTime', 'notBefore']) {
+    if (parsed[field] !== undefined) {
+      parsed[field] = new Date(parsed[field]);
+      if (Number.isNaN(parsed[field].getTime())) {
+        throw new Error(`Invalid ${field}`);
+      }
+    }
+  }
+
+  return parsed;
+};
+
+module.exports = {
+  buildMessage,
+  parseMessage
+};
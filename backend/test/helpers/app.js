@@ -0,0 +1,16 @@
+const express = require('express');
+
+const errorHandler = require('../../src/middleware/errorHandler');
+
+// App serving one router under `path`, with the body parsing and error handling of server.js
+const buildApp = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  app.use(errorHandler);
+  return app;
+};
+
+module.exports = {
+  buildApp
+};
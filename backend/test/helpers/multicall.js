@@ -0,0 +1,31 @@
+const { MULTICALL3_ADDRESS, Multicall3Interface } = require('../../src/utils/multicall');
+
+/**
+ * Stand-in for a provider with Multicall3 deployed at MULTICALL3_ADDRESS. `answer(target, callData)`
+ * gives each read's { success, returnData }, inside an aggregate3 or sent on its own; reads sent on
+ * their own that fail are rejected with a CALL_EXCEPTION carrying the revert data.
+ */
+const multicallProvider = (answer, { batchSize = 500 } = {}) => ({
+  policy: { multicallBatchSize: batchSize },
+  getBlockNumber: jest.fn(async () => 1234),
+  call: jest.fn(async ({ to, data }) => {
+    if (to !== MULTICALL3_ADDRESS) {
+      const { success, returnData } = answer(to.toLowerCase(), data);
+      if (!success) {
+        throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', data: returnData });
+      }
+      return returnData;
+    }
+
+    const [calls] = Multicall3Interface.decodeFunctionData('aggregate3', data);
+    const answers = calls.map(({ target, callData }) => {
+      const { success, returnData } = answer(target.toLowerCase(), callData);
+      return [success, returnData];
+    });
+    return Multicall3Interface.encodeFunctionResult('aggregate3', [answers]);
+  })
+});
+
+module.exports = {
+  multicallProvider
+};
@@ -0,0 +1,20 @@
+/**
+ * Stand-in for a mongoose Query resolving to `result`: every chained modifier returns the query
+ * itself, and it can be awaited, exec()'d or iterated through cursor() like the real thing.
+ */
+const query = (result) => {
+  const chain = {};
+  for (const method of ['lean', 'sort', 'skip', 'limit', 'select', 'populate', 'session']) {
+    chain[method] = jest.fn(() => chain);
+  }
+  chain.exec = jest.fn(() => Promise.resolve(result));
+  chain.cursor = jest.fn(() => (async function * () {
+    yield * result;
+  })());
+  chain.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return chain;
+};
+
+module.exports = {
+  query
+};
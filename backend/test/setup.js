@@ -0,0 +1,8 @@
+// Keep test output quiet, and keep winston from writing to logs/
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  stream: { write: jest.fn() }
+}));
@@ -0,0 +1,131 @@
+jest.mock('../../src/models/ApiKey');
+jest.mock('../../src/models/ApiKeyUsage');
+
+const crypto = require('crypto');
+
+const { ANONYMOUS_QUOTA, DEFAULT_KEY_QUOTA, ROUTE_CLASSES, ROUTE_COSTS } = require('../../src/config/quotas');
+const ApiKey = require('../../src/models/ApiKey');
+const { apiKeyService } = require('../../src/services/apiKeyService');
+const { query } = require('../helpers/query');
+
+const KEY = 'mk_0123456789abcdef0123456789abcdef';
+
+const storedKey = (overrides = {}) => ({
+  _id: 'key-id',
+  name: 'Partner',
+  keyHash: crypto.createHash('sha256').update(KEY).digest('hex'),
+  quota: { points: 100, classes: new Map([[ROUTE_CLASSES.CHAIN, 2]]) },
+  ...overrides
+});
+
+describe('apiKeyService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new apiKeyService.constructor();
+  });
+
+  describe('authenticate', () => {
+    it('should cache an active key with its class limits as a plain object', async () => {
+      ApiKey.findOne.mockReturnValue(query(storedKey()));
+
+      const first = await service.authenticate(KEY);
+      const second = await service.authenticate(KEY);
+
+      expect(first.quota.classes).toEqual({ [ROUTE_CLASSES.CHAIN]: 2 });
+      expect(second).toBe(first);
+      expect(ApiKey.findOne).toHaveBeenCalledTimes(1);
+      expect(ApiKey.findOne.mock.calls[0][0]).toMatchObject({ isActive: true });
+    });
+
+    it('should not cache unknown keys', async () => {
+      ApiKey.findOne.mockReturnValue(query(null));
+
+      expect(await service.authenticate(KEY)).toBeNull();
+      expect(await service.authenticate(KEY)).toBeNull();
+
+      expect(ApiKey.findOne).toHaveBeenCalledTimes(2);
+      expect(service.keyCache.size).toBe(0);
+    });
+
+    it('should reject keys without the prefix without a lookup', async () => {
+      expect(await service.authenticate('not-a-key')).toBeNull();
+
+      expect(ApiKey.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should look a key up again once its cache entry expires', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+      ApiKey.findOne.mockReturnValue(query(storedKey()));
+      await service.authenticate(KEY);
+
+      now.mockReturnValue(1000000 + 61 * 1000);
+      await service.authenticate(KEY);
+
+      expect(ApiKey.findOne).toHaveBeenCalledTimes(2);
+      now.mockRestore();
+    });
+
+    it('should keep the cache bounded', async () => {
+      ApiKey.findOne.mockImplementation(() => query(storedKey()));
+
+      for (let i = 0; i < service.keyCache.maxEntries + 5; i++) {
+        await service.authenticate(`${KEY}${i}`);
+      }
+
+      expect(service.keyCache.size).toBe(service.keyCache.maxEntries);
+    });
+
+    it('should forget a revoked key at once', async () => {
+      ApiKey.findOne.mockReturnValueOnce(query(storedKey())).mockReturnValueOnce(query(null));
+      const cached = await service.authenticate(KEY);
+      ApiKey.findOneAndUpdate.mockResolvedValue({ ...cached, prefix: 'mk_012345' });
+
+      await service.revoke('key-id', '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa');
+
+      expect(await service.authenticate(KEY)).toBeNull();
+    });
+  });
+
+  describe('consume', () => {
+    const quota = { points: 100, classes: { [ROUTE_CLASSES.CHAIN]: 2 } };
+
+    it('should refuse a call over the class limit without charging it', () => {
+      service.consume('key:1', quota, ROUTE_CLASSES.CHAIN);
+      service.consume('key:1', quota, ROUTE_CLASSES.CHAIN);
+
+      const result = service.consume('key:1', quota, ROUTE_CLASSES.CHAIN);
+
+      expect(result).toMatchObject({ allowed: false, classLimit: 2, classRemaining: 0 });
+      expect(service.getWindow('key:1').classes[ROUTE_CLASSES.CHAIN]).toBe(2);
+    });
+
+    it.each([
+      ['anonymous callers', ANONYMOUS_QUOTA],
+      ['new API keys', DEFAULT_KEY_QUOTA]
+    ])('should let the default chain limit of %s trip before the points run out', (_, defaults) => {
+      const classLimit = defaults.classes[ROUTE_CLASSES.CHAIN];
+      for (let i = 0; i < classLimit; i++) {
+        expect(service.consume('ip:1', defaults, ROUTE_CLASSES.CHAIN).allowed).toBe(true);
+      }
+
+      const refused = service.consume('ip:1', defaults, ROUTE_CLASSES.CHAIN);
+
+      expect(refused).toMatchObject({ allowed: false, classRemaining: 0 });
+      expect(refused.remaining).toBe(defaults.points - classLimit * ROUTE_COSTS[ROUTE_CLASSES.CHAIN]);
+      expect(refused.remaining).toBeGreaterThan(0);
+      expect(service.consume('ip:1', defaults, ROUTE_CLASSES.STANDARD).allowed).toBe(true);
+    });
+
+    it('should start a new window after the old one ends', () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+      service.consume('key:1', quota, ROUTE_CLASSES.CHAIN);
+      service.consume('key:1', quota, ROUTE_CLASSES.CHAIN);
+
+      now.mockReturnValue(service.consume('key:1', quota, ROUTE_CLASSES.CHAIN).resetAt);
+
+      expect(service.consume('key:1', quota, ROUTE_CLASSES.CHAIN).allowed).toBe(true);
+      now.mockRestore();
+    });
+  });
+});
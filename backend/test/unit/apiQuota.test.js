@@ -0,0 +1,79 @@
+jest.mock('../../src/services/apiKeyService', () => ({
+  apiKeyService: {
+    authenticate: jest.fn(),
+    consume: jest.fn(),
+    recordUsage: jest.fn()
+  }
+}));
+
+const express = require('express');
+const request = require('supertest');
+
+const { ANONYMOUS_QUOTA, ROUTE_CLASSES } = require('../../src/config/quotas');
+const { apiQuota } = require('../../src/middleware/apiQuota');
+const { apiKeyService } = require('../../src/services/apiKeyService');
+const { buildApp } = require('../helpers/app');
+
+const router = express.Router();
+router.use(apiQuota);
+router.get('/*', (req, res) => res.json({ success: true, apiKey: req.apiKey || null }));
+
+// Mounted at the root, as in server.js, so routes are classified by their full path
+const app = buildApp('/', router);
+
+const result = (overrides = {}) => ({
+  allowed: true,
+  routeClass: ROUTE_CLASSES.CHAIN,
+  cost: 10,
+  limit: 100,
+  remaining: 90,
+  classLimit: 20,
+  classRemaining: 19,
+  resetAt: Date.now() + 60000,
+  ...overrides
+});
+
+describe('apiQuota', () => {
+  it('should charge anonymous callers to their IP at the route class cost', async () => {
+    apiKeyService.consume.mockReturnValue(result());
+
+    const response = await request(app).get('/api/factory/info');
+
+    expect(response.status).toBe(200);
+    expect(apiKeyService.consume).toHaveBeenCalledWith(expect.stringMatching(/^ip:/), ANONYMOUS_QUOTA, ROUTE_CLASSES.CHAIN);
+    expect(response.headers).toMatchObject({ 'x-ratelimit-remaining': '90', 'x-ratelimit-class': 'chain', 'x-ratelimit-class-remaining': '19' });
+    expect(apiKeyService.authenticate).not.toHaveBeenCalled();
+  });
+
+  it('should charge requests with a key to that key and record its usage', async () => {
+    const apiKey = { _id: 'key-id', name: 'Partner', quota: { points: 10000, classes: {} } };
+    apiKeyService.authenticate.mockResolvedValue(apiKey);
+    apiKeyService.consume.mockReturnValue(result({ routeClass: ROUTE_CLASSES.STANDARD, cost: 1, classLimit: undefined }));
+
+    const response = await request(app).get('/api/tokens').set('X-API-Key', 'mk_key');
+
+    expect(response.body.apiKey).toEqual({ id: 'key-id', name: 'Partner' });
+    expect(apiKeyService.consume).toHaveBeenCalledWith('key:key-id', apiKey.quota, ROUTE_CLASSES.STANDARD);
+    expect(apiKeyService.recordUsage).toHaveBeenCalledWith(apiKey, expect.objectContaining({ allowed: true }));
+    expect(response.headers['x-ratelimit-class-limit']).toBeUndefined();
+  });
+
+  it('should refuse an unknown or revoked key', async () => {
+    apiKeyService.authenticate.mockResolvedValue(null);
+
+    const response = await request(app).get('/api/tokens').set('X-API-Key', 'mk_revoked');
+
+    expect(response.status).toBe(401);
+    expect(apiKeyService.consume).not.toHaveBeenCalled();
+  });
+
+  it('should answer 429 with Retry-After once the budget is spent', async () => {
+    apiKeyService.consume.mockReturnValue(result({ allowed: false, remaining: 0, resetAt: Date.now() + 30000 }));
+
+    const response = await request(app).get('/api/tokens');
+
+    expect(response.status).toBe(429);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(28);
+    expect(response.body.message).toBe('Too many requests from this IP, please try again later or use an API key.');
+  });
+});
@@ -0,0 +1,137 @@
+jest.mock('../../src/models/AuditEvent');
+
+const AuditEvent = require('../../src/models/AuditEvent');
+const { auditService } = require('../../src/services/auditService');
+const { query } = require('../helpers/query');
+
+const ADMIN = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+
+const entry = (overrides = {}) => ({
+  actor: ADMIN.toUpperCase().replace('0X', '0x'),
+  roles: ['superadmin'],
+  ip: '127.0.0.1',
+  method: 'PUT',
+  route: '/api/admin/tokens/:address/status',
+  params: { address: '0x1111111111111111111111111111111111111111' },
+  before: { isFeatured: false },
+  after: { isFeatured: true },
+  outcome: 'success',
+  statusCode: 200,
+  ...overrides
+});
+
+describe('auditService', () => {
+  // In-memory collection behind the AuditEvent mock
+  let events;
+
+  beforeEach(() => {
+    events = [];
+    AuditEvent.findOne.mockImplementation((filter = {}) => query(
+      filter.sequence ? events.find(event => event.sequence === filter.sequence) || null : events[events.length - 1] || null
+    ));
+    AuditEvent.create.mockImplementation(async (event) => {
+      events.push(JSON.parse(JSON.stringify(event)));
+      return event;
+    });
+    AuditEvent.find.mockImplementation(() => query(events));
+  });
+
+  const recordAll = async (count) => {
+    for (let i = 0; i < count; i++) {
+      await auditService.record(entry({ statusCode: 200 + i }));
+    }
+  };
+
+  describe('record', () => {
+    it('should link each event to the hash of the previous one', async () => {
+      await recordAll(2);
+
+      expect(events.map(event => event.sequence)).toEqual([1, 2]);
+      expect(events[0].prevHash).toBe('0'.repeat(64));
+      expect(events[1].prevHash).toBe(events[0].hash);
+      expect(events[0].actor).toBe(ADMIN);
+    });
+
+    it('should serialise concurrent appends', async () => {
+      await Promise.all([1, 2, 3].map(() => auditService.record(entry())));
+
+      expect(events.map(event => event.sequence)).toEqual([1, 2, 3]);
+    });
+
+    it('should retry when another process took the sequence', async () => {
+      AuditEvent.create
+        .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+      await auditService.record(entry());
+
+      expect(AuditEvent.create).toHaveBeenCalledTimes(2);
+      expect(events).toHaveLength(1);
+    });
+  });
+
+  describe('verifyChain', () => {
+    it('should accept an untouched chain', async () => {
+      await recordAll(3);
+
+      expect(await auditService.verifyChain()).toEqual({ valid: true, checked: 3, lastSequence: 3, lastHash: events[2].hash });
+    });
+
+    it('should report an edited event', async () => {
+      await recordAll(3);
+      events[1].after = { isFeatured: false };
+
+      expect(await auditService.verifyChain()).toEqual({
+        valid: false,
+        checked: 1,
+        brokenAt: 2,
+        problem: 'event contents do not match its hash'
+      });
+    });
+
+    it('should report a deleted event', async () => {
+      await recordAll(3);
+      events.splice(1, 1);
+
+      expect(await auditService.verifyChain()).toMatchObject({ valid: false, brokenAt: 3, problem: 'missing event(s) before sequence 3' });
+    });
+
+    it('should report a rewritten link', async () => {
+      await recordAll(2);
+      events[1].prevHash = 'f'.repeat(64);
+
+      expect(await auditService.verifyChain()).toMatchObject({ valid: false, brokenAt: 2, problem: 'prevHash does not match the previous event' });
+    });
+  });
+
+  describe('exportCsv', () => {
+    it('should quote values and neutralise spreadsheet formulas', async () => {
+      await auditService.record(entry({ error: '=HYPERLINK("http://evil")', outcome: 'failure', statusCode: 500 }));
+      const chunks = [];
+
+      const rows = await auditService.exportCsv({}, chunk => chunks.push(chunk));
+
+      expect(rows).toBe(1);
+      const [header, row] = chunks;
+      expect(header.startsWith('sequence,timestamp,actor,roles')).toBe(true);
+      expect(row).toContain(`,${ADMIN},superadmin,`);
+      expect(row).toContain(',"\'=HYPERLINK(""http://evil"")",');
+      expect(row).toContain('"{""isFeatured"":false}"');
+    });
+  });
+
+  describe('buildFilter', () => {
+    it('should match addresses in either case and bound the time range', () => {
+      expect(auditService.buildFilter({
+        actor: ADMIN.toUpperCase().replace('0X', '0x'),
+        method: 'put',
+        address: '0xAbC0000000000000000000000000000000000000',
+        from: '2026-01-01'
+      })).toEqual({
+        actor: ADMIN,
+        method: 'PUT',
+        'params.address': { $in: ['0xAbC0000000000000000000000000000000000000', '0xabc0000000000000000000000000000000000000'] },
+        timestamp: { $gte: new Date('2026-01-01') }
+      });
+    });
+  });
+});
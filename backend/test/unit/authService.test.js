@@ -0,0 +1,135 @@
+jest.mock('../../src/models/AdminSession');
+jest.mock('../../src/models/AdminUser');
+jest.mock('../../src/models/AuthNonce');
+jest.mock('../../src/services/web3Service', () => ({
+  web3Service: { defaultChainId: 11124, hasChain: jest.fn(chainId => chainId === 11124) }
+}));
+
+const { ethers } = require('ethers');
+const jwt = require('jsonwebtoken');
+
+const AdminSession = require('../../src/models/AdminSession');
+const AdminUser = require('../../src/models/AdminUser');
+const AuthNonce = require('../../src/models/AuthNonce');
+const { authService } = require('../../src/services/authService');
+const { AuthError } = require('../../src/utils/errors');
+const { query } = require('../helpers/query');
+
+const admin = ethers.Wallet.createRandom();
+const moderator = ethers.Wallet.createRandom();
+
+describe('authService', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.SIWE_URI = 'https://app.memex.io';
+    process.env.ADMIN_WALLETS = admin.address;
+    AuthNonce.create.mockResolvedValue({});
+    AuthNonce.findOneAndUpdate.mockResolvedValue({ nonce: 'used' });
+    AdminUser.findActive.mockReturnValue(query(null));
+    AdminSession.create.mockImplementation(async (session) => session);
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  // Sign the challenge for `wallet`, optionally editing the message first
+  const signIn = async (wallet, edit = (message) => message) => {
+    const { message } = await authService.createChallenge(wallet.address.toLowerCase());
+    const edited = edit(message);
+    return authService.login(edited, await wallet.signMessage(edited), { ip: '127.0.0.1', userAgent: 'jest' });
+  };
+
+  describe('createChallenge', () => {
+    it('should store a nonce and build the message for the configured domain', async () => {
+      const { nonce, message, expiresAt } = await authService.createChallenge(admin.address.toLowerCase());
+
+      expect(AuthNonce.create).toHaveBeenCalledWith({ nonce, address: admin.address.toLowerCase(), expiresAt });
+      expect(message.split('\n').slice(0, 2)).toEqual(['app.memex.io wants you to sign in with your Ethereum account:', admin.address]);
+      expect(message).toContain('Chain ID: 11124');
+    });
+  });
+
+  describe('login', () => {
+    it('should open a session for an allow-listed wallet', async () => {
+      const result = await signIn(admin);
+
+      expect(result.roles).toEqual(['superadmin']);
+      const claims = jwt.verify(result.token, 'test-secret', { issuer: 'memex-admin' });
+      expect(claims.sub).toBe(admin.address.toLowerCase());
+      expect(AdminSession.create).toHaveBeenCalledWith(expect.objectContaining({ sessionId: claims.jti, ip: '127.0.0.1' }));
+      expect(AuthNonce.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ address: admin.address.toLowerCase(), usedAt: null });
+    });
+
+    it('should give other admins the roles of their account', async () => {
+      AdminUser.findActive.mockReturnValue(query({ roles: ['moderator'] }));
+
+      expect((await signIn(moderator)).roles).toEqual(['moderator']);
+    });
+
+    it.each([
+      ['another domain', (message) => message.replace('app.memex.io wants', 'evil.example wants'), 'Sign-in message was issued for another domain'],
+      ['another URI', (message) => message.replace('URI: https://app.memex.io', 'URI: https://evil.example'), 'Sign-in message was issued for another URI'],
+      ['an unsupported chain', (message) => message.replace('Chain ID: 11124', 'Chain ID: 1'), 'Sign-in message was issued for an unsupported chain'],
+      ['an expired message', (message) => message.replace(/Expiration Time: .*/, 'Expiration Time: 2020-01-01T00:00:00.000Z'), 'Sign-in message has expired']
+    ])('should reject %s', async (name, edit, error) => {
+      await expect(signIn(admin, edit)).rejects.toThrow(error);
+      expect(AdminSession.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a message signed by another wallet', async () => {
+      const { message } = await authService.createChallenge(admin.address);
+
+      await expect(authService.login(message, await moderator.signMessage(message)))
+        .rejects.toThrow('Signature does not match the sign-in address');
+    });
+
+    it('should accept each nonce once', async () => {
+      AuthNonce.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(signIn(admin)).rejects.toThrow('Unknown, used or expired nonce');
+    });
+
+    it('should turn away a wallet without admin roles', async () => {
+      const error = await signIn(moderator).catch(e => e);
+
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error.statusCode).toBe(403);
+      expect(AdminSession.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should resolve a token to its session and current roles', async () => {
+      const { token } = await signIn(admin);
+      const session = { sessionId: jwt.decode(token).jti, address: admin.address.toLowerCase() };
+      AdminSession.findActive.mockResolvedValue(session);
+
+      expect(await authService.authenticate(token)).toEqual({ session, roles: ['superadmin'] });
+      expect(AdminSession.findActive).toHaveBeenCalledWith(session.sessionId);
+    });
+
+    it('should reject a revoked session', async () => {
+      const { token } = await signIn(admin);
+      AdminSession.findActive.mockResolvedValue(null);
+
+      await expect(authService.authenticate(token)).rejects.toThrow('Session has been revoked');
+    });
+
+    it('should apply role removals to open sessions', async () => {
+      const { token } = await signIn(admin);
+      AdminSession.findActive.mockResolvedValue({ address: admin.address.toLowerCase() });
+      process.env.ADMIN_WALLETS = '';
+
+      await expect(authService.authenticate(token)).rejects.toThrow('Wallet is no longer an admin');
+    });
+
+    it('should reject a token signed with another secret', async () => {
+      const token = jwt.sign({ sub: admin.address }, 'other-secret', { issuer: 'memex-admin', jwtid: 'x' });
+
+      await expect(authService.authenticate(token)).rejects.toThrow('invalid signature');
+    });
+  });
+});
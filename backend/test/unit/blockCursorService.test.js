@@ -0,0 +1,85 @@
+jest.mock('../../src/models/IndexedBlock');
+
+const IndexedBlock = require('../../src/models/IndexedBlock');
+const { blockCursorService } = require('../../src/services/blockCursorService');
+const { query } = require('../helpers/query');
+
+const hash = (number, fork = '') => `0x${fork}${number}`;
+const header = (number, fork = '') => ({ number, hash: hash(number, fork), parentHash: hash(number - 1, fork), timestamp: 1700000000 + number });
+
+const makeClient = (headers) => ({
+  chainId: 11124,
+  getBlockHeader: jest.fn(async (number) => headers[number] || null)
+});
+
+describe('blockCursorService', () => {
+  beforeEach(() => {
+    blockCursorService.confirmations = 12;
+    blockCursorService.historySize = 256;
+  });
+
+  describe('getSafeBlock', () => {
+    it('should stay the confirmation depth behind the head', () => {
+      expect(blockCursorService.getSafeBlock(100)).toBe(88);
+      expect(blockCursorService.getSafeBlock(5)).toBe(-1);
+    });
+  });
+
+  describe('findReorg', () => {
+    it('should not look at the chain before any block was recorded', async () => {
+      IndexedBlock.findOne.mockReturnValue(query(null));
+      const client = makeClient({});
+
+      expect(await blockCursorService.findReorg(client, 101)).toBeNull();
+      expect(client.getBlockHeader).not.toHaveBeenCalled();
+    });
+
+    it('should accept a block built on the recorded one', async () => {
+      IndexedBlock.findOne.mockReturnValue(query({ number: 100, hash: hash(100) }));
+
+      expect(await blockCursorService.findReorg(makeClient({ 101: header(101) }), 101)).toBeNull();
+    });
+
+    it('should return the newest recorded block still on the chain', async () => {
+      IndexedBlock.findOne.mockReturnValue(query({ number: 100, hash: hash(100) }));
+      IndexedBlock.findRecent.mockReturnValue(query([
+        { number: 100, hash: hash(100) },
+        { number: 99, hash: hash(99) },
+        { number: 98, hash: hash(98) }
+      ]));
+      // Blocks after 98 were replaced
+      const client = makeClient({ 98: header(98), 99: header(99, 'f'), 100: header(100, 'f'), 101: header(101, 'f') });
+
+      expect(await blockCursorService.findReorg(client, 101)).toBe(98);
+    });
+
+    it('should stop on a reorg deeper than the stored history', async () => {
+      IndexedBlock.findOne.mockReturnValue(query({ number: 100, hash: hash(100) }));
+      IndexedBlock.findRecent.mockReturnValue(query([{ number: 100, hash: hash(100) }]));
+      const client = makeClient({ 100: header(100, 'f'), 101: header(101, 'f') });
+
+      await expect(blockCursorService.findReorg(client, 101)).rejects.toThrow('Reorg is deeper than the 1 stored block hash(es)');
+    });
+  });
+
+  describe('recordBlock', () => {
+    it('should store the block hash and prune the history', async () => {
+      blockCursorService.historySize = 2;
+      IndexedBlock.updateOne.mockResolvedValue({});
+      IndexedBlock.findOne.mockReturnValue(query({ number: 99 }));
+
+      await blockCursorService.recordBlock(makeClient({ 100: header(100) }), 100);
+
+      expect(IndexedBlock.updateOne).toHaveBeenCalledWith(
+        { chainId: 11124, number: 100 },
+        { $set: { hash: hash(100), parentHash: hash(99), timestamp: new Date((1700000000 + 100) * 1000) } },
+        { upsert: true }
+      );
+      expect(IndexedBlock.deleteMany).toHaveBeenCalledWith({ chainId: 11124, number: { $lt: 99 } });
+    });
+
+    it('should fail on a block the RPC does not know', async () => {
+      await expect(blockCursorService.recordBlock(makeClient({}), 100)).rejects.toThrow('Block 100 not found on chain 11124');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const { ethers } = require('ethers');
+
+const {
+  TOTAL_SUPPLY,
+  BondingMathError,
+  applyFactorySettings,
+  calculateETHForTokens,
+  calculateTokensForETH,
+  derivePreBondingTarget,
+  getCurrentPrice,
+  projectCurvePrices,
+  quoteBuy,
+  quoteSell
+} = require('../../src/utils/bondingMath');
+const vectors = require('../fixtures/bondingMathVectors.json');
+
+const settings = {
+  virtualEth: ethers.parseEther('10'),
+  preBondingTarget: ethers.parseEther('2'),
+  bondingTarget: ethers.parseEther('30'),
+  minContribution: ethers.parseEther('0.1'),
+  sellFee: 100n
+};
+
+const preBondingState = {
+  currentPhase: 0,
+  ethReserve: 0n,
+  tokenReserve: 0n,
+  totalETHCollected: 0n,
+  totalPreBondingContributions: 0n,
+  preBondingTokens: 0n,
+  tokenBalance: TOTAL_SUPPLY,
+  settings
+};
+
+const bondingState = {
+  ...preBondingState,
+  currentPhase: 1,
+  ethReserve: ethers.parseEther('12'),
+  tokenReserve: ethers.parseEther('800000000'),
+  totalETHCollected: ethers.parseEther('2'),
+  totalPreBondingContributions: ethers.parseEther('2')
+};
+
+describe('bondingMath', () => {
+  // Outputs of contracts/test/BondingMathTest.sol, so the port truncates exactly like the contract
+  describe('BondingMathTest.sol vectors', () => {
+    it.each(vectors.calculateTokensForETH)('calculateTokensForETH($ethReserve, $tokenReserve, $ethIn)', (vector) => {
+      expect(calculateTokensForETH(BigInt(vector.ethReserve), BigInt(vector.tokenReserve), BigInt(vector.ethIn)))
+        .toBe(BigInt(vector.tokensOut));
+    });
+
+    it.each(vectors.calculateETHForTokens)('calculateETHForTokens($ethReserve, $tokenReserve, $tokenIn, $sellFee)', (vector) => {
+      const { ethOut, fee } = calculateETHForTokens(
+        BigInt(vector.ethReserve),
+        BigInt(vector.tokenReserve),
+        BigInt(vector.tokenIn),
+        BigInt(vector.sellFee)
+      );
+      expect(ethOut).toBe(BigInt(vector.ethOut));
+      expect(fee).toBe(BigInt(vector.fee));
+    });
+
+    it.each(vectors.getCurrentPrice)('getCurrentPrice($ethReserve, $tokenReserve)', (vector) => {
+      expect(getCurrentPrice(BigInt(vector.ethReserve), BigInt(vector.tokenReserve))).toBe(BigInt(vector.price));
+    });
+  });
+
+  describe('getCurrentPrice', () => {
+    it('should price a curve without reserves at 0', () => {
+      expect(getCurrentPrice(0n, 0n)).toBe(0n);
+      expect(getCurrentPrice(ethers.parseEther('10'), 0n)).toBe(0n);
+    });
+  });
+
+  describe('quoteBuy', () => {
+    it('should price pre-bonding contributions on virtualEth and the token balance', () => {
+      const quote = quoteBuy(preBondingState, ethers.parseEther('1'), 100);
+
+      expect(quote.tokensOut).toBe(calculateTokensForETH(settings.virtualEth, TOTAL_SUPPLY, ethers.parseEther('1')));
+      expect(quote.priceAfter).toBe(quote.priceBefore);
+      expect(quote.minTokens).toBe((quote.tokensOut * 9900n) / 10000n);
+      expect(quote.completesPreBonding).toBe(false);
+      expect(quote.remainingToTarget).toBe(ethers.parseEther('1'));
+    });
+
+    it('should flag the contribution that completes pre-bonding', () => {
+      const quote = quoteBuy(preBondingState, ethers.parseEther('2'));
+
+      expect(quote.completesPreBonding).toBe(true);
+      expect(quote.priceAfter > quote.priceBefore).toBe(true);
+    });
+
+    it('should reject what the contract reverts on', () => {
+      const reason = (fn) => {
+        try {
+          fn();
+        } catch (error) {
+          expect(error).toBeInstanceOf(BondingMathError);
+          return error.reason;
+        }
+        return null;
+      };
+
+      expect(reason(() => quoteBuy(preBondingState, ethers.parseEther('0.01')))).toBe('ContributionTooLow');
+      expect(reason(() => quoteBuy(preBondingState, ethers.parseEther('3')))).toBe('PreBondingTargetReached');
+      expect(reason(() => quoteBuy({ ...bondingState, currentPhase: 2 }, ethers.parseEther('1')))).toBe('InvalidPhase');
+      expect(reason(() => quoteSell(preBondingState, ethers.parseEther('1')))).toBe('InvalidPhase');
+      expect(reason(() => quoteSell(bondingState, ethers.parseEther('500000000')))).toBe('InsufficientETH');
+    });
+
+    it('should fill a buy that crosses the bonding target completely', () => {
+      const quote = quoteBuy({ ...bondingState, totalETHCollected: ethers.parseEther('29') }, ethers.parseEther('2'));
+
+      expect(quote.crossesBondingTarget).toBe(true);
+      expect(quote.excessOverTarget).toBe(ethers.parseEther('1'));
+      expect(quote.remainingToTarget).toBe(0n);
+    });
+  });
+
+  describe('applyFactorySettings', () => {
+    it('should replace preBondingTarget with 20% of virtualEth like the Factory', () => {
+      expect(derivePreBondingTarget(ethers.parseEther('15'))).toBe(ethers.parseEther('3'));
+      expect(applyFactorySettings({ ...settings, preBondingTarget: ethers.parseEther('5') }).preBondingTarget).toBe(ethers.parseEther('2'));
+    });
+
+    it('should revert with InvalidDeploymentParameters when bondingTarget is not above it', () => {
+      expect(() => applyFactorySettings({ ...settings, bondingTarget: ethers.parseEther('2') }))
+        .toThrow(expect.objectContaining({ reason: 'InvalidDeploymentParameters' }));
+    });
+  });
+
+  describe('projectCurvePrices', () => {
+    it('should follow a new curve through pre-bonding and bonding', () => {
+      const projection = projectCurvePrices(settings);
+      const preBondingTokens = calculateTokensForETH(settings.virtualEth, TOTAL_SUPPLY, settings.preBondingTarget);
+
+      expect(projection.launchPrice).toBe(getCurrentPrice(settings.virtualEth, TOTAL_SUPPLY));
+      expect(projection.preBondingTokens).toBe(preBondingTokens);
+      expect(projection.preBondingPrice).toBe(getCurrentPrice(ethers.parseEther('12'), TOTAL_SUPPLY - preBondingTokens));
+      expect(projection.bondingTargetPrice > projection.preBondingPrice).toBe(true);
+      expect(projection.tokensSoldAtTarget > preBondingTokens).toBe(true);
+    });
+  });
+
+  describe('quoteSell', () => {
+    it('should take the sell fee from the ETH out', () => {
+      const tokenIn = ethers.parseEther('1000000');
+      const quote = quoteSell(bondingState, tokenIn, 50);
+      const expected = calculateETHForTokens(bondingState.ethReserve, bondingState.tokenReserve, tokenIn, 100n);
+
+      expect(quote.ethOut).toBe(expected.ethOut);
+      expect(quote.fee).toBe(expected.fee);
+      expect(quote.availableETH).toBe(ethers.parseEther('2'));
+      expect(quote.minETH).toBe((expected.ethOut * 9950n) / 10000n);
+    });
+  });
+});
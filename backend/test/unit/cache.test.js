@@ -0,0 +1,98 @@
+jest.mock('../../src/services/web3Service', () => ({
+  web3Service: { defaultChainId: 11124 }
+}));
+
+const express = require('express');
+const request = require('supertest');
+
+const { cacheResponse, factoryTags } = require('../../src/middleware/cache');
+const { cacheService } = require('../../src/services/cacheService');
+const { eventBus, EVENTS } = require('../../src/services/eventBus');
+const { buildApp } = require('../helpers/app');
+
+describe('cacheResponse', () => {
+  let read;
+  let app;
+
+  beforeAll(async () => {
+    await cacheService.initialize();
+  });
+
+  afterAll(async () => {
+    await cacheService.close();
+  });
+
+  beforeEach(async () => {
+    // Entries of earlier tests are not served
+    await cacheService.invalidate('factory:11124');
+    read = jest.fn(async () => ({ deploymentFee: '0.01' }));
+
+    const router = express.Router();
+    router.get('/info', cacheResponse(factoryTags), async (req, res, next) => {
+      try {
+        res.json({ success: true, data: await read() });
+      } catch (error) {
+        next(error);
+      }
+    });
+    app = buildApp('/api/factory', router);
+  });
+
+  it('should serve a repeated request from the cache with the same ETag', async () => {
+    const first = await request(app).get('/api/factory/info');
+    const second = await request(app).get('/api/factory/info');
+
+    expect(first.headers).toMatchObject({ 'x-cache': 'MISS', 'cache-control': 'no-cache' });
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.body).toEqual(first.body);
+    expect(second.headers.etag).toBe(first.headers.etag);
+    expect(read).toHaveBeenCalledTimes(1);
+  });
+
+  it('should share an entry between query orders', async () => {
+    await request(app).get('/api/factory/info?b=2&a=1');
+    const response = await request(app).get('/api/factory/info?a=1&b=2');
+
+    expect(response.headers['x-cache']).toBe('HIT');
+  });
+
+  it('should answer 304 when If-None-Match names the entry', async () => {
+    const { headers } = await request(app).get('/api/factory/info');
+
+    const hit = await request(app).get('/api/factory/info').set('If-None-Match', `W/${headers.etag}`);
+    const miss = await request(app).get('/api/factory/info').set('If-None-Match', '"other"');
+
+    expect(hit.status).toBe(304);
+    expect(miss.status).toBe(200);
+  });
+
+  it('should read again once a chain event invalidates the entry', async () => {
+    await request(app).get('/api/factory/info');
+
+    eventBus.publish(EVENTS.FACTORY_SETTINGS_UPDATED, { chainId: 11124 });
+    await new Promise(resolve => setImmediate(resolve));
+    const response = await request(app).get('/api/factory/info');
+
+    expect(response.headers['x-cache']).toBe('MISS');
+    expect(read).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not keep errors', async () => {
+    read.mockRejectedValueOnce(new Error('RPC down'));
+
+    expect((await request(app).get('/api/factory/info')).status).toBe(500);
+    expect((await request(app).get('/api/factory/info')).headers['x-cache']).toBe('MISS');
+  });
+
+  it('should serve the request uncached when the store fails', async () => {
+    const mget = jest.spyOn(cacheService.store, 'mget').mockRejectedValueOnce(new Error('connection lost'));
+    const errors = cacheService.getStats().errors;
+
+    const response = await request(app).get('/api/factory/info');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['x-cache']).toBeUndefined();
+    expect(cacheService.getStats().errors).toBe(errors + 1);
+    mget.mockRestore();
+  });
+});
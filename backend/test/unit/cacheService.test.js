@@ -0,0 +1,104 @@
+const { CACHE_SETTINGS } = require('../../src/config/cache');
+const { cacheService, TAGS } = require('../../src/services/cacheService');
+const { eventBus, EVENTS } = require('../../src/services/eventBus');
+const { LruStore } = require('../../src/utils/cacheStores');
+
+const CURVE = '0x2222222222222222222222222222222222222222';
+
+// Lets listeners' async invalidations land
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('cacheService', () => {
+  let service;
+
+  beforeEach(async () => {
+    service = new cacheService.constructor();
+    await service.initialize();
+  });
+
+  afterEach(async () => {
+    await service.close();
+  });
+
+  it('should count misses and hits', async () => {
+    const miss = await service.get('/api/factory/info?', [TAGS.factory(11124)]);
+    await service.set(miss.key, { body: { success: true } }, 60000);
+
+    const hit = await service.get('/api/factory/info?', [TAGS.factory(11124)]);
+
+    expect(miss.entry).toBeNull();
+    expect(hit.entry).toEqual({ body: { success: true } });
+    expect(service.getStats()).toMatchObject({ enabled: true, store: 'memory', entries: 1, hits: 1, misses: 1, errors: 0 });
+  });
+
+  it('should stop serving entries of an invalidated tag', async () => {
+    const { key } = await service.get('/api/factory/info?', [TAGS.factory(11124), TAGS.curve(CURVE)]);
+    await service.set(key, { body: {} }, 60000);
+
+    await service.invalidate(TAGS.curve(CURVE.toUpperCase().replace('0X', '0x')));
+
+    expect((await service.get('/api/factory/info?', [TAGS.factory(11124), TAGS.curve(CURVE)])).entry).toBeNull();
+  });
+
+  it('should keep an entry stored under the key taken before an invalidation out of later reads', async () => {
+    const { key } = await service.get('/api/bonding-curve?', [TAGS.curve(CURVE)]);
+    await service.invalidate(TAGS.curve(CURVE));
+    await service.set(key, { body: {} }, 60000);
+
+    expect((await service.get('/api/bonding-curve?', [TAGS.curve(CURVE)])).entry).toBeNull();
+  });
+
+  it.each([
+    ['a trade', EVENTS.TRADE, { bondingCurveAddress: CURVE }, TAGS.curve(CURVE)],
+    ['indexed progress', EVENTS.TOKEN_PROGRESS, { bondingCurveAddress: CURVE }, TAGS.curve(CURVE)],
+    ['a settings event', EVENTS.FACTORY_SETTINGS_UPDATED, { chainId: 11124 }, TAGS.factory(11124)],
+    ['a finished fee job', EVENTS.TX_JOB_FINISHED, { method: 'updateDeploymentFee', chainId: 11124 }, TAGS.factory(11124)]
+  ])('should invalidate on %s', async (_, event, payload, tag) => {
+    const { key } = await service.get('name', [tag]);
+    await service.set(key, { body: {} }, 60000);
+
+    eventBus.publish(event, payload);
+    await settle();
+
+    expect((await service.get('name', [tag])).entry).toBeNull();
+  });
+
+  it('should ignore jobs that leave the Factory settings alone', async () => {
+    const { key } = await service.get('name', [TAGS.factory(11124)]);
+    await service.set(key, { body: {} }, 60000);
+
+    eventBus.publish(EVENTS.TX_JOB_FINISHED, { method: 'withdrawFees', chainId: 11124 });
+    await settle();
+
+    expect((await service.get('name', [TAGS.factory(11124)])).entry).toEqual({ body: {} });
+  });
+
+  it('should count a failed invalidation instead of throwing', async () => {
+    jest.spyOn(service.store, 'incr').mockRejectedValue(new Error('connection lost'));
+
+    await service.invalidate(TAGS.factory(11124));
+
+    expect(service.getStats().errors).toBe(1);
+  });
+
+  it('should stop listening once closed', async () => {
+    await service.close();
+
+    expect(service.store).toBeNull();
+    expect(eventBus.listeners(EVENTS.TRADE)).not.toContain(service.listeners[EVENTS.TRADE]);
+    await expect(service.invalidate(TAGS.curve(CURVE))).resolves.toBeUndefined();
+  });
+
+  it('should refuse an unknown store', async () => {
+    const other = new cacheService.constructor();
+    CACHE_SETTINGS.store = 'memcached';
+
+    await expect(other.initialize()).rejects.toThrow('Invalid CACHE_STORE "memcached"; use memory or redis');
+    CACHE_SETTINGS.store = 'memory';
+  });
+
+  it('should use an LRU bounded by CACHE_MAX_ENTRIES', () => {
+    expect(service.store).toBeInstanceOf(LruStore);
+    expect(service.store.maxEntries).toBe(CACHE_SETTINGS.maxEntries);
+  });
+});
@@ -0,0 +1,70 @@
+const { LruStore } = require('../../src/utils/cacheStores');
+
+describe('LruStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new LruStore(2);
+  });
+
+  it('should return what was set until its TTL ends', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    await store.set('a', 'one', 500);
+
+    expect(await store.get('a')).toBe('one');
+    now.mockReturnValue(1500);
+    expect(await store.get('a')).toBeNull();
+    expect(store.size).toBe(0);
+    now.mockRestore();
+  });
+
+  it('should drop the least recently used entry once full', async () => {
+    await store.set('a', 'one', 60000);
+    await store.set('b', 'two', 60000);
+    await store.get('a');
+
+    await store.set('c', 'three', 60000);
+
+    expect(await store.mget(['a', 'b', 'c'])).toEqual(['one', null, 'three']);
+    expect(store.size).toBe(2);
+  });
+
+  it('should replace an entry that is set again', async () => {
+    await store.set('a', 'one', 60000);
+    await store.set('a', 'uno', 60000);
+
+    expect(await store.get('a')).toBe('uno');
+    expect(store.size).toBe(1);
+  });
+
+  it('should delete an entry', async () => {
+    await store.set('a', 'one', 60000);
+    await store.set('b', 'two', 60000);
+
+    await store.del('a');
+    await store.del('missing');
+
+    expect(await store.mget(['a', 'b'])).toEqual([null, 'two']);
+    expect(store.size).toBe(1);
+  });
+
+  it('should keep counters apart from the entries, so they are never evicted', async () => {
+    expect(await store.incr('tag')).toBe(1);
+    expect(await store.incr('tag')).toBe(2);
+
+    await store.set('a', 'one', 60000);
+    await store.set('b', 'two', 60000);
+    await store.set('c', 'three', 60000);
+
+    expect(await store.get('tag')).toBe('2');
+    expect(store.size).toBe(2);
+  });
+
+  it('should empty on close', async () => {
+    await store.set('a', 'one', 60000);
+
+    await store.close();
+
+    expect(store.size).toBe(0);
+  });
+});
@@ -0,0 +1,110 @@
+jest.mock('../../src/models/Trade');
+
+const Trade = require('../../src/models/Trade');
+const { candleService } = require('../../src/services/candleService');
+const { query } = require('../helpers/query');
+
+const CURVE = '0x2222222222222222222222222222222222222222';
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+const trade = (minutes, price, ethIn = '0', ethOut = '0') => ({
+  price,
+  ethIn,
+  ethOut,
+  sellFee: '0',
+  tokensIn: '0',
+  tokensOut: '100',
+  timestamp: new Date(START + minutes * 60 * 1000)
+});
+
+describe('candleService', () => {
+  describe('getCandles', () => {
+    it('should bucket trades and open each candle at the previous close', async () => {
+      Trade.findOne.mockReturnValue(query({ price: '0.8' }));
+      Trade.find.mockReturnValue(query([
+        trade(10, '1.0', '1.0'),
+        trade(40, '1.5', '2.0'),
+        trade(125, '1.2', '0', '0.5')
+      ]));
+
+      const { candles } = await candleService.getCandles(CURVE, {
+        interval: '1h',
+        from: new Date(START),
+        to: new Date(START + 3 * HOUR)
+      });
+
+      expect(candles.map(candle => candle.time)).toEqual([0, 1, 2, 3].map(hour => (START + hour * HOUR) / 1000));
+      expect(candles[0]).toEqual({
+        time: START / 1000,
+        open: '0.8',
+        high: '1.5',
+        low: '0.8',
+        close: '1.5',
+        volume: '3.0',
+        tokenVolume: '200.0',
+        trades: 2
+      });
+      expect(candles[2]).toMatchObject({ open: '1.5', high: '1.5', low: '1.2', close: '1.2', volume: '0.5' });
+    });
+
+    it('should carry the close forward through hours without trades', async () => {
+      Trade.findOne.mockReturnValue(query({ price: '0.8' }));
+      Trade.find.mockReturnValue(query([trade(10, '1.0'), trade(125, '1.2')]));
+
+      const { candles } = await candleService.getCandles(CURVE, {
+        interval: '1h',
+        from: new Date(START),
+        to: new Date(START + 3 * HOUR)
+      });
+
+      expect(candles[1]).toEqual({
+        time: (START + HOUR) / 1000,
+        open: '1.0',
+        high: '1.0',
+        low: '1.0',
+        close: '1.0',
+        volume: '0.0',
+        tokenVolume: '0.0',
+        trades: 0
+      });
+      expect(candles[3]).toMatchObject({ close: '1.2', trades: 0 });
+    });
+
+    it('should leave out the hours before the first trade ever', async () => {
+      Trade.findOne.mockReturnValue(query(null));
+      Trade.find.mockReturnValue(query([trade(125, '1.2')]));
+
+      const { candles } = await candleService.getCandles(CURVE, {
+        interval: '1h',
+        from: new Date(START),
+        to: new Date(START + 3 * HOUR)
+      });
+
+      expect(candles).toHaveLength(2);
+      expect(candles[0]).toMatchObject({ time: (START + 2 * HOUR) / 1000, open: '1.2', trades: 1 });
+    });
+
+    it('should cap the window at limit candles', async () => {
+      Trade.findOne.mockReturnValue(query(null));
+      Trade.find.mockReturnValue(query([]));
+
+      const result = await candleService.getCandles(CURVE, {
+        interval: '1h',
+        from: new Date(START),
+        to: new Date(START + 10 * HOUR),
+        limit: 4
+      });
+
+      expect(result.to).toEqual(new Date(START + 4 * HOUR));
+      expect(Trade.find.mock.calls[0][0]).toEqual({
+        bondingCurveAddress: CURVE,
+        timestamp: { $gte: new Date(START), $lt: new Date(START + 4 * HOUR) }
+      });
+    });
+
+    it('should reject an unknown interval', async () => {
+      await expect(candleService.getCandles(CURVE, { interval: '2h' })).rejects.toThrow('Unsupported candle interval: 2h');
+    });
+  });
+});
@@ -0,0 +1,173 @@
+jest.mock('../../src/services/web3Service', () => ({
+  web3Service: { hasChain: jest.fn(chainId => chainId === 11124) }
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { resolveChain } = require('../../src/middleware/chain');
+const { MULTICALL3_ADDRESS } = require('../../src/utils/multicall');
+
+const FACTORY = '0x1111111111111111111111111111111111111111';
+const OTHER_FACTORY = '0x2222222222222222222222222222222222222222';
+const LOCAL_MULTICALL = '0x3333333333333333333333333333333333333333';
+
+const ENV = { ...process.env };
+
+// loadChains from a fresh module, since CHAINS and DEFAULT_CHAIN_ID are read on require
+const loadChains = (env = {}) => {
+  Object.assign(process.env, env);
+  let chains;
+  jest.isolateModules(() => {
+    chains = require('../../src/config/chains').loadChains();
+  });
+  return chains;
+};
+
+describe('chains', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chains-'));
+    fs.mkdirSync(path.join(dir, 'config'));
+    fs.writeFileSync(path.join(dir, 'deployments.json'), JSON.stringify({
+      11124: [
+        { name: 'abstractTestnetNoFactory', chainId: '11124', contracts: {} },
+        { name: 'abstractTestnet', chainId: '11124', contracts: { Factory: { address: FACTORY }, Multicall3: { address: LOCAL_MULTICALL } } }
+      ],
+      2741: [{ name: 'abstract', chainId: '2741', contracts: { Factory: { address: OTHER_FACTORY } } }]
+    }));
+    fs.writeFileSync(path.join(dir, 'config', 'abstractTestnet.json'), JSON.stringify({
+      chainId: 11124,
+      name: 'Abstract Testnet',
+      rpcUrls: ['https://testnet.example/rpc', { url: 'https://backup.example/rpc', priority: 5 }],
+      explorerUrl: 'https://sepolia.abscan.org',
+      testnet: true
+    }));
+    fs.writeFileSync(path.join(dir, 'config', 'notes.txt'), 'not a chain');
+
+    process.env = { ...ENV, DEPLOYMENTS_FILE: path.join(dir, 'deployments.json'), CHAIN_CONFIG_DIR: path.join(dir, 'config') };
+    for (const name of Object.keys(process.env).filter(key => /^(CHAINS|DEFAULT_CHAIN_ID|RPC_URL|ABSTRACT_|FACTORY_ADDRESS|LOCK_ADDRESS|MULTICALL3_ADDRESS|INDEXER_START_BLOCK|VERIFY_BYTECODE)/.test(key))) {
+      delete process.env[name];
+    }
+  });
+
+  afterEach(() => {
+    process.env = ENV;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('loadChains', () => {
+    it('should combine the exported deployment with the network config', () => {
+      const chain = loadChains().get(11124);
+
+      expect(chain).toMatchObject({
+        chainId: 11124,
+        network: 'abstractTestnet',
+        name: 'Abstract Testnet',
+        rpcUrl: 'https://testnet.example/rpc',
+        rpcUrls: [{ url: 'https://testnet.example/rpc', priority: 0 }, { url: 'https://backup.example/rpc', priority: 5 }],
+        explorerUrl: 'https://sepolia.abscan.org',
+        testnet: true,
+        factoryAddress: FACTORY,
+        lockAddress: null,
+        multicallAddress: LOCAL_MULTICALL,
+        startBlock: 0,
+        verifyBytecode: true,
+        isDefault: true
+      });
+    });
+
+    it('should serve every chain in CHAINS, taking RPC_URL_<chainId> as a failover list', () => {
+      const chains = loadChains({ CHAINS: '11124, 2741', RPC_URL_2741: 'https://one.example, https://two.example' });
+
+      expect([...chains.keys()]).toEqual([11124, 2741]);
+      expect(chains.get(2741)).toMatchObject({
+        network: 'abstract',
+        name: 'abstract',
+        rpcUrls: [{ url: 'https://one.example', priority: 0 }, { url: 'https://two.example', priority: 1 }],
+        factoryAddress: OTHER_FACTORY,
+        multicallAddress: MULTICALL3_ADDRESS,
+        testnet: false,
+        isDefault: false
+      });
+    });
+
+    it('should apply unsuffixed overrides to the default chain only', () => {
+      const chains = loadChains({
+        CHAINS: '11124,2741',
+        DEFAULT_CHAIN_ID: '2741',
+        RPC_URL_2741: 'https://mainnet.example',
+        FACTORY_ADDRESS: LOCAL_MULTICALL,
+        INDEXER_START_BLOCK: '500',
+        INDEXER_START_BLOCK_11124: '42',
+        VERIFY_BYTECODE_11124: 'false'
+      });
+
+      expect(chains.get(2741)).toMatchObject({ factoryAddress: LOCAL_MULTICALL, startBlock: 500, verifyBytecode: true, isDefault: true });
+      expect(chains.get(11124)).toMatchObject({ factoryAddress: FACTORY, startBlock: 42, verifyBytecode: false, isDefault: false });
+    });
+
+    it('should still honour the legacy RPC variables', () => {
+      const chain = loadChains({ ABSTRACT_TESTNET_RPC_URL: 'https://legacy.example' }).get(11124);
+
+      expect(chain.rpcUrls).toEqual([{ url: 'https://legacy.example', priority: 0 }]);
+    });
+
+    it('should refuse a default chain outside CHAINS', () => {
+      expect(() => loadChains({ CHAINS: '11124', DEFAULT_CHAIN_ID: '2741' }))
+        .toThrow('DEFAULT_CHAIN_ID 2741 is not listed in CHAINS (11124)');
+    });
+
+    it('should refuse a chain without an RPC URL', () => {
+      expect(() => loadChains({ CHAINS: '11124,2741' })).toThrow('No RPC URL for chain 2741');
+    });
+
+    it('should refuse a chain without a Factory', () => {
+      expect(() => loadChains({ CHAINS: '11124,1', RPC_URL_1: 'https://mainnet.example' })).toThrow('No Factory address for chain 1');
+    });
+
+    it('should work without the export and config files when everything is set in the environment', () => {
+      const chain = loadChains({
+        DEPLOYMENTS_FILE: path.join(dir, 'missing.json'),
+        CHAIN_CONFIG_DIR: path.join(dir, 'missing'),
+        RPC_URL_11124: 'https://testnet.example/rpc',
+        FACTORY_ADDRESS_11124: FACTORY
+      }).get(11124);
+
+      expect(chain).toMatchObject({ network: '11124', name: 'Chain 11124', factoryAddress: FACTORY, multicallAddress: MULTICALL3_ADDRESS });
+    });
+  });
+
+  describe('resolveChain', () => {
+    const run = (req) => {
+      const next = jest.fn();
+      resolveChain(req, {}, next);
+      return next;
+    };
+
+    it('should span every chain when the request names none', () => {
+      const req = { query: { chainId: '' } };
+
+      expect(run(req)).toHaveBeenCalledWith();
+      expect(req).toMatchObject({ chainId: undefined, chainFilter: {} });
+    });
+
+    it('should read the chain from the query or the body', () => {
+      const fromQuery = { query: { chainId: '11124' } };
+      const fromBody = { query: {}, body: { chainId: 11124 } };
+      run(fromQuery);
+      run(fromBody);
+
+      expect(fromQuery).toMatchObject({ chainId: 11124, chainFilter: { chainId: 11124 } });
+      expect(fromBody.chainId).toBe(11124);
+    });
+
+    it.each(['2741', '11124.5', 'abc'])('should refuse chain %s', (chainId) => {
+      const next = run({ query: { chainId } });
+
+      expect(next.mock.calls[0][0]).toMatchObject({ name: 'ChainError', message: `Chain ${chainId} is not supported` });
+    });
+  });
+});
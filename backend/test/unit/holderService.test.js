@@ -0,0 +1,138 @@
+jest.mock('../../src/models/Token');
+jest.mock('../../src/models/TokenHolder');
+jest.mock('../../src/models/TokenTransfer');
+jest.mock('../../src/models/Trade');
+jest.mock('../../src/services/web3Service', () => ({
+  web3Service: { forChain: jest.fn() }
+}));
+
+const { ethers } = require('ethers');
+const mongoose = require('mongoose');
+
+const Token = require('../../src/models/Token');
+const TokenHolder = require('../../src/models/TokenHolder');
+const TokenTransfer = require('../../src/models/TokenTransfer');
+const Trade = require('../../src/models/Trade');
+const { holderService } = require('../../src/services/holderService');
+const { web3Service } = require('../../src/services/web3Service');
+const { toBigInt } = require('../../src/utils/decimal');
+const { query } = require('../helpers/query');
+
+const { Decimal128 } = mongoose.Types;
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const CURVE = '0x2222222222222222222222222222222222222222';
+const ALICE = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const BOB = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+const LOCK = '0x5555555555555555555555555555555555555555';
+
+const wei = (tokens) => ethers.parseEther(tokens);
+const decimal = (tokens) => Decimal128.fromString(wei(tokens).toString());
+
+describe('holderService', () => {
+  describe('ingestRange', () => {
+    it('should upsert transfers by transaction and log index and rebuild the balances they touch', async () => {
+      Token.find.mockReturnValue(query([{ tokenAddress: TOKEN }]));
+      TokenTransfer.bulkWrite.mockResolvedValue({});
+      const recompute = jest.spyOn(holderService, 'recomputeBalances').mockResolvedValue();
+      const client = {
+        chainId: 11124,
+        getTokenTransferEvents: jest.fn(async () => [{
+          address: TOKEN,
+          args: { from: CURVE, to: '0xAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA', value: wei('10') },
+          transactionHash: '0xABC',
+          logIndex: 3,
+          blockNumber: 700
+        }])
+      };
+
+      expect(await holderService.ingestRange(client, 600, 700)).toBe(1);
+
+      const [[operation]] = TokenTransfer.bulkWrite.mock.calls[0];
+      expect(operation.updateOne.filter).toEqual({ transactionHash: '0xabc', logIndex: 3 });
+      expect(operation.updateOne.update.$set).toMatchObject({ chainId: 11124, tokenAddress: TOKEN, from: CURVE, to: ALICE, blockNumber: 700 });
+      expect(operation.updateOne.update.$set.value.toString()).toBe(wei('10').toString());
+      expect(recompute).toHaveBeenCalledWith(TOKEN, [CURVE, ALICE]);
+      recompute.mockRestore();
+    });
+  });
+
+  describe('recomputeBalances', () => {
+    it('should set each balance to what the holder received minus what it sent', async () => {
+      TokenTransfer.aggregate
+        .mockResolvedValueOnce([{ _id: ALICE, total: decimal('10'), lastBlock: 700 }])
+        .mockResolvedValueOnce([{ _id: ALICE, total: decimal('2.5'), lastBlock: 710 }]);
+      TokenHolder.bulkWrite.mockResolvedValue({});
+
+      await holderService.recomputeBalances(TOKEN, [ALICE, ethers.ZeroAddress]);
+
+      const [operations] = TokenHolder.bulkWrite.mock.calls[0];
+      expect(operations).toHaveLength(1);
+      expect(operations[0].updateOne.filter).toEqual({ tokenAddress: TOKEN, address: ALICE });
+      expect(operations[0].updateOne.update.$set.balance.toString()).toBe(wei('7.5').toString());
+      expect(operations[0].updateOne.update.$set.lastActivityBlock).toBe(710);
+    });
+
+    it('should drop holders left without any transfer', async () => {
+      TokenTransfer.aggregate.mockResolvedValue([]);
+      TokenHolder.bulkWrite.mockResolvedValue({});
+
+      await holderService.recomputeBalances(TOKEN, [BOB]);
+
+      expect(TokenHolder.bulkWrite.mock.calls[0][0]).toEqual([{ deleteOne: { filter: { tokenAddress: TOKEN, address: BOB } } }]);
+    });
+  });
+
+  describe('getHolders', () => {
+    it('should label protocol addresses and leave them out of the top holders', async () => {
+      web3Service.forChain.mockReturnValue({ getLockAddress: jest.fn(async () => LOCK) });
+      const holders = [
+        { address: CURVE, balance: decimal('800000000'), lastActivityBlock: 1 },
+        { address: ALICE, balance: decimal('10000000'), lastActivityBlock: 2 }
+      ];
+      const topHolders = query([holders[1]]);
+      topHolders.where = jest.fn(() => ({ nin: jest.fn(() => topHolders) }));
+      const counted = query(null);
+      counted.countDocuments = jest.fn(async () => 2);
+      TokenHolder.findHolders
+        .mockReturnValueOnce(query(holders))
+        .mockReturnValueOnce(counted)
+        .mockReturnValueOnce(topHolders);
+
+      const result = await holderService.getHolders({ chainId: 11124, tokenAddress: TOKEN, bondingCurveAddress: CURVE });
+
+      expect(result.holderCount).toBe(2);
+      expect(result.knownAddresses).toEqual({ [CURVE]: 'bondingCurve', [LOCK]: 'lock' });
+      expect(result.holders[0]).toMatchObject({ address: CURVE, label: 'bondingCurve', isKnownAddress: true, percentage: '80.0000' });
+      expect(result.topHolders).toEqual([expect.objectContaining({ address: ALICE, balance: '10000000.0', percentage: '1.0000', label: null })]);
+      expect(topHolders.where).toHaveBeenCalledWith('address');
+    });
+  });
+
+  describe('getPreBondingAllocations', () => {
+    it('should total the contribution ledger per wallet', async () => {
+      Trade.aggregate.mockResolvedValue([
+        { _id: ALICE, contributed: Decimal128.fromString('1.5'), allocated: Decimal128.fromString('150000000') },
+        { _id: BOB, contributed: Decimal128.fromString('0.5'), allocated: Decimal128.fromString('50000000') }
+      ]);
+
+      const result = await holderService.getPreBondingAllocations({ bondingCurveAddress: CURVE, isFinalized: false }, { limit: 1 });
+
+      expect(result).toEqual({
+        contributors: 2,
+        totalAllocated: '200000000.0',
+        percentage: '20.0000',
+        claimable: false,
+        allocations: [{ address: ALICE, contributed: '1.5', allocation: '150000000.0', percentage: '15.0000' }]
+      });
+    });
+  });
+
+  describe('toBigInt', () => {
+    it('should read Decimal128 values in scientific notation', () => {
+      expect(toBigInt(Decimal128.fromString('1.5E+3'))).toBe(1500n);
+      expect(toBigInt('2.5', 18)).toBe(wei('2.5'));
+      expect(toBigInt(null)).toBe(0n);
+    });
+  });
+});
@@ -0,0 +1,204 @@
+jest.mock('../../src/models/AdminProposal');
+jest.mock('../../src/models/IndexedBlock');
+jest.mock('../../src/models/IndexerState');
+jest.mock('../../src/models/Token');
+jest.mock('../../src/models/TokenTransfer');
+jest.mock('../../src/models/Trade');
+jest.mock('../../src/models/VolumeRollup');
+jest.mock('../../src/services/web3Service', () => ({
+  web3Service: { defaultChainId: 11124, getClients: jest.fn(() => []) }
+}));
+jest.mock('../../src/services/blockCursorService', () => ({
+  blockCursorService: {
+    confirmations: 2,
+    getSafeBlock: jest.fn(headBlock => headBlock - 2),
+    findReorg: jest.fn(async () => null),
+    recordBlock: jest.fn(async () => {}),
+    rewind: jest.fn(async () => {})
+  }
+}));
+jest.mock('../../src/services/tradeService', () => ({
+  tradeService: { ingestRange: jest.fn(async () => {}), rollback: jest.fn(async () => {}) }
+}));
+jest.mock('../../src/services/holderService', () => ({
+  holderService: { ingestRange: jest.fn(async () => {}), rollback: jest.fn(async () => {}) }
+}));
+jest.mock('../../src/services/volumeService', () => ({
+  volumeService: { backfill: jest.fn(async () => {}) }
+}));
+
+const IndexerState = require('../../src/models/IndexerState');
+const Token = require('../../src/models/Token');
+const { blockCursorService } = require('../../src/services/blockCursorService');
+const { eventBus, EVENTS } = require('../../src/services/eventBus');
+const { holderService } = require('../../src/services/holderService');
+const { indexerService } = require('../../src/services/indexerService');
+const { tradeService } = require('../../src/services/tradeService');
+const { web3Service } = require('../../src/services/web3Service');
+const { query } = require('../helpers/query');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const CURVE = '0xabcdefabcdefabcdefabcdefabcdefabcdefabcd';
+const OWNER = '0x3333333333333333333333333333333333333333';
+
+const makeClient = (overrides = {}) => ({
+  chainId: 11124,
+  chain: { name: 'Abstract Testnet', startBlock: 100 },
+  getBlockNumber: jest.fn(async () => 1000),
+  getDeploymentEvents: jest.fn(async () => []),
+  getFactorySettingsEvents: jest.fn(async () => []),
+  getDeploymentFeePaid: jest.fn(async () => '0.1'),
+  getBlockTimestamp: jest.fn(async () => 1700000000),
+  ...overrides
+});
+
+const deployment = {
+  bondingCurveAddress: '0xABCDEFabcdefABCDEFabcdefABCDEFabcdefABCD',
+  tokenAddress: TOKEN,
+  owner: OWNER,
+  name: '  Memex Token  ',
+  symbol: 'MMX',
+  transactionHash: '0xABCDEF',
+  blockNumber: 150,
+  logIndex: 0
+};
+
+describe('indexerService', () => {
+  beforeEach(() => {
+    indexerService.batchSize = 2000;
+    IndexerState.findByKey.mockReturnValue(query(null));
+    IndexerState.updateOne.mockResolvedValue({});
+  });
+
+  describe('handleDeployment', () => {
+    it('should upsert the token with chain fields refreshed and metadata only set on insert', async () => {
+      Token.findOneAndUpdate.mockResolvedValue({
+        chainId: 11124,
+        tokenAddress: TOKEN,
+        bondingCurveAddress: CURVE,
+        name: 'Memex Token',
+        symbol: 'MMX',
+        owner: OWNER
+      });
+      const client = makeClient();
+
+      await indexerService.handleDeployment(client, deployment);
+
+      const [filter, update, options] = Token.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ chainId: 11124, tokenAddress: TOKEN });
+      expect(update.$set).toEqual({
+        bondingCurveAddress: CURVE,
+        owner: OWNER,
+        deploymentTxHash: '0xabcdef',
+        deploymentBlockNumber: 150,
+        launchedAt: new Date(1700000000 * 1000),
+        deploymentFee: '0.1'
+      });
+      expect(update.$setOnInsert).toEqual({ name: 'Memex Token', symbol: 'MMX' });
+      expect(options.upsert).toBe(true);
+      expect(client.getDeploymentFeePaid).toHaveBeenCalledWith('0xABCDEF', 150);
+    });
+
+    it('should bring back a token hidden by a reorg when its deployment is indexed again', async () => {
+      Token.findOneAndUpdate.mockResolvedValue({ chainId: 11124, tokenAddress: TOKEN, bondingCurveAddress: CURVE });
+
+      await indexerService.handleDeployment(makeClient(), deployment);
+
+      expect(Token.updateOne).toHaveBeenCalledWith(
+        { chainId: 11124, tokenAddress: TOKEN, reorgedAt: { $ne: null } },
+        { $set: { isActive: true, reorgedAt: null } }
+      );
+    });
+
+    it('should publish the launch', async () => {
+      Token.findOneAndUpdate.mockResolvedValue({ chainId: 11124, tokenAddress: TOKEN, bondingCurveAddress: CURVE });
+      const listener = jest.fn();
+      eventBus.on(EVENTS.TOKEN_LAUNCHED, listener);
+
+      await indexerService.handleDeployment(makeClient(), deployment);
+      eventBus.off(EVENTS.TOKEN_LAUNCHED, listener);
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ chainId: 11124, tokenAddress: TOKEN }));
+    });
+  });
+
+  describe('syncChain', () => {
+    it('should start from the chain start block and save a checkpoint after every batch', async () => {
+      indexerService.batchSize = 400;
+      const client = makeClient();
+
+      await indexerService.syncChain(client);
+
+      // Safe block is 998: blocks 100-998 in batches of 400
+      expect(client.getDeploymentEvents.mock.calls).toEqual([[100, 499], [500, 899], [900, 998]]);
+      const checkpoints = IndexerState.updateOne.mock.calls.map(([, update]) => update.$set.lastProcessedBlock);
+      expect(checkpoints).toEqual([499, 899, 998, 998]);
+      expect(IndexerState.updateOne.mock.calls[0][0]).toEqual({ key: 'factory-deployments:11124' });
+    });
+
+    it('should resume after the stored checkpoint', async () => {
+      IndexerState.findByKey.mockReturnValue(query({ lastProcessedBlock: 990 }));
+      const client = makeClient();
+
+      await indexerService.syncChain(client);
+
+      expect(client.getDeploymentEvents.mock.calls).toEqual([[991, 998]]);
+      expect(tradeService.ingestRange).toHaveBeenCalledWith(client, 991, 998);
+    });
+
+    it('should store the deployments found in a range', async () => {
+      IndexerState.findByKey.mockReturnValue(query({ lastProcessedBlock: 990 }));
+      Token.findOneAndUpdate.mockResolvedValue({ chainId: 11124, tokenAddress: TOKEN, bondingCurveAddress: CURVE });
+      const client = makeClient({ getDeploymentEvents: jest.fn(async () => [deployment]) });
+
+      await indexerService.syncChain(client);
+
+      expect(Token.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('rollback', () => {
+    it('should hide the tokens deployed after the fork point instead of deleting them', async () => {
+      Token.updateMany.mockResolvedValue({ modifiedCount: 1 });
+
+      await indexerService.rollback(makeClient(), 900, 950);
+
+      expect(tradeService.rollback).toHaveBeenCalledWith(11124, 900);
+      expect(holderService.rollback).toHaveBeenCalledWith(11124, 900);
+      const [filter, update] = Token.updateMany.mock.calls[0];
+      expect(filter).toEqual({ chainId: 11124, deploymentBlockNumber: { $gt: 900 }, isActive: true });
+      expect(update.$set).toEqual({ isActive: false, reorgedAt: expect.any(Date) });
+      expect(Token.deleteMany).not.toHaveBeenCalled();
+      expect(IndexerState.updateOne.mock.calls[0][1].$set.lastProcessedBlock).toBe(900);
+      expect(blockCursorService.rewind).toHaveBeenCalledWith(11124, 900);
+    });
+
+    it('should re-ingest from the fork point after a reorg', async () => {
+      IndexerState.findByKey.mockReturnValue(query({ lastProcessedBlock: 990 }));
+      Token.updateMany.mockResolvedValue({ modifiedCount: 0 });
+      blockCursorService.findReorg.mockResolvedValueOnce(980);
+      const client = makeClient();
+
+      await indexerService.syncChain(client);
+
+      expect(client.getDeploymentEvents.mock.calls).toEqual([[981, 998]]);
+    });
+  });
+
+  describe('sync', () => {
+    it('should record a failing chain and go on with the next one', async () => {
+      const failing = makeClient({ chainId: 1, getBlockNumber: jest.fn(async () => { throw new Error('RPC down'); }) });
+      const healthy = makeClient({ chainId: 2 });
+      web3Service.getClients.mockReturnValue([failing, healthy]);
+
+      await indexerService.sync();
+
+      expect(IndexerState.updateOne).toHaveBeenCalledWith(
+        { key: 'factory-deployments:1' },
+        { $set: { lastError: 'RPC down' } }
+      );
+      expect(healthy.getDeploymentEvents).toHaveBeenCalled();
+      expect(indexerService.isSyncing).toBe(false);
+    });
+  });
+});
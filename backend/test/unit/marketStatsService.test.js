@@ -0,0 +1,136 @@
+jest.mock('../../src/models/Token');
+jest.mock('../../src/services/tradeService', () => ({
+  tradeService: { refreshTokenStats: jest.fn(async () => {}), getSettings: jest.fn() }
+}));
+jest.mock('../../src/services/web3Service', () => ({
+  web3Service: { forChain: jest.fn() }
+}));
+
+const { ethers } = require('ethers');
+
+const Token = require('../../src/models/Token');
+const { marketStatsService } = require('../../src/services/marketStatsService');
+const { tradeService } = require('../../src/services/tradeService');
+const { web3Service } = require('../../src/services/web3Service');
+const { TOTAL_SUPPLY } = require('../../src/utils/bondingMath');
+const { query } = require('../helpers/query');
+
+const MINUTE = 60 * 1000;
+
+const token = (n) => ({
+  _id: n,
+  chainId: 11124,
+  tokenAddress: `0x${String(n).repeat(40)}`,
+  bondingCurveAddress: `0x${String(n + 5).repeat(40)}`
+});
+
+const curveInfo = (overrides = {}) => ({
+  currentPhase: 1,
+  isFinalized: false,
+  totalPreBondingContributions: '2.0',
+  totalETHCollected: '2.0',
+  ethReserve: '12.0',
+  tokenReserve: '800000000.0',
+  ...overrides
+});
+
+describe('marketStatsService', () => {
+  let getBondingCurveInfo;
+
+  beforeEach(() => {
+    marketStatsService.backoff.clear();
+    marketStatsService.batchSize = 2;
+    marketStatsService.concurrency = 2;
+    getBondingCurveInfo = jest.fn(async () => curveInfo());
+    web3Service.forChain.mockReturnValue({ getBondingCurveInfo });
+    tradeService.getSettings.mockResolvedValue({ virtualEth: ethers.parseEther('10') });
+    Token.updateOne.mockResolvedValue({});
+  });
+
+  describe('refreshToken', () => {
+    it('should store the live reserves with the spot price and fully diluted market cap', async () => {
+      await marketStatsService.refreshToken(token(1));
+
+      expect(tradeService.refreshTokenStats).toHaveBeenCalledWith(token(1).bondingCurveAddress);
+      const [filter, update] = Token.updateOne.mock.calls[0];
+      expect(filter).toEqual({ tokenAddress: token(1).tokenAddress });
+      expect(update.$set).toMatchObject({ currentPhase: 1, ethReserve: '12.0', currentPrice: '0.000000015', marketCap: '15.0' });
+    });
+
+    it('should price a pre-bonding curve against virtualEth and the full supply', async () => {
+      getBondingCurveInfo.mockResolvedValue(curveInfo({ currentPhase: 0, ethReserve: '0.0', tokenReserve: '0.0' }));
+
+      await marketStatsService.refreshToken(token(1));
+
+      const expected = (ethers.parseEther('10') * 10n ** 18n) / TOTAL_SUPPLY;
+      expect(Token.updateOne.mock.calls[0][1].$set.currentPrice).toBe(ethers.formatEther(expected));
+    });
+  });
+
+  describe('run', () => {
+    it('should page through the curves that can still trade', async () => {
+      Token.find
+        .mockReturnValueOnce(query([token(1), token(2)]))
+        .mockReturnValueOnce(query([token(3)]))
+        .mockReturnValueOnce(query([]));
+
+      const run = await marketStatsService.run();
+
+      expect(Token.find.mock.calls.map(([filter]) => filter)).toEqual([
+        { isActive: true, isFinalized: false },
+        { isActive: true, isFinalized: false, _id: { $gt: 2 } },
+        { isActive: true, isFinalized: false, _id: { $gt: 3 } }
+      ]);
+      expect(run).toMatchObject({ tokens: 3, refreshed: 3, failed: 0, skipped: 0 });
+      expect(marketStatsService.getStatus().lastRun).toBe(run);
+    });
+
+    it('should back off a failing token and skip it on the next run', async () => {
+      getBondingCurveInfo.mockRejectedValueOnce(new Error('RPC timeout'));
+      Token.find.mockImplementation(() => query([]));
+      Token.find.mockReturnValueOnce(query([token(1), token(2)]));
+
+      const first = await marketStatsService.run();
+      Token.find.mockReturnValueOnce(query([token(1), token(2)]));
+      const second = await marketStatsService.run();
+
+      expect(first).toMatchObject({ refreshed: 1, failed: 1 });
+      expect(first.errors).toEqual([expect.objectContaining({ tokenAddress: token(1).tokenAddress, message: 'RPC timeout' })]);
+      expect(second).toMatchObject({ refreshed: 1, skipped: 1 });
+    });
+
+    it('should skip a tick while the previous run is still going', async () => {
+      marketStatsService.isRunning = true;
+
+      await marketStatsService.run();
+      marketStatsService.isRunning = false;
+
+      expect(Token.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordFailure', () => {
+    it('should double the delay on each failure up to an hour', () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      const delays = [];
+      for (let attempt = 0; attempt < 8; attempt++) {
+        delays.push(marketStatsService.recordFailure('0xabc', new Error('down')).getTime() - now);
+      }
+      Date.now.mockRestore();
+
+      expect(delays).toEqual([1, 2, 4, 8, 16, 32, 60, 60].map(minutes => minutes * MINUTE));
+      expect(marketStatsService.isBackingOff('0xabc')).toBe(true);
+    });
+  });
+
+  describe('start', () => {
+    it('should refuse an invalid schedule', () => {
+      const { schedule } = marketStatsService;
+      marketStatsService.schedule = 'every minute';
+
+      expect(() => marketStatsService.start()).toThrow('Invalid MARKET_STATS_CRON expression: every minute');
+      marketStatsService.schedule = schedule;
+    });
+  });
+});
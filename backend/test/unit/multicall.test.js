@@ -0,0 +1,104 @@
+const { ethers } = require('ethers');
+
+const { MULTICALL3_ADDRESS, aggregate } = require('../../src/utils/multicall');
+const { multicallProvider } = require('../helpers/multicall');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const OTHER_TOKEN = '0x2222222222222222222222222222222222222222';
+const HOLDER = '0x3333333333333333333333333333333333333333';
+
+const tokenInterface = new ethers.Interface([
+  'function name() view returns (string)',
+  'function balanceOf(address account) view returns (uint256)',
+  'function reserves() view returns (uint256 eth, uint256 tokens)',
+  'error NotAllowed(address account)'
+]);
+
+const read = (method, args, overrides = {}) => ({ target: TOKEN, contractInterface: tokenInterface, method, args, allowFailure: true, ...overrides });
+
+// TOKEN answers every read; OTHER_TOKEN reverts with NotAllowed
+const answer = (target, callData) => {
+  if (target === OTHER_TOKEN) {
+    return { success: false, returnData: tokenInterface.encodeErrorResult('NotAllowed', [HOLDER]) };
+  }
+  const { name } = tokenInterface.parseTransaction({ data: callData });
+  const values = { name: ['Meme'], balanceOf: [42n], reserves: [10n, 20n] }[name];
+  return { success: true, returnData: tokenInterface.encodeFunctionResult(name, values) };
+};
+
+describe('multicall', () => {
+  describe('aggregate', () => {
+    it('should decode every result in the order of the calls', async () => {
+      const provider = multicallProvider(answer);
+
+      const results = await aggregate(provider, MULTICALL3_ADDRESS, [read('name'), read('balanceOf', [HOLDER]), read('reserves')], { batchSize: 10 });
+
+      expect(results.slice(0, 2)).toEqual([{ success: true, value: 'Meme' }, { success: true, value: 42n }]);
+      expect(results[2].value.toObject()).toEqual({ eth: 10n, tokens: 20n });
+      expect(provider.call).toHaveBeenCalledTimes(1);
+      expect(provider.getBlockNumber).not.toHaveBeenCalled();
+    });
+
+    it('should report a failed call that is allowed to fail without failing the others', async () => {
+      const results = await aggregate(multicallProvider(answer), MULTICALL3_ADDRESS, [
+        read('name'),
+        read('name', [], { target: OTHER_TOKEN })
+      ], { batchSize: 10 });
+
+      expect(results).toEqual([{ success: true, value: 'Meme' }, { success: false, value: null }]);
+    });
+
+    it('should throw the revert of a call that must succeed', async () => {
+      const calls = [read('name'), read('name', [], { target: OTHER_TOKEN, allowFailure: false })];
+
+      await expect(aggregate(multicallProvider(answer), MULTICALL3_ADDRESS, calls, { batchSize: 10 }))
+        .rejects.toMatchObject({ code: 'CALL_EXCEPTION', revert: { name: 'NotAllowed', args: [HOLDER] } });
+    });
+
+    it('should treat the empty answer of an address without code as a failure', async () => {
+      const empty = () => ({ success: true, returnData: '0x' });
+
+      const [result] = await aggregate(multicallProvider(empty), MULTICALL3_ADDRESS, [read('name')], { batchSize: 10 });
+
+      expect(result).toEqual({ success: false, value: null });
+      await expect(aggregate(multicallProvider(empty), MULTICALL3_ADDRESS, [read('name', [], { allowFailure: false })], { batchSize: 10 }))
+        .rejects.toMatchObject({ code: 'CALL_EXCEPTION' });
+    });
+
+    it('should split the calls into batches that read the same block', async () => {
+      const provider = multicallProvider(answer);
+      const calls = Array.from({ length: 5 }, () => read('balanceOf', [HOLDER]));
+
+      const results = await aggregate(provider, MULTICALL3_ADDRESS, calls, { batchSize: 2 });
+
+      expect(results).toHaveLength(5);
+      expect(provider.call).toHaveBeenCalledTimes(3);
+      expect(provider.call.mock.calls.map(([{ blockTag }]) => blockTag)).toEqual([1234, 1234, 1234]);
+    });
+
+    it('should read the block it was asked for', async () => {
+      const provider = multicallProvider(answer);
+
+      await aggregate(provider, MULTICALL3_ADDRESS, [read('name'), read('name')], { batchSize: 1, blockTag: 99 });
+
+      expect(provider.getBlockNumber).not.toHaveBeenCalled();
+      expect(provider.call.mock.calls.map(([{ blockTag }]) => blockTag)).toEqual([99, 99]);
+    });
+
+    it('should send each call on its own without a Multicall3', async () => {
+      const provider = multicallProvider(answer);
+
+      const results = await aggregate(provider, null, [read('name'), read('name', [], { target: OTHER_TOKEN })], { batchSize: 10 });
+
+      expect(results).toEqual([{ success: true, value: 'Meme' }, { success: false, value: null }]);
+      expect(provider.call.mock.calls.map(([{ to }]) => to)).toEqual([TOKEN, OTHER_TOKEN]);
+    });
+
+    it('should let RPC failures of single calls through', async () => {
+      const provider = multicallProvider(answer);
+      provider.call.mockRejectedValue(Object.assign(new Error('timeout'), { code: 'TIMEOUT' }));
+
+      await expect(aggregate(provider, null, [read('name')], { batchSize: 10 })).rejects.toThrow('timeout');
+    });
+  });
+});
@@ -0,0 +1,187 @@
+jest.mock('../../src/models/AdminProposal');
+jest.mock('../../src/models/TxJob');
+jest.mock('../../src/services/authService', () => ({
+  authService: { getAdminsWithRole: jest.fn() }
+}));
+jest.mock('../../src/services/txQueueService', () => ({
+  txQueueService: { enqueue: jest.fn() }
+}));
+jest.mock('../../src/services/web3Service', () => ({
+  web3Service: { defaultChainId: 11124, forChain: jest.fn() }
+}));
+
+const { ROLES } = require('../../src/config/roles');
+const AdminProposal = require('../../src/models/AdminProposal');
+const TxJob = require('../../src/models/TxJob');
+const { authService } = require('../../src/services/authService');
+const { eventBus, EVENTS } = require('../../src/services/eventBus');
+const { proposalService } = require('../../src/services/proposalService');
+const { txQueueService } = require('../../src/services/txQueueService');
+const { web3Service } = require('../../src/services/web3Service');
+const { ProposalError } = require('../../src/utils/errors');
+const { query } = require('../helpers/query');
+
+const ALICE = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const BOB = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+const CAROL = '0xcccccccccccccccccccccccccccccccccccccccc';
+
+describe('proposalService', () => {
+  let client;
+
+  beforeEach(() => {
+    client = {
+      getDeploymentFee: jest.fn(async () => '0.01'),
+      simulateAdminAction: jest.fn(async () => {})
+    };
+    web3Service.forChain.mockReturnValue(client);
+    AdminProposal.mockImplementation(function(fields) {
+      Object.assign(this, fields, { _id: 'proposal', save: jest.fn() });
+    });
+    AdminProposal.findOneAndUpdate.mockImplementation(async (filter, update) => ({
+      _id: filter._id,
+      action: 'updateDeploymentFee',
+      params: { fee: '0.02' },
+      chainId: 11124,
+      snapshot: { deploymentFee: '0.01' },
+      executedBy: ALICE,
+      ...update.$set
+    }));
+    AdminProposal.findByIdAndUpdate.mockImplementation(async (id, update) => ({ _id: id, ...update.$set }));
+    txQueueService.enqueue.mockResolvedValue({ _id: 'job' });
+    proposalService.quorum = 2;
+  });
+
+  describe('create', () => {
+    const create = () => proposalService.create({ action: 'updateDeploymentFee', params: { fee: '0.02' }, proposer: ALICE });
+
+    it('should wait for the quorum with the snapshot it was based on', async () => {
+      authService.getAdminsWithRole.mockResolvedValue(new Set([ALICE, BOB, CAROL]));
+
+      const proposal = await create();
+
+      expect(proposal).toMatchObject({ requiredApprovals: 2, snapshot: { deploymentFee: '0.01' } });
+      expect(proposal.save).toHaveBeenCalled();
+      expect(txQueueService.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a proposal too few admins can approve', async () => {
+      authService.getAdminsWithRole.mockResolvedValue(new Set([ALICE, BOB]));
+
+      await expect(create()).rejects.toThrow(new ProposalError('Only 1 other operator admin(s) can approve, but 2 approval(s) are required'));
+      expect(client.getDeploymentFee).not.toHaveBeenCalled();
+    });
+
+    it('should never let a lone admin execute without approvals', async () => {
+      authService.getAdminsWithRole.mockResolvedValue(new Set([ALICE]));
+
+      await expect(create()).rejects.toMatchObject({ statusCode: 409 });
+      expect(txQueueService.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('should execute straight away only when the quorum is set to 0', async () => {
+      proposalService.quorum = 0;
+      authService.getAdminsWithRole.mockResolvedValue(new Set([ALICE]));
+
+      const proposal = await create();
+
+      expect(proposal.txJob).toBe('job');
+      expect(txQueueService.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'updateDeploymentFee',
+        role: ROLES.OPERATOR,
+        requestedBy: ALICE
+      }));
+    });
+  });
+
+  describe('execute', () => {
+    it('should stamp the execution lease and queue the transaction', async () => {
+      const proposal = await proposalService.execute('proposal', BOB);
+
+      const [filter, update] = AdminProposal.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'proposal', status: 'pending' });
+      expect(update.$set).toMatchObject({ status: 'executing', executedBy: BOB, executingAt: expect.any(Date) });
+      expect(client.simulateAdminAction).toHaveBeenCalledWith('updateDeploymentFee', { fee: '0.02' });
+      expect(proposal).toEqual({ _id: 'proposal', txJob: 'job' });
+    });
+
+    it('should fail a proposal whose contract values changed', async () => {
+      client.getDeploymentFee.mockResolvedValue('0.05');
+
+      const proposal = await proposalService.execute('proposal', BOB);
+
+      expect(proposal).toMatchObject({ status: 'failed', error: 'Contract state changed since the proposal was made' });
+      expect(txQueueService.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recoverExecuting', () => {
+    it('should only look at executions whose lease has expired', async () => {
+      AdminProposal.find.mockReturnValue(query([]));
+
+      await proposalService.recoverExecuting();
+
+      const [filter] = AdminProposal.find.mock.calls[0];
+      expect(filter.status).toBe('executing');
+      expect(Date.now() - filter.executingAt.$not.$gt.getTime()).toBeGreaterThanOrEqual(proposalService.leaseMs);
+    });
+
+    it('should retry an execution that never queued its job', async () => {
+      AdminProposal.find.mockReturnValue(query([{ _id: 'proposal', txJob: null }]));
+      TxJob.findOne.mockReturnValue(query(null));
+
+      await proposalService.recoverExecuting();
+
+      expect(TxJob.findOne).toHaveBeenCalledWith({ proposal: 'proposal' });
+      const [filter, update] = AdminProposal.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ _id: 'proposal', status: 'executing', txJob: null });
+      expect(update.$set.executingAt).toEqual(expect.any(Date));
+      expect(txQueueService.enqueue).toHaveBeenCalledWith(expect.objectContaining({ requestedBy: ALICE }));
+    });
+
+    it('should leave the retry to the process that renewed the lease', async () => {
+      AdminProposal.find.mockReturnValue(query([{ _id: 'proposal', txJob: null }]));
+      TxJob.findOne.mockReturnValue(query(null));
+      AdminProposal.findOneAndUpdate.mockResolvedValue(null);
+
+      await proposalService.recoverExecuting();
+
+      expect(txQueueService.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('should link a job that was queued before the process stopped', async () => {
+      AdminProposal.find.mockReturnValue(query([{ _id: 'proposal', txJob: null }]));
+      TxJob.findOne.mockReturnValue(query({ _id: 'job', status: 'submitted' }));
+
+      await proposalService.recoverExecuting();
+
+      expect(AdminProposal.updateOne).toHaveBeenCalledWith({ _id: 'proposal', txJob: null }, { $set: { txJob: 'job' } });
+      expect(txQueueService.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('should settle a proposal whose job finished unnoticed', async () => {
+      const finishedAt = new Date();
+      AdminProposal.find.mockReturnValue(query([{ _id: 'proposal', txJob: 'job' }]));
+      TxJob.findOne.mockReturnValue(query({ _id: 'job', proposal: 'proposal', status: 'mined', finishedAt, transactionHash: '0xabc', blockNumber: 9 }));
+
+      await proposalService.recoverExecuting();
+
+      expect(TxJob.findOne).toHaveBeenCalledWith({ _id: 'job' });
+      expect(AdminProposal.updateOne).toHaveBeenCalledWith(
+        { _id: 'proposal', status: 'executing' },
+        { $set: { status: 'executed', executedAt: finishedAt, transactionHash: '0xabc', blockNumber: 9 } }
+      );
+    });
+  });
+
+  describe('settle', () => {
+    it('should close the proposal when its job finishes', async () => {
+      eventBus.publish(EVENTS.TX_JOB_FINISHED, { _id: 'job', proposal: 'proposal', status: 'failed', error: 'reverted' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(AdminProposal.updateOne).toHaveBeenCalledWith(
+        { _id: 'proposal', status: 'executing' },
+        { $set: { status: 'failed', error: 'reverted', transactionHash: undefined, blockNumber: undefined } }
+      );
+    });
+  });
+});
@@ -0,0 +1,38 @@
+const { ROLES, hasRole } = require('../../src/config/roles');
+const { requireRole } = require('../../src/middleware/auth');
+const { AuthError } = require('../../src/utils/errors');
+
+describe('roles', () => {
+  describe('hasRole', () => {
+    it('should grant a role to the admins holding it', () => {
+      expect(hasRole([ROLES.MODERATOR], ROLES.MODERATOR)).toBe(true);
+      expect(hasRole([ROLES.MODERATOR], ROLES.TREASURER)).toBe(false);
+      expect(hasRole([ROLES.OPERATOR, ROLES.TREASURER], ROLES.TREASURER)).toBe(true);
+    });
+
+    it('should let every admin read and superadmins do everything', () => {
+      expect(hasRole([ROLES.TREASURER], ROLES.VIEWER)).toBe(true);
+      expect(hasRole([ROLES.SUPERADMIN], ROLES.TREASURER)).toBe(true);
+      expect(hasRole([ROLES.VIEWER], ROLES.OPERATOR)).toBe(false);
+    });
+
+    it('should grant nothing without roles', () => {
+      expect(hasRole([], ROLES.VIEWER)).toBe(false);
+    });
+  });
+
+  describe('requireRole', () => {
+    it('should pass admins holding the role and refuse the others with 403', () => {
+      const next = jest.fn();
+
+      requireRole(ROLES.OPERATOR)({ admin: { roles: [ROLES.OPERATOR] } }, {}, next);
+      requireRole(ROLES.OPERATOR)({ admin: { roles: [ROLES.MODERATOR] } }, {}, next);
+
+      expect(next.mock.calls[0]).toEqual([]);
+      const [error] = next.mock.calls[1];
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error.statusCode).toBe(403);
+      expect(error.message).toBe('This action requires the operator role');
+    });
+  });
+});
@@ -0,0 +1,194 @@
+jest.mock('../../../src/models/Token');
+jest.mock('../../../src/services/auditService', () => ({
+  auditService: { record: jest.fn(async () => {}) }
+}));
+jest.mock('../../../src/services/authService', () => ({
+  authService: { authenticate: jest.fn() }
+}));
+jest.mock('../../../src/services/proposalService', () => ({
+  proposalService: { create: jest.fn() },
+  SETTINGS_FIELDS: jest.requireActual('../../../src/services/proposalService').SETTINGS_FIELDS
+}));
+jest.mock('../../../src/services/signerService', () => ({
+  signerService: { getStatus: jest.fn(() => ({ ready: true })) }
+}));
+jest.mock('../../../src/services/web3Service', () => ({
+  web3Service: { defaultChainId: 11124, hasChain: jest.fn(() => true), forChain: jest.fn() }
+}));
+
+const request = require('supertest');
+
+const { ROLES } = require('../../../src/config/roles');
+const Token = require('../../../src/models/Token');
+const adminRoutes = require('../../../src/routes/admin');
+const { authService } = require('../../../src/services/authService');
+const { proposalService } = require('../../../src/services/proposalService');
+const { web3Service } = require('../../../src/services/web3Service');
+const { buildApp } = require('../../helpers/app');
+const { query } = require('../../helpers/query');
+
+const ADMIN = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const RECIPIENT = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+const TOKEN = '0x1111111111111111111111111111111111111111';
+
+const app = buildApp('/api/admin', adminRoutes);
+
+const signedInAs = (...roles) => {
+  authService.authenticate.mockResolvedValue({ session: { address: ADMIN, sessionId: 'session' }, roles });
+};
+
+describe('admin routes', () => {
+  describe('authentication', () => {
+    it.each([
+      ['get', '/api/admin/dashboard'],
+      ['get', '/api/admin/tokens'],
+      ['get', '/api/admin/settings'],
+      ['post', '/api/admin/withdraw-fees'],
+      ['put', `/api/admin/tokens/${TOKEN}/status`]
+    ])('should require an admin session for %s %s', async (method, path) => {
+      const response = await request(app)[method](path);
+
+      expect(response.status).toBe(401);
+      expect(authService.authenticate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/admin/tokens', () => {
+    it('should list tokens for any admin role', async () => {
+      signedInAs(ROLES.TREASURER);
+      Token.find.mockReturnValue(query([{ tokenAddress: TOKEN }]));
+      Token.countDocuments.mockResolvedValue(1);
+
+      const response = await request(app).get('/api/admin/tokens').set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.pagination.total).toBe(1);
+    });
+  });
+
+  describe('POST /api/admin/withdraw-fees', () => {
+    const withdraw = () => request(app)
+      .post('/api/admin/withdraw-fees')
+      .set('Authorization', 'Bearer token')
+      .send({ recipient: RECIPIENT });
+
+    it('should be reserved for treasurers', async () => {
+      signedInAs(ROLES.OPERATOR, ROLES.MODERATOR);
+
+      const response = await withdraw();
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('This action requires the treasurer role');
+      expect(proposalService.create).not.toHaveBeenCalled();
+    });
+
+    it('should propose the withdrawal for a treasurer', async () => {
+      signedInAs(ROLES.TREASURER);
+      proposalService.create.mockResolvedValue({ status: 'pending', params: { recipient: RECIPIENT } });
+
+      const response = await withdraw();
+
+      expect(response.status).toBe(202);
+      expect(proposalService.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'withdrawFees',
+        params: { recipient: RECIPIENT },
+        proposer: ADMIN
+      }));
+    });
+  });
+
+  describe('PUT /api/admin/settings/bonding-curve', () => {
+    const settings = {
+      virtualEth: '15',
+      preBondingTarget: '3',
+      bondingTarget: '30',
+      minContribution: '0.1',
+      poolFee: 3000,
+      sellFee: 100,
+      uniswapV3Factory: '0x1111111111111111111111111111111111111111',
+      positionManager: '0x2222222222222222222222222222222222222222',
+      weth: '0x3333333333333333333333333333333333333333',
+      feeTo: RECIPIENT
+    };
+    const update = (dryRun) => request(app)
+      .put('/api/admin/settings/bonding-curve')
+      .query({ dryRun })
+      .set('Authorization', 'Bearer token')
+      .send(settings);
+    let client;
+
+    beforeEach(() => {
+      signedInAs(ROLES.OPERATOR);
+      client = { previewBondingCurveSettings: jest.fn() };
+      web3Service.forChain.mockReturnValue(client);
+    });
+
+    it('should only preview the update on a dry run', async () => {
+      client.previewBondingCurveSettings.mockResolvedValue({ wouldSucceed: true, changedFields: ['virtualEth'] });
+
+      const response = await update('true');
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Dry run: 1 field(s) would change');
+      expect(client.previewBondingCurveSettings).toHaveBeenCalledWith(settings);
+      expect(proposalService.create).not.toHaveBeenCalled();
+    });
+
+    it('should explain a dry run that would revert', async () => {
+      client.previewBondingCurveSettings.mockResolvedValue({
+        wouldSucceed: false,
+        revert: { stage: 'validation', reason: 'InvalidDeploymentParameters', message: 'Bonding target too low' },
+        changedFields: []
+      });
+
+      const response = await update('true');
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Dry run: the update would revert: Bonding target too low');
+    });
+
+    it('should propose the update without dryRun', async () => {
+      proposalService.create.mockResolvedValue({ status: 'pending', params: settings });
+
+      const response = await update('false');
+
+      expect(response.status).toBe(202);
+      expect(client.previewBondingCurveSettings).not.toHaveBeenCalled();
+      expect(proposalService.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'updateBondingCurveSettings', params: settings }));
+    });
+
+    it('should reject a dryRun that is not a boolean', async () => {
+      const response = await update('yes');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('PUT /api/admin/tokens/:address/status', () => {
+    const moderate = (body) => request(app)
+      .put(`/api/admin/tokens/${TOKEN}/status`)
+      .set('Authorization', 'Bearer token')
+      .send(body);
+
+    it('should refuse viewers', async () => {
+      signedInAs(ROLES.VIEWER);
+
+      const response = await moderate({ isFeatured: true });
+
+      expect(response.status).toBe(403);
+      expect(Token.findByAddress).not.toHaveBeenCalled();
+    });
+
+    it('should only change moderation fields', async () => {
+      signedInAs(ROLES.MODERATOR);
+      const token = { isActive: true, isFeatured: false, isVerified: false, adminNotes: '', owner: ADMIN, save: jest.fn() };
+      Token.findByAddress.mockResolvedValue(token);
+
+      const response = await moderate({ isFeatured: true, adminNotes: 'Partner', owner: RECIPIENT });
+
+      expect(response.status).toBe(200);
+      expect(token).toMatchObject({ isFeatured: true, adminNotes: 'Partner', owner: ADMIN });
+      expect(token.save).toHaveBeenCalled();
+    });
+  });
+});
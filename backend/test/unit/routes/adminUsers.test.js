@@ -0,0 +1,104 @@
+jest.mock('../../../src/models/AdminUser');
+jest.mock('../../../src/services/auditService', () => ({
+  auditService: { record: jest.fn(async () => {}) }
+}));
+jest.mock('../../../src/services/authService', () => ({
+  authService: { authenticate: jest.fn(), revokeAllSessions: jest.fn() }
+}));
+
+const request = require('supertest');
+
+const { ROLES } = require('../../../src/config/roles');
+const AdminUser = require('../../../src/models/AdminUser');
+const adminUsersRoutes = require('../../../src/routes/adminUsers');
+const { auditService } = require('../../../src/services/auditService');
+const { authService } = require('../../../src/services/authService');
+const { buildApp } = require('../../helpers/app');
+const { query } = require('../../helpers/query');
+
+const ADMIN = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const MODERATOR = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+
+const app = buildApp('/api/admin/users', adminUsersRoutes);
+
+const signedInAs = (...roles) => {
+  authService.authenticate.mockResolvedValue({ session: { address: ADMIN, sessionId: 'session' }, roles });
+};
+
+describe('admin user routes', () => {
+  it('should be reserved for superadmins', async () => {
+    signedInAs(ROLES.OPERATOR, ROLES.TREASURER);
+
+    const response = await request(app).get('/api/admin/users').set('Authorization', 'Bearer token');
+
+    expect(response.status).toBe(403);
+    expect(AdminUser.find).not.toHaveBeenCalled();
+    expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'denied', actor: ADMIN }));
+  });
+
+  describe('PUT /api/admin/users/:address', () => {
+    const save = (address, body) => request(app)
+      .put(`/api/admin/users/${address}`)
+      .set('Authorization', 'Bearer token')
+      .send(body);
+
+    beforeEach(() => {
+      signedInAs(ROLES.SUPERADMIN);
+    });
+
+    it('should create or update the account and audit the role change', async () => {
+      AdminUser.findOne.mockReturnValue(query({ roles: [ROLES.VIEWER], label: '', isActive: true }));
+      AdminUser.findOneAndUpdate.mockResolvedValue({ address: MODERATOR, roles: [ROLES.MODERATOR], label: 'Mod', isActive: true });
+
+      const response = await save(MODERATOR.toUpperCase().replace('0X', '0x'), { roles: [ROLES.MODERATOR, ROLES.MODERATOR], label: 'Mod' });
+
+      expect(response.status).toBe(200);
+      const [filter, update, options] = AdminUser.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ address: MODERATOR });
+      expect(update.$set).toEqual({ roles: [ROLES.MODERATOR], label: 'Mod', updatedBy: ADMIN });
+      expect(options).toMatchObject({ upsert: true, runValidators: true });
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        before: { roles: [ROLES.VIEWER], label: '', isActive: true },
+        after: { roles: [ROLES.MODERATOR], label: 'Mod', isActive: true }
+      }));
+      expect(authService.revokeAllSessions).not.toHaveBeenCalled();
+    });
+
+    it('should sign out an account that is deactivated', async () => {
+      AdminUser.findOne.mockReturnValue(query(null));
+      AdminUser.findOneAndUpdate.mockResolvedValue({ address: MODERATOR, roles: [ROLES.MODERATOR], label: '', isActive: false });
+
+      const response = await save(MODERATOR, { roles: [ROLES.MODERATOR], isActive: false });
+
+      expect(response.status).toBe(200);
+      expect(authService.revokeAllSessions).toHaveBeenCalledWith(MODERATOR);
+    });
+
+    it('should reject unknown roles', async () => {
+      const response = await save(MODERATOR, { roles: ['owner'] });
+
+      expect(response.status).toBe(400);
+      expect(AdminUser.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should not let admins change their own account', async () => {
+      const response = await save(ADMIN, { roles: [ROLES.VIEWER] });
+
+      expect(response.status).toBe(400);
+      expect(AdminUser.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/admin/users/:address', () => {
+    it('should remove the account and revoke its sessions', async () => {
+      signedInAs(ROLES.SUPERADMIN);
+      AdminUser.findOneAndDelete.mockResolvedValue({ roles: [ROLES.TREASURER], label: '', isActive: true });
+      authService.revokeAllSessions.mockResolvedValue(2);
+
+      const response = await request(app).delete(`/api/admin/users/${MODERATOR}`).set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ address: MODERATOR, revoked: 2 });
+    });
+  });
+});
@@ -0,0 +1,80 @@
+jest.mock('../../../src/models/Token');
+jest.mock('../../../src/services/volumeService', () => ({
+  volumeService: { getTimeline: jest.fn(async () => []) }
+}));
+jest.mock('../../../src/services/web3Service', () => ({
+  web3Service: { defaultChainId: 11124, hasChain: jest.fn(() => true) }
+}));
+
+const request = require('supertest');
+
+const Token = require('../../../src/models/Token');
+const analyticsRoutes = require('../../../src/routes/analytics');
+const { volumeService } = require('../../../src/services/volumeService');
+const { buildApp } = require('../../helpers/app');
+const { query } = require('../../helpers/query');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const OWNER = '0x3333333333333333333333333333333333333333';
+
+const app = buildApp('/api/analytics', analyticsRoutes);
+
+describe('analytics routes', () => {
+  describe('GET /api/analytics/volume-by-date', () => {
+    it('should filter on the phase trades were made in, not on the tokens\' current phase', async () => {
+      const response = await request(app).get('/api/analytics/volume-by-date').query({ phase: '0', chainId: '11124' });
+
+      expect(response.status).toBe(200);
+      expect(Token.distinct).not.toHaveBeenCalled();
+      expect(volumeService.getTimeline).toHaveBeenCalledWith(expect.objectContaining({
+        interval: 'day',
+        tokenAddresses: undefined,
+        chainId: 11124,
+        phase: 0
+      }));
+      expect(response.body.data.filters.phase).toBe(0);
+    });
+
+    it('should narrow the tokens by owner', async () => {
+      Token.distinct.mockResolvedValue([TOKEN]);
+
+      await request(app).get('/api/analytics/volume-by-date').query({ owner: OWNER, phase: '1' });
+
+      expect(Token.distinct).toHaveBeenCalledWith('tokenAddress', { owner: OWNER });
+      expect(volumeService.getTimeline).toHaveBeenCalledWith(expect.objectContaining({ tokenAddresses: [TOKEN], phase: 1 }));
+    });
+
+    it('should reject the Finalized phase, in which curves do not trade', async () => {
+      const response = await request(app).get('/api/analytics/volume-by-date').query({ phase: '2' });
+
+      expect(response.status).toBe(400);
+      expect(volumeService.getTimeline).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/analytics/phase-transition', () => {
+    beforeEach(() => {
+      Token.aggregate.mockResolvedValue([]);
+      Token.find.mockReturnValue(query([]));
+    });
+
+    it('should count curves that reached the bonding target but were never finalized as stuck', async () => {
+      Token.aggregate
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ _id: 1, total: 4, stuck: 1 }, { _id: 2, total: 2, stuck: 1 }]);
+
+      const response = await request(app).get('/api/analytics/phase-transition').query({ period: 'all', stuckAfter: '48' });
+
+      expect(response.status).toBe(200);
+      const [stuckPipeline] = Token.aggregate.mock.calls[2];
+      expect(stuckPipeline[0].$match).toEqual({ isActive: true, isFinalized: false });
+      expect(response.body.data.stuck).toEqual({
+        thresholdHours: 48,
+        preBonding: { total: 0, stuck: 0, percentage: '0' },
+        bonding: { total: 4, stuck: 1, percentage: '25.00' },
+        awaitingFinalization: { total: 2, stuck: 1, percentage: '50.00' }
+      });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+jest.mock('../../../src/services/auditService', () => ({
+  auditService: { record: jest.fn(async () => {}), query: jest.fn(), exportCsv: jest.fn(), verifyChain: jest.fn() }
+}));
+jest.mock('../../../src/services/authService', () => ({
+  authService: { authenticate: jest.fn() }
+}));
+
+const request = require('supertest');
+
+const { ROLES } = require('../../../src/config/roles');
+const auditRoutes = require('../../../src/routes/audit');
+const { auditService } = require('../../../src/services/auditService');
+const { authService } = require('../../../src/services/authService');
+const { buildApp } = require('../../helpers/app');
+
+const ADMIN = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+
+const app = buildApp('/api/admin/audit', auditRoutes);
+
+const signedInAs = (...roles) => {
+  authService.authenticate.mockResolvedValue({ session: { address: ADMIN, sessionId: 'session' }, roles });
+};
+
+describe('audit routes', () => {
+  it('should be reserved for superadmins and audit the refusal', async () => {
+    signedInAs(ROLES.VIEWER);
+
+    const response = await request(app).get('/api/admin/audit').set('Authorization', 'Bearer token');
+
+    expect(response.status).toBe(403);
+    expect(auditService.query).not.toHaveBeenCalled();
+    expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+      actor: ADMIN,
+      route: '/api/admin/audit',
+      outcome: 'denied',
+      statusCode: 403
+    }));
+  });
+
+  it('should audit requests without a session as denied', async () => {
+    const response = await request(app).get('/api/admin/audit/verify');
+
+    expect(response.status).toBe(401);
+    expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({ actor: undefined, outcome: 'denied', error: 'Missing admin bearer token' }));
+  });
+
+  describe('GET /api/admin/audit', () => {
+    it('should pass the filters and paging to the query', async () => {
+      signedInAs(ROLES.SUPERADMIN);
+      auditService.query.mockResolvedValue({ events: [], pagination: { page: 2, limit: 10, total: 0, pages: 0 } });
+
+      const response = await request(app)
+        .get('/api/admin/audit')
+        .query({ method: 'put', outcome: 'failure', page: 2, limit: 10 })
+        .set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(200);
+      expect(auditService.query).toHaveBeenCalledWith(
+        expect.objectContaining({ method: 'PUT', outcome: 'failure' }),
+        { page: 2, limit: 10 }
+      );
+    });
+
+    it('should reject unknown outcomes', async () => {
+      signedInAs(ROLES.SUPERADMIN);
+
+      const response = await request(app).get('/api/admin/audit').query({ outcome: 'maybe' }).set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/admin/audit/export', () => {
+    it('should stream the CSV as a download', async () => {
+      signedInAs(ROLES.SUPERADMIN);
+      auditService.exportCsv.mockImplementation(async (filters, write) => {
+        write('sequence,actor\r\n');
+        write(`1,${ADMIN}\r\n`);
+        return 1;
+      });
+
+      const response = await request(app).get('/api/admin/audit/export').set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="audit-\d{4}-\d{2}-\d{2}\.csv"$/);
+      expect(response.text).toBe(`sequence,actor\r\n1,${ADMIN}\r\n`);
+    });
+  });
+});
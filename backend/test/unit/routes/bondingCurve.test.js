@@ -0,0 +1,189 @@
+jest.mock('../../../src/models/Token');
+jest.mock('../../../src/services/web3Service', () => ({
+  web3Service: { defaultChainId: 11124, hasChain: jest.fn(() => true), forChain: jest.fn() }
+}));
+
+const { ethers } = require('ethers');
+const request = require('supertest');
+
+const Token = require('../../../src/models/Token');
+const bondingCurveRoutes = require('../../../src/routes/bondingCurve');
+const { web3Service } = require('../../../src/services/web3Service');
+const { TOTAL_SUPPLY } = require('../../../src/utils/bondingMath');
+const { buildApp } = require('../../helpers/app');
+const { query } = require('../../helpers/query');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const CURVE = '0x2222222222222222222222222222222222222222';
+const OTHER_TOKEN = '0x3333333333333333333333333333333333333333';
+const OTHER_CURVE = '0x4444444444444444444444444444444444444444';
+const UNKNOWN_CURVE = '0x5555555555555555555555555555555555555555';
+
+const curveState = {
+  currentPhase: 1,
+  ethReserve: ethers.parseEther('12'),
+  tokenReserve: ethers.parseEther('800000000'),
+  totalETHCollected: ethers.parseEther('2'),
+  totalPreBondingContributions: ethers.parseEther('2'),
+  preBondingTokens: ethers.parseEther('200000000'),
+  tokenBalance: TOTAL_SUPPLY,
+  settings: {
+    virtualEth: ethers.parseEther('10'),
+    preBondingTarget: ethers.parseEther('2'),
+    bondingTarget: ethers.parseEther('30'),
+    minContribution: ethers.parseEther('0.1'),
+    sellFee: 100n
+  }
+};
+
+const app = buildApp('/api/bonding-curve', bondingCurveRoutes);
+
+describe('bonding curve routes', () => {
+  describe('GET /api/bonding-curve/:address/price-impact', () => {
+    const priceImpact = (query) => request(app).get(`/api/bonding-curve/${CURVE}/price-impact`).query(query);
+
+    beforeEach(() => {
+      Token.findOne.mockResolvedValue({ chainId: 11124, tokenAddress: TOKEN, bondingCurveAddress: CURVE });
+      web3Service.forChain.mockReturnValue({ getCurveState: jest.fn(async () => curveState) });
+    });
+
+    it('should quote a buy against the live curve state', async () => {
+      const response = await priceImpact({ tradeType: 'buy', ethAmount: '1.5', slippage: '2' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ tradeType: 'buy', phase: 1, ethIn: '1.5', slippage: '2', crossesBondingTarget: false });
+    });
+
+    it('should quote a sell with its fee', async () => {
+      const response = await priceImpact({ tradeType: 'sell', tokenAmount: '1000' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ tradeType: 'sell', tokensIn: '1000.0', availableETH: '2.0' });
+      expect(response.body.data.fee).not.toBe('0.0');
+    });
+
+    it.each(['1e5', '0', '0.000', '-1', '1.5.0', '0x10', '0.1234567890123456789'])('should reject ethAmount %s', async (ethAmount) => {
+      const response = await priceImpact({ tradeType: 'buy', ethAmount });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].msg).toBe('ethAmount must be a positive decimal number with at most 18 decimals for buys');
+      expect(Token.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should ignore ethAmount on sells', async () => {
+      const response = await priceImpact({ tradeType: 'sell', ethAmount: '1e5', tokenAmount: '10' });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should return the custom error the contract would revert with', async () => {
+      const response = await priceImpact({ tradeType: 'sell', tokenAmount: '500000000' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.reason).toBe('InsufficientETH');
+    });
+
+    it('should return 404 for a curve that isn\'t indexed', async () => {
+      Token.findOne.mockResolvedValue(null);
+
+      const response = await priceImpact({ tradeType: 'buy', ethAmount: '1' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/bonding-curve/batch', () => {
+    const batch = (addresses, chainId) => request(app).post('/api/bonding-curve/batch').query(chainId ? { chainId } : {}).send({ addresses });
+    const state = (bondingCurveAddress, tokenAddress) => ({
+      bondingCurveAddress,
+      tokenAddress,
+      bondingCurve: { currentPhase: 1, ethReserve: '12.0' },
+      token: { name: 'Meme', symbol: 'MEME', decimals: 18, totalSupply: '1000000000.0' }
+    });
+
+    let getBondingCurveStates;
+
+    beforeEach(() => {
+      getBondingCurveStates = jest.fn(async (tokens) => tokens.map(({ bondingCurveAddress, tokenAddress }) => (bondingCurveAddress === OTHER_CURVE
+        ? { bondingCurveAddress, tokenAddress, error: 'Failed to read bonding curve state' }
+        : state(bondingCurveAddress, tokenAddress))));
+      web3Service.forChain.mockReturnValue({ getBondingCurveStates });
+      // Chain 1 is indexed but no longer served
+      web3Service.hasChain.mockImplementation(chainId => chainId !== 1);
+    });
+
+    afterEach(() => {
+      web3Service.hasChain.mockImplementation(() => true);
+    });
+
+    it('should return the live state of each curve in the order asked for', async () => {
+      Token.find.mockReturnValue(query([
+        { chainId: 11124, tokenAddress: TOKEN, bondingCurveAddress: CURVE, owner: '0xowner' },
+        { chainId: 11124, tokenAddress: OTHER_TOKEN, bondingCurveAddress: OTHER_CURVE, owner: '0xowner' }
+      ]));
+
+      const response = await batch([OTHER_CURVE, CURVE.toUpperCase().replace('0X', '0x'), CURVE, UNKNOWN_CURVE]);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({
+        count: 2,
+        bondingCurves: [
+          { chainId: 11124, bondingCurveAddress: OTHER_CURVE, tokenAddress: OTHER_TOKEN, error: 'Failed to read bonding curve state' },
+          {
+            chainId: 11124,
+            bondingCurveAddress: CURVE,
+            tokenAddress: TOKEN,
+            bondingCurve: { currentPhase: 1, ethReserve: '12.0' },
+            token: { name: 'Meme', symbol: 'MEME', decimals: 18, totalSupply: '1000000000.0', tokenAddress: TOKEN, owner: '0xowner' }
+          }
+        ],
+        notFound: [UNKNOWN_CURVE]
+      });
+      expect(Token.find.mock.calls[0][0]).toEqual({ bondingCurveAddress: { $in: [OTHER_CURVE, CURVE, UNKNOWN_CURVE] } });
+      expect(getBondingCurveStates).toHaveBeenCalledTimes(1);
+    });
+
+    it('should read each chain once and list a curve once per chain', async () => {
+      Token.find.mockReturnValue(query([
+        { chainId: 11124, tokenAddress: TOKEN, bondingCurveAddress: CURVE },
+        { chainId: 2741, tokenAddress: TOKEN, bondingCurveAddress: CURVE },
+        { chainId: 1, tokenAddress: OTHER_TOKEN, bondingCurveAddress: OTHER_CURVE }
+      ]));
+
+      const response = await batch([CURVE, OTHER_CURVE]);
+
+      expect(response.body.data.bondingCurves.map(({ chainId }) => chainId)).toEqual([11124, 2741]);
+      expect(response.body.data.notFound).toEqual([OTHER_CURVE]);
+      expect(web3Service.forChain.mock.calls.map(([chainId]) => chainId)).toEqual([11124, 2741]);
+    });
+
+    it('should only look at the chain asked for', async () => {
+      Token.find.mockReturnValue(query([]));
+
+      await batch([CURVE], 11124);
+
+      expect(Token.find.mock.calls[0][0]).toMatchObject({ chainId: 11124 });
+    });
+
+    it.each([
+      ['no addresses', []],
+      ['a list that is not an array', CURVE],
+      ['too many addresses', Array.from({ length: 101 }, () => CURVE)],
+      ['an invalid address', [CURVE, '0x1234']]
+    ])('should reject %s', async (_, addresses) => {
+      const response = await batch(addresses);
+
+      expect(response.status).toBe(400);
+      expect(Token.find).not.toHaveBeenCalled();
+    });
+
+    it('should accept the largest batch', async () => {
+      Token.find.mockReturnValue(query([]));
+
+      const response = await batch(Array.from({ length: 100 }, (_, index) => ethers.zeroPadValue(ethers.toBeHex(index + 1), 20)));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.notFound).toHaveLength(100);
+    });
+  });
+});
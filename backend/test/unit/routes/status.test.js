@@ -0,0 +1,69 @@
+jest.mock('../../../src/services/authService', () => ({
+  authService: { authenticate: jest.fn() }
+}));
+jest.mock('../../../src/services/indexerService', () => ({
+  indexerService: { getStatus: jest.fn() }
+}));
+jest.mock('../../../src/services/marketStatsService', () => ({
+  marketStatsService: { getStatus: jest.fn(() => ({})) }
+}));
+jest.mock('../../../src/services/signerService', () => ({
+  signerService: { getStatus: jest.fn() }
+}));
+jest.mock('../../../src/services/web3Service', () => ({
+  web3Service: { defaultChainId: 11124, hasChain: jest.fn(() => true) }
+}));
+jest.mock('../../../src/services/websocketService', () => ({
+  websocketService: { getStatus: jest.fn(() => ({})) }
+}));
+
+const request = require('supertest');
+
+const statusRoutes = require('../../../src/routes/status');
+const { authService } = require('../../../src/services/authService');
+const { indexerService } = require('../../../src/services/indexerService');
+const { AuthError } = require('../../../src/utils/errors');
+const { buildApp } = require('../../helpers/app');
+
+const ADMIN = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+
+const app = buildApp('/api/status', statusRoutes);
+
+describe('status routes', () => {
+  describe('GET /api/status/indexer', () => {
+    beforeEach(() => {
+      indexerService.getStatus.mockResolvedValue({
+        isRunning: true,
+        chains: [{ chainId: 11124, lastError: '' }, { chainId: 2741, lastError: 'RPC down' }]
+      });
+    });
+
+    it('should require an admin session', async () => {
+      const response = await request(app).get('/api/status/indexer');
+
+      expect(response.status).toBe(401);
+      expect(indexerService.getStatus).not.toHaveBeenCalled();
+    });
+
+    it('should reject a session that is no longer valid', async () => {
+      authService.authenticate.mockRejectedValue(new AuthError('Session expired'));
+
+      const response = await request(app).get('/api/status/indexer').set('Authorization', 'Bearer stale');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return the status of one chain to an admin', async () => {
+      authService.authenticate.mockResolvedValue({ session: { address: ADMIN, sessionId: 's1' }, roles: ['viewer'] });
+
+      const response = await request(app)
+        .get('/api/status/indexer')
+        .query({ chainId: 2741 })
+        .set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.chains).toEqual([{ chainId: 2741, lastError: 'RPC down' }]);
+      expect(authService.authenticate).toHaveBeenCalledWith('token');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock('../../../src/services/auditService', () => ({
+  auditService: { record: jest.fn(async () => {}) }
+}));
+jest.mock('../../../src/services/authService', () => ({
+  authService: { authenticate: jest.fn() }
+}));
+jest.mock('../../../src/services/signerService', () => ({
+  signerService: { getStatus: jest.fn() }
+}));
+jest.mock('../../../src/services/txQueueService', () => ({
+  txQueueService: { get: jest.fn(), list: jest.fn(), speedUp: jest.fn(), cancel: jest.fn(), getStatus: jest.fn(() => ({ isRunning: true })) }
+}));
+jest.mock('../../../src/services/web3Service', () => ({
+  web3Service: { defaultChainId: 11124, hasChain: jest.fn(() => true), forChain: jest.fn(), getClients: jest.fn() }
+}));
+
+const request = require('supertest');
+
+const { ROLES } = require('../../../src/config/roles');
+const txJobRoutes = require('../../../src/routes/txJobs');
+const { auditService } = require('../../../src/services/auditService');
+const { authService } = require('../../../src/services/authService');
+const { signerService } = require('../../../src/services/signerService');
+const { txQueueService } = require('../../../src/services/txQueueService');
+const { web3Service } = require('../../../src/services/web3Service');
+const { buildApp } = require('../../helpers/app');
+
+const ADMIN = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const JOB_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const app = buildApp('/api/admin/tx-jobs', txJobRoutes);
+
+const signedInAs = (...roles) => {
+  authService.authenticate.mockResolvedValue({ session: { address: ADMIN, sessionId: 'session' }, roles });
+};
+
+const submittedJob = (overrides = {}) => ({
+  _id: JOB_ID,
+  chainId: 2741,
+  status: 'submitted',
+  nonce: 7,
+  cancelRequested: false,
+  attempts: [{ hash: '0xoriginal', maxFeePerGas: '1000000000' }, { hash: '0xspeedup', maxFeePerGas: '1125000000' }],
+  ...overrides
+});
+
+describe('tx job routes', () => {
+  beforeEach(() => {
+    signerService.getStatus.mockReturnValue({ ready: true, error: null });
+  });
+
+  describe('GET /api/admin/tx-jobs', () => {
+    it('should list jobs with the fee caps of every chain', async () => {
+      signedInAs(ROLES.VIEWER);
+      web3Service.getClients.mockReturnValue([{ chainId: 2741 }, { chainId: 11124 }]);
+      txQueueService.list.mockResolvedValue({ jobs: [], pagination: { page: 1, limit: 20, total: 0, pages: 0 } });
+
+      const response = await request(app).get('/api/admin/tx-jobs?status=queued').set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.feeCaps).toEqual([
+        { chainId: 2741, maxFeePerGas: '10000000000', maxPriorityFeePerGas: '2000000000' },
+        { chainId: 11124, maxFeePerGas: '10000000000', maxPriorityFeePerGas: '2000000000' }
+      ]);
+      expect(txQueueService.list).toHaveBeenCalledWith({ status: 'queued', method: undefined, chainId: undefined }, { page: 1, limit: 20 });
+    });
+
+    it('should reject an unknown status', async () => {
+      signedInAs(ROLES.VIEWER);
+
+      const response = await request(app).get('/api/admin/tx-jobs?status=pending').set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(400);
+      expect(txQueueService.list).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/admin/tx-jobs/:id/speed-up', () => {
+    it('should check the signer of the job\'s chain and audit the replacement', async () => {
+      signedInAs(ROLES.TREASURER);
+      txQueueService.get.mockResolvedValue(submittedJob());
+      txQueueService.speedUp.mockResolvedValue(submittedJob());
+
+      const response = await request(app).post(`/api/admin/tx-jobs/${JOB_ID}/speed-up`).set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(202);
+      expect(signerService.getStatus).toHaveBeenCalledWith(2741);
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        after: { status: 'submitted', nonce: 7, cancelRequested: false, attempts: 2, maxFeePerGas: '1125000000' },
+        transactionHash: '0xspeedup'
+      }));
+    });
+
+    it('should refuse while the chain has no usable signer', async () => {
+      signedInAs(ROLES.TREASURER);
+      txQueueService.get.mockResolvedValue(submittedJob());
+      signerService.getStatus.mockReturnValue({ ready: false, error: 'Admin signer is not the Factory owner' });
+
+      const response = await request(app).post(`/api/admin/tx-jobs/${JOB_ID}/speed-up`).set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(500);
+      expect(response.body.message).toBe('Admin signer is not the Factory owner');
+      expect(txQueueService.speedUp).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid job id', async () => {
+      signedInAs(ROLES.TREASURER);
+
+      const response = await request(app).post('/api/admin/tx-jobs/job/speed-up').set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(400);
+      expect(txQueueService.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/admin/tx-jobs/:id/cancel', () => {
+    it('should answer 200 for a queued job that was dropped', async () => {
+      signedInAs(ROLES.TREASURER);
+      txQueueService.get.mockResolvedValue(submittedJob({ status: 'queued' }));
+      txQueueService.cancel.mockResolvedValue(submittedJob({ status: 'cancelled', attempts: [] }));
+
+      const response = await request(app).post(`/api/admin/tx-jobs/${JOB_ID}/cancel`).set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Transaction job cancelled');
+      expect(auditService.record.mock.calls[0][0].transactionHash).toBeUndefined();
+    });
+
+    it('should answer 202 while the cancellation transaction is pending', async () => {
+      signedInAs(ROLES.TREASURER);
+      txQueueService.get.mockResolvedValue(submittedJob());
+      txQueueService.cancel.mockResolvedValue(submittedJob({ cancelRequested: true }));
+
+      const response = await request(app).post(`/api/admin/tx-jobs/${JOB_ID}/cancel`).set('Authorization', 'Bearer token');
+
+      expect(response.status).toBe(202);
+      expect(response.body.message).toBe('Cancellation transaction sent');
+      expect(auditService.record.mock.calls[0][0].transactionHash).toBe('0xspeedup');
+    });
+  });
+});
@@ -0,0 +1,160 @@
+jest.mock('../../../src/models/SignedActionNonce');
+jest.mock('../../../src/models/Token');
+jest.mock('../../../src/services/indexerService', () => ({
+  indexerService: { handleDeployment: jest.fn() }
+}));
+jest.mock('../../../src/services/web3Service', () => ({
+  web3Service: { defaultChainId: 11124, hasChain: jest.fn(chainId => chainId === 11124), forChain: jest.fn() }
+}));
+
+const { ethers } = require('ethers');
+const request = require('supertest');
+
+const SignedActionNonce = require('../../../src/models/SignedActionNonce');
+const Token = require('../../../src/models/Token');
+const userRoutes = require('../../../src/routes/user');
+const { blockCursorService } = require('../../../src/services/blockCursorService');
+const { indexerService } = require('../../../src/services/indexerService');
+const { ACTIONS } = require('../../../src/services/signedActionService');
+const { web3Service } = require('../../../src/services/web3Service');
+const { buildApp } = require('../../helpers/app');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const CURVE = '0x2222222222222222222222222222222222222222';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+const deployer = ethers.Wallet.createRandom();
+const owner = ethers.Wallet.createRandom();
+const stranger = ethers.Wallet.createRandom();
+
+const app = buildApp('/api/user', userRoutes);
+
+const registration = (overrides = {}) => ({
+  txHash: TX_HASH,
+  description: 'A token',
+  image: '',
+  website: 'https://memex.io',
+  twitter: '',
+  telegram: '',
+  discord: '',
+  tags: ['Meme'],
+  nonce: ethers.hexlify(ethers.randomBytes(32)),
+  deadline: Math.floor(Date.now() / 1000) + 600,
+  ...overrides
+});
+
+const signed = async (wallet, overrides = {}) => {
+  const { txHash, ...message } = registration(overrides);
+  const signature = await wallet.signTypedData(
+    { name: 'Memex', version: '1', chainId: 11124 },
+    { RegisterToken: ACTIONS.RegisterToken },
+    { deploymentTxHash: txHash, ...message }
+  );
+  return { txHash, ...message, signature };
+};
+
+describe('user routes', () => {
+  describe('POST /api/user/deploy-token/register', () => {
+    const register = (body) => request(app).post('/api/user/deploy-token/register').send(body);
+    let client;
+
+    beforeEach(() => {
+      client = {
+        chainId: 11124,
+        getBlockNumber: jest.fn(async () => 1000 + blockCursorService.confirmations),
+        getDeploymentByTxHash: jest.fn(async () => ({
+          status: 1,
+          deployment: {
+            bondingCurveAddress: CURVE,
+            tokenAddress: TOKEN,
+            owner: owner.address,
+            from: deployer.address,
+            name: 'Token',
+            symbol: 'TKN',
+            transactionHash: TX_HASH,
+            blockNumber: 1000,
+            logIndex: 0
+          }
+        }))
+      };
+      web3Service.forChain.mockReturnValue(client);
+      SignedActionNonce.create.mockResolvedValue({});
+      indexerService.handleDeployment.mockResolvedValue({ chainId: 11124, tokenAddress: TOKEN });
+      Token.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...filter, ...update.$set, name: 'Token', symbol: 'TKN' }));
+    });
+
+    it.each([['deployer', deployer], ['owner', owner]])('should register metadata signed by the %s', async (_, wallet) => {
+      const response = await register(await signed(wallet));
+
+      expect(response.status).toBe(201);
+      expect(indexerService.handleDeployment).toHaveBeenCalledWith(client, expect.objectContaining({ tokenAddress: TOKEN }));
+      const [filter, update] = Token.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ chainId: 11124, tokenAddress: TOKEN, registeredAt: null });
+      expect(update.$set).toMatchObject({ description: 'A token', website: 'https://memex.io', tags: ['meme'] });
+    });
+
+    it('should refuse a signature from any other wallet', async () => {
+      const response = await register(await signed(stranger));
+
+      expect(response.status).toBe(403);
+      expect(indexerService.handleDeployment).not.toHaveBeenCalled();
+    });
+
+    it('should refuse metadata that differs from what was signed', async () => {
+      const body = await signed(deployer);
+
+      const response = await register({ ...body, website: 'https://phishing.example' });
+
+      expect(response.status).toBe(403);
+      expect(indexerService.handleDeployment).not.toHaveBeenCalled();
+    });
+
+    it('should require a signature', async () => {
+      const { signature, ...body } = await signed(deployer);
+
+      const response = await register(body);
+
+      expect(signature).toBeDefined();
+      expect(response.status).toBe(400);
+      expect(client.getDeploymentByTxHash).not.toHaveBeenCalled();
+    });
+
+    it('should wait for the configured confirmations', async () => {
+      client.getBlockNumber.mockResolvedValue(1000 + blockCursorService.confirmations - 1);
+
+      const response = await register(await signed(deployer));
+
+      expect(response.status).toBe(409);
+      expect(response.body.data).toEqual({ blockNumber: 1000, safeBlock: 999 });
+      expect(SignedActionNonce.create).not.toHaveBeenCalled();
+    });
+
+    it('should register a token the indexer already picked up', async () => {
+      // The indexer's upsert finds the token and leaves registeredAt unset
+      indexerService.handleDeployment.mockResolvedValue({ chainId: 11124, tokenAddress: TOKEN, registeredAt: null });
+
+      const response = await register(await signed(deployer));
+
+      expect(response.status).toBe(201);
+      expect(Token.exists).not.toHaveBeenCalled();
+      expect(Token.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ registeredAt: null });
+    });
+
+    it('should refuse to register a token twice', async () => {
+      Token.findOneAndUpdate.mockResolvedValue(null);
+
+      const response = await register(await signed(deployer));
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe('Token is already registered, update its metadata with an owner signature');
+    });
+
+    it('should return 404 while the transaction is pending', async () => {
+      client.getDeploymentByTxHash.mockResolvedValue(null);
+
+      const response = await register(await signed(deployer));
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
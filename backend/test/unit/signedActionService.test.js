@@ -0,0 +1,143 @@
+jest.mock('../../src/models/SignedActionNonce');
+jest.mock('../../src/models/Token');
+jest.mock('../../src/services/web3Service', () => ({
+  web3Service: { hasChain: jest.fn(chainId => chainId === 11124), forChain: jest.fn() }
+}));
+
+const { ethers } = require('ethers');
+
+const SignedActionNonce = require('../../src/models/SignedActionNonce');
+const Token = require('../../src/models/Token');
+const { signedActionService, ACTIONS } = require('../../src/services/signedActionService');
+const { web3Service } = require('../../src/services/web3Service');
+const { AuthError } = require('../../src/utils/errors');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const CURVE = '0x2222222222222222222222222222222222222222';
+
+const owner = ethers.Wallet.createRandom();
+const stranger = ethers.Wallet.createRandom();
+
+const metadata = (overrides = {}) => ({
+  token: TOKEN,
+  description: 'A token',
+  image: '',
+  website: 'https://memex.io',
+  twitter: '',
+  telegram: '',
+  discord: '',
+  tags: ['meme'],
+  nonce: ethers.hexlify(ethers.randomBytes(32)),
+  deadline: Math.floor(Date.now() / 1000) + 600,
+  ...overrides
+});
+
+const sign = (wallet, message, chainId = 11124) => wallet.signTypedData(
+  { name: 'Memex', version: '1', chainId },
+  { UpdateTokenMetadata: ACTIONS.UpdateTokenMetadata },
+  message
+);
+
+describe('signedActionService', () => {
+  beforeEach(() => {
+    SignedActionNonce.create.mockResolvedValue({});
+  });
+
+  describe('getTypedData', () => {
+    it('should describe the action for eth_signTypedData_v4', () => {
+      expect(signedActionService.getTypedData('UpdateTokenMetadata', 11124)).toEqual({
+        domain: { name: 'Memex', version: '1', chainId: 11124 },
+        types: { UpdateTokenMetadata: ACTIONS.UpdateTokenMetadata },
+        primaryType: 'UpdateTokenMetadata'
+      });
+    });
+
+    it('should refuse a chain this backend does not serve', () => {
+      expect(() => signedActionService.getTypedData('UpdateTokenMetadata', 1)).toThrow('Chain 1 is not supported');
+    });
+  });
+
+  describe('verify', () => {
+    it('should return the signer once authorized and burn the nonce', async () => {
+      const message = metadata();
+      const authorize = jest.fn(async () => {});
+
+      const signer = await signedActionService.verify('UpdateTokenMetadata', 11124, message, await sign(owner, message), authorize);
+
+      expect(signer).toBe(owner.address.toLowerCase());
+      expect(authorize).toHaveBeenCalledWith(signer);
+      expect(SignedActionNonce.create).toHaveBeenCalledWith({
+        signer,
+        action: 'UpdateTokenMetadata',
+        nonce: message.nonce,
+        expiresAt: new Date(message.deadline * 1000)
+      });
+    });
+
+    it('should not burn the nonce of a signer that is turned away', async () => {
+      const message = metadata();
+      const authorize = jest.fn(async () => { throw new AuthError('Signer is not the token owner', 403); });
+
+      await expect(signedActionService.verify('UpdateTokenMetadata', 11124, message, await sign(stranger, message), authorize))
+        .rejects.toThrow('Signer is not the token owner');
+      expect(SignedActionNonce.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a replayed signature', async () => {
+      const message = metadata();
+      SignedActionNonce.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      await expect(signedActionService.verify('UpdateTokenMetadata', 11124, message, await sign(owner, message), async () => {}))
+        .rejects.toThrow('Signature has already been used');
+    });
+
+    it('should reject a signature made for another chain', async () => {
+      const message = metadata();
+      const authorize = jest.fn(async () => {});
+
+      await signedActionService.verify('UpdateTokenMetadata', 11124, message, await sign(owner, message, 2741), authorize);
+
+      // The signature recovers to an unrelated address, which the owner check then refuses
+      expect(authorize).toHaveBeenCalledTimes(1);
+      expect(authorize.mock.calls[0][0]).not.toBe(owner.address.toLowerCase());
+    });
+
+    it.each([
+      ['a passed deadline', { deadline: Math.floor(Date.now() / 1000) - 1 }, 'Signature deadline has passed'],
+      ['a deadline too far out', { deadline: Math.floor(Date.now() / 1000) + 2 * 60 * 60 }, 'Signature deadline must be within 3600 seconds']
+    ])('should reject %s', async (name, overrides, error) => {
+      const message = metadata(overrides);
+
+      await expect(signedActionService.verify('UpdateTokenMetadata', 11124, message, await sign(owner, message), async () => {}))
+        .rejects.toThrow(error);
+    });
+
+    it('should reject a malformed signature', async () => {
+      await expect(signedActionService.verify('UpdateTokenMetadata', 11124, metadata(), '0x1234', async () => {}))
+        .rejects.toThrow('Invalid signature');
+    });
+  });
+
+  describe('assertTokenOwner', () => {
+    const token = () => ({ _id: 'id', chainId: 11124, tokenAddress: TOKEN, bondingCurveAddress: CURVE, owner: owner.address.toLowerCase() });
+
+    it('should accept the on-chain owner', async () => {
+      web3Service.forChain.mockReturnValue({ getBondingCurveOwner: jest.fn(async () => owner.address.toLowerCase()) });
+
+      await expect(signedActionService.assertTokenOwner(token(), owner.address.toLowerCase())).resolves.toBeUndefined();
+      expect(Token.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should follow an ownership transfer and refuse the previous owner', async () => {
+      const newOwner = stranger.address.toLowerCase();
+      web3Service.forChain.mockReturnValue({ getBondingCurveOwner: jest.fn(async () => newOwner) });
+      const stored = token();
+
+      const error = await signedActionService.assertTokenOwner(stored, owner.address.toLowerCase()).catch(e => e);
+
+      expect(error.statusCode).toBe(403);
+      expect(Token.updateOne).toHaveBeenCalledWith({ _id: 'id' }, { $set: { owner: newOwner } });
+      expect(stored.owner).toBe(newOwner);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const http = require('http');
+
+const { ethers } = require('ethers');
+
+const { signerService, RemoteSigner } = require('../../src/services/signerService');
+
+const FACTORY = '0x1111111111111111111111111111111111111111';
+const OTHER_OWNER = '0x2222222222222222222222222222222222222222';
+
+const wallet = ethers.Wallet.createRandom();
+
+const transaction = (overrides = {}) => ({
+  type: 2,
+  from: wallet.address,
+  to: FACTORY,
+  data: '0x3ccfd60b',
+  value: 0n,
+  gasLimit: 60000n,
+  nonce: 7,
+  chainId: 11124,
+  maxFeePerGas: ethers.parseUnits('10', 'gwei'),
+  maxPriorityFeePerGas: ethers.parseUnits('2', 'gwei'),
+  ...overrides
+});
+
+describe('signerService', () => {
+  describe('RemoteSigner', () => {
+    let server;
+    let signer;
+    // Lets a test make the remote signer change the transaction it was asked to sign
+    let tamper;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+          body += chunk;
+        });
+        req.on('end', async () => {
+          const { id, params: [request] } = JSON.parse(body);
+          const raw = await wallet.signTransaction(tamper({
+            type: Number(request.type),
+            to: request.to,
+            data: request.data,
+            value: request.value,
+            gasLimit: request.gas,
+            nonce: Number(request.nonce),
+            chainId: request.chainId,
+            maxFeePerGas: request.maxFeePerGas,
+            maxPriorityFeePerGas: request.maxPriorityFeePerGas
+          }));
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ jsonrpc: '2.0', id, result: { raw } }));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      signer = new RemoteSigner({ url: `http://127.0.0.1:${server.address().port}`, timeoutMs: 5000 }, wallet.address);
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      tamper = tx => tx;
+    });
+
+    it('should return the transaction signed as requested', async () => {
+      const raw = await signer.signTransaction(transaction());
+
+      const signed = ethers.Transaction.from(raw);
+      expect(signed.from).toBe(wallet.address);
+      expect(signed.gasLimit).toBe(60000n);
+      expect(signed.maxFeePerGas).toBe(ethers.parseUnits('10', 'gwei'));
+    });
+
+    it.each([
+      ['recipient', tx => ({ ...tx, to: OTHER_OWNER })],
+      ['gas limit', tx => ({ ...tx, gasLimit: 6000000n })],
+      ['max fee', tx => ({ ...tx, maxFeePerGas: ethers.parseUnits('500', 'gwei') })],
+      ['priority fee', tx => ({ ...tx, maxPriorityFeePerGas: ethers.parseUnits('9', 'gwei') })],
+      ['nonce', tx => ({ ...tx, nonce: 8 })]
+    ])('should refuse a transaction with a different %s', async (_, change) => {
+      tamper = change;
+
+      await expect(signer.signTransaction(transaction())).rejects.toThrow('Remote signer returned a transaction that differs from the request');
+    });
+
+    it('should refuse to sign for another sender', async () => {
+      await expect(signer.signTransaction(transaction({ from: OTHER_OWNER }))).rejects.toThrow(`cannot be signed by remote signer ${wallet.address}`);
+    });
+  });
+
+  describe('Factory ownership', () => {
+    let service;
+    let factoryContract;
+
+    beforeEach(async () => {
+      process.env.ADMIN_PRIVATE_KEY = wallet.privateKey;
+      service = new signerService.constructor();
+      factoryContract = { owner: jest.fn(async () => wallet.address) };
+      await service.initialize(11124, null, factoryContract);
+    });
+
+    afterEach(() => {
+      delete process.env.ADMIN_PRIVATE_KEY;
+    });
+
+    it('should be ready on a chain whose Factory the signer owns', () => {
+      expect(service.getStatus(11124)).toMatchObject({ ready: true, address: wallet.address, error: null });
+      expect(service.getSigner(11124).address).toBe(wallet.address);
+    });
+
+    it('should stop signing once ownership moves away, and resume when it comes back', async () => {
+      factoryContract.owner.mockResolvedValue(OTHER_OWNER);
+
+      expect(await service.refreshOwner(11124)).toMatchObject({
+        ready: false,
+        error: `Admin signer ${wallet.address} is not the Factory owner (${OTHER_OWNER}) on chain 11124`
+      });
+      expect(() => service.getSigner(11124)).toThrow('is not the Factory owner');
+
+      factoryContract.owner.mockResolvedValue(wallet.address.toLowerCase());
+
+      expect((await service.refreshOwner(11124)).ready).toBe(true);
+    });
+
+    it('should keep the last known state when the owner cannot be read', async () => {
+      factoryContract.owner.mockRejectedValue(new Error('RPC down'));
+
+      expect((await service.refreshOwner(11124)).ready).toBe(true);
+    });
+
+    it('should enable a signer that becomes the owner after startup', async () => {
+      factoryContract.owner.mockResolvedValue(OTHER_OWNER);
+      await service.initialize(2741, null, factoryContract);
+      expect(service.getStatus(2741).ready).toBe(false);
+
+      factoryContract.owner.mockResolvedValue(wallet.address);
+
+      expect((await service.refreshOwner(2741)).ready).toBe(true);
+    });
+
+    it('should leave chains without a signer alone', async () => {
+      expect(await service.refreshOwner(1)).toMatchObject({ ready: false, error: 'Admin signer not initialized for chain 1' });
+      expect(factoryContract.owner).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const { buildMessage, parseMessage } = require('../../src/utils/siwe');
+
+const ADDRESS = '0xAbCdEf0123456789aBcDeF0123456789AbCdEf01';
+
+const fields = {
+  domain: 'app.memex.io',
+  address: ADDRESS,
+  statement: 'Sign in to the Memex admin panel.',
+  uri: 'https://app.memex.io',
+  chainId: 11124,
+  nonce: 'a1b2c3d4e5f60718',
+  issuedAt: new Date('2024-01-01T00:00:00.000Z'),
+  expirationTime: new Date('2024-01-01T00:10:00.000Z')
+};
+
+describe('siwe', () => {
+  it('should build the EIP-4361 layout', () => {
+    expect(buildMessage(fields)).toBe([
+      'app.memex.io wants you to sign in with your Ethereum account:',
+      ADDRESS,
+      '',
+      'Sign in to the Memex admin panel.',
+      '',
+      'URI: https://app.memex.io',
+      'Version: 1',
+      'Chain ID: 11124',
+      'Nonce: a1b2c3d4e5f60718',
+      'Issued At: 2024-01-01T00:00:00.000Z',
+      'Expiration Time: 2024-01-01T00:10:00.000Z'
+    ].join('\n'));
+  });
+
+  it('should parse what it builds', () => {
+    expect(parseMessage(buildMessage(fields))).toEqual({ ...fields, version: '1' });
+  });
+
+  it('should parse a message without a statement', () => {
+    const parsed = parseMessage(buildMessage({ ...fields, statement: null, expirationTime: null }));
+
+    expect(parsed.statement).toBeNull();
+    expect(parsed.expirationTime).toBeUndefined();
+    expect(parsed.nonce).toBe(fields.nonce);
+  });
+
+  it.each([
+    ['a missing header', (message) => message.replace(' wants you to sign in', ''), 'Missing sign-in header'],
+    ['a bad address', (message) => message.replace(ADDRESS, '0x1234'), 'Invalid address line'],
+    ['an unknown field', (message) => `${message}\nResources: none`, 'Unexpected line: Resources: none'],
+    ['another version', (message) => message.replace('Version: 1', 'Version: 2'), 'Unsupported version'],
+    ['a short nonce', (message) => message.replace(fields.nonce, 'abc'), 'Invalid nonce'],
+    ['a bad date', (message) => message.replace('2024-01-01T00:00:00.000Z', 'yesterday'), 'Invalid issuedAt'],
+    ['no nonce', (message) => message.replace('\nNonce: a1b2c3d4e5f60718', ''), 'Missing nonce']
+  ])('should reject %s', (name, tamper, error) => {
+    expect(() => parseMessage(tamper(buildMessage(fields)))).toThrow(error);
+  });
+});
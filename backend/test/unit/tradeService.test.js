@@ -0,0 +1,267 @@
+jest.mock('../../src/models/Token');
+jest.mock('../../src/models/Trade');
+jest.mock('../../src/services/web3Service', () => ({
+  web3Service: { forChain: jest.fn() }
+}));
+jest.mock('../../src/services/volumeService', () => ({
+  volumeService: { refreshForTrades: jest.fn(async () => {}) }
+}));
+
+const { ethers } = require('ethers');
+
+const Token = require('../../src/models/Token');
+const Trade = require('../../src/models/Trade');
+const { eventBus, EVENTS } = require('../../src/services/eventBus');
+const { tradeService } = require('../../src/services/tradeService');
+const { TOTAL_SUPPLY } = require('../../src/utils/bondingMath');
+const { query } = require('../helpers/query');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const CURVE = '0x2222222222222222222222222222222222222222';
+const WALLET = '0x4444444444444444444444444444444444444444';
+
+const settings = { virtualEth: '10.0', preBondingTarget: '2.0', bondingTarget: '30.0' };
+const parsedSettings = {
+  virtualEth: ethers.parseEther('10'),
+  preBondingTarget: ethers.parseEther('2'),
+  bondingTarget: ethers.parseEther('30')
+};
+
+const token = { chainId: 11124, tokenAddress: TOKEN, bondingCurveAddress: CURVE, deploymentBlockNumber: 500, settings };
+
+const makeClient = (overrides = {}) => ({
+  chainId: 11124,
+  chain: { startBlock: 100 },
+  getBondingCurveEvents: jest.fn(async () => []),
+  getBlockTimestamp: jest.fn(async () => 1700000000),
+  getCurveState: jest.fn(),
+  ...overrides
+});
+
+const event = (name, args, logIndex = 0) => ({
+  name,
+  args,
+  address: CURVE,
+  transactionHash: `0x${'ab'.repeat(32)}`,
+  blockNumber: 600,
+  logIndex
+});
+
+const freshState = () => ({
+  settings: parsedSettings,
+  ethReserve: parsedSettings.virtualEth,
+  tokenReserve: TOTAL_SUPPLY,
+  totalETHCollected: 0n,
+  phase: 0
+});
+
+describe('tradeService', () => {
+  describe('applyEvent', () => {
+    it('should price contributions against virtualEth and the full supply', () => {
+      const state = freshState();
+      const tokensOut = ethers.parseEther('1000000');
+
+      const trade = tradeService.applyEvent(state, event('PreBondingContribution', [WALLET, ethers.parseEther('1'), tokensOut]));
+
+      expect(trade.type).toBe('contribution');
+      expect(trade.wallet).toBe(WALLET);
+      expect(trade.ethIn).toBe('1.0');
+      expect(trade.phaseAtTrade).toBe(0);
+      expect(trade.phase).toBe(0);
+      expect(trade.price).toBe(ethers.formatEther((parsedSettings.virtualEth * 10n ** 18n) / TOTAL_SUPPLY));
+      expect(state.totalETHCollected).toBe(ethers.parseEther('1'));
+      expect(state.tokenReserve).toBe(TOTAL_SUPPLY - tokensOut);
+    });
+
+    it('should move to Bonding on the contribution that reaches the pre-bonding target', () => {
+      const state = freshState();
+
+      const trade = tradeService.applyEvent(state, event('PreBondingContribution', [WALLET, ethers.parseEther('2'), 1n]));
+
+      // Made in PreBonding, leaves the curve in Bonding
+      expect(trade.phaseAtTrade).toBe(0);
+      expect(trade.phase).toBe(1);
+      expect(trade.ethReserveAfter).toBe('12.0');
+    });
+
+    it('should take the sell fee out of the ETH reserve', () => {
+      const state = { ...freshState(), ethReserve: ethers.parseEther('15'), totalETHCollected: ethers.parseEther('5'), phase: 1 };
+
+      const trade = tradeService.applyEvent(state, event('TokensSold', [WALLET, ethers.parseEther('100'), ethers.parseEther('0.99'), ethers.parseEther('0.01')]));
+
+      expect(trade.type).toBe('sell');
+      expect(trade.phaseAtTrade).toBe(1);
+      expect(trade.ethOut).toBe('0.99');
+      expect(trade.sellFee).toBe('0.01');
+      expect(state.ethReserve).toBe(ethers.parseEther('14'));
+    });
+  });
+
+  describe('loadCurveState', () => {
+    it('should start a curve deployed after the start block from its deployment state', async () => {
+      Trade.findLastBefore.mockResolvedValue(null);
+      const client = makeClient();
+
+      const state = await tradeService.loadCurveState(client, token, 600);
+
+      expect(state).toEqual(freshState());
+      expect(client.getCurveState).not.toHaveBeenCalled();
+    });
+
+    it('should continue from the last ledger entry', async () => {
+      Trade.findLastBefore.mockResolvedValue({
+        ethReserveAfter: '13.0',
+        tokenReserveAfter: '900000000.0',
+        totalETHCollectedAfter: '3.0',
+        phase: 1
+      });
+
+      const state = await tradeService.loadCurveState(makeClient(), token, 600);
+
+      expect(state.ethReserve).toBe(ethers.parseEther('13'));
+      expect(state.tokenReserve).toBe(ethers.parseEther('900000000'));
+      expect(state.totalETHCollected).toBe(ethers.parseEther('3'));
+      expect(state.phase).toBe(1);
+    });
+
+    it('should read a curve deployed before the start block from the chain at the block before the range', async () => {
+      Trade.findLastBefore.mockResolvedValue(null);
+      const client = makeClient({
+        chain: { startBlock: 1000 },
+        getCurveState: jest.fn(async () => ({
+          currentPhase: 1,
+          ethReserve: ethers.parseEther('20'),
+          tokenReserve: ethers.parseEther('500000000'),
+          totalETHCollected: ethers.parseEther('10'),
+          totalPreBondingContributions: ethers.parseEther('2'),
+          preBondingTokens: ethers.parseEther('100000000'),
+          tokenBalance: ethers.parseEther('600000000')
+        }))
+      });
+
+      const state = await tradeService.loadCurveState(client, token, 1000);
+
+      expect(client.getCurveState).toHaveBeenCalledWith(CURVE, TOKEN, 999);
+      expect(state).toEqual({
+        settings: parsedSettings,
+        ethReserve: ethers.parseEther('20'),
+        tokenReserve: ethers.parseEther('500000000'),
+        totalETHCollected: ethers.parseEther('10'),
+        phase: 1
+      });
+    });
+
+    it('should map a pre-bonding curve read from the chain to the reserves the ledger tracks', async () => {
+      Trade.findLastBefore.mockResolvedValue(null);
+      const client = makeClient({
+        chain: { startBlock: 1000 },
+        getCurveState: jest.fn(async () => ({
+          currentPhase: 0,
+          ethReserve: 0n,
+          tokenReserve: 0n,
+          totalETHCollected: 0n,
+          totalPreBondingContributions: ethers.parseEther('1.5'),
+          preBondingTokens: ethers.parseEther('130000000'),
+          tokenBalance: TOTAL_SUPPLY
+        }))
+      });
+
+      const state = await tradeService.loadCurveState(client, token, 1200);
+
+      expect(client.getCurveState).toHaveBeenCalledWith(CURVE, TOKEN, 1199);
+      expect(state.ethReserve).toBe(ethers.parseEther('11.5'));
+      expect(state.tokenReserve).toBe(TOTAL_SUPPLY - ethers.parseEther('130000000'));
+      expect(state.totalETHCollected).toBe(ethers.parseEther('1.5'));
+      expect(state.phase).toBe(0);
+    });
+  });
+
+  describe('ingestRange', () => {
+    beforeEach(() => {
+      jest.spyOn(tradeService, 'refreshTokenStats').mockResolvedValue({});
+      jest.spyOn(tradeService, 'publishProgress').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should upsert each trade by transaction and log index and publish it', async () => {
+      Token.find.mockReturnValue(query([token]));
+      Trade.findLastBefore.mockResolvedValue(null);
+      Trade.updateOne.mockResolvedValue({});
+      const client = makeClient({
+        getBondingCurveEvents: jest.fn(async () => [
+          event('PreBondingContribution', [WALLET, ethers.parseEther('0.5'), ethers.parseEther('1000')], 1),
+          event('PreBondingContribution', [WALLET, ethers.parseEther('0.5'), ethers.parseEther('1000')], 2)
+        ])
+      });
+      const listener = jest.fn();
+      eventBus.on(EVENTS.TRADE, listener);
+
+      const trades = await tradeService.ingestRange(client, 600, 700);
+      eventBus.off(EVENTS.TRADE, listener);
+
+      expect(trades).toHaveLength(2);
+      expect(Trade.updateOne).toHaveBeenCalledWith(
+        { transactionHash: `0x${'ab'.repeat(32)}`, logIndex: 2 },
+        { $set: expect.objectContaining({ chainId: 11124, tokenAddress: TOKEN, totalETHCollectedAfter: '1.0' }) },
+        { upsert: true }
+      );
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(trades[0].timestamp).toEqual(new Date(1700000000 * 1000));
+      expect(tradeService.refreshTokenStats).toHaveBeenCalledWith(CURVE);
+    });
+
+    it('should skip the RPC when no curve was deployed yet', async () => {
+      Token.find.mockReturnValue(query([]));
+      const client = makeClient();
+
+      expect(await tradeService.ingestRange(client, 1, 10)).toEqual([]);
+      expect(client.getBondingCurveEvents).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refreshTokenStats', () => {
+    const ledgerTrade = (fields) => ({
+      price: '0.00000003',
+      phase: 2,
+      totalETHCollectedAfter: '30.0',
+      ethReserveAfter: '40.0',
+      tokenReserveAfter: '400000000.0',
+      timestamp: new Date(Date.UTC(2024, 0, 2)),
+      blockNumber: 900,
+      transactionHash: '0xfeed',
+      ...fields
+    });
+
+    it('should record when a curve reached its bonding target', async () => {
+      const targetTrade = ledgerTrade({ type: 'buy' });
+      Trade.countDocuments.mockResolvedValue(3);
+      Trade.aggregate.mockResolvedValue([]);
+      Trade.findOne.mockImplementation((filter) => {
+        if (filter.type === 'buy' && filter.phase === 2) {
+          return query(targetTrade);
+        }
+        return query(filter.type ? null : targetTrade);
+      });
+      Token.updateOne.mockResolvedValue({});
+
+      const stats = await tradeService.refreshTokenStats(CURVE);
+
+      expect(stats).toMatchObject({ currentPhase: 2, targetReachedAt: targetTrade.timestamp, bondingAt: null });
+      expect(Token.updateOne).toHaveBeenCalledWith({ bondingCurveAddress: CURVE }, { $set: stats });
+    });
+
+    it('should reset a curve whose ledger was rolled back entirely', async () => {
+      Trade.countDocuments.mockResolvedValue(0);
+      Trade.aggregate.mockResolvedValue([]);
+      Trade.findOne.mockReturnValue(query(null));
+      Token.updateOne.mockResolvedValue({});
+
+      const stats = await tradeService.refreshTokenStats(CURVE);
+
+      expect(stats).toMatchObject({ currentPhase: 0, totalTrades: 0, bondingAt: null, targetReachedAt: null });
+    });
+  });
+});
@@ -0,0 +1,35 @@
+const { ethers } = require('ethers');
+
+const { getFeeCaps } = require('../../src/config/txFees');
+
+const gwei = value => ethers.parseUnits(value, 'gwei');
+
+const VARIABLES = ['TX_MAX_FEE_GWEI', 'TX_MAX_PRIORITY_FEE_GWEI', 'TX_MAX_FEE_GWEI_2741', 'TX_MAX_PRIORITY_FEE_GWEI_2741'];
+
+describe('getFeeCaps', () => {
+  afterEach(() => {
+    VARIABLES.forEach(name => delete process.env[name]);
+  });
+
+  it('should use the caps of the network, or the defaults for other chains', () => {
+    expect(getFeeCaps(2741)).toEqual({ maxFeePerGas: gwei('10'), maxPriorityFeePerGas: gwei('2') });
+    expect(getFeeCaps(1)).toEqual({ maxFeePerGas: gwei('100'), maxPriorityFeePerGas: gwei('5') });
+  });
+
+  it('should let the global overrides apply to every chain', () => {
+    process.env.TX_MAX_FEE_GWEI = '50';
+    process.env.TX_MAX_PRIORITY_FEE_GWEI = '3';
+
+    expect(getFeeCaps(2741)).toEqual({ maxFeePerGas: gwei('50'), maxPriorityFeePerGas: gwei('3') });
+    expect(getFeeCaps(11124)).toEqual({ maxFeePerGas: gwei('50'), maxPriorityFeePerGas: gwei('3') });
+  });
+
+  it('should let a per-chain override win over the global one on its chain only', () => {
+    process.env.TX_MAX_FEE_GWEI = '50';
+    process.env.TX_MAX_FEE_GWEI_2741 = '20';
+    process.env.TX_MAX_PRIORITY_FEE_GWEI_2741 = '1.5';
+
+    expect(getFeeCaps(2741)).toEqual({ maxFeePerGas: gwei('20'), maxPriorityFeePerGas: gwei('1.5') });
+    expect(getFeeCaps(11124)).toEqual({ maxFeePerGas: gwei('50'), maxPriorityFeePerGas: gwei('2') });
+  });
+});
@@ -0,0 +1,309 @@
+jest.mock('../../src/models/TxJob');
+jest.mock('../../src/services/signerService', () => ({
+  signerService: { getSigner: jest.fn(), refreshOwner: jest.fn() }
+}));
+jest.mock('../../src/services/web3Service', () => ({
+  web3Service: { forChain: jest.fn(), hasChain: jest.fn() }
+}));
+
+const { ethers } = require('ethers');
+
+const { ROLES } = require('../../src/config/roles');
+const TxJob = require('../../src/models/TxJob');
+const { eventBus, EVENTS } = require('../../src/services/eventBus');
+const { signerService } = require('../../src/services/signerService');
+const { txQueueService } = require('../../src/services/txQueueService');
+const { web3Service } = require('../../src/services/web3Service');
+const { AuthError, TxQueueError } = require('../../src/utils/errors');
+const logger = require('../../src/utils/logger');
+const { query } = require('../helpers/query');
+
+const FACTORY = '0x1111111111111111111111111111111111111111';
+const gwei = (amount) => ethers.parseUnits(amount, 'gwei');
+
+const wallet = ethers.Wallet.createRandom();
+const from = wallet.address.toLowerCase();
+
+const txJob = (overrides = {}) => ({
+  _id: 'job',
+  method: 'withdrawFees',
+  role: ROLES.TREASURER,
+  status: 'queued',
+  chainId: 11124,
+  to: FACTORY,
+  data: '0x476343ee',
+  value: '0',
+  attempts: [],
+  save: jest.fn(),
+  toObject() {
+    return { ...this };
+  },
+  ...overrides
+});
+
+const submittedJob = (overrides = {}) => txJob({
+  status: 'submitted',
+  from,
+  nonce: 7,
+  gasLimit: '72000',
+  attempts: [{ hash: '0xoriginal', kind: 'original', maxFeePerGas: gwei('1').toString(), maxPriorityFeePerGas: gwei('0.1').toString(), sentAt: new Date(Date.now() - 120000) }],
+  ...overrides
+});
+
+describe('txQueueService', () => {
+  let service;
+  let provider;
+
+  beforeEach(() => {
+    service = new txQueueService.constructor();
+    provider = {
+      getFeeData: jest.fn(async () => ({ maxFeePerGas: gwei('1'), maxPriorityFeePerGas: gwei('0.1') })),
+      getTransactionCount: jest.fn(async () => 7),
+      estimateGas: jest.fn(async () => 60000n),
+      broadcastTransaction: jest.fn(async () => {}),
+      getTransactionReceipt: jest.fn(async () => null)
+    };
+    web3Service.forChain.mockReturnValue({ provider });
+    web3Service.hasChain.mockReturnValue(true);
+    signerService.getSigner.mockReturnValue(wallet);
+    signerService.refreshOwner.mockResolvedValue({ ready: true, address: wallet.address, error: null });
+    TxJob.findOne.mockReturnValue(query(null));
+  });
+
+  describe('sendQueued', () => {
+    it('should give a job the next nonce and record the attempt before broadcasting it', async () => {
+      const job = txJob();
+      TxJob.find.mockReturnValue(query([job]));
+      let savedBeforeBroadcast = 0;
+      provider.broadcastTransaction.mockImplementation(async () => {
+        savedBeforeBroadcast = job.save.mock.calls.length;
+      });
+
+      await service.sendQueued();
+
+      expect(job).toMatchObject({ status: 'submitted', from, nonce: 7, gasLimit: '72000' });
+      expect(job.attempts).toEqual([expect.objectContaining({ kind: 'original', maxFeePerGas: gwei('1').toString() })]);
+      expect(savedBeforeBroadcast).toBe(1);
+      const signed = ethers.Transaction.from(provider.broadcastTransaction.mock.calls[0][0]);
+      expect(signed).toMatchObject({ to: FACTORY, nonce: 7, gasLimit: 72000n, chainId: 11124n });
+      expect(signed.hash).toBe(job.attempts[0].hash);
+    });
+
+    it('should continue after the nonces of its own unmined jobs', async () => {
+      const jobs = [txJob({ _id: 'first' }), txJob({ _id: 'second' })];
+      TxJob.find.mockReturnValue(query(jobs));
+      TxJob.findOne.mockReturnValueOnce(query(null)).mockReturnValueOnce(query({ nonce: 7 }));
+
+      await service.sendQueued();
+
+      expect(jobs.map(job => job.nonce)).toEqual([7, 8]);
+    });
+
+    it('should keep jobs queued while the signer is not the Factory owner', async () => {
+      const error = `Admin signer ${wallet.address} is not the Factory owner (${FACTORY}) on chain 11124`;
+      signerService.refreshOwner.mockResolvedValue({ ready: false, address: wallet.address, error });
+      const jobs = [txJob({ _id: 'first' }), txJob({ _id: 'second' })];
+      TxJob.find.mockReturnValue(query(jobs));
+
+      await service.sendQueued();
+
+      expect(jobs.map(job => job.status)).toEqual(['queued', 'queued']);
+      expect(signerService.refreshOwner).toHaveBeenCalledTimes(1);
+      expect(signerService.refreshOwner).toHaveBeenCalledWith(11124);
+      expect(provider.broadcastTransaction).not.toHaveBeenCalled();
+      expect(logger.warn).toHaveBeenCalledWith(`2 transaction job(s) on chain 11124 waiting: ${error}`);
+    });
+
+    it('should send the jobs once the signer owns the Factory again', async () => {
+      const job = txJob();
+      TxJob.find.mockReturnValue(query([job]));
+      signerService.refreshOwner.mockResolvedValueOnce({ ready: false, address: wallet.address, error: 'not the Factory owner' });
+
+      await service.sendQueued();
+      await service.sendQueued();
+
+      expect(job.status).toBe('submitted');
+      expect(signerService.refreshOwner).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fail a call that would revert without using a nonce', async () => {
+      const job = txJob();
+      TxJob.find.mockReturnValue(query([job]));
+      provider.estimateGas.mockRejectedValue(Object.assign(new Error('execution reverted'), { shortMessage: 'execution reverted: NoFees' }));
+
+      await service.sendQueued();
+
+      expect(job).toMatchObject({ status: 'failed', error: 'execution reverted: NoFees', finishedAt: expect.any(Date) });
+      expect(job.nonce).toBeUndefined();
+      expect(provider.getTransactionCount).not.toHaveBeenCalled();
+    });
+
+    it('should fail jobs of a chain this backend does not serve', async () => {
+      const job = txJob({ chainId: 1 });
+      TxJob.find.mockReturnValue(query([job]));
+      web3Service.hasChain.mockReturnValue(false);
+
+      await service.sendQueued();
+
+      expect(job).toMatchObject({ status: 'failed', error: 'Chain 1 is not served by this backend' });
+      expect(signerService.refreshOwner).not.toHaveBeenCalled();
+    });
+
+    it('should fail a job the node refuses and drop its attempt', async () => {
+      const job = txJob();
+      TxJob.find.mockReturnValue(query([job]));
+      provider.broadcastTransaction.mockRejectedValue(Object.assign(new Error('rejected'), { shortMessage: 'insufficient funds' }));
+
+      await service.sendQueued();
+
+      expect(job).toMatchObject({ status: 'failed', error: 'insufficient funds', attempts: [] });
+    });
+
+    it('should keep a job whose broadcast timed out as submitted', async () => {
+      const job = txJob();
+      TxJob.find.mockReturnValue(query([job]));
+      provider.broadcastTransaction.mockRejectedValue(Object.assign(new Error('timeout'), { code: 'TIMEOUT' }));
+
+      await service.sendQueued();
+
+      expect(job.status).toBe('submitted');
+      expect(job.attempts).toHaveLength(1);
+    });
+  });
+
+  describe('checkSubmitted', () => {
+    it('should settle a mined job and announce it', async () => {
+      const job = submittedJob();
+      TxJob.find.mockReturnValue(query([job]));
+      provider.getTransactionReceipt.mockResolvedValue({ hash: '0xoriginal', blockNumber: 12, gasUsed: 51000n, status: 1 });
+      const publish = jest.spyOn(eventBus, 'publish');
+
+      await service.checkSubmitted();
+
+      expect(job).toMatchObject({ status: 'mined', transactionHash: '0xoriginal', blockNumber: 12, gasUsed: '51000', error: null });
+      expect(publish).toHaveBeenCalledWith(EVENTS.TX_JOB_FINISHED, expect.objectContaining({ _id: 'job', status: 'mined' }));
+      publish.mockRestore();
+    });
+
+    it('should mark a job whose cancellation was mined as cancelled', async () => {
+      const job = submittedJob();
+      job.attempts.push({ hash: '0xcancel', kind: 'cancel', maxFeePerGas: '0', maxPriorityFeePerGas: '0', sentAt: new Date() });
+      TxJob.find.mockReturnValue(query([job]));
+      provider.getTransactionReceipt.mockImplementation(async hash => (hash === '0xcancel' ? { hash, blockNumber: 12, gasUsed: 21000n, status: 1 } : null));
+
+      await service.checkSubmitted();
+
+      expect(job.status).toBe('cancelled');
+    });
+
+    it('should fail a reverted job', async () => {
+      const job = submittedJob();
+      TxJob.find.mockReturnValue(query([job]));
+      provider.getTransactionReceipt.mockResolvedValue({ hash: '0xoriginal', blockNumber: 12, gasUsed: 51000n, status: 0 });
+
+      await service.checkSubmitted();
+
+      expect(job).toMatchObject({ status: 'failed', error: 'Transaction reverted' });
+    });
+
+    it('should fail a job whose nonce was used outside the queue', async () => {
+      const job = submittedJob();
+      TxJob.find.mockReturnValue(query([job]));
+      provider.getTransactionCount.mockResolvedValue(8);
+
+      await service.checkSubmitted();
+
+      expect(job).toMatchObject({ status: 'failed', error: 'Nonce 7 was used by a transaction outside the queue' });
+    });
+
+    it('should bump a job that waited too long by at least 12.5%', async () => {
+      const job = submittedJob();
+      TxJob.find.mockReturnValue(query([job]));
+
+      await service.checkSubmitted();
+
+      expect(job.attempts[1]).toMatchObject({ kind: 'bump', maxFeePerGas: gwei('1.125').toString(), maxPriorityFeePerGas: gwei('0.1125').toString() });
+      expect(ethers.Transaction.from(provider.broadcastTransaction.mock.calls[0][0]).nonce).toBe(7);
+    });
+
+    it('should leave a job alone before it is due for a bump', async () => {
+      const job = submittedJob();
+      job.attempts[0].sentAt = new Date();
+      TxJob.find.mockReturnValue(query([job]));
+
+      await service.checkSubmitted();
+
+      expect(job.attempts).toHaveLength(1);
+      expect(provider.broadcastTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should flag a job the fee caps leave no room to bump', async () => {
+      const job = submittedJob();
+      job.attempts[0].maxFeePerGas = gwei('9').toString();
+      TxJob.find.mockReturnValue(query([job]));
+
+      await service.checkSubmitted();
+
+      expect(job.error).toBe('Fee cap reached; raise TX_MAX_FEE_GWEI_11124 or cancel the job (nonce 7)');
+      expect(job.status).toBe('submitted');
+      expect(provider.broadcastTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should keep bumping a pending cancellation as a cancellation', async () => {
+      const job = submittedJob({ cancelRequested: true });
+      TxJob.find.mockReturnValue(query([job]));
+
+      await service.checkSubmitted();
+
+      expect(job.attempts[1].kind).toBe('cancel');
+      const signed = ethers.Transaction.from(provider.broadcastTransaction.mock.calls[0][0]);
+      expect(signed).toMatchObject({ to: wallet.address, data: '0x', value: 0n });
+    });
+  });
+
+  describe('speedUp and cancel', () => {
+    const treasurer = { address: from, roles: [ROLES.TREASURER] };
+
+    it('should drop a queued job without sending anything', async () => {
+      const job = txJob();
+      TxJob.findById.mockResolvedValue(job);
+
+      await service.cancel('job', treasurer);
+
+      expect(job.status).toBe('cancelled');
+      expect(provider.broadcastTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should replace a submitted job with a transfer to self', async () => {
+      const job = submittedJob();
+      TxJob.findById.mockResolvedValue(job);
+
+      await service.cancel('job', treasurer);
+
+      expect(job.cancelRequested).toBe(true);
+      expect(job.attempts[1].kind).toBe('cancel');
+    });
+
+    it('should require the role the job was queued with', async () => {
+      TxJob.findById.mockResolvedValue(submittedJob());
+
+      await expect(service.speedUp('job', { address: from, roles: [ROLES.OPERATOR] }))
+        .rejects.toThrow(new AuthError('Managing withdrawFees transactions requires the treasurer role'));
+    });
+
+    it('should refuse to speed up a job that is not pending', async () => {
+      TxJob.findById.mockResolvedValue(submittedJob({ status: 'mined' }));
+
+      await expect(service.speedUp('job', treasurer)).rejects.toThrow(new TxQueueError('Transaction job is mined'));
+    });
+
+    it('should undo the cancellation flag when the replacement is refused', async () => {
+      const job = submittedJob();
+      TxJob.findById.mockResolvedValue(job);
+      provider.broadcastTransaction.mockRejectedValue(new Error('replacement transaction underpriced'));
+
+      await expect(service.cancel('job', treasurer)).rejects.toThrow('Replacement refused by the node: replacement transaction underpriced');
+      expect(job.cancelRequested).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../../src/models/Token');
+jest.mock('../../src/models/Trade');
+jest.mock('../../src/models/VolumeRollup');
+
+const mongoose = require('mongoose');
+
+const Token = require('../../src/models/Token');
+const Trade = require('../../src/models/Trade');
+const VolumeRollup = require('../../src/models/VolumeRollup');
+const { volumeService } = require('../../src/services/volumeService');
+
+const { Decimal128 } = mongoose.Types;
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const CURVE = '0x2222222222222222222222222222222222222222';
+const DAY = new Date(Date.UTC(2024, 0, 1));
+
+const rollup = (phase, buyVolume) => ({
+  _id: phase,
+  chainId: 11124,
+  tokenAddress: TOKEN,
+  buyVolume: Decimal128.fromString(buyVolume),
+  contributionVolume: Decimal128.fromString(phase === 0 ? buyVolume : '0'),
+  sellVolume: Decimal128.fromString('0'),
+  sellFees: Decimal128.fromString('0'),
+  trades: 1,
+  contributions: phase === 0 ? 1 : 0,
+  buys: phase === 0 ? 0 : 1,
+  sells: 0,
+  traders: ['0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa']
+});
+
+describe('volumeService', () => {
+  beforeEach(() => {
+    VolumeRollup.updateOne.mockResolvedValue({});
+    VolumeRollup.deleteMany.mockResolvedValue({ deletedCount: 0 });
+  });
+
+  describe('refreshDay', () => {
+    it('should keep one rollup per phase the curve traded in that day', async () => {
+      Trade.aggregate.mockResolvedValue([rollup(0, '2'), rollup(1, '0.5')]);
+
+      const rollups = await volumeService.refreshDay(CURVE, new Date(DAY.getTime() + 5000));
+
+      expect(Trade.aggregate.mock.calls[0][0][1].$group._id).toBe('$phaseAtTrade');
+      expect(rollups.map(entry => entry.phase)).toEqual([0, 1]);
+      expect(VolumeRollup.updateOne.mock.calls.map(([filter]) => filter)).toEqual([
+        { bondingCurveAddress: CURVE, date: DAY, phase: 0 },
+        { bondingCurveAddress: CURVE, date: DAY, phase: 1 }
+      ]);
+      expect(VolumeRollup.deleteMany).toHaveBeenCalledWith({ bondingCurveAddress: CURVE, date: DAY, phase: { $nin: [0, 1] } });
+    });
+
+    it('should drop every rollup of a day left without trades', async () => {
+      Trade.aggregate.mockResolvedValue([]);
+
+      expect(await volumeService.refreshDay(CURVE, DAY)).toEqual([]);
+      expect(VolumeRollup.updateOne).not.toHaveBeenCalled();
+      expect(VolumeRollup.deleteMany).toHaveBeenCalledWith({ bondingCurveAddress: CURVE, date: DAY, phase: { $nin: [] } });
+    });
+  });
+
+  describe('backfill', () => {
+    it('should give older trades their phase and rebuild rollups that have none', async () => {
+      Trade.updateMany.mockResolvedValue({});
+      VolumeRollup.deleteMany.mockResolvedValue({ deletedCount: 3 });
+      VolumeRollup.syncIndexes.mockResolvedValue([]);
+      VolumeRollup.estimatedDocumentCount.mockResolvedValue(0);
+      Trade.estimatedDocumentCount.mockResolvedValue(2);
+      Trade.aggregate
+        .mockResolvedValueOnce([{ _id: { bondingCurveAddress: CURVE, day: DAY } }])
+        .mockResolvedValueOnce([rollup(1, '1')]);
+
+      expect(await volumeService.backfill()).toBe(1);
+
+      expect(Trade.updateMany.mock.calls).toEqual([
+        [{ phaseAtTrade: { $exists: false }, type: 'contribution' }, { $set: { phaseAtTrade: 0 } }],
+        [{ phaseAtTrade: { $exists: false } }, { $set: { phaseAtTrade: 1 } }]
+      ]);
+      expect(VolumeRollup.deleteMany.mock.calls[0][0]).toEqual({ phase: { $exists: false } });
+      expect(VolumeRollup.updateOne.mock.calls[0][0]).toEqual({ bondingCurveAddress: CURVE, date: DAY, phase: 1 });
+    });
+  });
+
+  describe('getTimeline', () => {
+    it('should only read the rollups of the requested phase', async () => {
+      VolumeRollup.aggregate
+        .mockResolvedValueOnce([{ ...rollup(0, '2'), _id: DAY }])
+        .mockResolvedValueOnce([{ _id: DAY, count: 1 }]);
+      Token.aggregate.mockResolvedValue([]);
+
+      const timeline = await volumeService.getTimeline({ from: DAY, chainId: 11124, phase: 0 });
+
+      expect(VolumeRollup.aggregate.mock.calls[0][0][0].$match).toEqual({ date: { $gte: DAY }, chainId: 11124, phase: 0 });
+      expect(Token.aggregate.mock.calls[0][0][0].$match).toEqual({ finalizedAt: { $gte: DAY }, chainId: 11124 });
+      expect(timeline).toEqual([expect.objectContaining({ date: DAY, buyVolume: '2.0', contributionVolume: '2.0', totalVolume: '2.0' })]);
+    });
+
+    it('should count each trader once per bucket', async () => {
+      VolumeRollup.aggregate
+        .mockResolvedValueOnce([{ ...rollup(1, '1'), _id: DAY, trades: 3 }])
+        .mockResolvedValueOnce([{ _id: DAY, count: 2 }]);
+      Token.aggregate.mockResolvedValue([]);
+
+      const [day] = await volumeService.getTimeline({ from: DAY, interval: 'week' });
+
+      const pipeline = VolumeRollup.aggregate.mock.calls[1][0];
+      expect(pipeline.slice(1)).toEqual([
+        { $unwind: '$traders' },
+        { $group: { _id: { bucket: { $dateTrunc: { date: '$date', unit: 'week', startOfWeek: 'monday' } }, trader: '$traders' } } },
+        { $group: { _id: '$_id.bucket', count: { $sum: 1 } } }
+      ]);
+      expect(VolumeRollup.aggregate.mock.calls[0][0][1].$group).not.toHaveProperty('traders');
+      expect(day).toMatchObject({ trades: 3, uniqueTraders: 2 });
+    });
+
+    it('should reject an unknown interval', async () => {
+      await expect(volumeService.getTimeline({ from: DAY, interval: 'hour' })).rejects.toThrow('Unsupported volume interval: hour');
+    });
+  });
+});
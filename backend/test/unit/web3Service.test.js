@@ -0,0 +1,214 @@
+jest.mock('../../src/services/signerService', () => ({
+  signerService: { getSigner: jest.fn(() => ({ address: 'signer' })) }
+}));
+
+const { ethers } = require('ethers');
+
+const { signerService } = require('../../src/services/signerService');
+const { ChainClient } = require('../../src/services/web3Service');
+const { MULTICALL3_ADDRESS } = require('../../src/utils/multicall');
+const { multicallProvider } = require('../helpers/multicall');
+
+const UNISWAP = '0x1111111111111111111111111111111111111111';
+const POSITIONS = '0x2222222222222222222222222222222222222222';
+const WETH = '0x3333333333333333333333333333333333333333';
+const FEE_TO = '0x4444444444444444444444444444444444444444';
+const CURVE = '0x5555555555555555555555555555555555555555';
+const TOKEN = '0x6666666666666666666666666666666666666666';
+const OTHER_CURVE = '0x7777777777777777777777777777777777777777';
+const OTHER_TOKEN = '0x8888888888888888888888888888888888888888';
+
+const liveSettings = {
+  virtualEth: ethers.parseEther('10'),
+  preBondingTarget: ethers.parseEther('2'),
+  bondingTarget: ethers.parseEther('30'),
+  minContribution: ethers.parseEther('0.1'),
+  poolFee: 3000n,
+  sellFee: 100n,
+  uniswapV3Factory: UNISWAP,
+  positionManager: POSITIONS,
+  weth: WETH,
+  feeTo: FEE_TO
+};
+
+const settings = (overrides = {}) => ({
+  virtualEth: '10',
+  preBondingTarget: '2',
+  bondingTarget: '30',
+  minContribution: '0.1',
+  poolFee: 3000,
+  sellFee: 100,
+  uniswapV3Factory: UNISWAP,
+  positionManager: POSITIONS,
+  weth: WETH,
+  feeTo: FEE_TO,
+  ...overrides
+});
+
+describe('ChainClient', () => {
+  describe('previewBondingCurveSettings', () => {
+    let client;
+    let update;
+
+    beforeEach(() => {
+      update = Object.assign(jest.fn(), {
+        staticCall: jest.fn(async () => {}),
+        estimateGas: jest.fn(async () => 84000n)
+      });
+      client = new ChainClient({ chainId: 11124 });
+      client.factoryContract = {
+        getBondingCurveSettings: jest.fn(async () => liveSettings),
+        connect: jest.fn(() => ({ updateBondingCurveSettings: update }))
+      };
+    });
+
+    it('should diff the settings the Factory would store against the live ones', async () => {
+      const preview = await client.previewBondingCurveSettings(settings({ virtualEth: '15', preBondingTarget: '5' }));
+
+      expect(preview).toMatchObject({ wouldSucceed: true, revert: null, gasEstimate: '84000', changedFields: ['virtualEth', 'preBondingTarget'] });
+      expect(preview.diff.find(entry => entry.field === 'preBondingTarget')).toEqual({
+        field: 'preBondingTarget',
+        current: '2.0',
+        requested: '5.0',
+        applied: '3.0',
+        changed: true
+      });
+      expect(preview.preBondingTarget).toEqual({ requested: '5.0', derived: '3.0', overridden: true });
+      expect(signerService.getSigner).toHaveBeenCalledWith(11124);
+      expect(update.staticCall).toHaveBeenCalledWith(expect.objectContaining({ virtualEth: ethers.parseEther('15') }));
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should project the prices a new curve would go through', async () => {
+      const preview = await client.previewBondingCurveSettings(settings({ virtualEth: '20' }));
+
+      expect(preview.curvePrices.current.launchPrice).toBe('0.00000001');
+      expect(preview.curvePrices.proposed.launchPrice).toBe('0.00000002');
+      expect(Number(preview.curvePrices.proposed.bondingTargetPrice)).toBeGreaterThan(Number(preview.curvePrices.proposed.preBondingPrice));
+    });
+
+    it('should report what the Factory would revert on without calling it', async () => {
+      const preview = await client.previewBondingCurveSettings(settings({ bondingTarget: '2' }));
+
+      expect(preview.wouldSucceed).toBe(false);
+      expect(preview.revert).toMatchObject({ stage: 'validation', reason: 'InvalidDeploymentParameters' });
+      expect(preview.curvePrices.proposed).toBeNull();
+      expect(update.staticCall).not.toHaveBeenCalled();
+    });
+
+    it('should report a revert of the eth_call', async () => {
+      update.staticCall.mockRejectedValue(Object.assign(new Error('execution reverted'), {
+        code: 'CALL_EXCEPTION',
+        shortMessage: 'execution reverted (unknown custom error)',
+        revert: { name: 'OwnableUnauthorizedAccount' }
+      }));
+
+      const preview = await client.previewBondingCurveSettings(settings());
+
+      expect(preview.revert).toEqual({
+        stage: 'eth_call',
+        reason: 'OwnableUnauthorizedAccount',
+        message: 'execution reverted (unknown custom error)'
+      });
+      expect(preview.gasEstimate).toBeNull();
+      expect(preview.changedFields).toEqual([]);
+    });
+
+    it('should let RPC failures through', async () => {
+      update.staticCall.mockRejectedValue(Object.assign(new Error('timeout'), { code: 'TIMEOUT' }));
+
+      await expect(client.previewBondingCurveSettings(settings())).rejects.toThrow('timeout');
+    });
+  });
+
+  describe('getBondingCurveStates', () => {
+    const curveValues = {
+      token: [TOKEN],
+      currentPhase: [1n],
+      totalPreBondingContributions: [ethers.parseEther('2')],
+      ethReserve: [ethers.parseEther('12')],
+      tokenReserve: [ethers.parseEther('800000000')],
+      totalETHCollected: [ethers.parseEther('2')],
+      isFinalized: [false],
+      getBondingCurveSettings: [liveSettings]
+    };
+    const tokenValues = {
+      name: ['Meme'],
+      symbol: ['MEME'],
+      decimals: [18n],
+      totalSupply: [ethers.parseEther('1000000000')]
+    };
+
+    let client;
+
+    beforeEach(() => {
+      client = new ChainClient({ chainId: 11124 });
+      client.multicallAddress = MULTICALL3_ADDRESS;
+      // CURVE and TOKEN answer their reads; OTHER_CURVE is not a bonding curve
+      client.provider = multicallProvider((target, callData) => {
+        const [contractInterface, values] = {
+          [CURVE.toLowerCase()]: [client.bondingCurveInterface, curveValues],
+          [TOKEN.toLowerCase()]: [client.tokenInterface, tokenValues],
+          [OTHER_TOKEN.toLowerCase()]: [client.tokenInterface, tokenValues]
+        }[target] || [];
+        if (!contractInterface) {
+          return { success: false, returnData: '0x' };
+        }
+        const { name } = contractInterface.parseTransaction({ data: callData });
+        return { success: true, returnData: contractInterface.encodeFunctionResult(name, values[name]) };
+      });
+    });
+
+    it('should read every curve and its token in one aggregate call', async () => {
+      const [state] = await client.getBondingCurveStates([{ bondingCurveAddress: CURVE, tokenAddress: TOKEN }]);
+
+      expect(state).toEqual({
+        bondingCurveAddress: CURVE,
+        tokenAddress: TOKEN,
+        bondingCurve: {
+          tokenAddress: TOKEN,
+          currentPhase: 1,
+          totalPreBondingContributions: '2.0',
+          ethReserve: '12.0',
+          tokenReserve: '800000000.0',
+          totalETHCollected: '2.0',
+          isFinalized: false,
+          settings: {
+            virtualEth: '10.0',
+            preBondingTarget: '2.0',
+            bondingTarget: '30.0',
+            minContribution: '0.1',
+            poolFee: '3000',
+            sellFee: '100'
+          }
+        },
+        token: { name: 'Meme', symbol: 'MEME', decimals: 18, totalSupply: '1000000000.0' }
+      });
+      expect(client.provider.call).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report a curve whose reads fail without failing the others', async () => {
+      const states = await client.getBondingCurveStates([
+        { bondingCurveAddress: OTHER_CURVE, tokenAddress: OTHER_TOKEN },
+        { bondingCurveAddress: CURVE, tokenAddress: TOKEN }
+      ]);
+
+      expect(states[0]).toEqual({ bondingCurveAddress: OTHER_CURVE, tokenAddress: OTHER_TOKEN, error: 'Failed to read bonding curve state' });
+      expect(states[1].bondingCurve.ethReserve).toBe('12.0');
+    });
+
+    it('should keep the curves in order across batches', async () => {
+      client.provider.policy.multicallBatchSize = 5;
+
+      const states = await client.getBondingCurveStates([
+        { bondingCurveAddress: CURVE, tokenAddress: TOKEN },
+        { bondingCurveAddress: OTHER_CURVE, tokenAddress: OTHER_TOKEN },
+        { bondingCurveAddress: CURVE, tokenAddress: TOKEN }
+      ]);
+
+      expect(states.map(state => Boolean(state.error))).toEqual([false, true, false]);
+      expect(client.provider.call).toHaveBeenCalledTimes(8);
+      expect(client.provider.getBlockNumber).toHaveBeenCalledTimes(1);
+    });
+  });
+});
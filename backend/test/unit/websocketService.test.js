@@ -0,0 +1,150 @@
+jest.mock('../../src/models/Token');
+jest.mock('../../src/models/Trade');
+
+const EventEmitter = require('events');
+const http = require('http');
+const net = require('net');
+
+const express = require('express');
+const { WebSocket } = require('ws');
+
+const Token = require('../../src/models/Token');
+const { websocketService } = require('../../src/services/websocketService');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+
+// Stands in for a connected ws client
+const makeSocket = () => Object.assign(new EventEmitter(), {
+  readyState: WebSocket.OPEN,
+  bufferedAmount: 0,
+  send: jest.fn()
+});
+
+const sent = (ws) => ws.send.mock.calls.map(([message]) => JSON.parse(message));
+
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  expect(condition()).toBe(true);
+};
+
+describe('websocketService', () => {
+  describe('handleMessage', () => {
+    let ws;
+
+    beforeEach(() => {
+      ws = makeSocket();
+      websocketService.handleConnection(ws);
+      ws.send.mockClear();
+    });
+
+    afterEach(() => {
+      ws.emit('close');
+    });
+
+    it.each(['null', '[]', '"subscribe"', '42'])('should answer a %s frame with an error', async (frame) => {
+      await websocketService.handleMessage(ws, Buffer.from(frame));
+
+      expect(sent(ws)).toEqual([{ type: 'error', message: 'Messages must be JSON objects' }]);
+    });
+
+    it('should subscribe to a token channel and send its current phase', async () => {
+      Token.findByAddress.mockResolvedValue({ getProgress: () => ({ tokenAddress: TOKEN, currentPhase: 1 }) });
+
+      await websocketService.handleMessage(ws, Buffer.from(JSON.stringify({ type: 'subscribe', channel: 'phase', address: TOKEN })));
+
+      expect(sent(ws)).toEqual([
+        { type: 'subscribed', channel: `phase:${TOKEN}` },
+        expect.objectContaining({ type: 'event', channel: `phase:${TOKEN}`, data: { tokenAddress: TOKEN, currentPhase: 1 } })
+      ]);
+      expect(websocketService.subscriptions.get(`phase:${TOKEN}`).has(ws)).toBe(true);
+    });
+
+    it('should send an error frame when a message handler fails', async () => {
+      const handleMessage = jest.spyOn(websocketService, 'handleMessage').mockRejectedValue(new Error('boom'));
+
+      ws.emit('message', Buffer.from('{}'));
+      await waitFor(() => ws.send.mock.calls.length > 0);
+      handleMessage.mockRestore();
+
+      expect(sent(ws)).toEqual([{ type: 'error', message: 'Message could not be handled' }]);
+    });
+  });
+
+  describe('getClientIp', () => {
+    const req = { headers: { 'x-forwarded-for': '198.51.100.1, 203.0.113.7' }, socket: { remoteAddress: '10.0.0.1' } };
+
+    afterEach(() => {
+      websocketService.trustProxy = () => false;
+    });
+
+    it('should ignore X-Forwarded-For without a trusted proxy', () => {
+      expect(websocketService.getClientIp(req)).toBe('10.0.0.1');
+    });
+
+    it('should read X-Forwarded-For as far as the app trusts proxies', () => {
+      const app = express();
+      app.set('trust proxy', 1);
+      websocketService.trustProxy = app.get('trust proxy fn');
+
+      expect(websocketService.getClientIp(req)).toBe('203.0.113.7');
+    });
+  });
+
+  describe('connection limit', () => {
+    let server;
+    let url;
+
+    const connect = () => new Promise((resolve) => {
+      const client = new WebSocket(url);
+      client.once('open', () => resolve({ client }));
+      client.once('unexpected-response', (request, response) => resolve({ status: response.statusCode }));
+    });
+
+    beforeEach(async () => {
+      websocketService.maxConnectionsPerIp = 1;
+      server = http.createServer();
+      websocketService.attach(server, express());
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `ws://127.0.0.1:${server.address().port}${websocketService.path}`;
+    });
+
+    afterEach(async () => {
+      websocketService.close();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should refuse connections over the per-IP limit and free the slot on close', async () => {
+      const { client } = await connect();
+      expect(websocketService.connectionsByIp.get('127.0.0.1')).toBe(1);
+
+      expect(await connect()).toEqual({ status: 429 });
+
+      client.close();
+      await waitFor(() => !websocketService.connectionsByIp.has('127.0.0.1'));
+      const { client: next } = await connect();
+      next.close();
+    });
+
+    it('should free the slot when the client drops the socket without a close frame', async () => {
+      const socket = net.connect(server.address().port, '127.0.0.1');
+      socket.on('error', () => {});
+      socket.write([
+        `GET ${websocketService.path} HTTP/1.1`,
+        'Host: 127.0.0.1',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+        'Sec-WebSocket-Version: 13',
+        '',
+        ''
+      ].join('\r\n'));
+      // Reserved when the upgrade request is verified
+      await waitFor(() => websocketService.connectionsByIp.get('127.0.0.1') === 1);
+      socket.destroy();
+
+      await waitFor(() => !websocketService.connectionsByIp.has('127.0.0.1'));
+    });
+  });
+});
@@ -1,6 +1,9 @@
 const path = require('path');
 
 const fse = require('fs-extra');
+
+const { generateClients } = require('./scripts/generate-clients');
+
 const make = async () => {
     const deployments = await fse.readJson('./exports/deployments.json');
     const chains = Object.keys(deployments);
@@ -25,6 +28,6 @@ const make = async () => {
         fse.writeFile(abiPath, JSON.stringify(data[name]), "utf8");
     }
 };
-make();
+make().then(generateClients);
 
 
@@ -0,0 +1,15 @@
+// Live chains use the canonical Multicall3 at 0xcA11bde05977b3631167028862bE2a173976CA11;
+// local networks get their own so the backend can batch reads offline
+module.exports = async function ({ deployments, getNamedAccounts }) {
+    const { deploy } = deployments;
+    const { deployer } = await getNamedAccounts();
+
+    await deploy("Multicall3", {
+        from: deployer,
+        args: [],
+        log: true,
+        deterministicDeployment: false
+    });
+};
+module.exports.tags = ["Multicall3"];
+module.exports.skip = async ({ network }) => network.live;
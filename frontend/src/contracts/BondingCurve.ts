@@ -0,0 +1,40 @@
+// Generated by scripts/generate-clients.js - do not edit
+import type { BaseContract, BaseContractMethod, BigNumberish, BytesLike, ContractRunner, ContractTransactionResponse } from 'ethers';
+import { Contract } from 'ethers';
+import { BondingCurveArtifact } from './abis/BondingCurve';
+import type { BondingCurveSettingsStruct, BondingCurveSettingsStructOutput } from './structs';
+
+export interface BondingCurveContract extends BaseContract {
+  acceptOwnership: BaseContractMethod<[], void, ContractTransactionResponse>;
+  accumulatedFees: BaseContractMethod<[], bigint, bigint>;
+  buyTokens: BaseContractMethod<[minTokens: BigNumberish], bigint, ContractTransactionResponse>;
+  contributePreBonding: BaseContractMethod<[], void, ContractTransactionResponse>;
+  contributions: BaseContractMethod<[arg0: string], bigint, bigint>;
+  currentPhase: BaseContractMethod<[], bigint, bigint>;
+  ethReserve: BaseContractMethod<[], bigint, bigint>;
+  finalizeCurve: BaseContractMethod<[], void, ContractTransactionResponse>;
+  getBondingCurveSettings: BaseContractMethod<[], BondingCurveSettingsStructOutput, BondingCurveSettingsStructOutput>;
+  initialize: BaseContractMethod<[token_: string, lock_: string, owner_: string, settings_: BondingCurveSettingsStruct], void, ContractTransactionResponse>;
+  isFinalized: BaseContractMethod<[], boolean, boolean>;
+  lockContract: BaseContractMethod<[], string, string>;
+  lpTokenId: BaseContractMethod<[], bigint, bigint>;
+  onERC721Received: BaseContractMethod<[arg0: string, arg1: string, arg2: BigNumberish, arg3: BytesLike], string, string>;
+  owner: BaseContractMethod<[], string, string>;
+  pendingOwner: BaseContractMethod<[], string, string>;
+  preBondingTokens: BaseContractMethod<[], bigint, bigint>;
+  renounceOwnership: BaseContractMethod<[], void, ContractTransactionResponse>;
+  sellTokens: BaseContractMethod<[tokenAmount: BigNumberish, minETH: BigNumberish], [bigint, bigint] & { ethToReceive: bigint; fee: bigint }, ContractTransactionResponse>;
+  token: BaseContractMethod<[], string, string>;
+  tokenAllocations: BaseContractMethod<[arg0: string], bigint, bigint>;
+  tokenLocks: BaseContractMethod<[arg0: string], boolean, boolean>;
+  tokenReserve: BaseContractMethod<[], bigint, bigint>;
+  totalETHCollected: BaseContractMethod<[], bigint, bigint>;
+  totalPreBondingContributions: BaseContractMethod<[], bigint, bigint>;
+  transferOwnership: BaseContractMethod<[newOwner: string], void, ContractTransactionResponse>;
+  uniswapPool: BaseContractMethod<[], string, string>;
+  withdrawTokenAllocation: BaseContractMethod<[recipient: string], void, ContractTransactionResponse>;
+}
+
+// BondingCurve at `address`, read-only without a runner that can sign
+export const connectBondingCurve = (address: string, runner: ContractRunner | null = null): BondingCurveContract =>
+  new Contract(address, BondingCurveArtifact.abi, runner) as unknown as BondingCurveContract;
@@ -0,0 +1,29 @@
+// Generated by scripts/generate-clients.js - do not edit
+import type { BaseContract, BaseContractMethod, BigNumberish, ContractRunner, ContractTransactionResponse } from 'ethers';
+import { Contract } from 'ethers';
+import { FactoryArtifact } from './abis/Factory';
+import type { BondingCurveSettingsStruct, BondingCurveSettingsStructOutput } from './structs';
+
+export interface FactoryContract extends BaseContract {
+  acceptOwnership: BaseContractMethod<[], void, ContractTransactionResponse>;
+  deployBondingCurveSystem: BaseContractMethod<[name: string, symbol: string], [string, string] & { tokenAddress: string; bondingCurveAddress: string }, ContractTransactionResponse>;
+  getBondingCurveForToken: BaseContractMethod<[token: string], string, string>;
+  getBondingCurveImplementation: BaseContractMethod<[], string, string>;
+  getBondingCurveSettings: BaseContractMethod<[], BondingCurveSettingsStructOutput, BondingCurveSettingsStructOutput>;
+  getDeploymentFee: BaseContractMethod<[], bigint, bigint>;
+  getLockContract: BaseContractMethod<[], string, string>;
+  getTokenForBondingCurve: BaseContractMethod<[bondingCurve: string], string, string>;
+  getTokenImplementation: BaseContractMethod<[], string, string>;
+  initialize: BaseContractMethod<[factoryFees: BigNumberish, owner: string, tokenImpl: string, bondingCurveImpl: string, lockContractAddr: string, initialSettings: BondingCurveSettingsStruct], void, ContractTransactionResponse>;
+  owner: BaseContractMethod<[], string, string>;
+  pendingOwner: BaseContractMethod<[], string, string>;
+  renounceOwnership: BaseContractMethod<[], void, ContractTransactionResponse>;
+  transferOwnership: BaseContractMethod<[newOwner: string], void, ContractTransactionResponse>;
+  updateBondingCurveSettings: BaseContractMethod<[newSettings: BondingCurveSettingsStruct], void, ContractTransactionResponse>;
+  updateDeploymentFee: BaseContractMethod<[newFee: BigNumberish], void, ContractTransactionResponse>;
+  withdrawFees: BaseContractMethod<[recipient: string], void, ContractTransactionResponse>;
+}
+
+// Factory at `address`, read-only without a runner that can sign
+export const connectFactory = (address: string, runner: ContractRunner | null = null): FactoryContract =>
+  new Contract(address, FactoryArtifact.abi, runner) as unknown as FactoryContract;
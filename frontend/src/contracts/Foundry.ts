@@ -0,0 +1,28 @@
+// Generated by scripts/generate-clients.js - do not edit
+import type { BaseContract, BaseContractMethod, BigNumberish, ContractRunner, ContractTransactionResponse } from 'ethers';
+import { Contract } from 'ethers';
+import { FoundryArtifact } from './abis/Foundry';
+import type { BondingCurveSettingsStruct, BondingCurveSettingsStructOutput } from './structs';
+
+export interface FoundryContract extends BaseContract {
+  deploySystem: BaseContractMethod<[owner: string, factoryFees: BigNumberish, settings: BondingCurveSettingsStruct], [string, string] & { factoryAddress: string; lockAddress: string }, ContractTransactionResponse>;
+  getBondingCurveImplementation: BaseContractMethod<[], string, string>;
+  getDeploymentFee: BaseContractMethod<[], bigint, bigint>;
+  getFactoryImplementation: BaseContractMethod<[], string, string>;
+  getLockImplementation: BaseContractMethod<[], string, string>;
+  getTokenImplementation: BaseContractMethod<[], string, string>;
+  isDeployedClone: BaseContractMethod<[cloneAddress: string], boolean, boolean>;
+  owner: BaseContractMethod<[], string, string>;
+  pause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  paused: BaseContractMethod<[], boolean, boolean>;
+  renounceOwnership: BaseContractMethod<[], void, ContractTransactionResponse>;
+  transferOwnership: BaseContractMethod<[newOwner: string], void, ContractTransactionResponse>;
+  unpause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  updateDeploymentFee: BaseContractMethod<[newFee: BigNumberish], void, ContractTransactionResponse>;
+  updateImplementation: BaseContractMethod<[implementationType: string, newImplementation: string], void, ContractTransactionResponse>;
+  withdrawFees: BaseContractMethod<[recipient: string], void, ContractTransactionResponse>;
+}
+
+// Foundry at `address`, read-only without a runner that can sign
+export const connectFoundry = (address: string, runner: ContractRunner | null = null): FoundryContract =>
+  new Contract(address, FoundryArtifact.abi, runner) as unknown as FoundryContract;
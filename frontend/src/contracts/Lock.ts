@@ -0,0 +1,30 @@
+// Generated by scripts/generate-clients.js - do not edit
+import type { BaseContract, BaseContractMethod, BigNumberish, BytesLike, ContractRunner, ContractTransactionResponse } from 'ethers';
+import { Contract } from 'ethers';
+import { LockArtifact } from './abis/Lock';
+
+export interface LockContract extends BaseContract {
+  LOCK_DURATION: BaseContractMethod<[], bigint, bigint>;
+  UNISWAP_V3_POSITION_MANAGER: BaseContractMethod<[], string, string>;
+  acceptOwnership: BaseContractMethod<[], void, ContractTransactionResponse>;
+  checkAvailableFees: BaseContractMethod<[tokenId: BigNumberish], [bigint, bigint] & { amount0: bigint; amount1: bigint }, [bigint, bigint] & { amount0: bigint; amount1: bigint }>;
+  claimFees: BaseContractMethod<[tokenId: BigNumberish], [bigint, bigint] & { amount0: bigint; amount1: bigint }, ContractTransactionResponse>;
+  getNFTsByOwner: BaseContractMethod<[owner: string], bigint[], bigint[]>;
+  getRemainingLockTime: BaseContractMethod<[tokenId: BigNumberish], bigint, bigint>;
+  initialize: BaseContractMethod<[], void, ContractTransactionResponse>;
+  isNFTLocked: BaseContractMethod<[tokenId: BigNumberish], boolean, boolean>;
+  lockNFT: BaseContractMethod<[tokenId: BigNumberish, owner: string], void, ContractTransactionResponse>;
+  lockedNFTs: BaseContractMethod<[arg0: BigNumberish], [string, bigint, boolean, bigint] & { owner: string; tokenId: bigint; isLocked: boolean; lockedAt: bigint }, [string, bigint, boolean, bigint] & { owner: string; tokenId: bigint; isLocked: boolean; lockedAt: bigint }>;
+  onERC721Received: BaseContractMethod<[arg0: string, arg1: string, arg2: BigNumberish, arg3: BytesLike], string, string>;
+  owner: BaseContractMethod<[], string, string>;
+  ownerNFTs: BaseContractMethod<[arg0: string, arg1: BigNumberish], bigint, bigint>;
+  pendingOwner: BaseContractMethod<[], string, string>;
+  positionManager: BaseContractMethod<[], string, string>;
+  renounceOwnership: BaseContractMethod<[], void, ContractTransactionResponse>;
+  transferOwnership: BaseContractMethod<[newOwner: string], void, ContractTransactionResponse>;
+  unlockNFT: BaseContractMethod<[tokenId: BigNumberish, to: string], void, ContractTransactionResponse>;
+}
+
+// Lock at `address`, read-only without a runner that can sign
+export const connectLock = (address: string, runner: ContractRunner | null = null): LockContract =>
+  new Contract(address, LockArtifact.abi, runner) as unknown as LockContract;
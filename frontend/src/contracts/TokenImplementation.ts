@@ -0,0 +1,25 @@
+// Generated by scripts/generate-clients.js - do not edit
+import type { BaseContract, BaseContractMethod, BigNumberish, ContractRunner, ContractTransactionResponse } from 'ethers';
+import { Contract } from 'ethers';
+import { TokenImplementationArtifact } from './abis/TokenImplementation';
+
+export interface TokenImplementationContract extends BaseContract {
+  TOTAL_SUPPLY: BaseContractMethod<[], bigint, bigint>;
+  allowance: BaseContractMethod<[owner: string, spender: string], bigint, bigint>;
+  approve: BaseContractMethod<[spender: string, value: BigNumberish], boolean, ContractTransactionResponse>;
+  balanceOf: BaseContractMethod<[account: string], bigint, bigint>;
+  decimals: BaseContractMethod<[], bigint, bigint>;
+  factory: BaseContractMethod<[], string, string>;
+  initialize: BaseContractMethod<[name_: string, symbol_: string], void, ContractTransactionResponse>;
+  isMinted: BaseContractMethod<[], boolean, boolean>;
+  mintTotalSupply: BaseContractMethod<[to: string], void, ContractTransactionResponse>;
+  name: BaseContractMethod<[], string, string>;
+  symbol: BaseContractMethod<[], string, string>;
+  totalSupply: BaseContractMethod<[], bigint, bigint>;
+  transfer: BaseContractMethod<[to: string, value: BigNumberish], boolean, ContractTransactionResponse>;
+  transferFrom: BaseContractMethod<[from: string, to: string, value: BigNumberish], boolean, ContractTransactionResponse>;
+}
+
+// TokenImplementation at `address`, read-only without a runner that can sign
+export const connectTokenImplementation = (address: string, runner: ContractRunner | null = null): TokenImplementationContract =>
+  new Contract(address, TokenImplementationArtifact.abi, runner) as unknown as TokenImplementationContract;
@@ -0,0 +1,12 @@
+// Generated by scripts/generate-clients.js - do not edit
+export * from './abis/BondingCurve';
+export * from './abis/Factory';
+export * from './abis/Foundry';
+export * from './abis/Lock';
+export * from './abis/TokenImplementation';
+export * from './BondingCurve';
+export * from './Factory';
+export * from './Foundry';
+export * from './Lock';
+export * from './TokenImplementation';
+export * from './structs';
@@ -0,0 +1,28 @@
+// Generated by scripts/generate-clients.js - do not edit
+import type { BigNumberish } from 'ethers';
+
+export interface BondingCurveSettingsStruct {
+  virtualEth: BigNumberish;
+  preBondingTarget: BigNumberish;
+  bondingTarget: BigNumberish;
+  minContribution: BigNumberish;
+  poolFee: BigNumberish;
+  sellFee: BigNumberish;
+  uniswapV3Factory: string;
+  positionManager: string;
+  weth: string;
+  feeTo: string;
+}
+
+export interface BondingCurveSettingsStructOutput {
+  virtualEth: bigint;
+  preBondingTarget: bigint;
+  bondingTarget: bigint;
+  minContribution: bigint;
+  poolFee: bigint;
+  sellFee: bigint;
+  uniswapV3Factory: string;
+  positionManager: string;
+  weth: string;
+  feeTo: string;
+}
@@ -33,8 +33,8 @@ interface TokenData {
 
 interface BondingCurveData {
   virtualEth: string;
-  realEth: string;
-  tokenSupply: string;
+  ethReserve: string;
+  tokenReserve: string;
   preBondingTarget: string;
   bondingTarget: string;
   isActive: boolean;
@@ -173,7 +173,7 @@ const TokenDetail: React.FC<TokenDetailProps> = ({ wallet }) => {
         </div>
         <div className="card">
           <h3 className="text-lg font-semibold text-secondary-800 mb-2">ETH Reserve</h3>
-          <p className="text-2xl font-bold">{bondingCurveData.realEth} ETH</p>
+          <p className="text-2xl font-bold">{bondingCurveData.ethReserve} ETH</p>
         </div>
         <div className="card">
           <h3 className="text-lg font-semibold text-secondary-800 mb-2">Your Balance</h3>
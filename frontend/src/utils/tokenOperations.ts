@@ -35,7 +35,7 @@ export async function buyTokens(
 
     return {
       success: true,
-      txHash: receipt.hash
+      txHash: receipt?.hash ?? tx.hash
     };
   } catch (error: any) {
     console.error('Error buying tokens:', error);
@@ -63,7 +63,7 @@ export async function sellTokens(
     );
 
     // Get token contract
-    const token = await web3Service.getTokenContract(bondingCurveAddress);
+    const token = web3Service.getTokenContract(await bondingCurve.token());
     
     // Approve bonding curve to spend tokens
     const approveTx = await token.approve(
@@ -83,7 +83,7 @@ export async function sellTokens(
 
     return {
       success: true,
-      txHash: receipt.hash
+      txHash: receipt?.hash ?? tx.hash
     };
   } catch (error: any) {
     console.error('Error selling tokens:', error);
@@ -96,9 +96,7 @@ export async function sellTokens(
 
 export async function getTokenPrice(bondingCurveAddress: string): Promise<string> {
   try {
-    const bondingCurve = await web3Service.getBondingCurveContract(bondingCurveAddress);
-    const price = await bondingCurve.getTokenPrice();
-    return ethers.formatEther(price);
+    return await web3Service.getTokenPrice(bondingCurveAddress);
   } catch (error) {
     console.error('Error getting token price:', error);
     return '0';
@@ -1,6 +1,5 @@
 import { ethers } from 'ethers';
-import BondingCurveABI from '../abis/BondingCurve.json';
-import TokenABI from '../abis/Token.json';
+import { connectBondingCurve, connectFactory, connectTokenImplementation } from '../contracts';
 
 export interface TokenData {
   address: string;
@@ -13,8 +12,8 @@ export interface TokenData {
 
 export interface BondingCurveData {
   virtualEth: string;
-  realEth: string;
-  tokenSupply: string;
+  ethReserve: string;
+  tokenReserve: string;
   preBondingTarget: string;
   bondingTarget: string;
   isActive: boolean;
@@ -32,46 +31,15 @@ const ABSTRACT_TESTNET_CONFIG = {
   blockExplorerUrls: ['https://explorer.testnet.abs.xyz'],
 };
 
+// BondingCurve.Phase.PreBonding
+const PRE_BONDING_PHASE = BigInt(0);
+
 export const CONTRACT_ADDRESSES = {
   FACTORY: '0xA82ef1545854E36EAebAcF84e17089FeCb8944BC',
   BONDING_CURVE: '0x25dE7b35F051942Cc98FA750C3679ec15a2E2932',
   TOKEN_IMPLEMENTATION: '0xE46c4C13Ff1aF3265A5c4B678606F8228a8a627C',
 };
 
-export const FACTORY_ABI = [
-  "function deployBondingCurveSystem(string memory name, string memory symbol, string memory description, string memory image, string memory twitter, string memory telegram, string memory website) external payable returns (address bondingCurve, address token)",
-  "function getBondingCurveSettings() external view returns (uint256 virtualEth, uint256 preBondingTarget, uint256 bondingTarget, uint256 minContribution, uint24 poolFee)",
-  "function getDeploymentFee() external view returns (uint256)",
-  "event BondingCurveSystemDeployed(address indexed bondingCurveAddress, address indexed tokenAddress, address indexed owner, string name, string symbol)"
-];
-
-export const BONDING_CURVE_ABI = [
-  "function buy() external payable returns (uint256 tokensReceived)",
-  "function sell(uint256 tokenAmount) external returns (uint256 ethReceived)",
-  "function getTokenPrice() external view returns (uint256)",
-  "function getBuyPrice(uint256 ethAmount) external view returns (uint256 tokenAmount)",
-  "function getSellPrice(uint256 tokenAmount) external view returns (uint256 ethAmount)",
-  "function virtualEth() external view returns (uint256)",
-  "function realEth() external view returns (uint256)",
-  "function tokenSupply() external view returns (uint256)",
-  "function preBondingTarget() external view returns (uint256)",
-  "function bondingTarget() external view returns (uint256)",
-  "function isActive() external view returns (bool)",
-  "function token() external view returns (address)",
-  "event TokensPurchased(address indexed buyer, uint256 ethAmount, uint256 tokenAmount, uint256 newPrice)",
-  "event TokensSold(address indexed seller, uint256 tokenAmount, uint256 ethAmount, uint256 newPrice)"
-];
-
-export const TOKEN_ABI = [
-  "function name() external view returns (string memory)",
-  "function symbol() external view returns (string memory)",
-  "function totalSupply() external view returns (uint256)",
-  "function balanceOf(address owner) external view returns (uint256)",
-  "function transfer(address to, uint256 amount) external returns (bool)",
-  "function approve(address spender, uint256 amount) external returns (bool)",
-  "function allowance(address owner, address spender) external view returns (uint256)"
-];
-
 class Web3Service {
   private provider: ethers.BrowserProvider | null = null;
   private signer: ethers.Signer | null = null;
@@ -122,46 +90,74 @@ class Web3Service {
     return ethers.formatEther(balance);
   }
 
-  private getBondingCurveContract(address: string) {
+  getFactoryContract() {
     if (!this.signer) throw new Error('Web3 not initialized');
-    return new ethers.Contract(address, BondingCurveABI, this.signer);
+    return connectFactory(CONTRACT_ADDRESSES.FACTORY, this.signer);
   }
 
-  private getTokenContract(address: string) {
+  getBondingCurveContract(address: string) {
     if (!this.signer) throw new Error('Web3 not initialized');
-    return new ethers.Contract(address, TokenABI, this.signer);
+    return connectBondingCurve(address, this.signer);
   }
 
-  async getBuyPrice(bondingCurveAddress: string, ethAmount: string): Promise<string> {
+  getTokenContract(address: string) {
+    if (!this.signer) throw new Error('Web3 not initialized');
+    return connectTokenImplementation(address, this.signer);
+  }
+
+  // The curve has no quote functions; quotes use its reserves like BondingMath.sol.
+  // Both reserves stay 0 until PreBonding ends, when contributions are priced with
+  // virtualEth against the curve's whole token balance, as in contributePreBonding().
+  private async getReserves(bondingCurveAddress: string) {
     const contract = this.getBondingCurveContract(bondingCurveAddress);
-    const tokens = await contract.calculateTokensForETH(ethers.parseEther(ethAmount));
+    const [currentPhase, ethReserve, tokenReserve, settings] = await Promise.all([
+      contract.currentPhase(),
+      contract.ethReserve(),
+      contract.tokenReserve(),
+      contract.getBondingCurveSettings(),
+    ]);
+
+    if (currentPhase === PRE_BONDING_PHASE) {
+      const token = this.getTokenContract(await contract.token());
+      return {
+        ethReserve: settings.virtualEth,
+        tokenReserve: await token.balanceOf(bondingCurveAddress),
+        sellFee: settings.sellFee,
+      };
+    }
+    return { ethReserve, tokenReserve, sellFee: settings.sellFee };
+  }
+
+  async getBuyPrice(bondingCurveAddress: string, ethAmount: string): Promise<string> {
+    const { ethReserve, tokenReserve } = await this.getReserves(bondingCurveAddress);
+    const ethIn = ethers.parseEther(ethAmount);
+    const tokens = (ethIn * tokenReserve) / (ethReserve + ethIn);
     return ethers.formatEther(tokens);
   }
 
   async getSellPrice(bondingCurveAddress: string, tokenAmount: string): Promise<string> {
-    const contract = this.getBondingCurveContract(bondingCurveAddress);
-    const eth = await contract.calculateETHForTokens(ethers.parseEther(tokenAmount));
-    return ethers.formatEther(eth);
+    const { ethReserve, tokenReserve, sellFee } = await this.getReserves(bondingCurveAddress);
+    const tokenIn = ethers.parseEther(tokenAmount);
+    const eth = (tokenIn * ethReserve) / (tokenReserve + tokenIn);
+    return ethers.formatEther(eth - (eth * sellFee) / BigInt(10000));
   }
 
-  async getBondingCurveData(bondingCurveAddress: string) {
+  async getBondingCurveData(bondingCurveAddress: string): Promise<BondingCurveData> {
     const contract = this.getBondingCurveContract(bondingCurveAddress);
-    const [virtualEth, realEth, tokenSupply, preBondingTarget, bondingTarget, isActive] = await Promise.all([
-      contract.virtualEth(),
-      contract.realEth(),
-      contract.tokenSupply(),
-      contract.preBondingTarget(),
-      contract.bondingTarget(),
-      contract.isActive(),
+    const [ethReserve, tokenReserve, isFinalized, settings] = await Promise.all([
+      contract.ethReserve(),
+      contract.tokenReserve(),
+      contract.isFinalized(),
+      contract.getBondingCurveSettings(),
     ]);
 
     return {
-      virtualEth: ethers.formatEther(virtualEth),
-      realEth: ethers.formatEther(realEth),
-      tokenSupply: ethers.formatEther(tokenSupply),
-      preBondingTarget: ethers.formatEther(preBondingTarget),
-      bondingTarget: ethers.formatEther(bondingTarget),
-      isActive,
+      virtualEth: ethers.formatEther(settings.virtualEth),
+      ethReserve: ethers.formatEther(ethReserve),
+      tokenReserve: ethers.formatEther(tokenReserve),
+      preBondingTarget: ethers.formatEther(settings.preBondingTarget),
+      bondingTarget: ethers.formatEther(settings.bondingTarget),
+      isActive: !isFinalized,
     };
   }
 
@@ -171,7 +167,7 @@ class Web3Service {
       contract.name(),
       contract.symbol(),
       contract.totalSupply(),
-      contract.bondingCurve(),
+      this.getFactoryContract().getBondingCurveForToken(tokenAddress),
     ]);
 
     const bondingCurveData = await this.getBondingCurveData(bondingCurve);
@@ -188,9 +184,9 @@ class Web3Service {
   }
 
   async getTokenPrice(bondingCurveAddress: string): Promise<string> {
-    const contract = this.getBondingCurveContract(bondingCurveAddress);
-    const price = await contract.getTokenPrice();
-    return ethers.formatEther(price);
+    const { ethReserve, tokenReserve } = await this.getReserves(bondingCurveAddress);
+    if (tokenReserve === BigInt(0)) return '0';
+    return ethers.formatEther((ethReserve * ethers.WeiPerEther) / tokenReserve);
   }
 
   async getDeploymentFee(): Promise<string> {
@@ -198,13 +194,7 @@ class Web3Service {
       await this.init();
     }
 
-    const factory = new ethers.Contract(
-      CONTRACT_ADDRESSES.FACTORY,
-      FACTORY_ABI,
-      this.signer
-    );
-
-    const fee = await factory.getDeploymentFee();
+    const fee = await this.getFactoryContract().getDeploymentFee();
     return ethers.formatEther(fee);
   }
 
@@ -224,11 +214,7 @@ class Web3Service {
         await this.init();
       }
 
-      const factory = new ethers.Contract(
-        CONTRACT_ADDRESSES.FACTORY,
-        FACTORY_ABI,
-        this.signer
-      );
+      const factory = this.getFactoryContract();
 
       const deploymentFee = await this.getDeploymentFee();
       console.log('Deployment fee:', deploymentFee);
@@ -242,14 +228,10 @@ class Web3Service {
         deploymentFee
       });
 
+      // Only the name and symbol are stored on-chain
       const tx = await factory.deployBondingCurveSystem(
         name,
         symbol,
-        description,
-        imageUrl,
-        socialLinks.twitter || '',
-        socialLinks.telegram || '',
-        socialLinks.website || '',
         { value: ethers.parseEther(deploymentFee) }
       );
 
@@ -257,12 +239,12 @@ class Web3Service {
       const receipt = await tx.wait();
       console.log('Transaction receipt:', receipt);
 
-      const event = receipt.logs.find(
-        (log: any) => log.fragment?.name === 'BondingCurveSystemDeployed'
-      );
+      const event = receipt?.logs
+        .map((log) => factory.interface.parseLog(log))
+        .find((parsed) => parsed?.name === 'BondingCurveSystemDeployed');
 
       if (!event) {
-        console.error('Deployment event not found in logs:', receipt.logs);
+        console.error('Deployment event not found in logs:', receipt?.logs);
         throw new Error('Deployment event not found');
       }
 
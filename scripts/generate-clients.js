@@ -0,0 +1,390 @@
+const path = require('path');
+
+const { ethers } = require('ethers');
+const fse = require('fs-extra');
+
+// Generates versioned ABI modules and typed client wrappers for the backend (CommonJS + JSDoc)
+// and the frontend (TypeScript) from compiled artifacts. Run by `node build` after `npm run export`.
+
+const ROOT = path.join(__dirname, '..');
+const CONTRACTS = ['Factory', 'BondingCurve', 'Lock', 'Foundry', 'TokenImplementation'];
+const TARGETS = {
+    backend: { dir: path.join(ROOT, 'backend', 'src', 'contracts'), eol: '\r\n' },
+    frontend: { dir: path.join(ROOT, 'frontend', 'src', 'contracts'), eol: '\n' }
+};
+const HEADER = '// Generated by scripts/generate-clients.js - do not edit';
+
+// Members of ethers' BaseContract that a same-named contract function must not shadow
+const RESERVED = [
+    'target', 'interface', 'runner', 'filters', 'fallback', 'connect', 'attach', 'getAddress',
+    'getDeployedCode', 'waitForDeployment', 'deploymentTransaction', 'getFunction', 'getEvent',
+    'queryTransaction', 'queryFilter', 'on', 'once', 'emit', 'listenerCount', 'listeners',
+    'removeAllListeners', 'addListener', 'removeListener', 'off'
+];
+
+// Strip the CBOR metadata trailer, whose length is in the last two bytes; it changes with
+// comments and paths but not with behaviour. Same rules as backend/src/utils/bytecode.js.
+const executableCode = (code) => {
+    const hex = code.replace(/^0x/, '').toLowerCase();
+    const metadataLength = parseInt(hex.slice(-4), 16);
+    const end = hex.length - 4 - metadataLength * 2;
+    return end > 0 ? hex.slice(0, end) : hex;
+};
+
+const codeHash = (code, immutableReferences) => {
+    const bytes = Buffer.from(executableCode(code), 'hex');
+    for (const { start, length } of immutableReferences) {
+        bytes.fill(0, start, Math.min(start + length, bytes.length));
+    }
+    return ethers.keccak256(bytes);
+};
+
+// Without build info, immutables show up as PUSH32 of 32 zero bytes in the deployed bytecode
+const findImmutableReferences = (code) => {
+    const bytes = Buffer.from(executableCode(code), 'hex');
+    const references = [];
+    for (let i = 0; i < bytes.length; i++) {
+        const opcode = bytes[i];
+        if (opcode >= 0x60 && opcode <= 0x7f) {
+            const size = opcode - 0x5f;
+            if (opcode === 0x7f && bytes.subarray(i + 1, i + 33).every(byte => byte === 0)) {
+                references.push({ start: i + 1, length: 32 });
+            }
+            i += size;
+        }
+    }
+    return references;
+};
+
+// Hardhat's compiled artifact when present, else the newest hardhat-deploy record of an exported network
+const loadArtifact = async (name, networks) => {
+    const artifactPath = path.join(ROOT, 'artifacts', 'contracts', `${name}.sol`, `${name}.json`);
+    if (await fse.pathExists(artifactPath)) {
+        const artifact = await fse.readJson(artifactPath);
+        const debug = await fse.readJson(artifactPath.replace(/\.json$/, '.dbg.json'));
+        const buildInfo = await fse.readJson(path.resolve(path.dirname(artifactPath), debug.buildInfo));
+        const { evm } = buildInfo.output.contracts[artifact.sourceName][name];
+        return {
+            source: path.relative(ROOT, artifactPath),
+            abi: artifact.abi,
+            deployedBytecode: artifact.deployedBytecode,
+            immutableReferences: Object.values(evm.deployedBytecode.immutableReferences || {})
+                .flat()
+                .map(({ start, length }) => ({ start, length }))
+        };
+    }
+
+    for (const network of networks) {
+        const deploymentPath = path.join(ROOT, 'deployments', network, `${name}.json`);
+        if (await fse.pathExists(deploymentPath)) {
+            const deployment = await fse.readJson(deploymentPath);
+            return {
+                source: path.relative(ROOT, deploymentPath),
+                abi: deployment.abi,
+                deployedBytecode: deployment.deployedBytecode,
+                immutableReferences: findImmutableReferences(deployment.deployedBytecode)
+            };
+        }
+    }
+
+    throw new Error(`No artifact for ${name}; run \`npm run build\` or deploy it first`);
+};
+
+const describe = async (name, networks) => {
+    const { source, abi, deployedBytecode, immutableReferences } = await loadArtifact(name, networks);
+    const hash = codeHash(deployedBytecode, immutableReferences);
+    return {
+        name,
+        source: source.split(path.sep).join('/'),
+        abi,
+        codeHash: hash,
+        immutableReferences,
+        // Changes whenever the ABI or the executable code does
+        version: ethers.id(JSON.stringify(abi) + hash).slice(2, 10)
+    };
+};
+
+const structName = (param) => {
+    const internalType = (param.internalType || '').replace(/^struct /, '').replace(/(\[\d*\])+$/, '');
+    return `${internalType.split('.').pop() || 'Tuple'}Struct`;
+};
+
+// TypeScript type of an ABI parameter; outputs are what ethers decodes, inputs what it accepts
+const paramType = (param, output, structs) => {
+    const array = param.type.match(/^(.*)\[\d*\]$/);
+    if (array) {
+        return `${paramType({ ...param, type: array[1] }, output, structs)}[]`;
+    }
+    if (param.type === 'tuple') {
+        const name = structName(param);
+        structs.set(name, param.components);
+        return output ? `${name}Output` : name;
+    }
+    if (/^u?int\d*$/.test(param.type)) {
+        return output ? 'bigint' : 'BigNumberish';
+    }
+    if (param.type === 'bool') {
+        return 'boolean';
+    }
+    if (/^bytes\d*$/.test(param.type)) {
+        return output ? 'string' : 'BytesLike';
+    }
+    return 'string';
+};
+
+const argName = (param, index) => param.name || `arg${index}`;
+
+const returnType = (outputs, structs) => {
+    if (outputs.length === 0) {
+        return 'void';
+    }
+    if (outputs.length === 1) {
+        return paramType(outputs[0], true, structs);
+    }
+    const tuple = `[${outputs.map(output => paramType(output, true, structs)).join(', ')}]`;
+    if (outputs.some(output => !output.name)) {
+        return tuple;
+    }
+    return `${tuple} & { ${outputs.map(output => `${output.name}: ${paramType(output, true, structs)}`).join('; ')} }`;
+};
+
+// One typed member per contract function; overloads stay reachable through getFunction()
+const describeMethods = (contract) => {
+    const structs = new Map();
+    const functions = contract.abi.filter(item => item.type === 'function');
+    const methods = functions
+        .filter(fn => !RESERVED.includes(fn.name) && functions.filter(other => other.name === fn.name).length === 1)
+        .map(fn => {
+            const args = `[${fn.inputs.map((input, i) => `${argName(input, i)}: ${paramType(input, false, structs)}`).join(', ')}]`;
+            const result = returnType(fn.outputs || [], structs);
+            const readOnly = fn.stateMutability === 'view' || fn.stateMutability === 'pure';
+            return { name: fn.name, type: `<${args}, ${result}, ${readOnly ? result : 'ContractTransactionResponse'}>` };
+        });
+
+    // Nested structs are registered while their parents are typed, so expand until nothing new appears
+    const typed = new Map();
+    while (typed.size < structs.size) {
+        for (const [name, components] of structs) {
+            if (!typed.has(name)) {
+                typed.set(name, {
+                    input: components.map((component, i) => [argName(component, i), paramType(component, false, structs)]),
+                    output: components.map((component, i) => [argName(component, i), paramType(component, true, structs)])
+                });
+            }
+        }
+    }
+
+    return { methods, structs: typed };
+};
+
+const lines = (...parts) => parts.flat(Infinity).filter(part => part !== null);
+
+const backendAbiModule = (contract) => lines(
+    HEADER,
+    `// Source: ${contract.source}`,
+    'module.exports = {',
+    `  contractName: '${contract.name}',`,
+    `  version: '${contract.version}',`,
+    '  // keccak256 of the deployed code without its metadata trailer, immutables zeroed',
+    `  codeHash: '${contract.codeHash}',`,
+    `  immutableReferences: ${JSON.stringify(contract.immutableReferences)},`,
+    `  abi: ${JSON.stringify(contract.abi, null, 2).replace(/\n/g, '\n  ')}`,
+    '};',
+    ''
+);
+
+const backendClient = (contract) => {
+    const { methods, structs } = describeMethods(contract);
+    return lines(
+        HEADER,
+        'const { ethers } = require(\'ethers\');',
+        '',
+        `const ${contract.name}Artifact = require('./abis/${contract.name}');`,
+        '',
+        '/** @typedef {import(\'ethers\').BigNumberish} BigNumberish */',
+        '/** @typedef {import(\'ethers\').BytesLike} BytesLike */',
+        '/** @typedef {import(\'ethers\').ContractTransactionResponse} ContractTransactionResponse */',
+        '/**',
+        ' * @template {any[]} A, R, D',
+        ' * @typedef {import(\'ethers\').BaseContractMethod<A, R, D>} Method',
+        ' */',
+        '',
+        [...structs].map(([name, { input, output }]) => lines(
+            '/**',
+            ` * @typedef {object} ${name}`,
+            input.map(([field, type]) => ` * @property {${type}} ${field}`),
+            ' */',
+            '',
+            '/**',
+            ` * @typedef {object} ${name}Output`,
+            output.map(([field, type]) => ` * @property {${type}} ${field}`),
+            ' */',
+            ''
+        )),
+        '/**',
+        ` * @typedef {import('ethers').BaseContract & {`,
+        methods.map(({ name, type }, i) => ` *   ${name}: Method${type}${i < methods.length - 1 ? ',' : ''}`),
+        ` * }} ${contract.name}Contract`,
+        ' */',
+        '',
+        '/**',
+        ` * ${contract.name} at \`address\`, read-only without a runner that can sign.`,
+        ' * @param {string} address',
+        ' * @param {import(\'ethers\').ContractRunner | null} [runner]',
+        ` * @returns {${contract.name}Contract}`,
+        ' */',
+        `const connect${contract.name} = (address, runner = null) => new ethers.Contract(address, ${contract.name}Artifact.abi, runner);`,
+        '',
+        `const ${contract.name}Interface = new ethers.Interface(${contract.name}Artifact.abi);`,
+        '',
+        'module.exports = {',
+        `  ${contract.name}Artifact,`,
+        `  ${contract.name}Interface,`,
+        `  connect${contract.name}`,
+        '};',
+        ''
+    );
+};
+
+const backendIndex = (contracts) => lines(
+    HEADER,
+    contracts.map(({ name }) => `const { ${name}Artifact, ${name}Interface, connect${name} } = require('./${name}');`),
+    '',
+    '// Artifact of every generated client, by contract name',
+    'const ARTIFACTS = {',
+    contracts.map(({ name }, i) => `  ${name}: ${name}Artifact${i < contracts.length - 1 ? ',' : ''}`),
+    '};',
+    '',
+    'module.exports = {',
+    '  ARTIFACTS,',
+    contracts.map(({ name }, i) => `  ${name}Artifact,\n  ${name}Interface,\n  connect${name}${i < contracts.length - 1 ? ',' : ''}`),
+    '};',
+    ''
+);
+
+const frontendAbiModule = (contract) => lines(
+    HEADER,
+    `// Source: ${contract.source}`,
+    `export const ${contract.name}Artifact = {`,
+    `  contractName: '${contract.name}',`,
+    `  version: '${contract.version}',`,
+    `  abi: ${JSON.stringify(contract.abi, null, 2).replace(/\n/g, '\n  ')},`,
+    '} as const;',
+    ''
+);
+
+const frontendClient = (contract) => {
+    const { methods, structs } = describeMethods(contract);
+    const uses = (name) => methods.some(({ type }) => type.includes(name))
+        || [...structs.values()].some(({ input }) => input.some(([, type]) => type.includes(name)));
+    const imports = [
+        'BaseContract',
+        'BaseContractMethod',
+        uses('BigNumberish') ? 'BigNumberish' : null,
+        uses('BytesLike') ? 'BytesLike' : null,
+        'Contract',
+        'ContractRunner',
+        uses('ContractTransactionResponse') ? 'ContractTransactionResponse' : null
+    ].filter(Boolean);
+    const structNames = [...structs.keys()].flatMap(name => [name, `${name}Output`]);
+
+    return lines(
+        HEADER,
+        `import type { ${imports.filter(name => name !== 'Contract').join(', ')} } from 'ethers';`,
+        'import { Contract } from \'ethers\';',
+        `import { ${contract.name}Artifact } from './abis/${contract.name}';`,
+        structNames.length ? `import type { ${structNames.join(', ')} } from './structs';` : null,
+        '',
+        `export interface ${contract.name}Contract extends BaseContract {`,
+        methods.map(({ name, type }) => `  ${name}: BaseContractMethod${type};`),
+        '}',
+        '',
+        `// ${contract.name} at \`address\`, read-only without a runner that can sign`,
+        `export const connect${contract.name} = (address: string, runner: ContractRunner | null = null): ${contract.name}Contract =>`,
+        `  new Contract(address, ${contract.name}Artifact.abi, runner) as unknown as ${contract.name}Contract;`,
+        ''
+    );
+};
+
+// Struct types are shared, since several contracts use the same Solidity structs
+const frontendStructs = (contracts) => {
+    const structs = new Map();
+    for (const contract of contracts) {
+        for (const [name, struct] of describeMethods(contract).structs) {
+            structs.set(name, struct);
+        }
+    }
+    const types = [...structs.values()].flatMap(({ input }) => input.map(([, type]) => type)).join(' ');
+
+    return lines(
+        HEADER,
+        [types.includes('BigNumberish') ? 'BigNumberish' : null, types.includes('BytesLike') ? 'BytesLike' : null]
+            .filter(Boolean)
+            .map(name => `import type { ${name} } from 'ethers';`),
+        '',
+        [...structs].map(([name, { input, output }]) => lines(
+            `export interface ${name} {`,
+            input.map(([field, type]) => `  ${field}: ${type};`),
+            '}',
+            '',
+            `export interface ${name}Output {`,
+            output.map(([field, type]) => `  ${field}: ${type};`),
+            '}',
+            ''
+        ))
+    );
+};
+
+const frontendIndex = (contracts) => lines(
+    HEADER,
+    contracts.map(({ name }) => `export * from './abis/${name}';`),
+    contracts.map(({ name }) => `export * from './${name}';`),
+    'export * from \'./structs\';',
+    ''
+);
+
+const write = async (target, file, content) => {
+    const { dir, eol } = TARGETS[target];
+    const filePath = path.join(dir, file);
+    await fse.ensureDir(path.dirname(filePath));
+    await fse.writeFile(filePath, content.join('\n').split('\n').join(eol), 'utf8');
+};
+
+const generateClients = async () => {
+    const deployments = await fse.readJson(path.join(ROOT, 'exports', 'deployments.json'));
+    const networks = Object.values(deployments).flat().map(network => network.name);
+
+    const contracts = [];
+    for (const name of CONTRACTS) {
+        contracts.push(await describe(name, networks));
+    }
+    contracts.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const target of Object.keys(TARGETS)) {
+        await fse.emptyDir(TARGETS[target].dir);
+    }
+    for (const contract of contracts) {
+        await write('backend', `abis/${contract.name}.js`, backendAbiModule(contract));
+        await write('backend', `${contract.name}.js`, backendClient(contract));
+        await write('frontend', `abis/${contract.name}.ts`, frontendAbiModule(contract));
+        await write('frontend', `${contract.name}.ts`, frontendClient(contract));
+    }
+    await write('backend', 'index.js', backendIndex(contracts));
+    await write('frontend', 'structs.ts', frontendStructs(contracts));
+    await write('frontend', 'index.ts', frontendIndex(contracts));
+
+    for (const { name, version, source } of contracts) {
+        console.log(`${name} ${version} (${source})`);
+    }
+};
+
+if (require.main === module) {
+    generateClients().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    generateClients
+};
@@ -0,0 +1,50 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// The backend quotes trades with a JS port of BondingMath (backend/src/utils/bondingMath.js)
+// and checks it against these vectors, so they must stay what the contract returns
+const vectors = require("../../../backend/test/fixtures/bondingMathVectors.json");
+
+describe("BondingMath backend vectors", function () {
+    let bondingMath;
+
+    before(async function () {
+        const BondingMathTest = await ethers.getContractFactory("BondingMathTest");
+        bondingMath = await BondingMathTest.deploy();
+        await bondingMath.waitForDeployment();
+    });
+
+    it("should match calculateTokensForETH", async function () {
+        for (const vector of vectors.calculateTokensForETH) {
+            const tokensOut = await bondingMath.calculateTokensForETH(
+                vector.ethReserve,
+                vector.tokenReserve,
+                vector.ethIn
+            );
+            expect(tokensOut).to.equal(BigInt(vector.tokensOut));
+        }
+    });
+
+    it("should match calculateETHForTokens", async function () {
+        for (const vector of vectors.calculateETHForTokens) {
+            const [ethOut, fee] = await bondingMath.calculateETHForTokens(
+                vector.ethReserve,
+                vector.tokenReserve,
+                vector.tokenIn,
+                vector.sellFee
+            );
+            expect(ethOut).to.equal(BigInt(vector.ethOut));
+            expect(fee).to.equal(BigInt(vector.fee));
+        }
+    });
+
+    it("should match getCurrentPrice", async function () {
+        for (const vector of vectors.getCurrentPrice) {
+            const price = await bondingMath.getCurrentPrice(
+                vector.ethReserve,
+                vector.tokenReserve
+            );
+            expect(price).to.equal(BigInt(vector.price));
+        }
+    });
+});